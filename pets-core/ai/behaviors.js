@@ -0,0 +1,190 @@
+/**
+ * @fileoverview Behavior registry for the pet brain (one registered behavior per brain mode)
+ * @module pets-core/ai/behaviors
+ *
+ * updateBrain picks the brain's mode from the behaviors registered here, so apps can
+ * add modes such as "guarding" or "fetch" without touching brain.js. The built-in
+ * modes (wandering, following, resting, curious, sleeping, socializing, chasing,
+ * running, held) are registered by ai/brain.js.
+ *
+ * Each tick:
+ *  1. Interrupt behaviors are checked by descending priority; the first one that can
+ *     enter takes over (and, if `blocking`, ends the tick).
+ *  2. The active behavior's `update` runs; returning false hands back to the default.
+ *  3. Non-interrupt behaviors listing the current mode in `from` are checked by
+ *     descending priority; the first one that can enter (and passes its chance roll) takes over.
+ *
+ * @example
+ * registerBehavior({
+ *   id: 'guarding',
+ *   priority: 15,
+ *   canEnter: (ctx) => !!memoryRegistry.getAssignedMemory(ctx.petId),
+ *   chancePerS: () => 0.05,
+ *   enter: (brain, ctx) => { brain.t = ctx.rng.range(4, 8); },
+ *   update: (brain) => brain.t > 0,
+ *   move: (brain, pos, vel, params) => ({ x: vel.x * 0.9, z: vel.z * 0.9 })
+ * });
+ */
+
+/**
+ * @typedef {Object} BehaviorContext
+ * @property {number} dt - Delta time
+ * @property {number} time - Elapsed time
+ * @property {number} now - Interaction clock in seconds
+ * @property {string} petId - Pet ID
+ * @property {string} [speciesKey] - Species key
+ * @property {Object} [pos] - Current position {x, z}
+ * @property {boolean} isHeld - Is pet being held
+ * @property {boolean} socialActive - Is social interaction active
+ * @property {number} playerDist2 - Squared distance to player
+ * @property {Object} [chaseMode] - Chase mode state from manager
+ * @property {import('./needs.js').PetNeeds} [needs] - Pet needs
+ * @property {import('./needs.js').NeedModifiers} mods - Need modifiers
+ * @property {Object} personality - Pet's PERSONALITY values (see ai/personality.js)
+ * @property {number} sinceInteract - Seconds since the last player interaction
+ * @property {import('../environment/timeOfDay.js').TimeOfDay|null} timeOfDay - Time of day (null when the app ignores the clock)
+ * @property {import('../random.js').Rng} rng - Random stream
+ * @property {import('./brain.js').BrainState} brain - Brain being updated
+ * @property {function(Object=): void} chooseRestSpot - Pick and occupy a rest target ({nearest, warm})
+ * @property {Object} params - Raw updateBrain params (for app-specific inputs)
+ */
+
+/**
+ * @typedef {Object} Behavior
+ * @property {string} id - Behavior ID, used as brain.mode while active
+ * @property {number} [priority=0] - Higher is checked first
+ * @property {boolean} [interrupt=false] - Checked every tick from any mode
+ * @property {boolean} [blocking=false] - Interrupt only: skip the rest of the tick while it applies
+ * @property {string[]} [from=['wandering']] - Non-interrupt only: modes it can be entered from
+ * @property {function(BehaviorContext): boolean} [canEnter] - Precondition (default: always)
+ * @property {function(BehaviorContext): (number|null)} [chancePerS] - Entry rate per second; omit or return null to enter as soon as canEnter passes
+ * @property {function(import('./brain.js').BrainState, BehaviorContext): void} [enter] - Called on entry (set timers, targets)
+ * @property {function(import('./brain.js').BrainState, BehaviorContext): boolean} [update] - Called every tick while active; return false to finish
+ * @property {function(import('./brain.js').BrainState, BehaviorContext): void} [exit] - Called when another behavior takes over
+ * @property {function(import('./brain.js').BrainState, Object, Object, Object): Object} [move] - Velocity for calculateMovement (built-ins use brain.js)
+ */
+
+/**
+ * Behavior registry
+ */
+class BehaviorRegistry {
+  constructor() {
+    /** @type {Map<string, Behavior>} */
+    this.behaviors = new Map();
+    /** Mode the brain falls back to when a behavior finishes */
+    this.defaultId = 'wandering';
+    /** @type {Behavior[]|null} Sorted cache */
+    this._interrupts = null;
+    /** @type {Behavior[]|null} Sorted cache */
+    this._transitions = null;
+  }
+
+  /**
+   * Register a behavior (replaces one with the same ID)
+   * @param {Behavior} behavior - Behavior to register
+   */
+  add(behavior) {
+    if (!behavior?.id) throw new Error('Behavior needs an id');
+    this.behaviors.set(behavior.id, {
+      priority: 0,
+      interrupt: false,
+      blocking: false,
+      from: [this.defaultId],
+      ...behavior
+    });
+    this._interrupts = null;
+    this._transitions = null;
+  }
+
+  /**
+   * Remove a behavior
+   * @param {string} id - Behavior ID
+   */
+  remove(id) {
+    this.behaviors.delete(id);
+    this._interrupts = null;
+    this._transitions = null;
+  }
+
+  /**
+   * Get a behavior
+   * @param {string} id - Behavior ID
+   * @returns {Behavior|undefined} Behavior
+   */
+  get(id) {
+    return this.behaviors.get(id);
+  }
+
+  /**
+   * Get all behaviors
+   * @returns {Behavior[]} Array of behaviors
+   */
+  getAll() {
+    return Array.from(this.behaviors.values());
+  }
+
+  /**
+   * Interrupt behaviors, highest priority first
+   * @returns {Behavior[]} Interrupts
+   */
+  getInterrupts() {
+    if (!this._interrupts) {
+      this._interrupts = this.getAll().filter(b => b.interrupt).sort((a, b) => b.priority - a.priority);
+    }
+    return this._interrupts;
+  }
+
+  /**
+   * Non-interrupt behaviors enterable from a mode, highest priority first
+   * @param {string} mode - Current mode
+   * @returns {Behavior[]} Candidates
+   */
+  getTransitions(mode) {
+    if (!this._transitions) {
+      this._transitions = this.getAll().filter(b => !b.interrupt).sort((a, b) => b.priority - a.priority);
+    }
+    return this._transitions.filter(b => b.from.includes(mode));
+  }
+}
+
+/**
+ * Global behavior registry singleton
+ * @type {BehaviorRegistry}
+ */
+export const behaviorRegistry = new BehaviorRegistry();
+
+/**
+ * Register a behavior
+ * @param {Behavior} behavior - Behavior definition
+ * @returns {function(): void} Unregister function
+ */
+export function registerBehavior(behavior) {
+  behaviorRegistry.add(behavior);
+  return () => behaviorRegistry.remove(behavior.id);
+}
+
+/**
+ * Check whether a behavior may be entered this tick (precondition + chance roll)
+ * @param {Behavior} behavior - Behavior
+ * @param {BehaviorContext} ctx - Context
+ * @returns {boolean} True if it should be entered
+ */
+export function shouldEnterBehavior(behavior, ctx) {
+  if (behavior.canEnter && !behavior.canEnter(ctx)) return false;
+  const rate = behavior.chancePerS?.(ctx);
+  if (rate == null) return true;
+  return ctx.rng.next() < rate * ctx.dt;
+}
+
+/**
+ * Switch a brain to a behavior, running exit/enter hooks
+ * @param {import('./brain.js').BrainState} brain - Brain state
+ * @param {string} id - Behavior ID
+ * @param {BehaviorContext} ctx - Context
+ */
+export function switchBehavior(brain, id, ctx) {
+  const prev = behaviorRegistry.get(brain.mode);
+  if (prev && prev.id !== id) prev.exit?.(brain, ctx);
+  brain.mode = id;
+  behaviorRegistry.get(id)?.enter?.(brain, ctx);
+}
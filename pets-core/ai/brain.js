@@ -3,49 +3,110 @@
  * @module pets-core/ai/brain
  */
 
+import * as THREE from 'three';
 import { noise1D, randRange, pick, clamp, dampAngle } from '../utils.js';
+import { getRng } from '../random.js';
+import { getNeedModifiers } from './needs.js';
+import { restSpotRegistry, getSpeciesPreferredSpot } from '../environment/restSpots.js';
+import { TIME_OF_DAY_CONFIG } from '../environment/timeOfDay.js';
+import { behaviorRegistry, shouldEnterBehavior, switchBehavior } from './behaviors.js';
+import { createPathState, getNavWaypoint } from '../environment/navigation.js';
+import { PERSONALITY } from './personalityDefaults.js';
 
-/**
- * Personality configuration - controls AI behavior rarity
- * @type {Object}
- */
-export const PERSONALITY = {
-  curiosityChancePerS: 0.11,
-  curiosityDuration: [1.2, 2.2],
-  restChancePerS: 0.10,
-  restDuration: [2.6, 4.8],
-  restAfterWalkS: 10,
-  chaseChancePerS: 0.04,
-  chaseDuration: [3.8, 5.2],
-  sleepAfterNoInteractS: 22
-};
+// Pre-allocated vector for rest spot queries
+const _pos = new THREE.Vector3();
+
+// Re-exported so existing imports from ai/brain.js keep working
+export { PERSONALITY };
 
 /**
  * @typedef {Object} BrainState
- * @property {'wandering'|'socializing'|'resting'|'curious'|'held'|'chasing'|'running'|'sleeping'|'following'} mode
+ * @property {string} mode - Active behavior ID: 'wandering'|'socializing'|'resting'|'curious'|'held'|'chasing'|'running'|'sleeping'|'following' or one added with registerBehavior
  * @property {number} t - Timer for current state
  * @property {number} seed - Random seed for noise
  * @property {number} walkS - Time spent walking
  * @property {Object} restSpot - Rest target position
+ * @property {string|null} restSpotId - Occupied rest spot ID
+ * @property {import('../environment/restSpots.js').RestSpotRegistry|null} spotRegistry - Registry holding restSpotId
  * @property {number} lastInteractAt - Last interaction timestamp
+ * @property {import('../environment/navigation.js').PathState} path - Path toward the current target
  */
 
 /**
  * Create initial brain state
- * @param {number} [seed] - Random seed
+ * @param {number} [seed] - Random seed (drawn from the world stream if omitted)
  * @returns {BrainState} Initial brain state
  */
-export function createBrainState(seed = Math.random() * 10000) {
+export function createBrainState(seed = getRng().next() * 10000) {
   return {
     mode: 'wandering',
     t: 0,
     seed: Math.floor(seed) % 10000,
     walkS: 0,
     restSpot: { x: 0, y: 0, z: 0 },
-    lastInteractAt: 0
+    restSpotId: null,
+    spotRegistry: null,
+    lastInteractAt: 0,
+    path: createPathState()
   };
 }
 
+/**
+ * Release the registry rest spot held by a brain
+ * @param {BrainState} brain - Brain state
+ */
+export function releaseRestSpot(brain) {
+  if (brain.restSpotId) {
+    (brain.spotRegistry ?? restSpotRegistry).release(brain.restSpotId);
+    brain.restSpotId = null;
+    brain.spotRegistry = null;
+  }
+}
+
+/**
+ * Pick a rest target. Registered rest spots win over the plain rugs list.
+ * @param {BrainState} brain - Brain state
+ * @param {Object} opts - Options
+ * @param {Array<[number, number]>} opts.rugs - Fallback rest positions
+ * @param {string} [opts.petId] - Pet ID (occupies the chosen spot)
+ * @param {string} [opts.speciesKey] - Species key (for preferred spot type)
+ * @param {Object} [opts.pos] - Current position {x, z}
+ * @param {boolean} [opts.nearest=false] - Pick nearest spot instead of a random one
+ * @param {boolean} [opts.warm=false] - Pick one of the warmest spots, even if taken (pets gather there)
+ * @param {import('../environment/timeOfDay.js').TimeOfDay|null} [opts.timeOfDay] - Time of day (sunlight for warmth)
+ * @param {import('../random.js').Rng} opts.rng - Random stream
+ * @param {import('../environment/restSpots.js').RestSpotRegistry} [opts.restSpots=restSpotRegistry] - Spots to pick from
+ */
+function chooseRestSpot(brain, { rugs, petId, speciesKey, pos, nearest = false, warm = false, timeOfDay, rng, restSpots = restSpotRegistry }) {
+  releaseRestSpot(brain);
+
+  const preferType = getSpeciesPreferredSpot(speciesKey);
+  let spot = null;
+  if (warm) {
+    spot = restSpots.findWarm(timeOfDay?.daylight ?? 1, rng);
+  } else if (nearest && pos) {
+    spot = restSpots.findNearest(_pos.set(pos.x, 0, pos.z), preferType);
+  } else {
+    spot = restSpots.findRandom(preferType, rng);
+  }
+
+  if (spot) {
+    if (petId && restSpots.occupy(spot.id, petId)) {
+      brain.restSpotId = spot.id;
+      brain.spotRegistry = restSpots;
+      brain.restSpot = { x: spot.position.x, y: 0, z: spot.position.z };
+    } else {
+      // Sharing a spot: curl up somewhere on it rather than on top of the other pet
+      const a = rng.range(0, Math.PI * 2);
+      const r = spot.radius * rng.range(0.3, 0.7);
+      brain.restSpot = { x: spot.position.x + Math.cos(a) * r, y: 0, z: spot.position.z + Math.sin(a) * r };
+    }
+  } else if (rugs.length > 0) {
+    const rug = pick(rugs, rng);
+    brain.restSpot = { x: rug[0], y: 0, z: rug[1] };
+  }
+}
+
 /**
  * Update brain AI state
  * @param {BrainState} brain - Current brain state
@@ -58,85 +119,280 @@ export function createBrainState(seed = Math.random() * 10000) {
  * @param {Object} params.chaseMode - Chase mode state from manager
  * @param {string} params.petId - Pet ID
  * @param {Object[]} params.rugs - Rest spot positions
+ * @param {import('./needs.js').PetNeeds} [params.needs] - Pet needs (biases mode selection)
+ * @param {Object} [params.pos] - Current position {x, z} (for nearest rest spot)
+ * @param {string} [params.speciesKey] - Species key (for preferred rest spot type)
+ * @param {import('../random.js').Rng} [params.rng] - Random stream (per-pet fork recommended)
+ * @param {Object} [params.personality=PERSONALITY] - Per-pet values (see getPersonality in ai/personality.js)
+ * @param {number} [params.now] - Interaction clock in seconds, same base as brain.lastInteractAt (defaults to performance.now())
+ * @param {import('../environment/restSpots.js').RestSpotRegistry} [params.restSpots] - Rest spots of the pet's room (defaults to restSpotRegistry)
+ * @param {import('../environment/timeOfDay.js').TimeOfDay|null} [params.timeOfDay] - Time of day (evening rests, night sleep; null ignores the clock)
  * @returns {BrainState} Updated brain state
  */
 export function updateBrain(brain, params) {
-  const { dt, time, isHeld, socialActive, playerDist2, chaseMode, petId, rugs = [] } = params;
+  stepBrain(brain, params);
+
+  // Give back the rest spot once the pet is up and about
+  if (brain.restSpotId && brain.mode !== 'resting' && brain.mode !== 'sleeping') {
+    releaseRestSpot(brain);
+  }
+
+  return brain;
+}
+
+/**
+ * Follow distance² (lonely pets stay within 3 units of the player)
+ * @private
+ */
+function followDist2(ctx) {
+  const d = ctx.mods.lonely ? Math.min(3, ctx.personality.followDist) : ctx.personality.followDist;
+  return d * d;
+}
+
+/** @private */
+const isNight = (ctx) => ctx.timeOfDay?.phase === 'night';
+
+/** @private */
+const isEvening = (ctx) => ctx.timeOfDay?.phase === 'evening';
+
+/**
+ * Multiplier that only applies in the evening
+ * @private
+ */
+function eveningMul(ctx, mul) {
+  return isEvening(ctx) ? mul : 1;
+}
+
+/**
+ * Built-in behaviors. Apps add their own through registerBehavior (ai/behaviors.js).
+ * @private
+ */
+const BUILTIN_BEHAVIORS = [
+  {
+    id: 'held',
+    priority: 100,
+    interrupt: true,
+    blocking: true,
+    canEnter: (ctx) => ctx.isHeld,
+    update: (brain, ctx) => ctx.isHeld
+  },
+  {
+    id: 'chasing',
+    priority: 90,
+    interrupt: true,
+    blocking: true,
+    canEnter: (ctx) => !!ctx.chaseMode?.active && ctx.chaseMode.chaserId === ctx.petId,
+    enter: (brain, ctx) => { brain.t = ctx.chaseMode.until - ctx.time; },
+    update: (brain, ctx) => {
+      if (!ctx.chaseMode?.active || ctx.chaseMode.chaserId !== ctx.petId) return false;
+      brain.t = ctx.chaseMode.until - ctx.time;
+      return true;
+    }
+  },
+  {
+    id: 'running',
+    priority: 90,
+    interrupt: true,
+    blocking: true,
+    canEnter: (ctx) => !!ctx.chaseMode?.active && ctx.chaseMode.runnerId === ctx.petId,
+    enter: (brain, ctx) => { brain.t = ctx.chaseMode.until - ctx.time; },
+    update: (brain, ctx) => {
+      if (!ctx.chaseMode?.active || ctx.chaseMode.runnerId !== ctx.petId) return false;
+      brain.t = ctx.chaseMode.until - ctx.time;
+      return true;
+    }
+  },
+  {
+    // Social stops movement
+    id: 'socializing',
+    priority: 80,
+    interrupt: true,
+    blocking: true,
+    canEnter: (ctx) => ctx.socialActive,
+    update: (brain, ctx) => ctx.socialActive
+  },
+  {
+    // Exhausted pets head for the nearest rest spot; otherwise pets doze off when left alone,
+    // and at night they soon settle on a warm spot for a long sleep
+    id: 'sleeping',
+    priority: 70,
+    interrupt: true,
+    canEnter: (ctx) => ctx.brain.mode !== 'sleeping' && (
+      ctx.mods.exhausted ||
+      (isNight(ctx) && ctx.sinceInteract > TIME_OF_DAY_CONFIG.nightSleepAfterS) ||
+      (ctx.playerDist2 <= ctx.personality.followDist ** 2 && ctx.sinceInteract > ctx.personality.sleepAfterNoInteractS)
+    ),
+    chancePerS: (ctx) => {
+      if (ctx.mods.exhausted) return null;
+      return isNight(ctx) ? TIME_OF_DAY_CONFIG.nightSleepChancePerS : 0.035;
+    },
+    enter: (brain, ctx) => {
+      if (ctx.mods.exhausted) {
+        brain.t = randRange(8.0, 14.0, ctx.rng);
+        ctx.chooseRestSpot({ nearest: true });
+      } else if (isNight(ctx)) {
+        const [min, max] = TIME_OF_DAY_CONFIG.nightSleepDuration;
+        brain.t = randRange(min, max, ctx.rng);
+        ctx.chooseRestSpot({ warm: true });
+      } else {
+        brain.t = randRange(3.0, 6.0, ctx.rng);
+        ctx.chooseRestSpot();
+      }
+    },
+    update: (brain) => brain.t > 0
+  },
+  {
+    id: 'wandering',
+    update: (brain, ctx) => {
+      brain.walkS += ctx.dt;
+      return true;
+    }
+  },
+  {
+    id: 'following',
+    priority: 30,
+    canEnter: (ctx) => ctx.playerDist2 > followDist2(ctx),
+    update: (brain, ctx) => {
+      if (ctx.playerDist2 > followDist2(ctx)) return true;
+      brain.walkS = 0;
+      return false;
+    }
+  },
+  {
+    // Evenings are lazy: pets rest sooner, longer, and gather on the warmest spots
+    id: 'resting',
+    priority: 20,
+    canEnter: (ctx) => ctx.brain.walkS > ctx.personality.restAfterWalkS * ctx.mods.restAfterWalkMul / eveningMul(ctx, TIME_OF_DAY_CONFIG.eveningRestMul),
+    chancePerS: (ctx) => ctx.personality.restChancePerS * ctx.mods.restChanceMul * eveningMul(ctx, TIME_OF_DAY_CONFIG.eveningRestMul),
+    enter: (brain, ctx) => {
+      const mul = eveningMul(ctx, TIME_OF_DAY_CONFIG.eveningRestDurationMul);
+      brain.t = randRange(ctx.personality.restDuration[0], ctx.personality.restDuration[1], ctx.rng) * mul;
+      brain.walkS = 0;
+      // Tired pets go to the closest spot instead of wandering across the room
+      if (ctx.mods.restChanceMul > 2) ctx.chooseRestSpot({ nearest: true });
+      else ctx.chooseRestSpot({ warm: isEvening(ctx) });
+    },
+    update: (brain) => brain.t > 0
+  },
+  {
+    id: 'curious',
+    priority: 10,
+    chancePerS: (ctx) => ctx.personality.curiosityChancePerS * ctx.mods.curiosityMul,
+    enter: (brain, ctx) => {
+      brain.t = randRange(ctx.personality.curiosityDuration[0], ctx.personality.curiosityDuration[1], ctx.rng);
+    },
+    update: (brain) => brain.t > 0
+  }
+];
+
+for (const behavior of BUILTIN_BEHAVIORS) {
+  behaviorRegistry.add(behavior);
+}
+
+/**
+ * Mode selection for updateBrain (see ai/behaviors.js for the tick order)
+ * @private
+ */
+function stepBrain(brain, params) {
+  const { dt, time, isHeld, socialActive, playerDist2, chaseMode, petId, rugs = [], needs, pos, speciesKey, rng = getRng(), now = performance.now() * 0.001, personality = PERSONALITY, restSpots, timeOfDay = null } = params;
+  const spotOpts = { rugs, petId, speciesKey, pos, rng, restSpots, timeOfDay };
+
+  /** @type {import('./behaviors.js').BehaviorContext} */
+  const ctx = {
+    dt,
+    time,
+    now,
+    petId,
+    speciesKey,
+    pos,
+    isHeld,
+    socialActive,
+    playerDist2,
+    chaseMode,
+    needs,
+    mods: getNeedModifiers(needs),
+    personality,
+    sinceInteract: now - (brain.lastInteractAt || 0),
+    timeOfDay,
+    rng,
+    brain,
+    chooseRestSpot: (opts = {}) => chooseRestSpot(brain, { ...spotOpts, ...opts }),
+    params
+  };
   
   // Decrement timer
   brain.t -= dt;
   
-  // If held, stay in held mode
-  if (isHeld) {
-    brain.mode = 'held';
-    return brain;
-  }
-  
-  // Chase mode from manager
-  if (chaseMode?.active) {
-    if (chaseMode.chaserId === petId) {
-      brain.mode = 'chasing';
-      brain.t = chaseMode.until - time;
-    } else if (chaseMode.runnerId === petId) {
-      brain.mode = 'running';
-      brain.t = chaseMode.until - time;
+  // Interrupts (held, chase, social, sleep, app-defined)
+  for (const behavior of behaviorRegistry.getInterrupts()) {
+    if (!shouldEnterBehavior(behavior, ctx)) continue;
+    if (brain.mode !== behavior.id) {
+      switchBehavior(brain, behavior.id, ctx);
+    } else if (behavior.blocking) {
+      behavior.update?.(brain, ctx);
     }
-    return brain;
+    if (behavior.blocking) return;
+    break;
   }
   
-  // Social stops movement
-  if (socialActive) {
-    brain.mode = 'socializing';
-    return brain;
+  // Active behavior; finished behaviors hand back to the default
+  const active = behaviorRegistry.get(brain.mode);
+  if (active?.update && active.update(brain, ctx) === false) {
+    switchBehavior(brain, behaviorRegistry.defaultId, ctx);
   }
   
-  // Sleep check (if not interacted for a while)
-  const sinceInteract = (performance.now() * 0.001) - (brain.lastInteractAt || 0);
-  if (brain.mode !== 'sleeping' && playerDist2 <= 64) {
-    if (sinceInteract > PERSONALITY.sleepAfterNoInteractS && Math.random() < 0.035 * dt) {
-      brain.mode = 'sleeping';
-      brain.t = randRange(3.0, 6.0);
-      if (rugs.length > 0) {
-        const spot = pick(rugs);
-        brain.restSpot = { x: spot[0], y: 0, z: spot[1] };
-      }
-    }
-  }
-  
-  // Wandering state transitions
-  if (brain.mode === 'wandering') {
-    brain.walkS += dt;
-    
-    const shouldFollow = playerDist2 > 64; // > 8 units away
-    
-    if (shouldFollow) {
-      brain.mode = 'following';
-    } else if (brain.walkS > PERSONALITY.restAfterWalkS && Math.random() < PERSONALITY.restChancePerS * dt) {
-      brain.mode = 'resting';
-      brain.t = randRange(PERSONALITY.restDuration[0], PERSONALITY.restDuration[1]);
-      brain.walkS = 0;
-      if (rugs.length > 0) {
-        const spot = pick(rugs);
-        brain.restSpot = { x: spot[0], y: 0, z: spot[1] };
-      }
-    } else if (Math.random() < PERSONALITY.curiosityChancePerS * dt) {
-      brain.mode = 'curious';
-      brain.t = randRange(PERSONALITY.curiosityDuration[0], PERSONALITY.curiosityDuration[1]);
+  // Transitions out of the current mode
+  for (const behavior of behaviorRegistry.getTransitions(brain.mode)) {
+    if (shouldEnterBehavior(behavior, ctx)) {
+      switchBehavior(brain, behavior.id, ctx);
+      break;
     }
   }
-  
-  // Following -> wandering when close again
-  if (brain.mode === 'following' && playerDist2 <= 64) {
-    brain.mode = 'wandering';
-    brain.walkS = 0;
+}
+
+/**
+ * Unit direction toward a target, routed around obstacles via the nav grid
+ * @param {BrainState} brain - Brain state (owns the path)
+ * @param {Object} pos - Current position {x, z}
+ * @param {Object} target - Final target {x, z}
+ * @param {number} time - Elapsed time
+ * @param {import('../environment/navigation.js').NavGrid} [grid] - Navigation grid (defaults to navGrid)
+ * @returns {{x: number, z: number, d: number}} Direction and straight-line distance to the final target
+ */
+export function steerToward(brain, pos, target, time, grid) {
+  const d = Math.hypot(target.x - pos.x, target.z - pos.z);
+  const wp = brain.path ? getNavWaypoint(brain.path, pos, target, time, grid) : target;
+  const wx = wp.x - pos.x;
+  const wz = wp.z - pos.z;
+  const wd = Math.sqrt(wx * wx + wz * wz);
+  if (wd < 0.001) return { x: 0, z: 0, d };
+  return { x: wx / wd, z: wz / wd, d };
+}
+
+/**
+ * Bend a steering direction away from the room walls and nearby pets, then normalize it
+ * @param {number} dirX - Desired direction X
+ * @param {number} dirZ - Desired direction Z
+ * @param {Object} pos - Current position {x, z}
+ * @param {Object} bounds - Room bounds {minX, maxX, minZ, maxZ}
+ * @param {Object} [separationVec] - Push away from nearby pets {x, z} (calculateSeparation)
+ * @param {number} [margin=1.25] - Distance from a wall where the push starts
+ * @returns {{x: number, z: number}} Unit direction (zero if everything cancels out)
+ */
+export function avoidWallsAndPets(dirX, dirZ, pos, bounds, separationVec, margin = 1.25) {
+  if (bounds) {
+    if (pos.x > bounds.maxX - margin) dirX -= (pos.x - (bounds.maxX - margin)) / margin;
+    if (pos.x < bounds.minX + margin) dirX += ((bounds.minX + margin) - pos.x) / margin;
+    if (pos.z > bounds.maxZ - margin) dirZ -= (pos.z - (bounds.maxZ - margin)) / margin;
+    if (pos.z < bounds.minZ + margin) dirZ += ((bounds.minZ + margin) - pos.z) / margin;
   }
-  
-  // Curious/resting/sleeping timer expiry
-  if ((brain.mode === 'curious' || brain.mode === 'resting' || brain.mode === 'sleeping') && brain.t <= 0) {
-    brain.mode = 'wandering';
+  if (separationVec) {
+    dirX += separationVec.x;
+    dirZ += separationVec.z;
   }
-  
-  return brain;
+  const l = Math.sqrt(dirX * dirX + dirZ * dirZ);
+  if (l <= 0.001) return { x: 0, z: 0 };
+  return { x: dirX / l, z: dirZ / l };
 }
 
 /**
@@ -144,11 +400,15 @@ export function updateBrain(brain, params) {
  * @param {BrainState} brain - Current brain state
  * @param {Object} pos - Current position {x, z}
  * @param {Object} vel - Current velocity {x, z}
- * @param {Object} params - Movement parameters
+ * @param {Object} params - Movement parameters (`navGrid` routes around the pet's room obstacles)
  * @returns {Object} Updated velocity {x, z}
  */
 export function calculateMovement(brain, pos, vel, params) {
-  const { dt, time, bounds, playerPos, chaseMode, separationVec, isMobile, baseY } = params;
+  const { dt, time, bounds, playerPos, chaseMode, separationVec, isMobile, baseY, navGrid } = params;
+  
+  // Registered behaviors may bring their own steering
+  const custom = behaviorRegistry.get(brain.mode)?.move;
+  if (custom) return custom(brain, pos, vel, params);
   
   let vx = vel.x;
   let vz = vel.z;
@@ -163,29 +423,21 @@ export function calculateMovement(brain, pos, vel, params) {
     vz *= Math.pow(0.70, dt * 60);
   } else if (brain.mode === 'resting' || brain.mode === 'sleeping') {
     // Move toward rest spot
-    const dx = brain.restSpot.x - pos.x;
-    const dz = brain.restSpot.z - pos.z;
-    const d = Math.sqrt(dx * dx + dz * dz);
-    if (d > 0.20) {
-      const nx = dx / d;
-      const nz = dz / d;
-      vx += nx * dt * 2.2;
-      vz += nz * dt * 2.2;
+    const dir = steerToward(brain, pos, brain.restSpot, time, navGrid);
+    if (dir.d > 0.20) {
+      vx += dir.x * dt * 2.2;
+      vz += dir.z * dt * 2.2;
     } else {
       vx *= Math.pow(0.70, dt * 60);
       vz *= Math.pow(0.70, dt * 60);
     }
   } else if (brain.mode === 'following') {
     // Move toward player
-    const dx = playerPos.x - pos.x;
-    const dz = playerPos.z - pos.z;
-    const d = Math.sqrt(dx * dx + dz * dz);
-    if (d > 0.001) {
-      const nx = dx / d;
-      const nz = dz / d;
+    const dir = steerToward(brain, pos, playerPos, time, navGrid);
+    if (dir.d > 0.001) {
       const speed = isMobile ? 1.55 : 1.75;
-      vx += nx * speed * dt * 3.2;
-      vz += nz * speed * dt * 3.2;
+      vx += dir.x * speed * dt * 3.2;
+      vz += dir.z * speed * dt * 3.2;
     }
     vx *= Math.pow(0.86, dt * 60);
     vz *= Math.pow(0.86, dt * 60);
@@ -219,32 +471,13 @@ export function calculateMovement(brain, pos, vel, params) {
     // Wandering with noise + wall steering
     const nx = noise1D(time * 0.55, brain.seed);
     const nz = noise1D(time * 0.55 + 100, brain.seed);
-    let dirX = nx;
-    let dirZ = nz;
-    
-    // Wall avoidance
-    const margin = 1.25;
-    if (pos.x > bounds.maxX - margin) dirX -= (pos.x - (bounds.maxX - margin)) / margin;
-    if (pos.x < bounds.minX + margin) dirX += ((bounds.minX + margin) - pos.x) / margin;
-    if (pos.z > bounds.maxZ - margin) dirZ -= (pos.z - (bounds.maxZ - margin)) / margin;
-    if (pos.z < bounds.minZ + margin) dirZ += ((bounds.minZ + margin) - pos.z) / margin;
     
-    // Add separation
-    if (separationVec) {
-      dirX += separationVec.x;
-      dirZ += separationVec.z;
-    }
-    
-    // Normalize
-    const l = Math.sqrt(dirX * dirX + dirZ * dirZ);
-    if (l > 0.001) {
-      dirX /= l;
-      dirZ /= l;
-    }
+    // Wall avoidance + separation
+    const dir = avoidWallsAndPets(nx, nz, pos, bounds, separationVec);
     
     const speed = 1.25;
-    vx += dirX * speed * dt * 2.6;
-    vz += dirZ * speed * dt * 2.6;
+    vx += dir.x * speed * dt * 2.6;
+    vz += dir.z * speed * dt * 2.6;
     
     vx *= Math.pow(0.88, dt * 60);
     vz *= Math.pow(0.88, dt * 60);
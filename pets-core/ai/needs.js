@@ -0,0 +1,205 @@
+/**
+ * @fileoverview Pet needs model (hunger, energy, hygiene, social) with real-time decay
+ * @module pets-core/ai/needs
+ */
+
+import { clamp, lerp } from '../utils.js';
+import { petEvents, PET_EVENTS } from '../events/PetEventEmitter.js';
+
+/**
+ * Need keys, in display order
+ * @type {string[]}
+ */
+export const NEED_KEYS = ['hunger', 'energy', 'hygiene', 'social'];
+
+/**
+ * Needs tuning. Values are 0 (desperate) to 1 (fully satisfied).
+ * Rates are per real-time hour.
+ * @type {Object}
+ */
+export const NEEDS_CONFIG = {
+  decayPerHour: {
+    hunger: 0.12,
+    energy: 0.10,
+    hygiene: 0.06,
+    social: 0.15
+  },
+  // Energy recovery while resting/sleeping
+  restRecoverPerHour: 0.9,
+  sleepRecoverPerHour: 1.8,
+  // Extra energy drain multiplier while chasing/running
+  activeDrainMul: 3.0,
+  // Below this a need is critical; it must climb above `recoveredAt` to clear
+  criticalAt: 0.2,
+  recoveredAt: 0.35,
+  // Restored by one care action from the HUD (PetHud `care`)
+  careAmount: {
+    hunger: 0.5,
+    hygiene: 0.6
+  }
+};
+
+/**
+ * @typedef {Object} PetNeeds
+ * @property {number} hunger - Fullness (0-1)
+ * @property {number} energy - Energy (0-1)
+ * @property {number} hygiene - Cleanliness (0-1)
+ * @property {number} social - Social fulfilment (0-1)
+ * @property {string[]} critical - Needs currently flagged critical
+ * @property {number} updatedAt - Wall-clock timestamp (ms) of last update
+ */
+
+/**
+ * Create fully satisfied needs
+ * @param {number} [now=Date.now()] - Current timestamp (ms)
+ * @returns {PetNeeds} New needs state
+ */
+export function createNeeds(now = Date.now()) {
+  return {
+    hunger: 1,
+    energy: 1,
+    hygiene: 1,
+    social: 1,
+    critical: [],
+    updatedAt: now
+  };
+}
+
+/**
+ * Check that a saved value looks like a needs state
+ * @param {*} v - Value to check
+ * @returns {boolean} True if valid
+ */
+export function isValidNeeds(v) {
+  if (!v || typeof v !== 'object') return false;
+  return NEED_KEYS.every(k => typeof v[k] === 'number' && v[k] >= 0 && v[k] <= 1) &&
+    Number.isFinite(v.updatedAt);
+}
+
+/**
+ * Advance needs by an elapsed duration (pure; mutates and returns needs)
+ * @param {PetNeeds} needs - Needs state
+ * @param {number} elapsedS - Elapsed seconds
+ * @param {string} [mode='wandering'] - Brain mode during the interval
+ * @returns {PetNeeds} Updated needs
+ */
+export function decayNeeds(needs, elapsedS, mode = 'wandering') {
+  if (elapsedS <= 0) return needs;
+  const h = elapsedS / 3600;
+  const rates = NEEDS_CONFIG.decayPerHour;
+
+  needs.hunger = clamp(needs.hunger - rates.hunger * h, 0, 1);
+  needs.hygiene = clamp(needs.hygiene - rates.hygiene * h, 0, 1);
+  needs.social = clamp(needs.social - rates.social * h, 0, 1);
+
+  if (mode === 'sleeping') {
+    needs.energy = clamp(needs.energy + NEEDS_CONFIG.sleepRecoverPerHour * h, 0, 1);
+  } else if (mode === 'resting') {
+    needs.energy = clamp(needs.energy + NEEDS_CONFIG.restRecoverPerHour * h, 0, 1);
+  } else {
+    const mul = mode === 'chasing' || mode === 'running' ? NEEDS_CONFIG.activeDrainMul : 1;
+    needs.energy = clamp(needs.energy - rates.energy * mul * h, 0, 1);
+  }
+
+  return needs;
+}
+
+/**
+ * Re-evaluate critical flags with hysteresis
+ * @param {PetNeeds} needs - Needs state (critical list is updated in place)
+ * @returns {{becameCritical: string[], recovered: string[]}} Flag transitions
+ */
+export function updateCriticalNeeds(needs) {
+  const becameCritical = [];
+  const recovered = [];
+  const critical = new Set(needs.critical || []);
+
+  for (const k of NEED_KEYS) {
+    if (!critical.has(k) && needs[k] < NEEDS_CONFIG.criticalAt) {
+      critical.add(k);
+      becameCritical.push(k);
+    } else if (critical.has(k) && needs[k] > NEEDS_CONFIG.recoveredAt) {
+      critical.delete(k);
+      recovered.push(k);
+    }
+  }
+
+  needs.critical = Array.from(critical);
+  return { becameCritical, recovered };
+}
+
+/**
+ * Advance a pet's needs to the current wall-clock time and emit critical/recovered events
+ * @param {string} petId - Pet ID
+ * @param {PetNeeds} needs - Needs state (mutated)
+ * @param {string} mode - Current brain mode
+ * @param {number} [now=Date.now()] - Current timestamp (ms)
+ * @returns {PetNeeds} Updated needs
+ */
+export function tickNeeds(petId, needs, mode, now = Date.now()) {
+  const elapsedS = (now - (needs.updatedAt ?? now)) / 1000;
+  decayNeeds(needs, elapsedS, mode);
+  needs.updatedAt = now;
+
+  const { becameCritical, recovered } = updateCriticalNeeds(needs);
+  for (const need of becameCritical) {
+    petEvents.emit(PET_EVENTS.NEED_CRITICAL, { petId, need, value: needs[need] });
+  }
+  for (const need of recovered) {
+    petEvents.emit(PET_EVENTS.NEED_RECOVERED, { petId, need, value: needs[need] });
+  }
+  return needs;
+}
+
+/**
+ * Raise a need (feeding, washing, petting...)
+ * @param {PetNeeds} needs - Needs state (mutated)
+ * @param {string} need - Need key
+ * @param {number} [amount=0.25] - Amount to add (0-1)
+ * @returns {PetNeeds} Updated needs
+ */
+export function satisfyNeed(needs, need, amount = 0.25) {
+  if (!NEED_KEYS.includes(need)) return needs;
+  needs[need] = clamp(needs[need] + amount, 0, 1);
+  return needs;
+}
+
+/**
+ * Check if a need is flagged critical
+ * @param {PetNeeds} needs - Needs state
+ * @param {string} need - Need key
+ * @returns {boolean} True if critical
+ */
+export function isNeedCritical(needs, need) {
+  return !!needs?.critical?.includes(need);
+}
+
+/**
+ * @typedef {Object} NeedModifiers
+ * @property {number} restChanceMul - Multiplier for PERSONALITY.restChancePerS
+ * @property {number} restAfterWalkMul - Multiplier for PERSONALITY.restAfterWalkS
+ * @property {number} curiosityMul - Multiplier for PERSONALITY.curiosityChancePerS
+ * @property {number} chaseMul - Multiplier for PERSONALITY.chaseChancePerS
+ * @property {boolean} exhausted - Energy is critical (pet should go to sleep)
+ * @property {boolean} lonely - Social is critical (pet seeks the player)
+ */
+
+/**
+ * Derive brain modifiers from needs
+ * @param {PetNeeds} [needs] - Needs state (neutral modifiers if omitted)
+ * @returns {NeedModifiers} Modifiers for updateBrain
+ */
+export function getNeedModifiers(needs) {
+  if (!needs) {
+    return { restChanceMul: 1, restAfterWalkMul: 1, curiosityMul: 1, chaseMul: 1, exhausted: false, lonely: false };
+  }
+  const tired = 1 - needs.energy;
+  return {
+    restChanceMul: 1 + tired * 3,
+    restAfterWalkMul: lerp(1, 0.25, tired),
+    curiosityMul: lerp(0.4, 1, needs.hunger),
+    chaseMul: needs.energy,
+    exhausted: isNeedCritical(needs, 'energy'),
+    lonely: isNeedCritical(needs, 'social')
+  };
+}
@@ -0,0 +1,179 @@
+/**
+ * @fileoverview Per-pet personality traits and the PERSONALITY values they derive
+ * @module pets-core/ai/personality
+ */
+
+import { clamp, lerp } from '../utils.js';
+import { getRng } from '../random.js';
+import { SPECIES } from '../species.js';
+import { PERSONALITY } from './personalityDefaults.js';
+import { SOCIAL_CONFIG } from './social.js';
+
+/**
+ * Trait keys, in display order
+ * @type {string[]}
+ */
+export const TRAIT_KEYS = ['playful', 'lazy', 'shy', 'brave', 'curious'];
+
+/**
+ * Display labels for traits
+ * @type {Object.<string, string>}
+ */
+export const TRAIT_LABELS = {
+  playful: 'Playful',
+  lazy: 'Lazy',
+  shy: 'Shy',
+  brave: 'Brave',
+  curious: 'Curious'
+};
+
+/**
+ * @typedef {Object} PetTraits
+ * @property {number} playful - Chases and play (0-1)
+ * @property {number} lazy - Rests sooner and longer (0-1)
+ * @property {number} shy - Keeps its distance from the player and other pets (0-1)
+ * @property {number} brave - Comes closer, follows the player further (0-1)
+ * @property {number} curious - Stops to look at things more often (0-1)
+ */
+
+/**
+ * Generate random traits for a new pet
+ * @param {import('../random.js').Rng} [rng] - Random stream (defaults to the world stream)
+ * @param {string} [speciesKey] - Species key (applies the species' trait leanings)
+ * @returns {PetTraits} Traits
+ */
+export function generateTraits(rng = getRng(), speciesKey) {
+  const bias = SPECIES[speciesKey]?.traits || {};
+  const traits = {};
+  for (const k of TRAIT_KEYS) {
+    // Average of two rolls keeps most pets near the middle
+    const v = (rng.next() + rng.next()) * 0.5 + (bias[k] || 0);
+    traits[k] = clamp(v, 0, 1);
+  }
+  return traits;
+}
+
+/**
+ * Check that a saved value looks like a traits object
+ * @param {*} v - Value to check
+ * @returns {boolean} True if valid
+ */
+export function isValidTraits(v) {
+  if (!v || typeof v !== 'object') return false;
+  return TRAIT_KEYS.every(k => typeof v[k] === 'number' && v[k] >= 0 && v[k] <= 1);
+}
+
+/**
+ * Mix two parents' traits for an offspring (per trait: blend of the parents plus a small mutation)
+ * @param {PetTraits} traitsA - First parent's traits
+ * @param {PetTraits} traitsB - Second parent's traits
+ * @param {import('../random.js').Rng} [rng] - Random stream (defaults to the world stream)
+ * @param {number} [mutation=0.1] - Max random drift per trait
+ * @returns {PetTraits} Offspring traits
+ */
+export function inheritTraits(traitsA, traitsB, rng = getRng(), mutation = 0.1) {
+  const traits = {};
+  for (const k of TRAIT_KEYS) {
+    const a = traitsA?.[k] ?? 0.5;
+    const b = traitsB?.[k] ?? 0.5;
+    traits[k] = clamp(lerp(a, b, rng.next()) + rng.range(-mutation, mutation), 0, 1);
+  }
+  return traits;
+}
+
+/**
+ * @typedef {Object} PetPersonality
+ * @property {number} curiosityChancePerS - See PERSONALITY
+ * @property {number[]} curiosityDuration - See PERSONALITY
+ * @property {number} restChancePerS - See PERSONALITY
+ * @property {number[]} restDuration - See PERSONALITY
+ * @property {number} restAfterWalkS - See PERSONALITY
+ * @property {number} chaseChancePerS - See PERSONALITY
+ * @property {number[]} chaseDuration - See PERSONALITY
+ * @property {number} sleepAfterNoInteractS - See PERSONALITY
+ * @property {number} socialDistance - Greeting distance (SOCIAL_CONFIG.distance scaled)
+ * @property {number} playerSpace - Personal space radius around the player
+ * @property {number} followDist - Distance from the player before the pet follows
+ */
+
+/**
+ * Personality used for pets without traits (the shared PERSONALITY values)
+ * @type {PetPersonality}
+ */
+export const DEFAULT_PERSONALITY = {
+  ...PERSONALITY,
+  socialDistance: SOCIAL_CONFIG.distance,
+  playerSpace: 1.6
+};
+
+// Derived personalities are cached per base and traits object (both are replaced, not mutated)
+const _cache = new WeakMap([[PERSONALITY, { defaults: DEFAULT_PERSONALITY, byTraits: new WeakMap() }]]);
+const _bases = new WeakMap();
+
+/**
+ * PERSONALITY with a theme's overrides on top (the same object for the same overrides)
+ * @private
+ */
+function getBase(overrides) {
+  if (!overrides) return PERSONALITY;
+  let base = _bases.get(overrides);
+  if (!base) {
+    base = { ...PERSONALITY, ...overrides };
+    _bases.set(overrides, base);
+    _cache.set(base, { defaults: { ...DEFAULT_PERSONALITY, ...overrides }, byTraits: new WeakMap() });
+  }
+  return base;
+}
+
+/**
+ * Derive a pet's PERSONALITY values from its traits.
+ * Neutral traits (0.5) give the shared PERSONALITY values, or the theme's.
+ * @param {PetTraits} [traits] - Pet traits (shared defaults if omitted)
+ * @param {Object|null} [overrides=null] - A theme's PERSONALITY values (config `personality`)
+ * @returns {PetPersonality} Personality values
+ */
+export function getPersonality(traits, overrides = null) {
+  const base = getBase(overrides);
+  const cache = _cache.get(base);
+  if (!traits) return cache.defaults;
+  const cached = cache.byTraits.get(traits);
+  if (cached) return cached;
+
+  // 0 at neutral, -1..1 across the trait range
+  const d = (k) => ((traits[k] ?? 0.5) - 0.5) * 2;
+  const scale = (k, amount) => Math.pow(2, d(k) * amount);
+
+  const restDurMul = scale('lazy', 0.6);
+  const personality = {
+    ...base,
+    curiosityChancePerS: base.curiosityChancePerS * scale('curious', 1.0) * scale('shy', -0.3),
+    curiosityDuration: base.curiosityDuration.map(v => v * scale('curious', 0.4)),
+    restChancePerS: base.restChancePerS * scale('lazy', 1.0) * scale('playful', -0.4),
+    restDuration: base.restDuration.map(v => v * restDurMul),
+    restAfterWalkS: base.restAfterWalkS * scale('lazy', -0.8),
+    chaseChancePerS: base.chaseChancePerS * scale('playful', 1.2) * scale('lazy', -0.5),
+    chaseDuration: base.chaseDuration.map(v => v * scale('playful', 0.3)),
+    sleepAfterNoInteractS: base.sleepAfterNoInteractS * scale('lazy', -0.7),
+    socialDistance: SOCIAL_CONFIG.distance * scale('shy', -0.4) * scale('brave', 0.2),
+    playerSpace: DEFAULT_PERSONALITY.playerSpace * scale('shy', 0.6) * scale('brave', -0.4),
+    followDist: base.followDist * scale('brave', 0.3) * scale('shy', 0.3)
+  };
+  cache.byTraits.set(traits, personality);
+  return personality;
+}
+
+/**
+ * Strongest traits as display labels (for hover HUDs)
+ * @param {PetTraits} [traits] - Pet traits
+ * @param {number} [max=2] - Max labels
+ * @param {number} [threshold=0.6] - Minimum trait value to mention
+ * @returns {string[]} Labels, strongest first
+ */
+export function describeTraits(traits, max = 2, threshold = 0.6) {
+  if (!traits) return [];
+  return TRAIT_KEYS
+    .filter(k => traits[k] >= threshold)
+    .sort((a, b) => traits[b] - traits[a])
+    .slice(0, max)
+    .map(k => TRAIT_LABELS[k]);
+}
@@ -0,0 +1,21 @@
+/**
+ * @fileoverview Shared PERSONALITY values. Kept free of imports so the brain, social and
+ * personality modules can all read them without importing each other.
+ * @module pets-core/ai/personalityDefaults
+ */
+
+/**
+ * Personality configuration - controls AI behavior rarity
+ * @type {Object}
+ */
+export const PERSONALITY = {
+  curiosityChancePerS: 0.11,
+  curiosityDuration: [1.2, 2.2],
+  restChancePerS: 0.10,
+  restDuration: [2.6, 4.8],
+  restAfterWalkS: 10,
+  chaseChancePerS: 0.04,
+  chaseDuration: [3.8, 5.2],
+  sleepAfterNoInteractS: 22,
+  followDist: 8
+};
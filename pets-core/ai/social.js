@@ -5,7 +5,12 @@
 
 import * as THREE from 'three';
 import { randRange, pick } from '../utils.js';
-import { PERSONALITY } from './brain.js';
+import { getRng } from '../random.js';
+import { PERSONALITY } from './personalityDefaults.js';
+import { SpatialHash } from '../environment/spatialHash.js';
+
+// Reused query buffer for calculateSeparation
+const _near = [];
 
 /**
  * Social interaction configuration
@@ -91,9 +96,10 @@ export function updateSocialState(social, time) {
  * @param {string} idB - Second pet ID
  * @param {number} time - Current elapsed time
  * @param {number} baseY - Base Y position
+ * @param {import('../random.js').Rng} [rng] - Random stream (defaults to the world stream)
  */
-export function startSocialInteraction(socialA, socialB, posA, posB, idA, idB, time, baseY) {
-  const duration = randRange(SOCIAL_CONFIG.greetDuration[0], SOCIAL_CONFIG.greetDuration[1]);
+export function startSocialInteraction(socialA, socialB, posA, posB, idA, idB, time, baseY, rng = getRng()) {
+  const duration = randRange(SOCIAL_CONFIG.greetDuration[0], SOCIAL_CONFIG.greetDuration[1], rng);
   const until = time + duration;
   
   // Set up A's social state
@@ -114,22 +120,27 @@ export function startSocialInteraction(socialA, socialB, posA, posB, idA, idB, t
 /**
  * Check if chase should be triggered
  * @param {ChaseMode} chaseMode - Current chase mode
- * @param {Object[]} pets - Array of pet data
+ * @param {Object[]} pets - Array of pets ({id, personality?}); per-pet personality
+ *   (see ai/personality.js) scales the chance and the chaser's chase duration
  * @param {number} time - Current elapsed time
+ * @param {import('../random.js').Rng} [rng] - Random stream (defaults to the world stream)
  * @returns {boolean} True if chase was started
  */
-export function maybeStartChase(chaseMode, pets, time) {
+export function maybeStartChase(chaseMode, pets, time, rng = getRng()) {
   if (chaseMode.active) return false;
   if (pets.length < 2) return false;
   
-  // Low probability check
-  if (Math.random() >= PERSONALITY.chaseChancePerS * (1 / 60)) return false;
+  // Low probability check (average playfulness of the room)
+  let chance = 0;
+  for (const p of pets) chance += (p.personality ?? PERSONALITY).chaseChancePerS;
+  chance /= pets.length;
+  if (rng.next() >= chance * (1 / 60)) return false;
   
-  const a = pick(pets);
-  let b = pick(pets);
+  const a = pick(pets, rng);
+  let b = pick(pets, rng);
   let guard = 0;
   while (b.id === a.id && guard++ < 6) {
-    b = pick(pets);
+    b = pick(pets, rng);
   }
   
   if (b.id === a.id) return false;
@@ -137,7 +148,8 @@ export function maybeStartChase(chaseMode, pets, time) {
   chaseMode.active = true;
   chaseMode.chaserId = a.id;
   chaseMode.runnerId = b.id;
-  chaseMode.until = time + randRange(PERSONALITY.chaseDuration[0], PERSONALITY.chaseDuration[1]);
+  const duration = (a.personality ?? PERSONALITY).chaseDuration;
+  chaseMode.until = time + randRange(duration[0], duration[1], rng);
   
   return true;
 }
@@ -174,17 +186,17 @@ export function updateChaseMode(chaseMode, posMap, time, baseY) {
 /**
  * Calculate separation vector from nearby pets
  * @param {Object} pos - Current position {x, z}
- * @param {Map} posMap - Map of pet ID to position
+ * @param {Map|SpatialHash} neighbors - Map of pet ID to position, or a spatial hash built from it
  * @param {string} selfId - This pet's ID
  * @param {number} [radius=2.2] - Separation radius
  * @returns {Object} Separation vector {x, z}
  */
-export function calculateSeparation(pos, posMap, selfId, radius = 2.2) {
+export function calculateSeparation(pos, neighbors, selfId, radius = 2.2) {
   let sepX = 0;
   let sepZ = 0;
   
-  for (const [id, p2] of posMap) {
-    if (id === selfId) continue;
+  const add = (id, p2) => {
+    if (id === selfId) return;
     
     const ox = pos.x - p2.x;
     const oz = pos.z - p2.z;
@@ -197,6 +209,12 @@ export function calculateSeparation(pos, posMap, selfId, radius = 2.2) {
       sepX += ox * inv * push;
       sepZ += oz * inv * push;
     }
+  };
+  
+  if (neighbors instanceof SpatialHash) {
+    for (const e of neighbors.query(pos.x, pos.z, radius, _near)) add(e.id, e);
+  } else {
+    for (const [id, p2] of neighbors) add(id, p2);
   }
   
   return { x: sepX, z: sepZ };
@@ -230,13 +248,14 @@ export function calculatePlayerSeparation(petPos, playerPos, radius = 1.6) {
  * Check if two positions are within social distance
  * @param {Object} posA - First position {x, z}
  * @param {Object} posB - Second position {x, z}
+ * @param {number} [distance=SOCIAL_CONFIG.distance] - Greeting distance (e.g. average of both pets' socialDistance)
  * @returns {boolean} True if within social distance
  */
-export function isWithinSocialDistance(posA, posB) {
+export function isWithinSocialDistance(posA, posB, distance = SOCIAL_CONFIG.distance) {
   const dx = posA.x - posB.x;
   const dz = posA.z - posB.z;
   const d2 = dx * dx + dz * dz;
-  return d2 < SOCIAL_CONFIG.distance * SOCIAL_CONFIG.distance;
+  return d2 < distance * distance;
 }
 
 /**
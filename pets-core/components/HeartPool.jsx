@@ -8,6 +8,7 @@ import * as THREE from 'three';
 import { useFrame } from '@react-three/fiber';
 import { createHeartMaterial } from '../materials.js';
 import { randRange, smoothstep, clamp } from '../utils.js';
+import { cosmeticRng } from '../random.js';
 
 /** Pool size for hearts */
 const POOL_SIZE = 50;
@@ -53,15 +54,15 @@ export function HeartPool({ getEmitterRef }) {
       const h = arr[i];
       h.active = true;
       h.life = 0;
-      h.maxLife = randRange(0.75, 1.25);
+      h.maxLife = randRange(0.75, 1.25, cosmeticRng);
       h.pos.copy(worldPos);
-      h.pos.y += randRange(0.45, 0.75);
+      h.pos.y += randRange(0.45, 0.75, cosmeticRng);
       h.vel.set(
-        randRange(-0.006, 0.006), 
-        randRange(0.010, 0.018), 
-        randRange(-0.006, 0.006)
+        randRange(-0.006, 0.006, cosmeticRng), 
+        randRange(0.010, 0.018, cosmeticRng), 
+        randRange(-0.006, 0.006, cosmeticRng)
       );
-      h.scale = randRange(0.8, 1.3);
+      h.scale = randRange(0.8, 1.3, cosmeticRng);
     }
   }, []);
 
@@ -3,29 +3,47 @@
  * @module pets-core/components/Pet
  */
 
-import React, { useCallback, useEffect, useMemo, useRef } from 'react';
+import React, { useCallback, useEffect, useLayoutEffect, useMemo, useRef } from 'react';
 import * as THREE from 'three';
-import { useFrame, useThree } from '@react-three/fiber';
+import { createPortal, useFrame, useThree } from '@react-three/fiber';
 import { a, useSpring } from '@react-spring/three';
 import { useDrag } from '@use-gesture/react';
 
 import { getSpecies } from '../species.js';
-import { getPetGeometries } from '../geometry.js';
+import { getPetGeometries, getEarLayout } from '../geometry.js';
+import { instantiatePetModel, applyPetModelMaterials } from '../models.js';
 import { 
   createEyeShaderMaterial, 
   getToonMat, 
+  getPatternMat, 
   getDetailMat, 
   getBlobMat, 
-  patchDragonFlapMaterial 
+  patchDragonFlapMaterial,
+  retainMaterial,
+  releaseMaterial
 } from '../materials.js';
 import { clamp, lerp, dampAngle, smoothstep } from '../utils.js';
-import { createBrainState, updateBrain, calculateMovement, calculateYaw } from '../ai/brain.js';
+import { createBrainState, updateBrain, calculateMovement, calculateYaw, releaseRestSpot } from '../ai/brain.js';
+import { createNeeds, tickNeeds, satisfyNeed } from '../ai/needs.js';
+import { getPersonality } from '../ai/personality.js';
+import { petEvents, PET_EVENTS } from '../events/PetEventEmitter.js';
 import { createSocialState, updateSocialState, calculateSeparation, calculatePlayerSeparation } from '../ai/social.js';
 import { useIsMobile } from '../hooks/useToonTextures.js';
+import { usePetModel } from '../hooks/usePetModel.js';
+import { forkRng, cosmeticRng } from '../random.js';
+import { ACCESSORIES, SLOT_ANCHORS, sanitizeEquipment } from '../customization/accessories.js';
+import { DEFAULT_ACCENT_COLOR } from '../customization/colors.js';
+import { PetAccessory } from './PetAccessory.jsx';
 
 /** Base Y position for pets */
 const BASE_Y = 0.55;
 
+/** Seconds between needs updates */
+const NEEDS_TICK_S = 1.0;
+
+/** Seconds between needs commits to persisted state */
+const NEEDS_COMMIT_S = 15.0;
+
 // Pre-allocated vectors (avoid per-frame allocation)
 const _tmp = new THREE.Vector3();
 const _steer = new THREE.Vector3();
@@ -38,6 +56,10 @@ const _rightEar = new THREE.Object3D();
 /**
  * Pet component with full AI, animation, and interaction system
  * @param {Object} props - Component props
+ * @param {import('../palace/palace.js').Palace} [props.palace] - Palace the pet lives in
+ * @param {import('../palace/palace.js').RoomScope} [props.scope] - Registries of the pet's palace room
+ * @param {import('../environment/timeOfDay.js').TimeOfDay|null} [props.timeOfDay] - Time of day for the brain
+ * @param {Object|null} [props.personality] - The theme's PERSONALITY values (traits adjust them per pet)
  */
 export function Pet({
   pet,
@@ -50,9 +72,14 @@ export function Pet({
   onHover,
   setDragging,
   getPosMap,
+  getSpatialHash,
   getHeartEmitter,
   chaseModeRef,
-  isDraggingRef
+  isDraggingRef,
+  palace,
+  scope,
+  timeOfDay = null,
+  personality: themePersonality = null
 }) {
   const { size, camera } = useThree();
   const isMobile = useIsMobile();
@@ -60,19 +87,26 @@ export function Pet({
   const sp = getSpecies(pet.speciesKey);
 
   // Get cached geometries
-  const { bodyGeo, headGeo, detailGeo, tailGeo, earGeo, faceGeo, hitGeo } = useMemo(
+  const { bodyGeo, headGeo, detailGeo, bellyGeo, tailGeo, earGeo, faceGeo, hitGeo } = useMemo(
     () => getPetGeometries(pet.speciesKey),
     [pet.speciesKey]
   );
+  const earLayout = useMemo(() => getEarLayout(pet.speciesKey), [pet.speciesKey]);
 
   // Materials
   const bodyMat = useMemo(() => {
-    const m = getToonMat(rampTex, pet.bodyColor, pet.speciesKey);
-    if (pet.speciesKey === 'dragon') patchDragonFlapMaterial(m);
+    const m = pet.pattern
+      ? getPatternMat(rampTex, pet.bodyColor, pet.pattern, pet.speciesKey, sp.scale || 1)
+      : getToonMat(rampTex, pet.bodyColor, pet.speciesKey);
+    if (sp.wings) patchDragonFlapMaterial(m);
     return m;
-  }, [pet.bodyColor, pet.speciesKey, rampTex]);
+  }, [pet.bodyColor, pet.pattern, pet.speciesKey, sp.scale, sp.wings, rampTex]);
 
   const detailMat = useMemo(() => getDetailMat(rampTex), [rampTex]);
+  const accentMat = useMemo(
+    () => getToonMat(rampTex, pet.accentColor ?? DEFAULT_ACCENT_COLOR, 'accent'),
+    [pet.accentColor, rampTex]
+  );
   const blobMat = useMemo(() => getBlobMat(blobTex), [blobTex]);
   const hitMat = useMemo(() => new THREE.MeshBasicMaterial({ 
     transparent: true, 
@@ -81,10 +115,43 @@ export function Pet({
   }), []);
   const eyeMat = useMemo(() => createEyeShaderMaterial(), []);
 
+  // Body and accent materials are shared per color; the last pet wearing a color frees it
+  useEffect(() => {
+    retainMaterial(bodyMat);
+    return () => releaseMaterial(bodyMat);
+  }, [bodyMat]);
+  useEffect(() => {
+    retainMaterial(accentMat);
+    return () => releaseMaterial(accentMat);
+  }, [accentMat]);
+
+  // glTF model (the procedural parts stand in until it loads, or if it fails)
+  const model = usePetModel(pet.speciesKey);
+  const modelInstance = useMemo(() => (model ? instantiatePetModel(model) : null), [model]);
+
+  // Equipped accessories grouped by the part they ride on (re-checked once the model is in:
+  // models without an ear node can't wear ear accessories)
+  const worn = useMemo(() => {
+    const byAnchor = { head: [], ear: [], body: [], tail: [] };
+    for (const id of Object.values(sanitizeEquipment(pet.equipment, pet.speciesKey))) {
+      byAnchor[SLOT_ANCHORS[ACCESSORIES[id].slot]].push(id);
+    }
+    return byAnchor;
+  }, [pet.equipment, pet.speciesKey, model]);
+
   // Refs
   const headRef = useRef();
   const tailRef = useRef();
   const earsRef = useRef();
+  const earAnchorRef = useRef();
+
+  // Model materials, and point the head/tail animation at the model's pivots
+  useLayoutEffect(() => {
+    if (!modelInstance) return;
+    applyPetModelMaterials(modelInstance, { bodyMat, accentMat, rampTex, toon: model.toon });
+    headRef.current = modelInstance.head;
+    tailRef.current = modelInstance.tail;
+  }, [model, modelInstance, bodyMat, accentMat, rampTex]);
 
   // Calculate hover height
   const hoverBaseY = sp.hover ? 1.50 : BASE_Y;
@@ -102,8 +169,39 @@ export function Pet({
 
   // AI state
   const brain = useRef(createBrainState(pet.seed));
+  // Per-pet stream so one pet's choices never shift another's
+  const rng = useMemo(() => forkRng(`pet:${pet.id}`), [pet.id]);
+  const personality = useMemo(() => getPersonality(pet.traits, themePersonality), [pet.traits, themePersonality]);
   const social = useRef(createSocialState());
 
+  // Needs state (decays in real time, committed periodically)
+  const needs = useRef(pet.needs ? { ...pet.needs } : createNeeds());
+  const needsTimers = useRef({ tick: 0, commit: NEEDS_COMMIT_S });
+
+  /**
+   * Raise a need and commit it right away
+   */
+  const applyNeed = useCallback((need, amount) => {
+    satisfyNeed(needs.current, need, amount);
+    petEvents.emit(PET_EVENTS.NEED_SATISFIED, { petId: pet.id, need, value: needs.current[need] });
+    onCommit?.(pet.id, { needs: { ...needs.current } });
+  }, [onCommit, pet.id]);
+
+  // Free any occupied rest spot when the pet goes away
+  useEffect(() => () => releaseRestSpot(brain.current), []);
+
+  // Pets found napping after the offline catch-up stay put for a moment
+  useEffect(() => {
+    const mode = pet.awayMode;
+    if (!mode) return;
+    if (mode === 'sleeping' || mode === 'resting') {
+      brain.current.mode = mode;
+      brain.current.t = lerp(4.0, 8.0, rng.next());
+      brain.current.restSpot = { x: pos.current.x, y: 0, z: pos.current.z };
+    }
+    onCommit?.(pet.id, { awayMode: null });
+  }, []);
+
   // Spring animation
   const [{ p, r, s, lift }, api] = useSpring(() => ({
     p: [pos.current.x, pos.current.y, pos.current.z],
@@ -123,7 +221,10 @@ export function Pet({
         mode: brain.current.mode, 
         speciesKey: pet.speciesKey 
       }),
+      getNeeds: () => ({ ...needs.current }),
+      satisfyNeed: applyNeed,
       setSocial: ({ active, until, partnerId, partnerPos }) => {
+        if (active && !social.current.active) satisfyNeed(needs.current, 'social', 0.08);
         social.current.active = active;
         social.current.until = until;
         social.current.partnerId = partnerId;
@@ -148,11 +249,11 @@ export function Pet({
       },
       nudgeToSleepSpot: (spot) => {
         brain.current.mode = 'sleeping';
-        brain.current.t = lerp(3.0, 6.0, Math.random());
+        brain.current.t = lerp(3.0, 6.0, rng.next());
         brain.current.restSpot = { x: spot.x, y: spot.y, z: spot.z };
       }
     });
-  }, [api, pet.id, pet.speciesKey, registerAPI]);
+  }, [api, applyNeed, pet.id, pet.speciesKey, registerAPI, rng]);
 
   // Drag plane helpers (pre-allocated)
   const raycaster = useMemo(() => new THREE.Raycaster(), []);
@@ -249,7 +350,11 @@ export function Pet({
           config: { mass: 1.0, tension: 240, friction: 26 } 
         }), 160);
 
-        onCommit?.(pet.id, { position: [pos.current.x, pos.current.z], yaw: yaw.current });
+        onCommit?.(pet.id, {
+          position: [pos.current.x, pos.current.z],
+          yaw: yaw.current,
+          needs: { ...needs.current }
+        });
       }
 
       if (active && event?.cancelable) event.preventDefault();
@@ -262,8 +367,8 @@ export function Pet({
     const t = state.clock.getElapsedTime();
     const B = brain.current;
 
-    // Update dragon wing flap
-    if (pet.speciesKey === 'dragon' && bodyMat.userData?.uTime) {
+    // Update wing flap
+    if (sp.wings && bodyMat.userData?.uTime) {
       bodyMat.userData.uTime.value = t;
     }
 
@@ -274,12 +379,24 @@ export function Pet({
       }
     }
 
+    // Needs decay (real time) + periodic commit
+    needsTimers.current.tick -= dt;
+    if (needsTimers.current.tick <= 0) {
+      needsTimers.current.tick = NEEDS_TICK_S;
+      tickNeeds(pet.id, needs.current, B.mode);
+    }
+    needsTimers.current.commit -= dt;
+    if (needsTimers.current.commit <= 0) {
+      needsTimers.current.commit = NEEDS_COMMIT_S;
+      onCommit?.(pet.id, { needs: { ...needs.current } });
+    }
+
     // Love decay
     petting.current.love = Math.max(0, petting.current.love - dt * 0.55);
     if (petting.current.love > 0.2) {
       petting.current.emitT -= dt;
       if (petting.current.emitT <= 0) {
-        petting.current.emitT = lerp(0.14, 0.22, Math.random());
+        petting.current.emitT = lerp(0.14, 0.22, cosmeticRng.next());
         getHeartEmitter?.()?.emit?.(pos.current.clone(), 1);
       }
     }
@@ -340,7 +457,16 @@ export function Pet({
       playerDist2: dPlayer2,
       chaseMode: chase,
       petId: pet.id,
-      rugs
+      rugs,
+      needs: needs.current,
+      pos: pos.current,
+      speciesKey: pet.speciesKey,
+      rng,
+      personality,
+      palace,
+      roomId: scope?.id,
+      restSpots: scope?.restSpots,
+      timeOfDay
     });
 
     // Handle social mode
@@ -348,9 +474,9 @@ export function Pet({
       B.mode = 'socializing';
     }
 
-    // Calculate separation
+    // Calculate separation (the manager's spatial hash when it keeps one, else the full pose map)
     _sep.set(0, 0, 0);
-    const map = getPosMap?.();
+    const map = getSpatialHash?.() ?? getPosMap?.();
     if (map) {
       const sepVec = calculateSeparation(
         { x: pos.current.x, z: pos.current.z }, 
@@ -364,7 +490,8 @@ export function Pet({
     // Player separation
     const playerSep = calculatePlayerSeparation(
       { x: pos.current.x, z: pos.current.z },
-      { x: camera.position.x, z: camera.position.z }
+      { x: camera.position.x, z: camera.position.z },
+      personality.playerSpace
     );
     _sep.x += playerSep.x;
     _sep.z += playerSep.z;
@@ -382,7 +509,8 @@ export function Pet({
         chaseMode: chase,
         separationVec: { x: _sep.x, z: _sep.z },
         isMobile,
-        baseY: BASE_Y
+        baseY: BASE_Y,
+        navGrid: scope?.navGrid
       }
     );
 
@@ -490,33 +618,24 @@ export function Pet({
     }
 
     // Ear twitch (using pre-allocated objects)
-    if (earsRef.current) {
-      const twitch = Math.sin(t * 6.5 + pet.seed) * 0.12;
-      const scale = sp.scale || 1;
-
-      const earY = sp.ear === 'long' ? 1.55 * scale : 1.35 * scale;
-      const earZ = sp.ear === 'floppy' ? 0.10 * scale : 0.16 * scale;
-      const earSX = sp.ear === 'long' ? 0.85 : 1.0;
-      const earSY = sp.ear === 'long' ? 1.75 : 1.0;
-
-      _leftEar.position.set(-0.30 * scale, earY, earZ);
-      _rightEar.position.set(0.30 * scale, earY, earZ);
-      _leftEar.scale.set(earSX, earSY, 0.95);
-      _rightEar.scale.set(earSX, earSY, 0.95);
-
-      if (sp.ear === 'pointy') {
-        _leftEar.rotation.set(0, 0, 0.45 + twitch * 0.35);
-        _rightEar.rotation.set(0, 0, -0.45 - twitch * 0.35);
-      } else if (sp.ear === 'floppy') {
-        _leftEar.rotation.set(0.2, 0, 0.85 + twitch * 0.25);
-        _rightEar.rotation.set(0.2, 0, -0.85 - twitch * 0.25);
-      } else if (sp.ear === 'sharp') {
-        _leftEar.rotation.set(-0.05, 0, 0.55 + twitch * 0.25);
-        _rightEar.rotation.set(-0.05, 0, -0.55 - twitch * 0.25);
-      } else {
-        _leftEar.rotation.set(-0.1, 0, 0.18 + twitch * 0.25);
-        _rightEar.rotation.set(-0.1, 0, -0.18 - twitch * 0.25);
-      }
+    const twitch = Math.sin(t * 6.5 + pet.seed) * 0.12;
+    if (modelInstance) {
+      if (modelInstance.earLeft) modelInstance.earLeft.rotation.z = twitch * earLayout.twitch;
+      if (modelInstance.earRight) modelInstance.earRight.rotation.z = -twitch * earLayout.twitch;
+
+      // Same beat as the procedural wing flap shader
+      if (modelInstance.wingLeft) modelInstance.wingLeft.rotation.z = Math.sin(t * 0.8 - 0.3) * 0.55;
+      if (modelInstance.wingRight) modelInstance.wingRight.rotation.z = -Math.sin(t * 0.8 + 0.3) * 0.55;
+    } else if (earsRef.current) {
+      const ear = earLayout;
+
+      _leftEar.position.set(-ear.x, ear.y, ear.z);
+      _rightEar.position.set(ear.x, ear.y, ear.z);
+      _leftEar.scale.set(ear.sx, ear.sy, 0.95);
+      _rightEar.scale.set(ear.sx, ear.sy, 0.95);
+
+      _leftEar.rotation.set(ear.rotX, 0, ear.rotZ + twitch * ear.twitch);
+      _rightEar.rotation.set(ear.rotX, 0, -ear.rotZ - twitch * ear.twitch);
 
       _leftEar.updateMatrix();
       _rightEar.updateMatrix();
@@ -525,6 +644,12 @@ export function Pet({
       earsRef.current.setMatrixAt(0, _m1);
       earsRef.current.setMatrixAt(1, _m2);
       earsRef.current.instanceMatrix.needsUpdate = true;
+
+      // Ear accessories ride the right ear (position and twitch, not its stretch)
+      if (earAnchorRef.current) {
+        earAnchorRef.current.position.copy(_rightEar.position);
+        earAnchorRef.current.rotation.copy(_rightEar.rotation);
+      }
     }
   });
 
@@ -545,6 +670,8 @@ export function Pet({
       petting.current.flips = 0;
       petting.current.love = clamp(petting.current.love + 0.22, 0, 1);
       brain.current.lastInteractAt = performance.now() * 0.001;
+      satisfyNeed(needs.current, 'social', 0.05);
+      petEvents.emit(PET_EVENTS.PET_PETTED, { petId: pet.id, value: petting.current.love });
 
       api.start({ 
         s: [1.06, 0.90, 1.06], 
@@ -557,9 +684,13 @@ export function Pet({
 
       getHeartEmitter?.()?.emit?.(pos.current.clone(), 1);
     }
-  }, [api, getHeartEmitter]);
+  }, [api, getHeartEmitter, pet.id]);
 
   const scale = sp.scale || 1;
+  const renderWorn = (ids) => ids.map(id => (
+    <PetAccessory key={id} accessoryId={id} speciesKey={pet.speciesKey} rampTex={rampTex} />
+  ));
+  const renderWornAt = (point, ids) => (point ? createPortal(renderWorn(ids), point) : renderWorn(ids));
 
   return (
     <a.group
@@ -582,25 +713,49 @@ export function Pet({
         <planeGeometry args={[1.75 * scale, 1.75 * scale]} />
       </mesh>
 
-      {/* Body + details */}
-      <mesh geometry={bodyGeo} material={bodyMat} />
-      <mesh geometry={detailGeo} material={detailMat} />
-
-      {/* Head group */}
-      <group ref={headRef}>
-        <mesh geometry={headGeo} material={bodyMat} />
-        <mesh 
-          geometry={faceGeo} 
-          material={eyeMat} 
-          position={[0, 1.02 * scale, 0.63 * scale]} 
-        />
-        <instancedMesh ref={earsRef} args={[earGeo, bodyMat, 2]} />
-      </group>
-
-      {/* Tail */}
-      <group ref={tailRef}>
-        <mesh geometry={tailGeo} material={bodyMat} />
-      </group>
+      {modelInstance ? (
+        <>
+          {/* glTF model; accessories and eyes ride its pivots */}
+          <primitive object={modelInstance.root} />
+          {modelInstance.attach.face && createPortal(
+            <mesh geometry={faceGeo} material={eyeMat} />,
+            modelInstance.attach.face
+          )}
+          {renderWorn(worn.body)}
+          {renderWornAt(modelInstance.attach.head, worn.head)}
+          {renderWornAt(modelInstance.attach.ear, worn.ear)}
+          {renderWornAt(modelInstance.attach.tail, worn.tail)}
+        </>
+      ) : (
+        <>
+          {/* Body + details */}
+          <mesh geometry={bodyGeo} material={bodyMat} />
+          <mesh geometry={detailGeo} material={detailMat} />
+          <mesh geometry={bellyGeo} material={accentMat} />
+          {renderWorn(worn.body)}
+
+          {/* Head group */}
+          <group ref={headRef}>
+            <mesh geometry={headGeo} material={bodyMat} />
+            <mesh 
+              geometry={faceGeo} 
+              material={eyeMat} 
+              position={[0, 1.02 * scale, 0.63 * scale]} 
+            />
+            <instancedMesh ref={earsRef} args={[earGeo, bodyMat, 2]} />
+            {renderWorn(worn.head)}
+            <group ref={earAnchorRef}>
+              {renderWorn(worn.ear)}
+            </group>
+          </group>
+
+          {/* Tail */}
+          <group ref={tailRef}>
+            <mesh geometry={tailGeo} material={bodyMat} />
+            {renderWorn(worn.tail)}
+          </group>
+        </>
+      )}
 
       {/* Hitbox */}
       <mesh
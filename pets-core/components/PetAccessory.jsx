@@ -0,0 +1,43 @@
+/**
+ * @fileoverview One equipped accessory mesh, fitted to the wearer's species
+ * @module pets-core/components/PetAccessory
+ */
+
+import React, { useMemo } from 'react';
+import { ACCESSORIES, getAccessoryGeometry, getAccessoryColor, fitAccessory } from '../customization/accessories.js';
+import { getAccessoryMat } from '../materials.js';
+
+/**
+ * Accessory mesh. Render it inside the group of its slot's anchor (SLOT_ANCHORS)
+ * so it follows that part's animation.
+ * @param {Object} props - Component props
+ * @param {string} props.accessoryId - Accessory ID
+ * @param {string} props.speciesKey - Wearer's species (see fitAccessory)
+ * @param {THREE.Texture} props.rampTex - Toon ramp texture
+ * @returns {JSX.Element|null} Accessory
+ */
+export function PetAccessory({ accessoryId, speciesKey, rampTex }) {
+  const acc = ACCESSORIES[accessoryId];
+  const geo = useMemo(() => getAccessoryGeometry(accessoryId), [accessoryId]);
+  const mat = useMemo(
+    () => getAccessoryMat(rampTex, getAccessoryColor(accessoryId), acc?.slot === 'wings'),
+    [accessoryId, acc?.slot, rampTex]
+  );
+  const fit = useMemo(() => fitAccessory(accessoryId, speciesKey), [accessoryId, speciesKey]);
+  if (!acc || !geo || !fit) return null;
+
+  const { position, rotation, scale } = fit;
+
+  if (acc.slot === 'wings') {
+    return (
+      <group position={position} rotation={rotation} scale={scale}>
+        <mesh geometry={geo.left} material={mat} />
+        <mesh geometry={geo.right} material={mat} />
+      </group>
+    );
+  }
+
+  return <mesh geometry={geo} material={mat} position={position} rotation={rotation} scale={scale} />;
+}
+
+export default PetAccessory;
@@ -0,0 +1,107 @@
+/**
+ * @fileoverview Pet-dex panel: every species in SPECIES, silhouettes for undiscovered ones
+ * @module pets-core/components/PetDex
+ */
+
+import React from 'react';
+import { RARITY_TIERS } from '../gacha/rarity.js';
+import { SHARD_EXCHANGE_RATE } from '../gacha/collection.js';
+import { PATTERN_TYPES } from '../customization/patterns.js';
+import { hexToCss } from '../customization/colors.js';
+import { useCollection } from '../hooks/useCollection.js';
+
+/**
+ * One species card
+ * @private
+ */
+function DexCard({ row, wallet, registry }) {
+  const { speciesKey, species, rarity, discovered, entry } = row;
+  const tier = RARITY_TIERS[rarity] ?? RARITY_TIERS.common;
+
+  return (
+    <div className="rounded-xl border border-black/10 bg-white/30 px-2 py-2 text-center">
+      <div
+        className="text-3xl leading-none"
+        style={discovered ? undefined : { filter: 'brightness(0)', opacity: 0.35 }}
+      >
+        {species.emoji ?? '🐾'}
+      </div>
+      <div className="mt-1 text-sm font-semibold">{discovered ? species.label : '???'}</div>
+      <div className="text-[11px]" style={{ color: hexToCss(tier.color) }}>
+        {'★'.repeat(tier.starCount)}
+      </div>
+
+      {discovered && (
+        <div className="mt-1 space-y-1 text-[11px] text-black/60">
+          <div>Pulled {entry.pulls} • 💎 {entry.shards}</div>
+          {entry.colors.length > 0 && (
+            <div className="flex flex-wrap justify-center gap-0.5">
+              {entry.colors.map(c => (
+                <span
+                  key={c}
+                  title={hexToCss(c)}
+                  className="w-3 h-3 rounded-full border border-black/10"
+                  style={{ background: hexToCss(c) }}
+                />
+              ))}
+            </div>
+          )}
+          {entry.patterns.length > 0 && (
+            <div>{entry.patterns.map(p => PATTERN_TYPES[p]?.name ?? 'Plain').join(', ')}</div>
+          )}
+          {wallet && entry.shards > 0 && (
+            <button
+              type="button"
+              onClick={() => registry.exchangeShards(speciesKey, wallet)}
+              className="px-2 py-0.5 rounded-lg bg-white/40 hover:bg-white/60 border border-black/10"
+              title={`${SHARD_EXCHANGE_RATE} coins per shard`}
+            >
+              💎→🪙 {entry.shards * SHARD_EXCHANGE_RATE}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Collection log panel
+ * @param {Object} props - Component props
+ * @param {import('../economy/wallet.js').Wallet} [props.wallet] - Wallet for shard exchange (hidden without one)
+ * @param {import('../gacha/collection.js').CollectionRegistry} [props.registry=collectionRegistry] - Collection to show
+ * @param {Function} [props.onClose] - Close handler
+ * @param {string} [props.className] - Extra classes for the wrapper
+ * @returns {JSX.Element} Panel
+ */
+export function PetDex({ wallet = null, registry: collection, onClose, className = '' }) {
+  const { dex, progress, registry } = useCollection(collection);
+
+  return (
+    <div className={`rounded-2xl border border-black/10 bg-white/35 backdrop-blur-md px-4 py-3 text-black w-[340px] max-w-[94vw] ${className}`}>
+      <div className="flex items-start justify-between gap-3">
+        <div>
+          <div className="text-lg font-bold leading-tight">Pet-dex</div>
+          <div className="text-xs text-black/70">{progress.discovered} / {progress.total} discovered</div>
+        </div>
+        {onClose && (
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-2 py-1 rounded-xl bg-white/30 hover:bg-white/45 border border-black/10 text-sm"
+          >
+            Done
+          </button>
+        )}
+      </div>
+
+      <div className="mt-3 grid grid-cols-3 gap-2">
+        {dex.map(row => (
+          <DexCard key={row.speciesKey} row={row} wallet={wallet} registry={registry} />
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default PetDex;
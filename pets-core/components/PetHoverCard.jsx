@@ -0,0 +1,33 @@
+/**
+ * @fileoverview Hover HUD line for a pet (species, name, strongest personality traits)
+ * @module pets-core/components/PetHoverCard
+ */
+
+import React from 'react';
+import { SPECIES } from '../species.js';
+import { describeTraits } from '../ai/personality.js';
+
+/**
+ * Hover HUD content. Pass the pet from Pet's `onHover` callback.
+ * @param {Object} props - Component props
+ * @param {Object|null} props.pet - Hovered pet (null when nothing is hovered)
+ * @param {string} [props.emptyText='Hover a pet to see its name'] - Text shown when nothing is hovered
+ * @param {string} [props.className] - Extra classes for the wrapper
+ * @param {string} [props.emptyClassName='text-black/45'] - Color of the empty text (light text on dark HUDs)
+ * @returns {JSX.Element} HUD line
+ */
+export function PetHoverCard({ pet, emptyText = 'Hover a pet to see its name', className = '', emptyClassName = 'text-black/45' }) {
+  if (!pet) {
+    return <span className={`${emptyClassName} ${className}`}>{emptyText}</span>;
+  }
+
+  const traits = describeTraits(pet.traits);
+  return (
+    <span className={className}>
+      <b>{SPECIES[pet.speciesKey]?.label ?? 'Pet'}</b> — {pet.name}
+      {traits.length > 0 && (
+        <span className="opacity-70"> · {traits.join(', ')}</span>
+      )}
+    </span>
+  );
+}
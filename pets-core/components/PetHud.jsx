@@ -0,0 +1,275 @@
+/**
+ * @fileoverview Themed HUD card for the pet apps: room picker, spawn/summon buttons, coins, editor toggle, wardrobe, feeding and washing, controls help, hover line and the while-you-were-away summary
+ * @module pets-core/components/PetHud
+ */
+
+import React, { useRef, useState } from 'react';
+import { SPECIES } from '../species.js';
+import { SOCIAL_CONFIG } from '../ai/social.js';
+import { GACHA_CONFIG, gachaManager } from '../gacha/rarity.js';
+import { PetHoverCard } from './PetHoverCard.jsx';
+import { PetDex } from './PetDex.jsx';
+import { WardrobePanel } from './WardrobePanel.jsx';
+import { describeOfflineSummary } from '../simulation/offline.js';
+
+/** Class sets per HUD tone */
+const TONES = {
+  light: {
+    card: 'border-black/10 bg-white/35 text-black',
+    muted: 'text-black/70',
+    faint: 'text-black/50',
+    help: 'text-black/60',
+    empty: 'text-black/45',
+    badge: 'border-black/10 bg-white/30',
+    button: 'bg-white/30 hover:bg-white/45 border-black/10',
+    toggle: 'bg-white/40 hover:bg-white/50 border-black/10',
+    active: 'bg-white/70 border-black/25'
+  },
+  dark: {
+    card: 'border-white/10 bg-white/10 text-white',
+    muted: 'text-white/70',
+    faint: 'text-white/50',
+    help: 'text-white/60',
+    empty: 'text-white/50',
+    badge: 'border-white/10 bg-white/10',
+    button: 'bg-white/10 hover:bg-white/15 border-white/15',
+    toggle: 'bg-white/10 hover:bg-white/15 border-white/15',
+    active: 'bg-white/25 border-white/40'
+  }
+};
+
+/** Care buttons: the need each one restores */
+const CARE_ACTIONS = [
+  { need: 'hunger', emoji: '🍖', verb: 'Feed' },
+  { need: 'hygiene', emoji: '🧼', verb: 'Wash' }
+];
+
+/** Day phase labels for the stats line */
+const PHASE_LABELS = {
+  dawn: '🌅 Dawn',
+  day: '☀️ Day',
+  evening: '🌇 Evening',
+  night: '🌙 Night'
+};
+
+/**
+ * HUD card in the top-left corner, styled by the theme's `hud` config
+ * @param {Object} props - Component props
+ * @param {Object} props.config - Theme config (title, subtitle, hud)
+ * @param {Object[]} props.pets - Current pets
+ * @param {number} props.maxPets - Pet cap
+ * @param {boolean} props.isMobile - Mobile layout
+ * @param {Object|null} props.hovered - Hovered pet
+ * @param {function(string=): void} props.onSpawn - Spawn a pet (species key, or random)
+ * @param {Function} props.onReset - Reset to the default pets
+ * @param {Object|null} [props.economy] - Coins, summons and pet-dex ({wallet, coins, summon, summoning, collection}); null hides them
+ * @param {Object|null} [props.rooms] - Palace room picker ({list, roomId, here, onSelect}); null hides it
+ * @param {Object|null} [props.editor] - Room editor toggle ({editing, onToggle}); null hides it
+ * @param {import('../environment/timeOfDay.js').TimeOfDay|null} [props.timeOfDay] - Time of day; null hides it
+ * @param {Object|null} [props.wardrobe] - Wardrobe ({onUpdate, wallet}); null hides it
+ * @param {Object|null} [props.care] - Feed and wash buttons ({onCare(petId, need)}); null hides them
+ * @param {Object|null} [props.away] - Offline catch-up ({summary, onDismiss}); shown until dismissed
+ * @returns {JSX.Element} HUD
+ */
+export function PetHud({ config, pets, maxPets, isMobile, hovered, onSpawn, onReset, economy = null, rooms = null, editor = null, timeOfDay = null, wardrobe = null, care = null, away = null }) {
+  const [hudVisible, setHudVisible] = useState(true);
+  const [dexVisible, setDexVisible] = useState(false);
+  const [wardrobeId, setWardrobeId] = useState(null);
+  const wardrobePet = wardrobe && pets.find(p => p.id === wardrobeId);
+  // The wardrobe, food and soap go to the last pet pointed at (hover clears before a button is reached)
+  const lastHoveredId = useRef(null);
+  if (hovered) lastHoveredId.current = hovered.id;
+  const target = pets.find(p => p.id === lastHoveredId.current) ?? pets[0];
+  const tone = TONES[config.hud?.tone] ?? TONES.light;
+  const full = pets.length >= maxPets;
+
+  return (
+    <div className="fixed top-3 left-3 z-[90] max-w-[94vw] pointer-events-auto">
+      <div className="flex justify-end gap-2">
+        {editor && (
+          <button
+            className={`mb-2 px-3 py-2 rounded-xl border text-sm ${editor.editing ? tone.active : tone.toggle}`}
+            onClick={editor.onToggle}
+            title={editor.editing ? 'Stop editing the room' : 'Edit room: move furniture, rest spots and memories'}
+          >
+            🛠️
+          </button>
+        )}
+        {wardrobe && (
+          <button
+            className={`mb-2 px-3 py-2 rounded-xl border text-sm disabled:opacity-50 ${wardrobePet ? tone.active : tone.toggle}`}
+            onClick={() => setWardrobeId(wardrobePet ? null : target?.id ?? null)}
+            disabled={pets.length === 0}
+            title="Wardrobe (opens on the last pet you pointed at)"
+          >
+            👗
+          </button>
+        )}
+        {care && CARE_ACTIONS.map(({ need, emoji, verb }) => (
+          <button
+            key={need}
+            className={`mb-2 px-3 py-2 rounded-xl border text-sm disabled:opacity-50 ${tone.toggle}`}
+            onClick={() => care.onCare(target.id, need)}
+            disabled={!target}
+            title={target ? `${verb} ${target.name} (${Math.round((target.needs?.[need] ?? 1) * 100)}%)` : verb}
+          >
+            {emoji}
+          </button>
+        ))}
+        {economy && (
+          <button
+            className={`mb-2 px-3 py-2 rounded-xl border text-sm ${tone.toggle}`}
+            onClick={() => setDexVisible((v) => !v)}
+            title="Pet-dex"
+          >
+            📖
+          </button>
+        )}
+        <button
+          className={`mb-2 px-3 py-2 rounded-xl border text-sm ${tone.toggle}`}
+          onClick={() => setHudVisible((v) => !v)}
+          title="Toggle HUD (Screenshot mode)"
+        >
+          👁️
+        </button>
+      </div>
+
+      {hudVisible && (
+        <div className={`rounded-2xl border backdrop-blur-md px-4 py-3 ${tone.card}`}>
+          <div className="flex items-start justify-between gap-3">
+            <div>
+              <div className="text-lg font-bold leading-tight">{config.title}</div>
+              <div className={`text-xs ${tone.muted}`}>{config.subtitle}</div>
+              <div className={`mt-1 text-[11px] ${tone.faint}`}>
+                {pets.length} pet(s){rooms ? ` (${rooms.here} here)` : ''}{economy ? ` • 🪙 ${economy.coins}` : ''}{timeOfDay ? ` • ${PHASE_LABELS[timeOfDay.phase]}` : ''} • Saved locally
+              </div>
+            </div>
+            <div className={`text-[11px] rounded-full px-2 py-1 border ${tone.badge}`}>
+              {isMobile ? 'MOBILE' : 'DESKTOP'}
+            </div>
+          </div>
+
+          {rooms && rooms.list.length > 1 && (
+            <div className="mt-3 flex flex-wrap gap-2">
+              {rooms.list.map((r) => (
+                <button
+                  key={r.id}
+                  className={`px-3 py-1.5 rounded-xl border text-xs disabled:opacity-50 ${r.id === rooms.roomId ? tone.active : tone.button}`}
+                  onClick={() => rooms.onSelect(r.id)}
+                  disabled={r.status === 'error'}
+                  title={r.status === 'error' ? `${r.name} failed to load` : `Go to ${r.name}`}
+                >
+                  {r.emoji} {r.name}
+                </button>
+              ))}
+            </div>
+          )}
+
+          <div className="mt-3 grid grid-cols-6 gap-2">
+            {config.hud?.spawn === 'species' ? (
+              Object.entries(SPECIES).map(([k, v]) => (
+                <button
+                  key={k}
+                  className={`px-2 py-2 rounded-xl border text-base disabled:opacity-50 ${tone.button}`}
+                  onClick={() => onSpawn(k)}
+                  disabled={full}
+                  title={`Spawn ${v.label}`}
+                >
+                  {v.emoji}
+                </button>
+              ))
+            ) : (
+              <button
+                className={`col-span-3 px-3 py-2 rounded-xl border text-sm disabled:opacity-50 ${tone.button}`}
+                onClick={() => onSpawn()}
+                disabled={full}
+              >
+                + Add Pet
+              </button>
+            )}
+            {economy && [1, GACHA_CONFIG.multiPullCount].map((n) => {
+              const cost = gachaManager.getCost(undefined, n);
+              const overflow = pets.length + n > maxPets;
+              return (
+                <button
+                  key={n}
+                  className="col-span-2 px-2 py-2 rounded-xl bg-amber-200/60 hover:bg-amber-200/80 border border-black/10 text-black text-sm font-semibold disabled:opacity-50"
+                  onClick={() => economy.summon(n)}
+                  disabled={economy.summoning || full || economy.coins < cost}
+                  title={full ? 'Not enough room' : n > 1
+                    ? `Summon ${n} pets (one rare or better guaranteed)${overflow ? '; pets past the cap become shards and coins' : ''}`
+                    : 'Summon a random pet'}
+                >
+                  ✨ {n > 1 ? `×${n}` : 'Summon'} • 🪙 {cost}
+                </button>
+              );
+            })}
+            <button
+              className={`col-span-2 px-3 py-2 rounded-xl border text-sm ${tone.button}`}
+              onClick={onReset}
+            >
+              Reset
+            </button>
+          </div>
+
+          <div className={`mt-3 text-[11px] space-y-1 ${tone.help}`}>
+            <div><b>Desktop</b>: Click to lock mouse • WASD move • Shift sprint</div>
+            <div><b>Mobile</b>: Joystick move • Drag right side to look</div>
+            <div><b>Pet</b>: Tap = hop+hearts • Drag = carry • Rub = love{care ? ' • 🍖/🧼 feed and wash the last pet you pointed at' : ''}</div>
+            {rooms && <div><b>Rooms</b>: Walk through a glowing doorway • Pets follow you over</div>}
+            {editor && <div><b>Edit</b>: 🛠️ to rearrange the room • Ctrl+Z undo</div>}
+            <div><b>Social</b>: greet within {SOCIAL_CONFIG.distance}u (every {SOCIAL_CONFIG.checkEveryFrames} frames), cooldown {SOCIAL_CONFIG.cooldownS}s</div>
+          </div>
+
+          <div className={`mt-2 text-[12px] min-h-[16px] ${config.hud?.hoverClassName ?? ''}`}>
+            <PetHoverCard pet={hovered} emptyClassName={tone.empty} />
+          </div>
+        </div>
+      )}
+
+      {away?.summary && (
+        <div className={`mt-2 w-[340px] max-w-[94vw] rounded-2xl border backdrop-blur-md px-4 py-3 ${tone.card}`}>
+          <div className="flex items-start justify-between gap-3">
+            <div className="text-sm font-bold leading-tight">While you were away</div>
+            <button
+              type="button"
+              onClick={away.onDismiss}
+              className={`px-2 py-1 rounded-xl border text-xs ${tone.button}`}
+            >
+              Got it
+            </button>
+          </div>
+          <ul className={`mt-2 space-y-1 text-[12px] ${tone.muted}`}>
+            {describeOfflineSummary(away.summary).map((line, i) => <li key={i}>{line}</li>)}
+          </ul>
+        </div>
+      )}
+
+      {wardrobePet && (
+        <div className="mt-2">
+          <select
+            value={wardrobePet.id}
+            onChange={(e) => setWardrobeId(e.target.value)}
+            className="mb-1 w-[300px] max-w-[94vw] px-2 py-1 rounded-xl bg-white/60 border border-black/10 text-black text-sm"
+            aria-label="Pet to dress up"
+          >
+            {pets.map(p => <option key={p.id} value={p.id}>{SPECIES[p.speciesKey]?.emoji} {p.name}</option>)}
+          </select>
+          <WardrobePanel
+            petId={wardrobePet.id}
+            pets={pets}
+            onUpdate={wardrobe.onUpdate}
+            wallet={wardrobe.wallet}
+            onClose={() => setWardrobeId(null)}
+          />
+        </div>
+      )}
+
+      {economy && dexVisible && (
+        <PetDex wallet={economy.wallet} registry={economy.collection} onClose={() => setDexVisible(false)} className="mt-2" />
+      )}
+    </div>
+  );
+}
+
+export default PetHud;
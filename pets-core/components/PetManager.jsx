@@ -0,0 +1,232 @@
+/**
+ * @fileoverview Scene-side pet manager: renders the pets and runs the pairwise logic
+ * (pose snapshot, spatial hash, chase bursts, greetings, cuddle piles, pose sampling)
+ * @module pets-core/components/PetManager
+ *
+ * The per-frame pass is the scene twin of PetWorld.step()'s chase and greeting pass.
+ */
+
+import React, { useCallback, useMemo, useRef } from 'react';
+import * as THREE from 'three';
+import { useFrame } from '@react-three/fiber';
+import { Pet } from './Pet.jsx';
+import { HeartPool } from './HeartPool.jsx';
+import { randRange } from '../utils.js';
+import { forkRng } from '../random.js';
+import {
+  SOCIAL_CONFIG,
+  createChaseMode,
+  maybeStartChase,
+  updateChaseMode,
+  isWithinSocialDistance,
+  getPairKey
+} from '../ai/social.js';
+import { getPersonality } from '../ai/personality.js';
+import { petSpatialHash } from '../environment/spatialHash.js';
+
+/** Base Y position for pets (same as Pet.jsx) */
+const BASE_Y = 0.55;
+
+/**
+ * Manager tuning
+ * @type {Object}
+ */
+export const PET_MANAGER_CONFIG = {
+  sampleEveryS: 1.6,        // Seconds between pose samples written back to pet state
+  cuddlePileChance: 0.35    // Chance a greeting next to a sleeper sends the other to sleep too
+};
+
+/**
+ * Renders pets with a shared heart pool and coordinates them.
+ * Goes inside the Canvas; pet state lives outside (usePetState or PetProvider).
+ * @param {Object} props - Component props
+ * @param {Object[]} props.pets - Pets to render
+ * @param {Object} props.bounds - Room bounds {minX, maxX, minZ, maxZ}
+ * @param {number[][]} props.rugs - Rest spots [[x, z], ...]
+ * @param {THREE.Texture} props.rampTex - Toon ramp texture
+ * @param {THREE.Texture} props.blobTex - Blob shadow texture
+ * @param {Function} [props.onCommit] - (id, patch) from a pet (needs, drops...)
+ * @param {function(Map<string, Object>): void} [props.onSample] - Changed poses (id -> {position, yaw})
+ * @param {Function} [props.onHover] - Hovered pet or null
+ * @param {React.MutableRefObject<boolean>} [props.isDraggingRef] - Set while a pet is carried
+ * @param {boolean} [props.cuddlePiles=true] - Greetings next to a sleeping pet can start a cuddle pile
+ * @param {number} [props.sampleEveryS] - Pose sampling interval
+ * @param {import('../palace/palace.js').Palace} [props.palace] - Palace the pets live in
+ * @param {import('../palace/palace.js').RoomScope} [props.scope] - Registries of the room they are in
+ * @param {import('../environment/timeOfDay.js').TimeOfDay|null} [props.timeOfDay] - Time of day (evening rests, night sleep)
+ * @param {Object|null} [props.personality] - The theme's PERSONALITY values (config `personality`)
+ * @param {React.MutableRefObject<Map<string, Object>>} [props.apiRef] - Filled with the pets' runtime APIs by pet ID
+ *   (getNeeds, satisfyNeed...), e.g. for feeding from the HUD
+ * @returns {JSX.Element} Pets
+ */
+export function PetManager({
+  pets,
+  bounds,
+  rugs,
+  rampTex,
+  blobTex,
+  onCommit,
+  onSample,
+  onHover,
+  isDraggingRef,
+  cuddlePiles = true,
+  sampleEveryS = PET_MANAGER_CONFIG.sampleEveryS,
+  palace,
+  scope,
+  timeOfDay = null,
+  personality = null,
+  apiRef: externalApiRef
+}) {
+  const petsRef = useRef(pets);
+  petsRef.current = pets;
+
+  const rng = useMemo(() => forkRng('petManager'), []);
+
+  // Runtime APIs per pet
+  const ownApiRef = useRef(new Map());
+  const apiRef = externalApiRef ?? ownApiRef;
+  const registerAPI = useCallback((id, api) => {
+    apiRef.current.set(id, api);
+    return () => apiRef.current.delete(id);
+  }, []);
+
+  const heartEmitterRef = useRef(null);
+  const getHeartEmitter = useCallback(() => heartEmitterRef.current, []);
+
+  // Pose map + spatial hash for separation, chase and greetings
+  const posMapRef = useRef(new Map());
+  const getPosMap = useCallback(() => posMapRef.current, []);
+  const getSpatialHash = useCallback(() => petSpatialHash, []);
+
+  const chaseModeRef = useRef(createChaseMode());
+  const draggingIdRef = useRef(null);
+  const setDragging = useCallback((idOrNull) => {
+    draggingIdRef.current = idOrNull;
+  }, []);
+
+  const pairCooldown = useRef(new Map());
+  const frameCounter = useRef(0);
+  const sampleT = useRef(0);
+
+  // Cuddle pile spot, reused so piles grow in one place
+  const lastSleepSpotRef = useRef(null);
+
+  useFrame((state, dt) => {
+    frameCounter.current++;
+    const t = state.clock.getElapsedTime();
+    const arr = petsRef.current;
+    const posMap = posMapRef.current;
+
+    // Snapshot poses
+    posMap.clear();
+    for (const p of arr) {
+      const pose = apiRef.current.get(p.id)?.getPose?.();
+      if (!pose) continue;
+      posMap.set(p.id, { x: pose.x, z: pose.z, yaw: pose.yaw, mode: pose.mode, speciesKey: pose.speciesKey });
+    }
+    petSpatialHash.rebuild(posMap);
+
+    // Chase bursts
+    const ch = chaseModeRef.current;
+    if (ch.active) {
+      updateChaseMode(ch, posMap, t, BASE_Y);
+    } else if (maybeStartChase(ch, arr.map(p => ({ id: p.id, personality: getPersonality(p.traits, personality) })), t, rng)) {
+      updateChaseMode(ch, posMap, t, BASE_Y);
+    }
+
+    // Pose sampling for persistence
+    sampleT.current += dt;
+    if (sampleT.current >= sampleEveryS) {
+      sampleT.current = 0;
+      const patches = new Map();
+      for (const p of arr) {
+        const pose = posMap.get(p.id);
+        if (!pose) continue;
+        if ((p.position?.[0] ?? 0) !== pose.x || (p.position?.[1] ?? 0) !== pose.z || (p.yaw ?? 0) !== pose.yaw) {
+          patches.set(p.id, { position: [pose.x, pose.z], yaw: pose.yaw });
+        }
+      }
+      if (patches.size) onSample?.(patches);
+    }
+
+    // Greetings
+    if (frameCounter.current % SOCIAL_CONFIG.checkEveryFrames !== 0) return;
+    if (arr.length < 2) return;
+
+    const byId = new Map(arr.map(p => [p.id, p]));
+    let maxDistance = 0;
+    for (const p of arr) maxDistance = Math.max(maxDistance, getPersonality(p.traits, personality).socialDistance);
+
+    petSpatialHash.forEachPair(maxDistance, (ea, eb) => {
+      const a = byId.get(ea.id);
+      const b = byId.get(eb.id);
+      const apiA = apiRef.current.get(ea.id);
+      const apiB = apiRef.current.get(eb.id);
+      if (!a || !b || !apiA || !apiB) return;
+
+      // Ignore carried and chasing pets
+      const dragging = draggingIdRef.current;
+      if (dragging && (dragging === a.id || dragging === b.id)) return;
+      if (ch.active && [ch.chaserId, ch.runnerId].some(id => id === a.id || id === b.id)) return;
+
+      const key = getPairKey(a.id, b.id);
+      if (t < (pairCooldown.current.get(key) || 0)) return;
+      const pa = ea.item;
+      const pb = eb.item;
+      const distance = (getPersonality(a.traits, personality).socialDistance + getPersonality(b.traits, personality).socialDistance) * 0.5;
+      if (!isWithinSocialDistance(pa, pb, distance)) return;
+
+      pairCooldown.current.set(key, t + SOCIAL_CONFIG.cooldownS);
+
+      const until = t + randRange(SOCIAL_CONFIG.greetDuration[0], SOCIAL_CONFIG.greetDuration[1], rng);
+      apiA.setSocial?.({ active: true, until, partnerId: b.id, partnerPos: new THREE.Vector3(pb.x, BASE_Y, pb.z) });
+      apiB.setSocial?.({ active: true, until, partnerId: a.id, partnerPos: new THREE.Vector3(pa.x, BASE_Y, pa.z) });
+      apiA.greet?.();
+      apiB.greet?.();
+
+      // Hearts in between
+      heartEmitterRef.current?.emit?.(new THREE.Vector3((pa.x + pb.x) * 0.5, BASE_Y, (pa.z + pb.z) * 0.5), 2);
+
+      // Cuddle pile: greeting a sleeper can send the other one to sleep next to it
+      if (!cuddlePiles || !rugs?.length) return;
+      const aSleeps = pa.mode === 'sleeping';
+      const bSleeps = pb.mode === 'sleeping';
+      if (aSleeps === bSleeps || rng.next() >= PET_MANAGER_CONFIG.cuddlePileChance) return;
+      const spot = lastSleepSpotRef.current || rng.pick(rugs);
+      lastSleepSpotRef.current = spot;
+      (aSleeps ? apiB : apiA).nudgeToSleepSpot?.(new THREE.Vector3(spot[0], BASE_Y, spot[1]));
+    });
+  });
+
+  return (
+    <>
+      <HeartPool getEmitterRef={(api) => (heartEmitterRef.current = api)} />
+
+      {pets.map((p) => (
+        <Pet
+          key={p.id}
+          pet={p}
+          bounds={bounds}
+          rugs={rugs}
+          rampTex={rampTex}
+          blobTex={blobTex}
+          registerAPI={registerAPI}
+          onCommit={onCommit}
+          onHover={onHover}
+          setDragging={setDragging}
+          getPosMap={getPosMap}
+          getSpatialHash={getSpatialHash}
+          getHeartEmitter={getHeartEmitter}
+          chaseModeRef={chaseModeRef}
+          isDraggingRef={isDraggingRef}
+          palace={palace}
+          scope={scope}
+          timeOfDay={timeOfDay}
+          personality={personality}
+        />
+      ))}
+    </>
+  );
+}
+
+export default PetManager;
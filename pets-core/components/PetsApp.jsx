@@ -0,0 +1,475 @@
+/**
+ * @fileoverview Full-screen pet app built from a theme config: canvas, lighting, environment,
+ * player, pets, HUD, wardrobe, joystick, room editor and (optionally) coins, summons, the pet-dex and palace rooms
+ * @module pets-core/components/PetsApp
+ *
+ * @example
+ * export default function GardenPets() {
+ *   return <PetsApp config={GARDEN_CONFIG} />;
+ * }
+ *
+ * // Any room file (see environment/rooms.js)
+ * const room = await loadRoom('/rooms/reading-nook.json');
+ * <PetsApp config={roomToConfig(room, { theme: 'nook', title: 'Reading Nook', maxPets: { desktop: 8, mobile: 5 } })} />
+ *
+ * // Several rooms joined by doorways (see palace/palace.js); the scene comes from the player's room
+ * <PetsApp config={{ theme: 'home', title: 'Mind Palace', maxPets: { desktop: 12, mobile: 7 } }} palace={new Palace(homeJson)} />
+ *
+ * Sky, fog and lights follow the local clock (environment/timeOfDay.js); a config's
+ * `timeOfDay` pins the hour (`{ hour: 20 }`) or turns the cycle off (`false`).
+ */
+
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { Canvas } from '@react-three/fiber';
+import { PetManager } from './PetManager.jsx';
+import { PlayerController } from './PlayerController.jsx';
+import { VirtualJoystick } from './VirtualJoystick.jsx';
+import { PetHud } from './PetHud.jsx';
+import { SummonReveal } from './SummonReveal.jsx';
+import { RoomEnvironment } from '../themes/RoomEnvironment.jsx';
+import { PalacePortals } from '../palace/PalacePortals.jsx';
+import { RoomEditor, getTargetLabel } from '../editor/RoomEditor.jsx';
+import { EditorToolbar } from '../editor/EditorToolbar.jsx';
+import { layoutStore } from '../editor/layout.js';
+import { PALACE_CONFIG } from '../palace/palace.js';
+import { gachaManager } from '../gacha/rarity.js';
+import { planOffscreenTravel } from '../palace/travel.js';
+import { roomToConfig } from '../environment/rooms.js';
+import { getSceneAtTime } from '../environment/timeOfDay.js';
+import { registerSceneLight, unregisterSceneLight } from '../environment/ground.js';
+import { usePetState } from '../hooks/usePetState.js';
+import { usePalace } from '../hooks/usePalace.js';
+import { useRoomLayout } from '../hooks/useRoomLayout.js';
+import { useTimeOfDay } from '../hooks/useTimeOfDay.js';
+import { useSummon } from '../hooks/useSummon.js';
+import { useWallet } from '../hooks/useWallet.js';
+import { useToonRampTexture, useBlobShadowTexture, useIsMobile } from '../hooks/useToonTextures.js';
+import { petEvents, PET_EVENTS } from '../events/PetEventEmitter.js';
+import { forkRng } from '../random.js';
+import { createNeeds, satisfyNeed, NEEDS_CONFIG } from '../ai/needs.js';
+import { wallet as defaultWallet } from '../economy/wallet.js';
+import { collectionRegistry } from '../gacha/collection.js';
+import { memoryRegistry } from '../memory/guardian.js';
+
+/** Camera used when the theme config has none */
+const DEFAULT_CAMERA = { position: [0, 1.65, 6.5], fov: 60, near: 0.1, far: 80 };
+
+/** Player bounds while a palace room is still loading */
+const LOADING_BOUNDS = { minX: -9.5, maxX: 9.5, minZ: -9.5, maxZ: 9.5 };
+
+/**
+ * Registers a light with the scene light registry (getLightingAtPosition, isInSunbeam; pass a room scope's restSpots for its sunbeams)
+ * @private
+ */
+function SceneLight({ type: Light, ...props }) {
+  const ref = useRef(null);
+  useEffect(() => {
+    const light = ref.current;
+    registerSceneLight(light);
+    return () => unregisterSceneLight(light);
+  }, []);
+  return <Light ref={ref} {...props} />;
+}
+
+/**
+ * Lights from a theme's `lighting` config. Entries are typed by key prefix
+ * (`ambient…`, `hemisphere…`, `directional…`), so a theme can have several of a kind.
+ * The lights are registered as scene lights while mounted.
+ * @param {Object} props - Component props
+ * @param {Object} props.lighting - Lighting config
+ * @returns {JSX.Element} Lights
+ */
+export function ThemeLights({ lighting }) {
+  return (
+    <>
+      {Object.entries(lighting ?? {}).map(([key, l]) => {
+        if (key.startsWith('hemisphere')) {
+          return <SceneLight key={key} type="hemisphereLight" intensity={l.intensity} color={l.skyColor} groundColor={l.groundColor} />;
+        }
+        if (key.startsWith('ambient')) {
+          return <SceneLight key={key} type="ambientLight" intensity={l.intensity} color={l.color} />;
+        }
+        if (key.startsWith('directional')) {
+          return <SceneLight key={key} type="directionalLight" intensity={l.intensity} position={l.position} color={l.color} />;
+        }
+        return null;
+      })}
+    </>
+  );
+}
+
+/**
+ * Pet app for one theme
+ * @param {Object} props - Component props
+ * @param {Object} props.config - Theme config (GARDEN_CONFIG, SPACE_CONFIG or roomToConfig(room, ...))
+ * @param {React.ComponentType} [props.Environment] - Scenery, rendered with {bounds, rampTex, isMobile};
+ *   defaults to the config's room
+ * @param {import('../palace/palace.js').Palace|null} [props.palace] - Rooms joined by doorways; the player's
+ *   room replaces the config's scene fields (background, fog, lighting, bounds, rugs, room)
+ * @param {import('../persistence/adapters.js').StorageAdapter} [props.adapter] - Storage adapter (read on mount) for the pets,
+ *   memories, layout, gacha, wallet and pet-dex; they use the global adapter when it is omitted
+ * @param {import('../editor/layout.js').LayoutStore} [props.layout] - Room edits (the editor is offered for room-based scenes)
+ * @param {import('../economy/wallet.js').Wallet|null} [props.wallet] - Wallet for themes with `economy` (null to disable)
+ * @param {import('../gacha/collection.js').CollectionRegistry} [props.collection] - Pet-dex for themes with `economy`
+ * @param {import('../memory/guardian.js').MemoryRegistry} [props.memories] - Memories and guardians (saved with the adapter)
+ * @returns {JSX.Element} App
+ */
+export function PetsApp({
+  config,
+  Environment,
+  palace = null,
+  adapter,
+  layout = layoutStore,
+  wallet = defaultWallet,
+  collection = collectionRegistry,
+  memories = memoryRegistry
+}) {
+  const isMobile = useIsMobile();
+  const maxPets = isMobile ? config.maxPets.mobile : config.maxPets.desktop;
+  const economyOn = !!(config.economy && wallet);
+
+  // Palace: scene fields come from the player's room once it is loaded (null until then)
+  const { roomId, scope, rooms, error: roomError } = usePalace(palace);
+  // The room as the player rearranged it (editor/layout.js)
+  const { room, canUndo, canRedo } = useRoomLayout(layout, palace ? scope?.source : config.room);
+  const view = useMemo(() => {
+    if (palace) return room && roomToConfig(room, config);
+    return !room || room === config.room ? config : roomToConfig(room, config);
+  }, [palace, room, config]);
+  useEffect(() => {
+    if (scope && room) scope.setRoom(room);
+  }, [scope, room]);
+  useEffect(() => layout.attach(), [layout]);
+
+  // Memories and guardian bonds persist next to the pets
+  const adapterRef = useRef(adapter);
+  adapterRef.current = adapter;
+  const [memoriesReady, setMemoriesReady] = useState(false);
+  useEffect(() => {
+    let live = true;
+    const detach = memories.attachStorage(adapterRef.current);
+    memories.ready.then(() => live && setMemoriesReady(true));
+    return () => {
+      live = false;
+      detach();
+    };
+  }, [memories]);
+
+  // So do the layout, gacha state, coins and pet-dex, while the app is mounted
+  useEffect(() => {
+    const store = adapterRef.current;
+    if (!store) return undefined;
+    const stores = [layout, gachaManager, collection, wallet].filter(Boolean);
+    const previous = stores.map((s) => s.adapter);
+    stores.forEach((s) => s.setAdapter(store));
+    return () => stores.forEach((s, i) => s.setAdapter(previous[i]));
+  }, [layout, collection, wallet]);
+
+  // Sky, fog and lights at the current hour
+  const timeOfDay = useTimeOfDay(config.timeOfDay);
+  const scene = useMemo(() => getSceneAtTime(view ?? config, timeOfDay), [view, config, timeOfDay]);
+
+  const bounds = view?.bounds;
+  const rugs = view?.rugs;
+  // Saved pets load (and catch up on the time away) once the memories and the room are in
+  const offlineCatchUp = useMemo(
+    () => ({ bounds, rugs, memories, personality: config.personality, ready: memoriesReady && !!view }),
+    [bounds, rugs, memories, config.personality, memoriesReady, view]
+  );
+
+  const { pets, petsRef, addPet, updatePet, updatePets, resetPets, hydrated, awaySummary, dismissAwaySummary } = usePetState({
+    theme: config.theme,
+    maxPets,
+    includeHighTier: config.includeHighTier,
+    legacyKeys: config.legacyStorageKeys,
+    adapter,
+    offlineCatchUp
+  });
+
+  const rampTex = useToonRampTexture();
+  const blobTex = useBlobShadowTexture();
+
+  const joystickRef = useRef({ x: 0, y: 0 });
+  const isDraggingRef = useRef(false);
+  const playerRef = useRef(null);
+  const [hovered, setHovered] = useState(null);
+  const [glLost, setGlLost] = useState(false);
+  // Runtime APIs of the pets on screen (PetManager fills it)
+  const petApisRef = useRef(new Map());
+
+  // Feeding and washing from the HUD: pets on screen own their needs, the rest are patched in state
+  const carePet = useCallback((petId, need) => {
+    const amount = NEEDS_CONFIG.careAmount[need];
+    const api = petApisRef.current.get(petId);
+    if (api?.satisfyNeed) {
+      api.satisfyNeed(need, amount);
+      return;
+    }
+    const pet = petsRef.current.find(p => p.id === petId);
+    if (!pet) return;
+    const needs = satisfyNeed({ ...(pet.needs ?? createNeeds()) }, need, amount);
+    updatePet(petId, { needs });
+    petEvents.emit(PET_EVENTS.NEED_SATISFIED, { petId, need, value: needs[need] });
+  }, [petsRef, updatePet]);
+
+  // Palace: only the player's room is on screen
+  const roomPets = useMemo(
+    () => (palace ? pets.filter(p => palace.resolveRoomId(p.roomId) === roomId) : pets),
+    [palace, pets, roomId]
+  );
+  const spawnPet = useCallback(
+    (speciesKey) => addPet(speciesKey, palace ? { roomId } : undefined),
+    [addPet, palace, roomId]
+  );
+
+  useEffect(() => {
+    if (palace && !palace.activeId) palace.enter(palace.startId).catch(() => {});
+  }, [palace]);
+
+  // Pets walking through doorways; poses sampled in the frame one left belong to the old room
+  const departedRef = useRef(new Set());
+  useEffect(() => {
+    if (!palace) return undefined;
+    return petEvents.on(PET_EVENTS.PET_CHANGED_ROOM, (e) => {
+      if (e.palaceId !== palace.id) return;
+      if (e.fromRoomId === palace.activeId) departedRef.current.add(e.petId);
+      if (e.roomId === palace.activeId) departedRef.current.delete(e.petId);
+      updatePet(e.petId, { roomId: e.roomId, position: e.position, yaw: e.yaw });
+    });
+  }, [palace, updatePet]);
+  useEffect(() => {
+    departedRef.current.clear();
+  }, [roomId]);
+  const samplePoses = useCallback((patches) => {
+    for (const id of departedRef.current) patches.delete(id);
+    updatePets(patches);
+  }, [updatePets]);
+
+  // Pets in other rooms come over to the player now and then, or head for their memory
+  useEffect(() => {
+    if (!palace || !hydrated) return undefined;
+    const rng = forkRng('palaceTravel');
+    const timer = setInterval(() => {
+      planOffscreenTravel(petsRef.current, palace, { dt: PALACE_CONFIG.offscreenTickS, rng });
+    }, PALACE_CONFIG.offscreenTickS * 1000);
+    return () => clearInterval(timer);
+  }, [palace, hydrated]);
+
+  // Player moving rooms (doorway or picker); placed once the room is loaded
+  const arrivalRef = useRef(null);
+  const goToRoom = useCallback((nextRoomId, arrivalEnd = null) => {
+    if (!palace || nextRoomId === palace.activeId) return;
+    arrivalRef.current = arrivalEnd;
+    palace.enter(nextRoomId).catch(() => {});
+  }, [palace]);
+  useEffect(() => {
+    if (!palace || !scope) return;
+    const end = arrivalRef.current;
+    arrivalRef.current = null;
+    if (end) {
+      const a = palace.getArrival(end);
+      playerRef.current?.teleport(a.x, a.z, a.yaw + Math.PI);
+    } else {
+      const [x, , z] = (config.camera ?? DEFAULT_CAMERA).position;
+      playerRef.current?.teleport(x, z, 0);
+    }
+  }, [palace, scope]);
+  const roomName = rooms.find(r => r.id === roomId)?.name;
+
+  // Room editor: pick props, rest spots and memories and move them with a gizmo
+  const editable = !Environment && !!room;
+  const [editing, setEditing] = useState(false);
+  const [selected, setSelected] = useState(null);
+  const [gizmoMode, setGizmoMode] = useState('translate');
+  useEffect(() => {
+    setSelected(null);
+  }, [roomId]);
+  const toggleEditing = useCallback(() => {
+    setEditing((v) => !v);
+    setSelected(null);
+  }, []);
+  const pickProp = useCallback((id, index) => {
+    setSelected({ kind: 'prop', roomId: room.id, id, index });
+  }, [room?.id]);
+  const deselect = useCallback(() => setSelected(null), []);
+  const undo = useCallback(() => layout.undo(), [layout]);
+  const redo = useCallback(() => layout.redo(), [layout]);
+
+  // Coins: petting and bond milestones pay out, daily visit bonus on open
+  useEffect(() => {
+    if (!economyOn) return undefined;
+    const detach = wallet.attach(petEvents);
+    wallet.ready.then(() => wallet.checkIn());
+    return detach;
+  }, [economyOn, wallet]);
+
+  // Pet-dex: pulls discover species; spawns (and the pets already here) log colors and patterns
+  useEffect(() => (economyOn ? collection.attach({ wallet }) : undefined), [economyOn, collection, wallet]);
+  useEffect(() => {
+    if (!economyOn || !hydrated) return;
+    collection.ready.then(() => petsRef.current.forEach((p) => collection.recordPet(p)));
+  }, [economyOn, collection, hydrated]);
+
+  // Summon: the pet spawns when the species is revealed. Duplicates were already converted
+  // into shards and coins when pulled. A multi-pull only needs one free spot; new pets past
+  // the pet cap are converted too.
+  const { summon, dismiss: dismissSummon, state: summonState, isBusy: summoning } = useSummon({
+    canSummon: () => petsRef.current.length < maxPets,
+    onSummoned: (pull) => {
+      if (collection.isConverted(pull)) return;
+      if (!spawnPet(pull.speciesKey)) collection.recordOverflow(pull, wallet);
+    },
+    wallet
+  });
+  const { balance: coins } = useWallet(wallet ?? defaultWallet);
+
+  return (
+    <div className={`w-screen h-screen overflow-hidden ${config.hud?.pageClassName ?? ''}`}>
+      {isMobile && (
+        <VirtualJoystick tone={config.hud?.tone} onChange={(v) => (joystickRef.current = v)} />
+      )}
+
+      {glLost && (
+        <div className="absolute inset-0 z-[200] flex items-center justify-center">
+          <div className="rounded-2xl bg-white/70 border border-black/10 px-5 py-4 text-black max-w-[90vw]">
+            <div className="font-bold">WebGL context lost</div>
+            <div className="text-sm text-black/70 mt-1">Try reloading the page. On mobile, low memory can cause this.</div>
+          </div>
+        </div>
+      )}
+
+      {palace && !view && (
+        <div className="absolute inset-0 z-[60] flex items-center justify-center pointer-events-none">
+          <div className="rounded-2xl bg-black/45 border border-white/10 px-5 py-3 text-white text-sm">
+            {roomError ? `${roomName} could not be loaded` : `Loading ${roomName ?? 'room'}…`}
+          </div>
+        </div>
+      )}
+
+      <PetHud
+        config={config}
+        pets={pets}
+        maxPets={maxPets}
+        isMobile={isMobile}
+        hovered={hovered}
+        onSpawn={spawnPet}
+        onReset={resetPets}
+        economy={economyOn ? { wallet, coins, summon, summoning, collection } : null}
+        rooms={palace ? { list: rooms, roomId, here: roomPets.length, onSelect: goToRoom } : null}
+        editor={editable ? { editing, onToggle: toggleEditing } : null}
+        timeOfDay={timeOfDay}
+        wardrobe={{ onUpdate: updatePet, wallet: economyOn ? wallet : null }}
+        care={{ onCare: carePet }}
+        away={{ summary: awaySummary, onDismiss: dismissAwaySummary }}
+      />
+
+      {editing && editable && (
+        <EditorToolbar
+          label={selected && getTargetLabel(room, selected)}
+          mode={gizmoMode}
+          onMode={setGizmoMode}
+          canRotate={selected?.kind === 'prop'}
+          canUndo={canUndo}
+          canRedo={canRedo}
+          onUndo={undo}
+          onRedo={redo}
+          onReset={() => layout.resetRoom(room.id)}
+          onDeselect={deselect}
+          onDone={toggleEditing}
+          isMobile={isMobile}
+        />
+      )}
+
+      {economyOn && <SummonReveal state={summonState} onDismiss={dismissSummon} collection={collection} />}
+
+      {/* Vignette */}
+      <div
+        className="fixed inset-0 pointer-events-none z-[85]"
+        style={{
+          background: `radial-gradient(ellipse at center, rgba(0,0,0,0) 55%, rgba(0,0,0,${config.hud?.vignette ?? 0.3}) 100%)`
+        }}
+      />
+
+      <Canvas
+        dpr={isMobile ? 1 : [1, 2]}
+        gl={{ antialias: !isMobile, powerPreference: 'high-performance', alpha: false }}
+        camera={config.camera ?? DEFAULT_CAMERA}
+        onCreated={({ gl }) => {
+          const onLost = (e) => {
+            e.preventDefault?.();
+            setGlLost(true);
+          };
+          gl.domElement.addEventListener('webglcontextlost', onLost, false);
+        }}
+      >
+        <color attach="background" args={[scene.background ?? '#000000']} />
+        {view && scene.fog && <fog attach="fog" args={[scene.fog.color, scene.fog.near, scene.fog.far]} />}
+
+        {/* Toony lighting (no shadows) */}
+        {view && <ThemeLights lighting={scene.lighting} />}
+
+        {Environment ? (
+          <Environment bounds={bounds} rampTex={rampTex} isMobile={isMobile} />
+        ) : view?.room && (
+          <RoomEnvironment
+            key={view.room.id}
+            room={view.room}
+            rampTex={rampTex}
+            isMobile={isMobile}
+            register={!palace}
+            onPickProp={editing ? pickProp : undefined}
+          />
+        )}
+
+        {editing && editable && (
+          <RoomEditor
+            room={room}
+            roomId={roomId}
+            layout={layout}
+            selected={selected}
+            onSelect={setSelected}
+            mode={gizmoMode}
+            isDraggingRef={isDraggingRef}
+          />
+        )}
+
+        {palace && view && (
+          <PalacePortals palace={palace} roomId={roomId} bounds={bounds} rampTex={rampTex} onEnter={(p) => goToRoom(p.to.room, p.to)} />
+        )}
+
+        <PlayerController
+          bounds={bounds ?? LOADING_BOUNDS}
+          joystickRef={joystickRef}
+          isDraggingRef={isDraggingRef}
+          config={config.player}
+          controlRef={playerRef}
+          freeCursor={editing}
+        />
+
+        {view && (
+          <PetManager
+            key={roomId ?? 'room'}
+            pets={roomPets}
+            bounds={bounds}
+            rugs={rugs}
+            rampTex={rampTex}
+            blobTex={blobTex}
+            onCommit={updatePet}
+            onSample={samplePoses}
+            onHover={setHovered}
+            isDraggingRef={isDraggingRef}
+            cuddlePiles={config.cuddlePiles}
+            sampleEveryS={config.sampleEveryS}
+            palace={palace}
+            scope={scope}
+            timeOfDay={timeOfDay}
+            personality={config.personality}
+            apiRef={petApisRef}
+          />
+        )}
+      </Canvas>
+    </div>
+  );
+}
+
+export default PetsApp;
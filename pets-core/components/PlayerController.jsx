@@ -0,0 +1,261 @@
+/**
+ * @fileoverview First-person player camera: WASD + pointer lock on desktop, joystick + touch look on mobile
+ * @module pets-core/components/PlayerController
+ */
+
+import { useEffect, useMemo, useRef } from 'react';
+import * as THREE from 'three';
+import { useFrame, useThree } from '@react-three/fiber';
+import { clamp } from '../utils.js';
+import { useIsMobile } from '../hooks/useToonTextures.js';
+
+/**
+ * Player movement tuning (themes override parts of it via their `player` config)
+ * @type {Object}
+ */
+export const PLAYER_CONFIG = {
+  eyeHeight: 1.65,
+  speed: 3.4,               // Desktop walk speed (units/s)
+  mobileSpeed: 2.8,         // Joystick walk speed
+  sprintMul: 1.65,          // Shift multiplier (desktop)
+  boundsMargin: 0.6,        // Keep the camera this far inside the bounds
+  mouseLook: 0.0022,        // Radians per pixel with pointer lock
+  touchLook: 0.0032,        // Radians per pixel when dragging to look
+  maxPitch: 1.15,
+  bob: {
+    walk: { freq: 7.0, amp: 0.035 },
+    sprint: { freq: 10.0, amp: 0.05 }
+  }
+};
+
+/** Key codes per movement action */
+const KEY_MAP = {
+  KeyW: 'forward',
+  ArrowUp: 'forward',
+  KeyS: 'backward',
+  ArrowDown: 'backward',
+  KeyA: 'left',
+  ArrowLeft: 'left',
+  KeyD: 'right',
+  ArrowRight: 'right',
+  ShiftLeft: 'sprint',
+  ShiftRight: 'sprint'
+};
+
+/**
+ * Camera controller. Pointer lock and touch look pause while a pet is being carried.
+ * Touch look only starts on the right half of the screen, the joystick owns the left.
+ * With `freeCursor` (room editor) the mouse stays free and looks around while the right button is held.
+ * @param {Object} props - Component props
+ * @param {Object} props.bounds - Walkable bounds {minX, maxX, minZ, maxZ}
+ * @param {React.MutableRefObject<{x: number, y: number}>} [props.joystickRef] - Joystick value (see VirtualJoystick)
+ * @param {React.MutableRefObject<boolean>} [props.isDraggingRef] - True while a pet is carried
+ * @param {Object} [props.config] - Overrides for PLAYER_CONFIG
+ * @param {React.MutableRefObject<Object>} [props.controlRef] - Receives {teleport(x, z, yaw?)} (e.g. for palace doorways)
+ * @param {boolean} [props.freeCursor=false] - Keep the mouse unlocked (desktop)
+ * @returns {null}
+ */
+export function PlayerController({ bounds, joystickRef, isDraggingRef, config, controlRef, freeCursor = false }) {
+  const { camera, gl } = useThree();
+  const isMobile = useIsMobile();
+
+  const cfg = useMemo(() => ({
+    ...PLAYER_CONFIG,
+    ...config,
+    bob: { ...PLAYER_CONFIG.bob, ...config?.bob }
+  }), [config]);
+
+  const keys = useRef({ forward: false, backward: false, left: false, right: false, sprint: false });
+  const yaw = useRef(0);
+  const pitch = useRef(0);
+  const locked = useRef(false);
+  const lastTouch = useRef({ id: null, x: 0, y: 0, active: false });
+
+  useEffect(() => {
+    // Start from the camera's initial orientation
+    const e = new THREE.Euler().copy(camera.rotation);
+    yaw.current = e.y;
+    pitch.current = e.x;
+  }, [camera]);
+
+  useEffect(() => {
+    if (!controlRef) return undefined;
+    controlRef.current = {
+      teleport: (x, z, facing) => {
+        camera.position.x = x;
+        camera.position.z = z;
+        if (facing !== undefined) {
+          yaw.current = facing;
+          pitch.current = 0;
+        }
+      }
+    };
+    return () => {
+      controlRef.current = null;
+    };
+  }, [camera, controlRef]);
+
+  // Keyboard (desktop)
+  useEffect(() => {
+    if (isMobile) return undefined;
+
+    const onKey = (down) => (e) => {
+      const action = KEY_MAP[e.code];
+      if (action) keys.current[action] = down;
+    };
+    const onDown = onKey(true);
+    const onUp = onKey(false);
+    // Don't keep walking after alt-tab swallowed the keyup
+    const onBlur = () => {
+      for (const k in keys.current) keys.current[k] = false;
+    };
+
+    window.addEventListener('keydown', onDown);
+    window.addEventListener('keyup', onUp);
+    window.addEventListener('blur', onBlur);
+
+    return () => {
+      window.removeEventListener('keydown', onDown);
+      window.removeEventListener('keyup', onUp);
+      window.removeEventListener('blur', onBlur);
+    };
+  }, [isMobile]);
+
+  // Pointer lock look (desktop)
+  useEffect(() => {
+    if (isMobile) return undefined;
+    const el = gl.domElement;
+
+    const onPointerLockChange = () => {
+      locked.current = document.pointerLockElement === el;
+    };
+    if (freeCursor && document.pointerLockElement === el) document.exitPointerLock?.();
+
+    const onMouseMove = (e) => {
+      if (!locked.current && !(freeCursor && e.buttons & 2)) return;
+      if (isDraggingRef?.current) return;
+      yaw.current -= (e.movementX || 0) * cfg.mouseLook;
+      pitch.current -= (e.movementY || 0) * cfg.mouseLook;
+      pitch.current = clamp(pitch.current, -cfg.maxPitch, cfg.maxPitch);
+    };
+
+    const onClick = () => {
+      if (isDraggingRef?.current || freeCursor) return;
+      if (!document.pointerLockElement) el.requestPointerLock?.();
+    };
+
+    const onContextMenu = (e) => {
+      if (freeCursor) e.preventDefault();
+    };
+
+    document.addEventListener('pointerlockchange', onPointerLockChange);
+    document.addEventListener('mousemove', onMouseMove);
+    el.addEventListener('click', onClick);
+    el.addEventListener('contextmenu', onContextMenu);
+
+    return () => {
+      document.removeEventListener('pointerlockchange', onPointerLockChange);
+      document.removeEventListener('mousemove', onMouseMove);
+      el.removeEventListener('click', onClick);
+      el.removeEventListener('contextmenu', onContextMenu);
+    };
+  }, [cfg, gl.domElement, isDraggingRef, isMobile, freeCursor]);
+
+  // Touch look (mobile)
+  useEffect(() => {
+    if (!isMobile) return undefined;
+    const el = gl.domElement;
+    const maxPitch = cfg.maxPitch - 0.05;
+
+    const down = (e) => {
+      if (!e.isPrimary) return;
+      if (isDraggingRef?.current) return;
+      if (e.clientX < window.innerWidth * 0.5) return;
+      lastTouch.current.id = e.pointerId;
+      lastTouch.current.x = e.clientX;
+      lastTouch.current.y = e.clientY;
+      lastTouch.current.active = true;
+    };
+
+    const move = (e) => {
+      if (!lastTouch.current.active) return;
+      if (lastTouch.current.id !== e.pointerId) return;
+      if (isDraggingRef?.current) return;
+      const dx = e.clientX - lastTouch.current.x;
+      const dy = e.clientY - lastTouch.current.y;
+      lastTouch.current.x = e.clientX;
+      lastTouch.current.y = e.clientY;
+      yaw.current -= dx * cfg.touchLook;
+      pitch.current -= dy * cfg.touchLook;
+      pitch.current = clamp(pitch.current, -maxPitch, maxPitch);
+    };
+
+    const up = (e) => {
+      if (lastTouch.current.id !== e.pointerId) return;
+      lastTouch.current.active = false;
+      lastTouch.current.id = null;
+    };
+
+    el.addEventListener('pointerdown', down, { passive: true });
+    el.addEventListener('pointermove', move, { passive: true });
+    el.addEventListener('pointerup', up, { passive: true });
+    el.addEventListener('pointercancel', up, { passive: true });
+
+    return () => {
+      el.removeEventListener('pointerdown', down);
+      el.removeEventListener('pointermove', move);
+      el.removeEventListener('pointerup', up);
+      el.removeEventListener('pointercancel', up);
+    };
+  }, [cfg, gl.domElement, isDraggingRef, isMobile]);
+
+  const tmpForward = useMemo(() => new THREE.Vector3(), []);
+  const tmpRight = useMemo(() => new THREE.Vector3(), []);
+
+  useFrame((state, dt) => {
+    camera.rotation.set(pitch.current, yaw.current, 0, 'YXZ');
+
+    let mx = 0;
+    let mz = 0;
+
+    if (!isMobile) {
+      const k = keys.current;
+      mx += (k.right ? 1 : 0) - (k.left ? 1 : 0);
+      mz += (k.backward ? 1 : 0) - (k.forward ? 1 : 0);
+    }
+
+    // Joystick y is screen-down, so pushing up (negative y) walks forward
+    const joy = joystickRef?.current || { x: 0, y: 0 };
+    mx += joy.x;
+    mz += joy.y;
+
+    const len = Math.hypot(mx, mz) || 1;
+    mx /= len;
+    mz /= len;
+
+    const sprint = !isMobile && keys.current.sprint;
+    const base = isMobile ? cfg.mobileSpeed : cfg.speed;
+    const speed = sprint ? base * cfg.sprintMul : base;
+
+    camera.getWorldDirection(tmpForward);
+    tmpForward.y = 0;
+    tmpForward.normalize();
+    tmpRight.set(tmpForward.z, 0, -tmpForward.x);
+
+    camera.position.x += (tmpRight.x * mx + tmpForward.x * mz) * speed * dt;
+    camera.position.z += (tmpRight.z * mx + tmpForward.z * mz) * speed * dt;
+
+    const m = cfg.boundsMargin;
+    camera.position.x = clamp(camera.position.x, bounds.minX + m, bounds.maxX - m);
+    camera.position.z = clamp(camera.position.z, bounds.minZ + m, bounds.maxZ - m);
+
+    // Grounded + head bob
+    const moving = Math.abs(mx) + Math.abs(mz) > 0.1;
+    const bob = sprint ? cfg.bob.sprint : cfg.bob.walk;
+    camera.position.y = cfg.eyeHeight + (moving ? Math.sin(state.clock.getElapsedTime() * bob.freq) * bob.amp : 0);
+  });
+
+  return null;
+}
+
+export default PlayerController;
@@ -0,0 +1,106 @@
+/**
+ * @fileoverview Full-screen summon reveal overlay (glow, stars, species)
+ * @module pets-core/components/SummonReveal
+ */
+
+import React from 'react';
+import { SPECIES } from '../species.js';
+import { RARITY_TIERS, GACHA_CONFIG } from '../gacha/rarity.js';
+import { hexToCss } from '../customization/colors.js';
+import { SUMMON_PHASES } from '../hooks/useSummon.js';
+
+/**
+ * Summon reveal overlay. Drive it with the state from useSummon; renders nothing while idle.
+ * Tapping the overlay skips to the end (or closes it once revealed).
+ * @param {Object} props - Component props
+ * @param {import('../hooks/useSummon.js').SummonState} props.state - Summon state
+ * @param {Function} props.onDismiss - Skip / close handler (useSummon's dismiss)
+ * @param {import('../gacha/collection.js').CollectionRegistry} [props.collection] - Pet-dex; marks pulls converted into shards
+ * @param {string} [props.className] - Extra classes for the wrapper
+ * @returns {JSX.Element|null} Overlay
+ */
+export function SummonReveal({ state, onDismiss, collection = null, className = '' }) {
+  const { phase, result, results = [], stars } = state;
+  if (phase === SUMMON_PHASES.IDLE || !result) return null;
+
+  const tier = RARITY_TIERS[result.rarity] ?? RARITY_TIERS.common;
+  const glow = hexToCss(tier.glowColor);
+  const revealed = phase === SUMMON_PHASES.REVEAL;
+  const charged = phase !== SUMMON_PHASES.CHARGING;
+  const sp = SPECIES[result.speciesKey];
+  const converted = (r) => !!collection?.isConverted(r);
+
+  return (
+    <div
+      className={`fixed inset-0 z-[150] flex items-center justify-center bg-black/40 backdrop-blur-sm cursor-pointer ${className}`}
+      onClick={onDismiss}
+    >
+      <div className="flex flex-col items-center gap-4 text-white select-none">
+        {/* Glow orb: white while charging, tier color once the stars land */}
+        <div
+          className="w-40 h-40 rounded-full flex items-center justify-center text-6xl"
+          style={{
+            background: `radial-gradient(circle, ${charged ? glow : '#ffffff'} 0%, rgba(255,255,255,0) 70%)`,
+            transform: `scale(${revealed ? 1.15 : charged ? 1.0 : 0.6})`,
+            transition: `transform ${GACHA_CONFIG.revealDelay}ms ease-out, background 300ms`
+          }}
+        >
+          <span style={{ opacity: revealed ? 1 : 0, transition: 'opacity 300ms' }}>
+            {sp?.emoji ?? '✨'}
+          </span>
+        </div>
+
+        {/* Stars */}
+        <div className="flex gap-2 h-8 text-3xl">
+          {Array.from({ length: tier.starCount }, (_, i) => (
+            <span
+              key={i}
+              style={{
+                color: hexToCss(tier.color),
+                opacity: i < stars ? 1 : 0,
+                transform: `scale(${i < stars ? 1 : 2.2})`,
+                transition: `opacity ${GACHA_CONFIG.starAnimationDelay}ms, transform ${GACHA_CONFIG.starAnimationDelay}ms ease-out`
+              }}
+            >
+              ★
+            </span>
+          ))}
+        </div>
+
+        <div className="h-14 text-center" style={{ opacity: revealed ? 1 : 0, transition: 'opacity 300ms' }}>
+          <div className="text-xl font-bold">{sp?.label ?? result.speciesKey}</div>
+          <div className="text-sm" style={{ color: glow }}>
+            {tier.name}
+            {result.isPity && ' • Pity'}
+            {result.isGuaranteed && ' • Guaranteed'}
+            {result.isRateUp && ' • Rate up'}
+            {converted(result) && ' • Duplicate → shards'}
+          </div>
+        </div>
+
+        {/* Multi-pull: every pet of the batch */}
+        {results.length > 1 && (
+          <div
+            className="grid grid-cols-5 gap-2 text-2xl"
+            style={{ opacity: revealed ? 1 : 0, transition: 'opacity 300ms' }}
+          >
+            {results.map((r, i) => (
+              <span
+                key={i}
+                title={`${SPECIES[r.speciesKey]?.label ?? r.speciesKey} (${RARITY_TIERS[r.rarity]?.name ?? r.rarity})${converted(r) ? ' • duplicate → shards' : ''}`}
+                className={`w-10 h-10 rounded-full flex items-center justify-center ${converted(r) ? 'opacity-50' : ''}`}
+                style={{ boxShadow: `0 0 12px ${hexToCss(RARITY_TIERS[r.rarity]?.glowColor ?? tier.glowColor)}` }}
+              >
+                {SPECIES[r.speciesKey]?.emoji ?? '✨'}
+              </span>
+            ))}
+          </div>
+        )}
+
+        <div className="text-[11px] text-white/60">{revealed ? 'Tap to close' : 'Tap to skip'}</div>
+      </div>
+    </div>
+  );
+}
+
+export default SummonReveal;
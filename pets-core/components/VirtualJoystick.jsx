@@ -0,0 +1,107 @@
+/**
+ * @fileoverview On-screen movement joystick for touch devices
+ * @module pets-core/components/VirtualJoystick
+ */
+
+import React, { useEffect, useRef } from 'react';
+import { clamp } from '../utils.js';
+
+/** Knob travel radius in pixels */
+const RADIUS = 46;
+
+/** Class sets per HUD tone (light scenes get dark outlines, dark scenes light ones) */
+const TONES = {
+  light: {
+    base: 'border-black/10 bg-white/30',
+    knob: 'bg-white/40 border-black/10',
+    label: 'text-black/60'
+  },
+  dark: {
+    base: 'border-white/15 bg-white/10',
+    knob: 'bg-white/20 border-white/20',
+    label: 'text-white/60'
+  }
+};
+
+/**
+ * Joystick in the bottom-left corner. Reports the knob offset in -1..1 per axis
+ * (y is screen-down, so pushing up gives a negative y = walk forward).
+ * @param {Object} props - Component props
+ * @param {function({x: number, y: number}): void} props.onChange - Called on every move and on release
+ * @param {'light'|'dark'} [props.tone='light'] - Color scheme
+ * @param {string} [props.className] - Extra classes for the wrapper (e.g. z-index)
+ * @returns {JSX.Element} Joystick
+ */
+export function VirtualJoystick({ onChange, tone = 'light', className = 'z-[80]' }) {
+  const baseRef = useRef(null);
+  const knobRef = useRef(null);
+  const state = useRef({ id: null, cx: 0, cy: 0 });
+
+  const onChangeRef = useRef(onChange);
+  onChangeRef.current = onChange;
+
+  useEffect(() => {
+    const base = baseRef.current;
+    if (!base) return undefined;
+
+    const down = (e) => {
+      if (!e.isPrimary) return;
+      state.current.id = e.pointerId;
+      const rect = base.getBoundingClientRect();
+      state.current.cx = rect.left + rect.width / 2;
+      state.current.cy = rect.top + rect.height / 2;
+      base.setPointerCapture?.(e.pointerId);
+    };
+
+    const move = (e) => {
+      if (e.pointerId !== state.current.id) return;
+      const dx = e.clientX - state.current.cx;
+      const dy = e.clientY - state.current.cy;
+      const len = Math.hypot(dx, dy) || 1;
+
+      if (knobRef.current) {
+        const kx = (dx / len) * Math.min(RADIUS, len);
+        const ky = (dy / len) * Math.min(RADIUS, len);
+        knobRef.current.style.transform = `translate(${kx}px, ${ky}px)`;
+      }
+
+      onChangeRef.current?.({ x: clamp(dx / RADIUS, -1, 1), y: clamp(dy / RADIUS, -1, 1) });
+    };
+
+    const up = (e) => {
+      if (e.pointerId !== state.current.id) return;
+      state.current.id = null;
+      if (knobRef.current) knobRef.current.style.transform = 'translate(0px, 0px)';
+      onChangeRef.current?.({ x: 0, y: 0 });
+    };
+
+    base.addEventListener('pointerdown', down, { passive: true });
+    window.addEventListener('pointermove', move, { passive: true });
+    window.addEventListener('pointerup', up, { passive: true });
+    window.addEventListener('pointercancel', up, { passive: true });
+
+    return () => {
+      base.removeEventListener('pointerdown', down);
+      window.removeEventListener('pointermove', move);
+      window.removeEventListener('pointerup', up);
+      window.removeEventListener('pointercancel', up);
+    };
+  }, []);
+
+  const colors = TONES[tone] ?? TONES.light;
+
+  return (
+    <div className={`fixed bottom-5 left-5 select-none ${className}`}>
+      <div
+        ref={baseRef}
+        className={`w-[120px] h-[120px] rounded-full border backdrop-blur-md flex items-center justify-center ${colors.base}`}
+        style={{ touchAction: 'none' }}
+      >
+        <div ref={knobRef} className={`w-[56px] h-[56px] rounded-full border ${colors.knob}`} />
+      </div>
+      <div className={`mt-2 text-[11px] ${colors.label}`}>Move</div>
+    </div>
+  );
+}
+
+export default VirtualJoystick;
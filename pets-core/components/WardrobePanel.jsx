@@ -0,0 +1,262 @@
+/**
+ * @fileoverview Wardrobe panel: body/accent colors, coat pattern and accessory slots for one pet
+ * @module pets-core/components/WardrobePanel
+ *
+ * Every change is written straight through `onUpdate`, so the pet in the scene previews
+ * it live and the save picks it up. "Revert" restores the look the pet had when the panel
+ * was opened. With a wallet, accessories not yet owned show their price and are bought on
+ * first pick (purchases are not reverted).
+ *
+ * @example
+ * // usePetState (PetHud mounts it this way)
+ * <WardrobePanel petId={id} pets={pets} onUpdate={updatePet} wallet={wallet} />
+ *
+ * // Inside a PetProvider
+ * const { pets, updatePet, wallet } = usePetContext();
+ * <WardrobePanel petId={id} pets={pets} onUpdate={updatePet} wallet={wallet} />
+ */
+
+import React, { useRef, useState } from 'react';
+import { SPECIES } from '../species.js';
+import {
+  COLOR_PALETTES,
+  DEFAULT_ACCENT_COLOR,
+  getRecommendedPalettes,
+  getPaletteColors,
+  getAccentColor,
+  lightenColor,
+  hexToCss,
+  cssToHex
+} from '../customization/colors.js';
+import { ACCESSORIES, ACCESSORY_SLOTS, canWearAccessory, equipAccessory, unequipSlot } from '../customization/accessories.js';
+import { PATTERN_TYPES, getPatternColors } from '../customization/patterns.js';
+import { getAccessoryPrice } from '../economy/wallet.js';
+import { useWallet } from '../hooks/useWallet.js';
+import { petEvents, PET_EVENTS } from '../events/PetEventEmitter.js';
+
+/** Slot labels */
+const SLOT_LABELS = {
+  hat: 'Hat',
+  bow: 'Bow',
+  glasses: 'Glasses',
+  collar: 'Collar',
+  wings: 'Wings',
+  tail: 'Tail'
+};
+
+/** Pet fields the panel edits (and Revert restores) */
+const LOOK_FIELDS = ['bodyColor', 'accentColor', 'pattern', 'equipment'];
+
+/**
+ * Row of color swatches
+ * @private
+ */
+function Swatches({ colors, value, onPick }) {
+  return (
+    <div className="flex flex-wrap gap-1.5">
+      {colors.map(c => (
+        <button
+          key={c}
+          type="button"
+          title={hexToCss(c)}
+          onClick={() => onPick(c)}
+          className={`w-6 h-6 rounded-full border ${c === value ? 'border-black/70 ring-2 ring-white/70' : 'border-black/10'}`}
+          style={{ background: hexToCss(c) }}
+        />
+      ))}
+    </div>
+  );
+}
+
+/**
+ * Customization panel for one pet
+ * @param {Object} props - Component props
+ * @param {string} props.petId - Pet to dress up
+ * @param {Object[]} props.pets - Current pets
+ * @param {function(string, Object): void} props.onUpdate - Update a pet's properties (usePetState/PetContext updatePet)
+ * @param {import('../economy/wallet.js').Wallet|null} [props.wallet] - Wallet for accessory prices (null: everything free)
+ * @param {Function} [props.onClose] - Close handler
+ * @param {string} [props.className] - Extra classes for the wrapper
+ * @returns {JSX.Element|null} Panel
+ */
+export function WardrobePanel({ petId, pets, onUpdate, wallet = null, onClose, className = '' }) {
+  const { balance } = useWallet(wallet ?? undefined);
+  const pet = pets.find(p => p.id === petId);
+  const [showAll, setShowAll] = useState(false);
+
+  // Look at open time (per pet), for Revert
+  const original = useRef(null);
+  if (pet && original.current?.petId !== pet.id) {
+    original.current = { petId: pet.id, look: Object.fromEntries(LOOK_FIELDS.map(k => [k, pet[k] ?? null])) };
+  }
+
+  if (!pet) return null;
+
+  const accent = pet.accentColor ?? DEFAULT_ACCENT_COLOR;
+  const paletteKeys = showAll ? Object.keys(COLOR_PALETTES) : getRecommendedPalettes(pet.speciesKey);
+  const setColors = (patch) => onUpdate(pet.id, patch);
+  const owns = (id) => !wallet || wallet.ownsAccessory(id);
+  const pickAccessory = (slot, id) => {
+    const worn = pet.equipment?.[slot];
+    if (!id) {
+      if (!worn) return;
+      onUpdate(pet.id, { equipment: unequipSlot(pet.equipment, slot) });
+      petEvents.emit(PET_EVENTS.ACCESSORY_UNEQUIPPED, { petId: pet.id, accessoryId: worn, slot });
+      return;
+    }
+    if (!owns(id) && !wallet.buyAccessory(id)) return;
+    const { equipment, removed, blocked } = equipAccessory(pet.equipment, id, pet.speciesKey);
+    if (blocked) return;
+    onUpdate(pet.id, { equipment });
+    for (const off of removed) {
+      petEvents.emit(PET_EVENTS.ACCESSORY_UNEQUIPPED, { petId: pet.id, accessoryId: off, slot: ACCESSORIES[off].slot });
+    }
+    petEvents.emit(PET_EVENTS.ACCESSORY_EQUIPPED, { petId: pet.id, accessoryId: id, slot });
+  };
+  const setPattern = (type) => setColors({
+    pattern: type ? { ...getPatternColors(pet.bodyColor), scale: 1, seed: 0, ...pet.pattern, type } : null
+  });
+
+  return (
+    <div className={`rounded-2xl border border-black/10 bg-white/35 backdrop-blur-md px-4 py-3 text-black w-[300px] max-w-[94vw] ${className}`}>
+      <div className="flex items-start justify-between gap-3">
+        <div>
+          <div className="text-lg font-bold leading-tight">{pet.name}</div>
+          <div className="text-xs text-black/70">
+            {SPECIES[pet.speciesKey]?.label ?? 'Pet'} • Wardrobe{wallet && <> • 🪙 {balance}</>}
+          </div>
+        </div>
+        {onClose && (
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-2 py-1 rounded-xl bg-white/30 hover:bg-white/45 border border-black/10 text-sm"
+          >
+            Done
+          </button>
+        )}
+      </div>
+
+      {/* Body color */}
+      <div className="mt-3 text-[11px] text-black/60">Body color</div>
+      <div className="mt-1 space-y-2">
+        {paletteKeys.map(key => (
+          <div key={key}>
+            <div className="text-[11px] text-black/50">{COLOR_PALETTES[key].name}</div>
+            <Swatches
+              colors={getPaletteColors(key)}
+              value={pet.bodyColor}
+              onPick={(c) => setColors({ bodyColor: c })}
+            />
+          </div>
+        ))}
+      </div>
+      <div className="mt-2 flex items-center gap-2 text-[11px] text-black/60">
+        <label className="flex items-center gap-1">
+          Custom
+          <input
+            type="color"
+            value={hexToCss(pet.bodyColor)}
+            onChange={(e) => setColors({ bodyColor: cssToHex(e.target.value) })}
+            className="w-7 h-6 bg-transparent"
+          />
+        </label>
+        <button
+          type="button"
+          onClick={() => setShowAll(v => !v)}
+          className="ml-auto px-2 py-1 rounded-xl bg-white/30 hover:bg-white/45 border border-black/10"
+        >
+          {showAll ? 'Recommended' : 'All palettes'}
+        </button>
+      </div>
+
+      {/* Accent (belly) color */}
+      <div className="mt-3 text-[11px] text-black/60">Belly color</div>
+      <div className="mt-1 flex items-center gap-2">
+        <Swatches
+          colors={[DEFAULT_ACCENT_COLOR, lightenColor(pet.bodyColor, 0.6), getAccentColor(pet.bodyColor)]}
+          value={accent}
+          onPick={(c) => setColors({ accentColor: c === DEFAULT_ACCENT_COLOR ? null : c })}
+        />
+        <input
+          type="color"
+          value={hexToCss(accent)}
+          onChange={(e) => setColors({ accentColor: cssToHex(e.target.value) })}
+          className="w-7 h-6 bg-transparent"
+        />
+      </div>
+
+      {/* Pattern */}
+      <div className="mt-3 text-[11px] text-black/60">Pattern</div>
+      <div className="mt-1 flex items-center gap-2">
+        <select
+          value={pet.pattern?.type ?? ''}
+          onChange={(e) => setPattern(e.target.value)}
+          className="flex-1 px-2 py-1 rounded-xl bg-white/40 border border-black/10 text-sm"
+        >
+          <option value="">Plain</option>
+          {Object.values(PATTERN_TYPES).map(t => <option key={t.id} value={t.id}>{t.name}</option>)}
+        </select>
+        {pet.pattern && (
+          <input
+            type="color"
+            value={hexToCss(pet.pattern.color)}
+            onChange={(e) => setColors({ pattern: { ...pet.pattern, color: cssToHex(e.target.value) } })}
+            className="w-7 h-6 bg-transparent"
+          />
+        )}
+        {pet.pattern?.type === 'calico' && (
+          <input
+            type="color"
+            value={hexToCss(pet.pattern.color2 ?? pet.pattern.color)}
+            onChange={(e) => setColors({ pattern: { ...pet.pattern, color2: cssToHex(e.target.value) } })}
+            className="w-7 h-6 bg-transparent"
+          />
+        )}
+      </div>
+
+      {/* Accessories */}
+      <div className="mt-3 text-[11px] text-black/60">Accessories</div>
+      <div className="mt-1 space-y-1.5">
+        {ACCESSORY_SLOTS.map(slot => {
+          const options = Object.values(ACCESSORIES)
+            .filter(a => a.slot === slot && canWearAccessory(a.id, pet.speciesKey));
+          if (options.length === 0) return null;
+          const worn = pet.equipment?.[slot] ?? '';
+          return (
+            <label key={slot} className="flex items-center gap-2 text-sm">
+              <span className="w-16 text-[11px] text-black/60">{SLOT_LABELS[slot]}</span>
+              <select
+                value={worn}
+                onChange={(e) => pickAccessory(slot, e.target.value)}
+                className="flex-1 px-2 py-1 rounded-xl bg-white/40 border border-black/10"
+              >
+                <option value="">None</option>
+                {options.map(a => {
+                  const price = owns(a.id) ? 0 : getAccessoryPrice(a.id);
+                  return (
+                    <option key={a.id} value={a.id} disabled={price > balance}>
+                      {price ? `${a.name} — 🪙 ${price}` : a.name}
+                    </option>
+                  );
+                })}
+              </select>
+            </label>
+          );
+        })}
+      </div>
+
+      <div className="mt-3 flex justify-end">
+        <button
+          type="button"
+          onClick={() => onUpdate(pet.id, original.current.look)}
+          className="px-3 py-1.5 rounded-xl bg-white/30 hover:bg-white/45 border border-black/10 text-sm"
+        >
+          Revert
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default WardrobePanel;
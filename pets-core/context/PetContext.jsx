@@ -3,15 +3,28 @@
  * @module pets-core/context/PetContext
  */
 
-import React, { createContext, useContext, useCallback, useRef, useEffect, useState } from 'react';
+import React, { createContext, useContext, useCallback, useRef, useEffect } from 'react';
 import { petEvents, PET_EVENTS } from '../events/PetEventEmitter.js';
 import { memoryRegistry } from '../memory/guardian.js';
 import { obstacleRegistry } from '../environment/obstacles.js';
 import { restSpotRegistry } from '../environment/restSpots.js';
+import { usePersistedPets } from '../hooks/usePersistedPets.js';
+import { useOfflineCatchUp } from '../hooks/useOfflineCatchUp.js';
+import { getStorageKey, randId } from '../utils.js';
+import { createNeeds, satisfyNeed as satisfyNeedState } from '../ai/needs.js';
+import { generateTraits } from '../ai/personality.js';
+import { ACCESSORIES, sanitizeEquipment, equipAccessory, unequipSlot } from '../customization/accessories.js';
+import { wallet as defaultWallet } from '../economy/wallet.js';
+import { collectionRegistry } from '../gacha/collection.js';
+
+/** Theme saves imported when the provider has no save of its own */
+const LEGACY_STORAGE_KEYS = [getStorageKey('garden'), getStorageKey('space')];
 
 /**
  * @typedef {Object} PetContextValue
  * @property {Object[]} pets - Array of pet data
+ * @property {boolean} hydrated - True once the saved pets have been loaded
+ * @property {Object|null} awaySummary - Offline catch-up summary from the last load
  * @property {Function} addPet - Add a new pet
  * @property {Function} removePet - Remove a pet
  * @property {Function} updatePet - Update pet properties
@@ -19,6 +32,11 @@ import { restSpotRegistry } from '../environment/restSpots.js';
  * @property {Function} assignToMemory - Assign pet as memory guardian
  * @property {Function} unassignFromMemory - Remove guardian assignment
  * @property {Function} getAssignedMemory - Get pet's assigned memory
+ * @property {Function} satisfyNeed - Raise a pet need (hunger, energy, hygiene, social)
+ * @property {Function} equip - Put an accessory on a pet (conflicting ones come off)
+ * @property {Function} unequip - Take off a pet's accessory in a slot
+ * @property {import('../economy/wallet.js').Wallet|null} wallet - Coin wallet (null when the economy is off)
+ * @property {import('../gacha/collection.js').CollectionRegistry|null} collection - Pet-dex (null when off)
  * @property {Object} registries - Access to registries
  */
 
@@ -28,30 +46,49 @@ const PetContext = createContext(null);
  * Pet context provider component
  * @param {Object} props - Provider props
  * @param {React.ReactNode} props.children - Child components
- * @param {string} [props.storageKey='mindPalace:pets:v2'] - localStorage key
+ * @param {string} [props.storageKey='mindPalace:pets:v2'] - Storage key
  * @param {number} [props.maxPets=12] - Maximum allowed pets
+ * @param {string[]} [props.legacyKeys] - Older save keys to migrate from when storageKey is empty
+ * @param {import('../persistence/adapters.js').StorageAdapter} [props.adapter] - Storage adapter
+ * @param {Object|false} [props.offlineCatchUp] - Offline simulation options ({bounds, rugs}), false to disable
+ * @param {import('../economy/wallet.js').Wallet|null} [props.wallet] - Wallet that earns from petting, bond milestones and daily visits (null to disable)
+ * @param {import('../gacha/collection.js').CollectionRegistry|null} [props.collection] - Pet-dex that logs pulls and pets (null to disable)
  */
-export function PetProvider({ children, storageKey = 'mindPalace:pets:v2', maxPets = 12 }) {
+export function PetProvider({
+  children,
+  storageKey = 'mindPalace:pets:v2',
+  maxPets = 12,
+  legacyKeys = LEGACY_STORAGE_KEYS,
+  adapter,
+  offlineCatchUp = {},
+  wallet = defaultWallet,
+  collection = collectionRegistry
+}) {
+  // Advance saved pets through the time the app was closed
+  const { onLoad, summary: awaySummary, dismissSummary } = useOfflineCatchUp(offlineCatchUp);
+
   // Pet state
-  const [pets, setPets] = useState(() => {
-    try {
-      const saved = localStorage.getItem(storageKey);
-      if (saved) return JSON.parse(saved);
-    } catch {}
-    return [];
-  });
+  const [pets, setPets, hydrated] = usePersistedPets(storageKey, { legacyKeys, adapter, onLoad });
 
   const petsRef = useRef(pets);
   useEffect(() => {
     petsRef.current = pets;
   }, [pets]);
 
-  // Persist on change
+  // Economy: earn from pet events, daily visit bonus once per mount
+  useEffect(() => {
+    if (!wallet) return undefined;
+    const detach = wallet.attach(petEvents);
+    wallet.ready.then(() => wallet.checkIn());
+    return detach;
+  }, [wallet]);
+
+  // Pet-dex: log pulls and spawns, and the pets already in the save
+  useEffect(() => collection?.attach({ wallet }), [collection, wallet]);
   useEffect(() => {
-    try {
-      localStorage.setItem(storageKey, JSON.stringify(pets));
-    } catch {}
-  }, [pets, storageKey]);
+    if (!collection || !hydrated) return undefined;
+    collection.ready.then(() => petsRef.current.forEach(p => collection.recordPet(p)));
+  }, [collection, hydrated]);
 
   // Pet API maps
   const petAPIs = useRef(new Map());
@@ -70,12 +107,16 @@ export function PetProvider({ children, storageKey = 'mindPalace:pets:v2', maxPe
   const addPet = useCallback((petData) => {
     if (petsRef.current.length >= maxPets) return null;
     const newPet = {
-      id: `pet_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+      id: `pet_${Date.now()}_${randId().slice(0, 6)}`,
       ...petData,
       bondLevel: 0,
       happiness: 0.5,
       activityHistory: [],
       assignedMemoryId: null,
+      needs: createNeeds(),
+      // Bred pets pass inherited traits (inheritTraits); everyone else rolls their own
+      traits: petData.traits ?? generateTraits(undefined, petData.speciesKey),
+      equipment: sanitizeEquipment(petData.equipment, petData.speciesKey),
       createdAt: Date.now()
     };
     setPets(prev => [...prev, newPet]);
@@ -153,6 +194,51 @@ export function PetProvider({ children, storageKey = 'mindPalace:pets:v2', maxPe
     petEvents.emit(PET_EVENTS.HAPPINESS_CHANGED, { petId, value: newHappiness });
   }, [getPet, updatePet]);
 
+  /**
+   * Raise one of a pet's needs (feed, wash, play...)
+   */
+  const satisfyNeed = useCallback((petId, need, amount = 0.25) => {
+    // Live pets own their needs state; update it through the runtime API
+    const api = petAPIs.current.get(petId);
+    if (api?.satisfyNeed) {
+      api.satisfyNeed(need, amount);
+      return;
+    }
+    const pet = getPet(petId);
+    if (!pet) return;
+    const next = satisfyNeedState({ ...(pet.needs ?? createNeeds()) }, need, amount);
+    updatePet(petId, { needs: next });
+    petEvents.emit(PET_EVENTS.NEED_SATISFIED, { petId, need, value: next[need] });
+  }, [getPet, updatePet]);
+
+  /**
+   * Put an accessory on a pet, taking off anything it conflicts with
+   * @returns {string[]|null} Accessory IDs taken off, or null if the pet can't wear it
+   */
+  const equip = useCallback((petId, accessoryId) => {
+    const pet = getPet(petId);
+    if (!pet) return null;
+    const { equipment, removed, blocked } = equipAccessory(pet.equipment, accessoryId, pet.speciesKey);
+    if (blocked) return null;
+    updatePet(petId, { equipment });
+    for (const id of removed) {
+      petEvents.emit(PET_EVENTS.ACCESSORY_UNEQUIPPED, { petId, accessoryId: id, slot: ACCESSORIES[id].slot });
+    }
+    petEvents.emit(PET_EVENTS.ACCESSORY_EQUIPPED, { petId, accessoryId, slot: ACCESSORIES[accessoryId].slot });
+    return removed;
+  }, [getPet, updatePet]);
+
+  /**
+   * Take off whatever a pet wears in a slot
+   */
+  const unequip = useCallback((petId, slot) => {
+    const pet = getPet(petId);
+    const accessoryId = pet?.equipment?.[slot];
+    if (!accessoryId) return;
+    updatePet(petId, { equipment: unequipSlot(pet.equipment, slot) });
+    petEvents.emit(PET_EVENTS.ACCESSORY_UNEQUIPPED, { petId, accessoryId, slot });
+  }, [getPet, updatePet]);
+
   /**
    * Increase pet bond level
    */
@@ -191,6 +277,9 @@ export function PetProvider({ children, storageKey = 'mindPalace:pets:v2', maxPe
     // State
     pets,
     petsRef,
+    hydrated,
+    awaySummary,
+    dismissAwaySummary: dismissSummary,
     
     // CRUD
     addPet,
@@ -206,8 +295,17 @@ export function PetProvider({ children, storageKey = 'mindPalace:pets:v2', maxPe
     // Stats
     increaseHappiness,
     increaseBond,
+    satisfyNeed,
     logActivity,
     
+    // Customization
+    equip,
+    unequip,
+    
+    // Economy
+    wallet,
+    collection,
+    
     // Runtime
     registerPetAPI,
     getPetAPI,
@@ -4,16 +4,71 @@
  */
 
 import * as THREE from 'three';
+import { getPetAnchors } from '../geometry.js';
+import { getSpecies, onSpeciesChange } from '../species.js';
+import { getLoadedPetModel } from '../models.js';
+import { clamp } from '../utils.js';
 
 /**
  * @typedef {Object} AccessoryConfig
  * @property {string} id - Accessory ID
  * @property {string} name - Display name
- * @property {'hat'|'collar'|'wings'|'bow'|'glasses'} slot - Accessory slot
+ * @property {'hat'|'collar'|'wings'|'bow'|'glasses'|'tail'} slot - Accessory slot
  * @property {string} variant - Style variant
- * @property {number} [color] - Custom color (optional)
+ * @property {number} [color] - Custom color (optional, defaults to ACCESSORY_SLOT_COLORS)
+ * @property {string[]} [blocks] - Extra slots this accessory can't be worn with
  */
 
+/**
+ * Pet equipment: accessory ID per slot
+ * @typedef {Object.<string, string>} Equipment
+ */
+
+/**
+ * Accessory slots, in render order
+ * @type {string[]}
+ */
+export const ACCESSORY_SLOTS = ['hat', 'bow', 'glasses', 'collar', 'wings', 'tail'];
+
+/**
+ * Pet part each slot is parented to (so it follows that part's animation)
+ *  - head: head group (tilt)
+ *  - ear: right ear (twitch)
+ *  - body: pet root (bob, rock, squash)
+ *  - tail: tail group (wag)
+ * @type {Object.<string, 'head'|'ear'|'body'|'tail'>}
+ */
+export const SLOT_ANCHORS = {
+  hat: 'head',
+  bow: 'ear',
+  glasses: 'head',
+  collar: 'body',
+  wings: 'body',
+  tail: 'tail'
+};
+
+/**
+ * Slots that can't be worn together (symmetric)
+ * @type {Object.<string, string[]>}
+ */
+export const SLOT_CONFLICTS = {
+  hat: ['bow'],
+  bow: ['hat']
+};
+
+/**
+ * Default color per slot
+ * @type {Object.<string, number>}
+ */
+export const ACCESSORY_SLOT_COLORS = {
+  hat: 0x3d3d4e,
+  bow: 0xff7eb6,
+  glasses: 0x2b2b2b,
+  collar: 0xd94f4f,
+  wings: 0xfff7ef,
+  tail: 0xff7eb6
+};
+
 /**
  * Accessory definitions
  */
@@ -21,9 +76,9 @@ export const ACCESSORIES = {
   // Hats
   topHat: { id: 'topHat', name: 'Top Hat', slot: 'hat', variant: 'cylinder' },
   partyHat: { id: 'partyHat', name: 'Party Hat', slot: 'hat', variant: 'cone' },
-  crown: { id: 'crown', name: 'Crown', slot: 'hat', variant: 'crown' },
-  beret: { id: 'beret', name: 'Beret', slot: 'hat', variant: 'beret' },
-  wizardHat: { id: 'wizardHat', name: 'Wizard Hat', slot: 'hat', variant: 'wizard' },
+  crown: { id: 'crown', name: 'Crown', slot: 'hat', variant: 'crown', color: 0xf2c94c },
+  beret: { id: 'beret', name: 'Beret', slot: 'hat', variant: 'beret', color: 0xc0392b },
+  wizardHat: { id: 'wizardHat', name: 'Wizard Hat', slot: 'hat', variant: 'wizard', color: 0x5b4b9a, blocks: ['glasses'] },
   
   // Collars
   basicCollar: { id: 'basicCollar', name: 'Basic Collar', slot: 'collar', variant: 'basic' },
@@ -33,15 +88,18 @@ export const ACCESSORIES = {
   
   // Wings
   angelWings: { id: 'angelWings', name: 'Angel Wings', slot: 'wings', variant: 'angel' },
-  batWings: { id: 'batWings', name: 'Bat Wings', slot: 'wings', variant: 'bat' },
-  butterflyWings: { id: 'butterflyWings', name: 'Butterfly Wings', slot: 'wings', variant: 'butterfly' },
+  batWings: { id: 'batWings', name: 'Bat Wings', slot: 'wings', variant: 'bat', color: 0x4a3b5c },
+  butterflyWings: { id: 'butterflyWings', name: 'Butterfly Wings', slot: 'wings', variant: 'butterfly', color: 0x9ad0ff },
   
   // Bows
   headBow: { id: 'headBow', name: 'Head Bow', slot: 'bow', variant: 'ribbon' },
   
+  // Tail
+  tailBow: { id: 'tailBow', name: 'Tail Bow', slot: 'tail', variant: 'ribbon' },
+  
   // Glasses
   roundGlasses: { id: 'roundGlasses', name: 'Round Glasses', slot: 'glasses', variant: 'round' },
-  starGlasses: { id: 'starGlasses', name: 'Star Glasses', slot: 'glasses', variant: 'star' }
+  starGlasses: { id: 'starGlasses', name: 'Star Glasses', slot: 'glasses', variant: 'star', color: 0xffd23f }
 };
 
 // Geometry cache
@@ -128,16 +186,16 @@ export function createCollarGeometry(variant = 'basic') {
   return getCachedGeo(`collar_${variant}`, () => {
     switch (variant) {
       case 'basic':
-        return new THREE.TorusGeometry(0.22, 0.03, 8, 24);
+        return new THREE.TorusGeometry(0.22, 0.03, 8, 24).rotateX(Math.PI / 2);
         
       case 'bell':
-        const ring = new THREE.TorusGeometry(0.22, 0.025, 8, 24);
+        const ring = new THREE.TorusGeometry(0.22, 0.025, 8, 24).rotateX(Math.PI / 2);
         const bell = new THREE.SphereGeometry(0.06, 8, 6);
         bell.translate(0, -0.08, 0.20);
         return mergeGeos([ring, bell]);
         
       case 'spike':
-        const spikeRing = new THREE.TorusGeometry(0.23, 0.03, 8, 24);
+        const spikeRing = new THREE.TorusGeometry(0.23, 0.03, 8, 24).rotateX(Math.PI / 2);
         const spikes = [];
         for (let i = 0; i < 6; i++) {
           const spike = new THREE.ConeGeometry(0.025, 0.08, 4);
@@ -161,7 +219,7 @@ export function createCollarGeometry(variant = 'basic') {
         return mergeGeos([left, right, knot]);
         
       default:
-        return new THREE.TorusGeometry(0.22, 0.03, 8, 24);
+        return new THREE.TorusGeometry(0.22, 0.03, 8, 24).rotateX(Math.PI / 2);
     }
   });
 }
@@ -330,8 +388,10 @@ function mergeGeos(geometries) {
 }
 
 /**
- * Get accessory attachment position for a slot
- * @param {'hat'|'collar'|'wings'|'bow'|'glasses'} slot - Accessory slot
+ * Get accessory attachment position for a slot, relative to the slot's anchor (SLOT_ANCHORS).
+ * Head and body anchors share the pet's origin; ear offsets are from the ear's base.
+ * Same offsets for every species; use fitAccessory to fit a specific species.
+ * @param {'hat'|'collar'|'wings'|'bow'|'glasses'|'tail'} slot - Accessory slot
  * @param {number} scale - Pet scale
  * @returns {{position: [number, number, number], rotation: [number, number, number]}} Attachment transform
  */
@@ -341,21 +401,268 @@ export function getAccessoryAttachment(slot, scale = 1) {
     case 'hat':
       return { position: [0, 1.35 * s, 0.05 * s], rotation: [0, 0, 0] };
     case 'collar':
-      return { position: [0, 0.65 * s, 0], rotation: [Math.PI / 2, 0, 0] };
+      return { position: [0, 0.65 * s, 0], rotation: [0, 0, 0] };
     case 'wings':
       return { position: [0, 0.85 * s, -0.15 * s], rotation: [0, 0, 0] };
     case 'bow':
-      return { position: [0.18 * s, 1.25 * s, 0.12 * s], rotation: [0, 0, 0.2] };
+      return { position: [0, 0.12 * s, 0.06 * s], rotation: [0, 0, 0.2] };
     case 'glasses':
       return { position: [0, 1.08 * s, 0.42 * s], rotation: [0, 0, 0] };
+    case 'tail':
+      return { position: [0, 0.86 * s, -0.54 * s], rotation: [0, Math.PI, 0] };
     default:
       return { position: [0, 1, 0], rotation: [0, 0, 0] };
   }
 }
 
+/**
+ * Get the geometry for an accessory (wings come as a left/right pair)
+ * @param {string} accessoryId - Accessory ID
+ * @returns {THREE.BufferGeometry|{left: THREE.BufferGeometry, right: THREE.BufferGeometry}|null} Geometry
+ */
+export function getAccessoryGeometry(accessoryId) {
+  const acc = ACCESSORIES[accessoryId];
+  if (!acc) return null;
+  switch (acc.slot) {
+    case 'hat': return createHatGeometry(acc.variant);
+    case 'collar': return createCollarGeometry(acc.variant);
+    case 'wings': return createWingGeometry(acc.variant);
+    case 'glasses': return createGlassesGeometry(acc.variant);
+    case 'bow':
+    case 'tail': return createBowGeometry();
+    default: return null;
+  }
+}
+
+/**
+ * Display color of an accessory
+ * @param {string} accessoryId - Accessory ID
+ * @returns {number} Color hex
+ */
+export function getAccessoryColor(accessoryId) {
+  const acc = ACCESSORIES[accessoryId];
+  return acc?.color ?? ACCESSORY_SLOT_COLORS[acc?.slot] ?? 0xffffff;
+}
+
+/**
+ * Species anchor (geometry.js PetAnchors) each slot is fitted to
+ * @type {Object.<string, string>}
+ */
+export const SLOT_FIT_ANCHORS = {
+  hat: 'headTop',
+  bow: 'ear',
+  glasses: 'face',
+  collar: 'neck',
+  wings: 'back',
+  tail: 'tail'
+};
+
+// Fitted transforms per accessory|species
+const FIT_CACHE = new Map();
+
+// Re-registering a species can change its anchors and scale, so drop its fits
+onSpeciesChange((speciesKey) => {
+  const suffix = `|${speciesKey}`;
+  for (const key of FIT_CACHE.keys()) {
+    if (key.endsWith(suffix)) FIT_CACHE.delete(key);
+  }
+});
+
+/**
+ * Unscaled accessory size (bounding box of its geometry)
+ * @param {string} accessoryId - Accessory ID
+ * @returns {{width: number, height: number, depth: number}|null} Size
+ */
+export function getAccessorySize(accessoryId) {
+  const geo = getAccessoryGeometry(accessoryId);
+  if (!geo) return null;
+  const box = new THREE.Box3();
+  for (const g of geo.isBufferGeometry ? [geo] : [geo.left, geo.right]) {
+    if (!g.boundingBox) g.computeBoundingBox();
+    box.union(g.boundingBox);
+  }
+  return {
+    width: box.max.x - box.min.x,
+    height: box.max.y - box.min.y,
+    depth: box.max.z - box.min.z
+  };
+}
+
+/**
+ * Check whether a species can wear an accessory (e.g. dragons already have wings, and
+ * glTF models without an ear node have nowhere to put ear accessories)
+ * @param {string} accessoryId - Accessory ID
+ * @param {string} [speciesKey] - Species key (any species fits if omitted)
+ * @returns {boolean} True if wearable
+ */
+export function canWearAccessory(accessoryId, speciesKey) {
+  const acc = ACCESSORIES[accessoryId];
+  if (!acc) return false;
+  if (!speciesKey) return true;
+  const anchor = SLOT_FIT_ANCHORS[acc.slot];
+  if (anchor === 'ear' && getLoadedPetModel(speciesKey)?.parts.earRight === false) return false;
+  return !getPetAnchors(speciesKey)[anchor]?.occupied;
+}
+
+/**
+ * @typedef {Object} AccessoryFit
+ * @property {number[]} position - Position relative to the slot's anchor part (SLOT_ANCHORS)
+ * @property {number[]} rotation - Euler rotation
+ * @property {number} scale - Uniform scale
+ */
+
+/**
+ * Fit an accessory to a species: size and offset from the species' anchors (geometry.js),
+ * so hats clear ears and horns, glasses sit on the face and collars match the neck.
+ * @param {string} accessoryId - Accessory ID
+ * @param {string} speciesKey - Species key
+ * @returns {AccessoryFit|null} Transform, or null if unknown
+ */
+export function fitAccessory(accessoryId, speciesKey) {
+  const key = `${accessoryId}|${speciesKey}`;
+  if (FIT_CACHE.has(key)) return FIT_CACHE.get(key);
+
+  const acc = ACCESSORIES[accessoryId];
+  const size = getAccessorySize(accessoryId);
+  if (!acc || !size) return null;
+
+  const anchors = getPetAnchors(speciesKey);
+  const a = anchors[SLOT_FIT_ANCHORS[acc.slot]];
+  const s = getSpecies(speciesKey).scale || 1;
+  const [x, y, z] = a.position;
+  let fit;
+
+  switch (acc.slot) {
+    case 'hat': {
+      const between = a.clearWidth / size.width;
+      if (between >= 0.6 * s) {
+        // Fits between the ears/horns, shrunk if needed
+        fit = { position: [x, y - 0.03 * s, z], rotation: [0, 0, 0], scale: Math.min(s, between) };
+      } else {
+        // Too wide: perch on top of them instead
+        fit = { position: [x, a.obstructionTop - 0.04 * s, z], rotation: [0, 0, 0], scale: Math.min(s, a.width / size.width) };
+      }
+      break;
+    }
+    case 'glasses':
+      fit = { position: [x, y + 0.04 * s, z + 0.02 * s], rotation: [0, 0, 0], scale: Math.min(s, (a.width * 0.75) / size.width) };
+      break;
+    case 'collar':
+      // Sit just outside the neck ring
+      fit = { position: [x, y, z], rotation: [0, 0, 0], scale: (a.width * 1.04) / size.width };
+      break;
+    case 'wings':
+      fit = { position: [x, y, z], rotation: [-0.25, 0, 0], scale: s };
+      break;
+    case 'bow': {
+      // Ear-relative (near the tip, on the front face), sized to the ear
+      fit = { position: [x, y, z], rotation: [0, 0, 0.2], scale: clamp((a.width * 1.4) / size.width, 0.6 * s, 1.2 * s) };
+      break;
+    }
+    case 'tail':
+      fit = { position: [x, y, z - 0.02 * s], rotation: [0, Math.PI, 0], scale: clamp((a.width * 1.8) / size.width, 0.6 * s, s) };
+      break;
+    default:
+      fit = { ...getAccessoryAttachment(acc.slot, s), scale: s };
+  }
+
+  FIT_CACHE.set(key, fit);
+  return fit;
+}
+
+/**
+ * Slots an accessory can't be worn with (slot conflicts plus its own blocks)
+ * @param {string} accessoryId - Accessory ID
+ * @returns {string[]} Blocked slots
+ */
+function getBlockedSlots(accessoryId) {
+  const acc = ACCESSORIES[accessoryId];
+  if (!acc) return [];
+  return [...(SLOT_CONFLICTS[acc.slot] || []), ...(acc.blocks || [])];
+}
+
+/**
+ * Check whether two accessories can be worn together
+ * @param {string} idA - First accessory ID
+ * @param {string} idB - Second accessory ID
+ * @returns {boolean} True if they conflict (same slot counts as a conflict)
+ */
+export function accessoriesConflict(idA, idB) {
+  const a = ACCESSORIES[idA];
+  const b = ACCESSORIES[idB];
+  if (!a || !b) return false;
+  return a.slot === b.slot || getBlockedSlots(idA).includes(b.slot) || getBlockedSlots(idB).includes(a.slot);
+}
+
+/**
+ * Equip an accessory, taking off anything it conflicts with
+ * @param {Equipment} equipment - Current equipment (not mutated)
+ * @param {string} accessoryId - Accessory to put on
+ * @param {string} [speciesKey] - Wearer's species (refuses accessories it can't wear)
+ * @returns {{equipment: Equipment, removed: string[], blocked: boolean}} New equipment, the accessory IDs taken off,
+ *   and whether the accessory was refused
+ */
+export function equipAccessory(equipment, accessoryId, speciesKey) {
+  const acc = ACCESSORIES[accessoryId];
+  if (!acc || !canWearAccessory(accessoryId, speciesKey)) {
+    return { equipment: { ...equipment }, removed: [], blocked: true };
+  }
+
+  const next = {};
+  const removed = [];
+  for (const [slot, id] of Object.entries(equipment || {})) {
+    if (id === accessoryId) continue;
+    if (accessoriesConflict(id, accessoryId)) removed.push(id);
+    else next[slot] = id;
+  }
+  next[acc.slot] = accessoryId;
+  return { equipment: next, removed, blocked: false };
+}
+
+/**
+ * Take off whatever is in a slot
+ * @param {Equipment} equipment - Current equipment (not mutated)
+ * @param {string} slot - Slot to clear
+ * @returns {Equipment} New equipment
+ */
+export function unequipSlot(equipment, slot) {
+  const next = { ...equipment };
+  delete next[slot];
+  return next;
+}
+
+/**
+ * Check that a saved value looks like an equipment map
+ * @param {*} v - Value to check
+ * @returns {boolean} True if valid
+ */
+export function isValidEquipment(v) {
+  return !!v && typeof v === 'object' && !Array.isArray(v) &&
+    Object.values(v).every(id => typeof id === 'string');
+}
+
+/**
+ * Drop unknown accessories, misfiled slots, conflicts (earlier slots in ACCESSORY_SLOTS win)
+ * and accessories the species can't wear
+ * @param {Equipment} equipment - Equipment to clean
+ * @param {string} [speciesKey] - Wearer's species
+ * @returns {Equipment} Clean equipment
+ */
+export function sanitizeEquipment(equipment, speciesKey) {
+  const out = {};
+  for (const slot of ACCESSORY_SLOTS) {
+    const id = equipment?.[slot];
+    if (ACCESSORIES[id]?.slot !== slot || !canWearAccessory(id, speciesKey)) continue;
+    if (Object.values(out).some(other => accessoriesConflict(other, id))) continue;
+    out[slot] = id;
+  }
+  return out;
+}
+
 /**
  * Clear geometry cache
  */
 export function clearAccessoryCache() {
   GEO_CACHE.clear();
+  FIT_CACHE.clear();
 }
@@ -3,6 +3,9 @@
  * @module pets-core/customization/colors
  */
 
+import { getRng } from '../random.js';
+import { SPECIES } from '../species.js';
+
 /**
  * Predefined color palettes for each species
  * Each palette has a name and array of hex colors
@@ -44,16 +47,13 @@ export const COLOR_PALETTES = {
 };
 
 /**
- * Species-specific recommended palettes
+ * Default accent (belly) color
+ * @type {number}
  */
-export const SPECIES_PALETTES = {
-  cat: ['natural', 'pastel', 'monochrome'],
-  dog: ['natural', 'pastel', 'candy'],
-  bunny: ['pastel', 'candy', 'natural'],
-  tiger: ['sunset', 'natural', 'cosmic'],
-  wolf: ['monochrome', 'forest', 'cosmic'],
-  dragon: ['cosmic', 'sunset', 'ocean']
-};
+export const DEFAULT_ACCENT_COLOR = 0xfff6ea;
+
+/** Recommended palettes for species that don't declare any (SpeciesConfig.palettes) */
+const DEFAULT_RECOMMENDED_PALETTES = ['pastel', 'natural', 'candy'];
 
 /**
  * Get all colors from a palette
@@ -70,7 +70,7 @@ export function getPaletteColors(paletteKey) {
  * @returns {string[]} Array of palette keys
  */
 export function getRecommendedPalettes(speciesKey) {
-  return SPECIES_PALETTES[speciesKey] || ['pastel', 'natural', 'candy'];
+  return SPECIES[speciesKey]?.palettes || DEFAULT_RECOMMENDED_PALETTES;
 }
 
 /**
@@ -147,12 +147,12 @@ export function darkenColor(hex, amount = 0.2) {
 
 /**
  * Generate a random color from all palettes
+ * @param {import('../random.js').Rng} [rng] - Random stream (defaults to the world stream)
  * @returns {number} Random hex color
  */
-export function getRandomColor() {
-  const palettes = Object.values(COLOR_PALETTES);
-  const palette = palettes[Math.floor(Math.random() * palettes.length)];
-  return palette.colors[Math.floor(Math.random() * palette.colors.length)];
+export function getRandomColor(rng = getRng()) {
+  const palette = rng.pick(Object.values(COLOR_PALETTES));
+  return rng.pick(palette.colors);
 }
 
 /**
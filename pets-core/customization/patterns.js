@@ -0,0 +1,112 @@
+/**
+ * @fileoverview Coat pattern definitions (stripes, spots, calico, gradient, tuxedo) and random rolls
+ * @module pets-core/customization/patterns
+ *
+ * A pet's `pattern` is plain data; materials.js (getPatternMat) turns it into a toon
+ * material that draws the pattern in the body shader, so the toon ramp still applies.
+ */
+
+import { getRng } from '../random.js';
+import { clamp } from '../utils.js';
+import { SPECIES } from '../species.js';
+import { getAccentColor, lightenColor, darkenColor } from './colors.js';
+
+/**
+ * @typedef {Object} PetPattern
+ * @property {'stripes'|'spots'|'calico'|'gradient'|'tuxedo'} type - Pattern type
+ * @property {number} color - Pattern color
+ * @property {number} [color2] - Second pattern color (calico)
+ * @property {number} [scale=1] - Pattern frequency (0.5-2, higher = smaller marks)
+ * @property {number} [seed=0] - Offsets the noise so two pets don't share marks
+ */
+
+/**
+ * Pattern types (index is the shader's PET_PATTERN define)
+ * @type {Object.<string, {id: string, name: string, index: number}>}
+ */
+export const PATTERN_TYPES = {
+  stripes: { id: 'stripes', name: 'Stripes', index: 1 },
+  spots: { id: 'spots', name: 'Spots', index: 2 },
+  calico: { id: 'calico', name: 'Calico', index: 3 },
+  gradient: { id: 'gradient', name: 'Gradient', index: 4 },
+  tuxedo: { id: 'tuxedo', name: 'Tuxedo', index: 5 }
+};
+
+/** Used for species that don't declare pattern weights (SpeciesConfig.patterns) */
+const DEFAULT_PATTERN_WEIGHTS = { none: 50, stripes: 10, spots: 15, gradient: 15, tuxedo: 10 };
+
+const isColor = (v) => Number.isInteger(v) && v >= 0 && v <= 0xffffff;
+
+/**
+ * Check that a saved value looks like a pattern (null = plain coat)
+ * @param {*} v - Value to check
+ * @returns {boolean} True if valid
+ */
+export function isValidPattern(v) {
+  if (v === null) return true;
+  if (!v || typeof v !== 'object' || !PATTERN_TYPES[v.type]) return false;
+  if (!isColor(v.color)) return false;
+  if (v.color2 !== undefined && !isColor(v.color2)) return false;
+  if (v.scale !== undefined && !(typeof v.scale === 'number' && Number.isFinite(v.scale))) return false;
+  if (v.seed !== undefined && !(typeof v.seed === 'number' && Number.isFinite(v.seed))) return false;
+  return true;
+}
+
+/**
+ * Fill in pattern defaults and clamp ranges
+ * @param {PetPattern|null} pattern - Pattern
+ * @returns {PetPattern|null} Normalized pattern
+ */
+export function normalizePattern(pattern) {
+  if (!pattern) return null;
+  return {
+    ...pattern,
+    color2: pattern.color2 ?? pattern.color,
+    scale: clamp(pattern.scale ?? 1, 0.5, 2),
+    seed: pattern.seed ?? 0
+  };
+}
+
+/**
+ * Pattern colors that read well on a body color
+ * @param {number} bodyColor - Body color
+ * @returns {{color: number, color2: number}} Pattern colors
+ */
+export function getPatternColors(bodyColor) {
+  return {
+    color: getAccentColor(bodyColor),
+    color2: darkenColor(bodyColor, 0.65)
+  };
+}
+
+/**
+ * Roll a pattern for a new pet
+ * @param {import('../random.js').Rng} [rng] - Random stream (defaults to the world stream)
+ * @param {string} [speciesKey] - Species key (uses its pattern weights; missing types never roll)
+ * @param {number} [bodyColor] - Body color (pattern colors are picked to contrast with it)
+ * @returns {PetPattern|null} Pattern, or null for a plain coat
+ */
+export function rollPattern(rng = getRng(), speciesKey, bodyColor = 0xcdb4db) {
+  const weights = SPECIES[speciesKey]?.patterns || DEFAULT_PATTERN_WEIGHTS;
+  const total = Object.values(weights).reduce((a, b) => a + b, 0);
+  let roll = rng.next() * total;
+  let type = 'none';
+  for (const [key, w] of Object.entries(weights)) {
+    roll -= w;
+    if (roll < 0) {
+      type = key;
+      break;
+    }
+  }
+  if (type === 'none') return null;
+
+  const { color, color2 } = getPatternColors(bodyColor);
+  return {
+    type,
+    // Tuxedo and calico read best with a near-white patch
+    color: type === 'tuxedo' || type === 'calico' ? lightenColor(color, 0.85) : color,
+    color2,
+    scale: rng.range(0.8, 1.25),
+    seed: rng.int(1000)
+  };
+}
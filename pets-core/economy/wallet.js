@@ -0,0 +1,464 @@
+/**
+ * @fileoverview Soft currency wallet: coin balance, persisted transaction ledger, earn and spend rules
+ * @module pets-core/economy/wallet
+ *
+ * Coins are earned from petting (PET_EVENTS.PET_PETTED), guardian bond milestones
+ * (PET_EVENTS.BOND_MILESTONE) and a daily visit bonus, and spent on summons
+ * (GachaManager.summon) and accessories. Every change is a ledger entry and emits
+ * COINS_EARNED / COINS_SPENT so UI can follow the balance.
+ *
+ * With an async adapter the wallet is usable before its save has been read: coins earned
+ * and spent in the meantime are replayed on top of the loaded state once it arrives.
+ *
+ * @example
+ * useEffect(() => wallet.attach(), []); // earn from pet events
+ * wallet.ready.then(() => wallet.checkIn()); // daily visit bonus
+ */
+
+import { getStorageAdapter, onStorageAdapterChange } from '../persistence/adapters.js';
+import { readJSON, readJSONSync, writeJSON } from '../persistence/storage.js';
+import { petEvents, PET_EVENTS } from '../events/PetEventEmitter.js';
+import { randId } from '../utils.js';
+import { cosmeticRng } from '../random.js';
+import { ACCESSORIES } from '../customization/accessories.js';
+import { BOND_MILESTONES } from '../memory/guardian.js';
+
+/** Storage key for wallet state */
+export const WALLET_STORAGE_KEY = 'mindPalace:wallet:v1';
+
+/**
+ * Wallet tuning
+ * @type {Object}
+ */
+export const WALLET_CONFIG = {
+  startingBalance: 300,          // A few first summons (GACHA_CONFIG.summonCost = 100)
+
+  // Petting: coins per love burst, per-pet cooldown, cap per day
+  pettingReward: 2,
+  pettingCooldownS: 4,
+  pettingDailyCap: 60,
+
+  // Guardian bond milestones (one reward per BOND_MILESTONES entry, paid once per pet + memory)
+  bondMilestoneRewards: [20, 40, 60, 100],
+
+  // Daily visit: base + bonus per consecutive day
+  dailyVisitReward: 25,
+  dailyStreakBonus: 5,
+  dailyStreakMax: 7,
+
+  // Ledger entries kept in the save
+  ledgerSize: 200
+};
+
+/**
+ * Ledger reasons
+ * @enum {string}
+ */
+export const TRANSACTION_REASONS = {
+  PETTING: 'petting',
+  BOND_MILESTONE: 'bondMilestone',
+  DAILY_VISIT: 'dailyVisit',
+  SUMMON: 'summon',
+  ACCESSORY: 'accessory',
+  DUPLICATE: 'duplicate',
+  SHARD_EXCHANGE: 'shardExchange',
+  OVERFLOW: 'overflow',
+  GRANT: 'grant'
+};
+
+/**
+ * Accessory price by slot (an accessory's own `price` wins)
+ * @type {Object.<string, number>}
+ */
+export const ACCESSORY_SLOT_PRICES = {
+  hat: 80,
+  bow: 40,
+  glasses: 60,
+  collar: 50,
+  wings: 150,
+  tail: 40
+};
+
+/**
+ * @typedef {Object} Transaction
+ * @property {string} id - Entry ID
+ * @property {number} amount - Signed coin change (+ earned, - spent)
+ * @property {string} reason - TRANSACTION_REASONS value
+ * @property {Object} [meta] - Reason details (petId, accessoryId, ...)
+ * @property {number} balance - Balance after this entry
+ * @property {number} timestamp - Time of the entry
+ */
+
+/**
+ * Price of an accessory
+ * @param {string} accessoryId - Accessory ID
+ * @returns {number} Price in coins (0 for unknown accessories)
+ */
+export function getAccessoryPrice(accessoryId) {
+  const acc = ACCESSORIES[accessoryId];
+  if (!acc) return 0;
+  return acc.price ?? ACCESSORY_SLOT_PRICES[acc.slot] ?? 0;
+}
+
+/**
+ * Local calendar day of a timestamp
+ * @param {number} [ms=Date.now()] - Timestamp
+ * @returns {string} Day key (YYYY-MM-DD)
+ */
+export function dayKey(ms = Date.now()) {
+  const d = new Date(ms);
+  const mm = String(d.getMonth() + 1).padStart(2, '0');
+  const dd = String(d.getDate()).padStart(2, '0');
+  return `${d.getFullYear()}-${mm}-${dd}`;
+}
+
+/**
+ * Coin wallet with a persisted ledger
+ */
+export class Wallet {
+  /**
+   * @param {Object} [options] - Wallet options
+   * @param {import('../persistence/adapters.js').StorageAdapter} [options.adapter] - Storage adapter (defaults to the global one)
+   * @param {string} [options.storageKey=WALLET_STORAGE_KEY] - Storage key
+   */
+  constructor({ adapter = null, storageKey = WALLET_STORAGE_KEY } = {}) {
+    this.adapter = adapter;
+    this.storageKey = storageKey;
+    this._resetState();
+
+    /** @type {Map<string, number>} Last petting reward per pet (not saved) */
+    this._pettedAt = new Map();
+
+    /** @type {{ops: Function[], pettedAt: Map<string, number>}|null} Changes made while an async load is in flight */
+    this._early = null;
+    this._loadToken = 0;
+    this._silent = false;
+    this._tracking = false;
+
+    // Load saved state
+    this.ready = this.loadState();
+
+    // Follow setStorageAdapter() unless an adapter was given
+    this._offAdapterChange = onStorageAdapterChange(() => {
+      if (!this.adapter) this.ready = this.loadState();
+    });
+  }
+
+  /**
+   * @private
+   */
+  _resetState() {
+    this.balance = WALLET_CONFIG.startingBalance;
+    /** @type {Transaction[]} */
+    this.ledger = [];
+    /** @type {Set<string>} */
+    this.ownedAccessories = new Set();
+    /** @type {Set<string>} Paid milestones as `${petId}|${memoryId}|${milestone}` */
+    this.claimedMilestones = new Set();
+    this.lastVisitDay = null;
+    this.streak = 0;
+    this.pettingToday = { day: null, earned: 0 };
+  }
+
+  /**
+   * Adapter to read and write: options.adapter, or whatever setStorageAdapter() last installed
+   * @private
+   */
+  _getAdapter() {
+    return this.adapter ?? getStorageAdapter();
+  }
+
+  /**
+   * Switch storage adapter and reload state from it
+   * @param {import('../persistence/adapters.js').StorageAdapter|null} adapter - Storage adapter (null follows the global one)
+   * @returns {Promise<void>} Resolves once state is loaded
+   */
+  setAdapter(adapter) {
+    this.adapter = adapter;
+    this.ready = this.loadState();
+    return this.ready;
+  }
+
+  /**
+   * Apply saved data
+   * @private
+   */
+  _applyState(data) {
+    if (!data) return;
+    this.balance = Number.isFinite(data.balance) ? Math.max(0, data.balance) : WALLET_CONFIG.startingBalance;
+    this.ledger = Array.isArray(data.ledger) ? data.ledger : [];
+    this.ownedAccessories = new Set(Array.isArray(data.ownedAccessories) ? data.ownedAccessories : []);
+    this.claimedMilestones = new Set(Array.isArray(data.claimedMilestones) ? data.claimedMilestones : []);
+    this.lastVisitDay = data.lastVisitDay ?? null;
+    this.streak = data.streak || 0;
+    this.pettingToday = data.pettingToday ?? { day: null, earned: 0 };
+  }
+
+  /**
+   * Load state from storage (synchronously when the adapter supports it).
+   * Changes made while an async load is in flight are replayed on top of the loaded state.
+   * @returns {Promise<void>} Resolves once state is loaded
+   */
+  loadState() {
+    const adapter = this._getAdapter();
+    const token = ++this._loadToken;
+    if (adapter.readSync) {
+      this._finishLoad(readJSONSync(this.storageKey, adapter));
+      return Promise.resolve();
+    }
+    this._early ??= { ops: [], pettedAt: new Map(this._pettedAt) };
+    return readJSON(this.storageKey, adapter).then(data => {
+      // A newer load (setAdapter) supersedes this one
+      if (token === this._loadToken) this._finishLoad(data);
+    });
+  }
+
+  /**
+   * Apply loaded data, then replay the changes made while it was loading
+   * @private
+   */
+  _finishLoad(data) {
+    const early = this._early;
+    this._early = null;
+    if (data) this._applyState(data);
+    else if (early) this._resetState();
+    if (!early?.ops.length) return;
+
+    this._pettedAt = early.pettedAt;
+    this._silent = true;
+    try {
+      for (const op of early.ops) op();
+    } finally {
+      this._silent = false;
+    }
+    this.saveState();
+  }
+
+  /**
+   * Run a change now, and remember it for replay if the save is still loading
+   * @private
+   */
+  _track(op) {
+    if (!this._early || this._tracking) return op();
+    this._tracking = true;
+    this._early.ops.push(op);
+    try {
+      return op();
+    } finally {
+      this._tracking = false;
+    }
+  }
+
+  /**
+   * Save state to storage (skipped until the saved state has been read, so it isn't overwritten)
+   * @returns {Promise<boolean>} True if written
+   */
+  saveState() {
+    if (this._early) return Promise.resolve(false);
+    return writeJSON(this.storageKey, {
+      balance: this.balance,
+      ledger: this.ledger.slice(-WALLET_CONFIG.ledgerSize),
+      ownedAccessories: [...this.ownedAccessories],
+      claimedMilestones: [...this.claimedMilestones],
+      lastVisitDay: this.lastVisitDay,
+      streak: this.streak,
+      pettingToday: this.pettingToday
+    }, this._getAdapter());
+  }
+
+  /**
+   * Record a transaction, save and notify
+   * @private
+   */
+  _record(amount, reason, meta) {
+    this.balance += amount;
+    const transaction = {
+      // Ledger IDs stay off the world stream so earning doesn't shift gameplay rolls
+      id: randId(cosmeticRng),
+      amount,
+      reason,
+      ...(meta ? { meta } : {}),
+      balance: this.balance,
+      timestamp: Date.now()
+    };
+    this.ledger.push(transaction);
+    if (this.ledger.length > WALLET_CONFIG.ledgerSize) {
+      this.ledger.splice(0, this.ledger.length - WALLET_CONFIG.ledgerSize);
+    }
+    this.saveState();
+    // Replays after a load don't re-announce coins (useWallet refreshes on `ready`)
+    if (!this._silent) {
+      petEvents.emit(amount >= 0 ? PET_EVENTS.COINS_EARNED : PET_EVENTS.COINS_SPENT, {
+        transaction,
+        balance: this.balance
+      });
+    }
+    return transaction;
+  }
+
+  /**
+   * Check the balance covers a cost
+   * @param {number} amount - Cost
+   * @returns {boolean} True if affordable
+   */
+  canAfford(amount) {
+    return this.balance >= amount;
+  }
+
+  /**
+   * Add coins
+   * @param {number} amount - Coins (> 0)
+   * @param {string} [reason=TRANSACTION_REASONS.GRANT] - Ledger reason
+   * @param {Object} [meta] - Reason details
+   * @returns {Transaction|null} Entry, or null for a non-positive amount
+   */
+  earn(amount, reason = TRANSACTION_REASONS.GRANT, meta) {
+    if (!(amount > 0)) return null;
+    return this._track(() => this._record(Math.round(amount), reason, meta));
+  }
+
+  /**
+   * Take coins
+   * @param {number} amount - Coins (>= 0)
+   * @param {string} reason - Ledger reason
+   * @param {Object} [meta] - Reason details
+   * @returns {Transaction|null} Entry, or null if the balance is too low
+   */
+  spend(amount, reason, meta) {
+    return this._track(() => {
+      if (!(amount >= 0) || !this.canAfford(amount)) return null;
+      return this._record(-Math.round(amount), reason, meta);
+    });
+  }
+
+  /**
+   * Newest ledger entries first
+   * @param {number} [limit=20] - Max entries
+   * @returns {Transaction[]} Entries
+   */
+  getLedger(limit = 20) {
+    return this.ledger.slice(-limit).reverse();
+  }
+
+  /**
+   * Reward a petting burst (per-pet cooldown, daily cap)
+   * @param {string} petId - Petted pet
+   * @param {number} [now=Date.now()] - Current time
+   * @returns {Transaction|null} Entry, or null if on cooldown or capped
+   */
+  earnFromPetting(petId, now = Date.now()) {
+    return this._track(() => {
+      const last = this._pettedAt.get(petId) ?? -Infinity;
+      if (now - last < WALLET_CONFIG.pettingCooldownS * 1000) return null;
+
+      const day = dayKey(now);
+      if (this.pettingToday.day !== day) this.pettingToday = { day, earned: 0 };
+      const amount = Math.min(WALLET_CONFIG.pettingReward, WALLET_CONFIG.pettingDailyCap - this.pettingToday.earned);
+      if (amount <= 0) return null;
+
+      this._pettedAt.set(petId, now);
+      this.pettingToday.earned += amount;
+      return this.earn(amount, TRANSACTION_REASONS.PETTING, { petId });
+    });
+  }
+
+  /**
+   * Reward a guardian bond milestone (paid once per pet, memory and milestone)
+   * @param {string} petId - Guardian pet
+   * @param {string} memoryId - Guarded memory
+   * @param {number} milestone - BOND_MILESTONES entry
+   * @returns {Transaction|null} Entry, or null if unknown or already paid
+   */
+  claimBondMilestone(petId, memoryId, milestone) {
+    const index = BOND_MILESTONES.indexOf(milestone);
+    if (index < 0) return null;
+    const key = `${petId}|${memoryId}|${milestone}`;
+    return this._track(() => {
+      if (this.claimedMilestones.has(key)) return null;
+      this.claimedMilestones.add(key);
+      return this.earn(WALLET_CONFIG.bondMilestoneRewards[index] ?? 0, TRANSACTION_REASONS.BOND_MILESTONE, {
+        petId,
+        memoryId,
+        milestone
+      });
+    });
+  }
+
+  /**
+   * Daily visit bonus (once per calendar day; consecutive days raise the bonus)
+   * @param {number} [now=Date.now()] - Current time
+   * @returns {Transaction|null} Entry, or null if already claimed today
+   */
+  checkIn(now = Date.now()) {
+    return this._track(() => {
+      const today = dayKey(now);
+      if (this.lastVisitDay === today) return null;
+
+      const yesterday = dayKey(new Date(now).setDate(new Date(now).getDate() - 1));
+      this.streak = this.lastVisitDay === yesterday ? this.streak + 1 : 1;
+      this.lastVisitDay = today;
+
+      const bonus = Math.min(this.streak - 1, WALLET_CONFIG.dailyStreakMax) * WALLET_CONFIG.dailyStreakBonus;
+      return this.earn(WALLET_CONFIG.dailyVisitReward + bonus, TRANSACTION_REASONS.DAILY_VISIT, {
+        day: today,
+        streak: this.streak
+      });
+    });
+  }
+
+  /**
+   * Check whether an accessory has been bought (free accessories are always owned)
+   * @param {string} accessoryId - Accessory ID
+   * @returns {boolean} True if owned
+   */
+  ownsAccessory(accessoryId) {
+    return this.ownedAccessories.has(accessoryId) || getAccessoryPrice(accessoryId) === 0;
+  }
+
+  /**
+   * Buy an accessory
+   * @param {string} accessoryId - Accessory ID
+   * @returns {boolean} True if owned afterwards
+   */
+  buyAccessory(accessoryId) {
+    if (!ACCESSORIES[accessoryId]) return false;
+    return this._track(() => {
+      if (this.ownsAccessory(accessoryId)) return true;
+      const price = getAccessoryPrice(accessoryId);
+      if (!this.canAfford(price)) return false;
+      this.ownedAccessories.add(accessoryId);
+      this.spend(price, TRANSACTION_REASONS.ACCESSORY, { accessoryId });
+      return true;
+    });
+  }
+
+  /**
+   * Earn from pet events (petting, bond milestones)
+   * @param {typeof petEvents} [events=petEvents] - Event bus
+   * @returns {Function} Unsubscribe
+   */
+  attach(events = petEvents) {
+    const offs = [
+      events.on(PET_EVENTS.PET_PETTED, ({ petId }) => this.earnFromPetting(petId)),
+      events.on(PET_EVENTS.BOND_MILESTONE, ({ petId, memoryId, value }) => this.claimBondMilestone(petId, memoryId, value))
+    ];
+    return () => offs.forEach(off => off());
+  }
+
+  /**
+   * Reset wallet state (for testing)
+   */
+  reset() {
+    // Drop any load in flight; the reset state is what gets saved
+    this._loadToken++;
+    this._early = null;
+    this._resetState();
+    this._pettedAt.clear();
+    this.saveState();
+  }
+}
+
+/**
+ * Global wallet singleton
+ */
+export const wallet = new Wallet();
@@ -0,0 +1,95 @@
+/**
+ * @fileoverview Toolbar for the room editor: move/rotate, undo/redo, reset and the selection
+ * @module pets-core/editor/EditorToolbar
+ */
+
+import React, { useEffect } from 'react';
+
+/**
+ * Editor toolbar along the bottom of the screen. While it is shown, Ctrl/Cmd+Z undoes,
+ * Ctrl/Cmd+Shift+Z or Ctrl+Y redoes, R switches move/rotate and Escape deselects.
+ * @param {Object} props - Component props
+ * @param {string|null} props.label - Selected thing (null when nothing is)
+ * @param {'translate'|'rotate'} props.mode - Gizmo mode
+ * @param {function('translate'|'rotate'): void} props.onMode - Switch gizmo mode
+ * @param {boolean} props.canRotate - Selection can be turned (props only)
+ * @param {boolean} props.canUndo - Undo available
+ * @param {boolean} props.canRedo - Redo available
+ * @param {Function} props.onUndo - Undo
+ * @param {Function} props.onRedo - Redo
+ * @param {Function} props.onReset - Put the room back as its file has it
+ * @param {Function} props.onDeselect - Clear the selection
+ * @param {Function} props.onDone - Leave the editor
+ * @param {boolean} [props.isMobile=false] - Mobile layout (help text)
+ * @returns {JSX.Element} Toolbar
+ */
+export function EditorToolbar({
+  label,
+  mode,
+  onMode,
+  canRotate,
+  canUndo,
+  canRedo,
+  onUndo,
+  onRedo,
+  onReset,
+  onDeselect,
+  onDone,
+  isMobile = false
+}) {
+  useEffect(() => {
+    const onKey = (e) => {
+      if (e.target instanceof HTMLElement && e.target.closest('input, textarea, [contenteditable]')) return;
+      const mod = e.ctrlKey || e.metaKey;
+      if (mod && e.code === 'KeyZ') {
+        e.preventDefault();
+        if (e.shiftKey) onRedo();
+        else onUndo();
+      } else if (mod && e.code === 'KeyY') {
+        e.preventDefault();
+        onRedo();
+      } else if (!mod && e.code === 'KeyR') {
+        onMode(mode === 'rotate' ? 'translate' : 'rotate');
+      } else if (e.code === 'Escape') {
+        onDeselect();
+      }
+    };
+    window.addEventListener('keydown', onKey);
+    return () => window.removeEventListener('keydown', onKey);
+  }, [mode, onMode, onUndo, onRedo, onDeselect]);
+
+  const button = 'px-3 py-1.5 rounded-xl border border-white/15 bg-white/10 hover:bg-white/20 text-xs disabled:opacity-40';
+  const active = 'px-3 py-1.5 rounded-xl border border-white/40 bg-white/30 text-xs';
+
+  return (
+    <div className="fixed bottom-4 left-1/2 -translate-x-1/2 z-[95] max-w-[94vw] pointer-events-auto">
+      <div className="rounded-2xl border border-white/10 bg-black/50 backdrop-blur-md px-4 py-3 text-white">
+        <div className="flex flex-wrap items-center gap-2">
+          <span className="text-sm font-semibold mr-1">🛠️ Edit room</span>
+          <button className={mode === 'translate' ? active : button} onClick={() => onMode('translate')} title="Move (R)">
+            ✥ Move
+          </button>
+          <button
+            className={mode === 'rotate' ? active : button}
+            onClick={() => onMode('rotate')}
+            disabled={!canRotate}
+            title={canRotate ? 'Rotate (R)' : 'Only furniture can be rotated'}
+          >
+            ⟳ Rotate
+          </button>
+          <button className={button} onClick={onUndo} disabled={!canUndo} title="Undo (Ctrl+Z)">↶ Undo</button>
+          <button className={button} onClick={onRedo} disabled={!canRedo} title="Redo (Ctrl+Shift+Z)">↷ Redo</button>
+          <button className={button} onClick={onReset} title="Put this room's furniture and rest spots back">Reset room</button>
+          <button className={active} onClick={onDone}>Done</button>
+        </div>
+        <div className="mt-2 text-[11px] text-white/70">
+          {label
+            ? <>Selected: <b>{label}</b> • Drag the arrows • Esc to deselect</>
+            : `Tap furniture, a rest spot ring or a memory to move it • ${isMobile ? 'Drag right side to look' : 'Right-drag to look • WASD move'}`}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default EditorToolbar;
@@ -0,0 +1,286 @@
+/**
+ * @fileoverview In-scene room editor: markers for rest spots and memories, and a gizmo that moves the selection
+ * @module pets-core/editor/RoomEditor
+ *
+ * Props are picked by clicking them (RoomEnvironment's onPickProp); rest spots and memories
+ * have no mesh of their own, so the editor draws a marker for each. Dragging snaps to the
+ * ground (getGroundHeight) and stays inside the room's bounds; the move is stored in the
+ * layout store on release, which re-registers the room's obstacles and rest spots.
+ */
+
+import React, { useEffect, useLayoutEffect, useMemo, useRef, useState } from 'react';
+import * as THREE from 'three';
+import { TransformControls } from '@react-three/drei';
+import { getGroundHeight } from '../environment/ground.js';
+import { getRoomGeometry, roomTransformMatrix } from '../environment/rooms.js';
+import { memoryRegistry, isMemoryInRoom } from '../memory/guardian.js';
+import { MemoryAura } from '../memory/MemoryLink.jsx';
+import { petEvents, PET_EVENTS } from '../events/PetEventEmitter.js';
+import { clamp } from '../utils.js';
+import { EDITOR_CONFIG, isSameTarget } from './layout.js';
+
+const DEG = Math.PI / 180;
+
+/** Marker colors */
+const COLORS = {
+  spot: 0xfff1c1,
+  memory: 0xbde0fe,
+  selected: 0xffd166
+};
+
+// Shared marker geometry
+const SPOT_GEO = new THREE.RingGeometry(0.82, 1, 40).rotateX(-Math.PI / 2);
+const MEMORY_GEO = new THREE.OctahedronGeometry(0.22);
+
+const round = (v) => Math.round(v * 1000) / 1000;
+
+/**
+ * Current value of a target in a laid-out room
+ * @param {import('../environment/rooms.js').RoomDefinition} room - Laid-out room
+ * @param {import('./layout.js').LayoutTarget} target - Target
+ * @returns {import('./layout.js').LayoutValue|null} Value, or null if the target is gone
+ */
+export function getTargetValue(room, target) {
+  if (target.kind === 'prop') return room.props.find(p => p.id === target.id)?.transforms[target.index] ?? null;
+  if (target.kind === 'restSpot') return room.restSpots.find(s => s.id === target.id)?.position ?? null;
+  const p = memoryRegistry.memories.get(target.id)?.position;
+  return p ? [p.x, p.y, p.z] : null;
+}
+
+/**
+ * Short label for the toolbar
+ * @param {import('../environment/rooms.js').RoomDefinition} room - Room
+ * @param {import('./layout.js').LayoutTarget} target - Target
+ * @returns {string} Label
+ */
+export function getTargetLabel(room, target) {
+  if (target.kind === 'prop') {
+    const copies = room.props.find(p => p.id === target.id)?.transforms.length ?? 1;
+    return copies > 1 ? `${target.id} #${target.index + 1}` : target.id;
+  }
+  if (target.kind === 'restSpot') return `Rest spot: ${target.id}`;
+  return `Memory: ${memoryRegistry.memories.get(target.id)?.title ?? target.id}`;
+}
+
+/**
+ * World position of a target's value
+ * @private
+ */
+function toPosition(target, value) {
+  if (target.kind === 'prop') return value.position;
+  if (target.kind === 'restSpot') return [value[0], getGroundHeight(value[0], value[1], 0), value[1]];
+  return value;
+}
+
+/**
+ * Box around one copy of a prop, in the copy's yaw frame
+ * @private
+ */
+function getPropBox(room, target, value) {
+  const prop = room.props.find(p => p.id === target.id);
+  const frame = roomTransformMatrix({
+    position: [0, 0, 0],
+    rotation: [value.rotation[0], 0, value.rotation[2]],
+    scale: value.scale
+  });
+  const box = new THREE.Box3();
+  const partBox = new THREE.Box3();
+  for (const part of prop?.parts ?? []) {
+    const geo = getRoomGeometry(part.geometry);
+    partBox.copy(geo.boundingBox).applyMatrix4(frame.clone().multiply(roomTransformMatrix(part)));
+    box.union(partBox);
+  }
+  return box;
+}
+
+/**
+ * Outline drawn inside the gizmo while something is selected
+ * @private
+ */
+function SelectionOutline({ room, target, value }) {
+  const box = useMemo(
+    () => (target.kind === 'prop' ? getPropBox(room, target, value) : null),
+    [room, target, value]
+  );
+
+  if (box && !box.isEmpty()) {
+    const size = box.getSize(new THREE.Vector3());
+    return (
+      <mesh position={box.getCenter(new THREE.Vector3()).toArray()}>
+        <boxGeometry args={[size.x + 0.05, size.y + 0.05, size.z + 0.05]} />
+        <meshBasicMaterial color={COLORS.selected} wireframe />
+      </mesh>
+    );
+  }
+  if (target.kind === 'restSpot') {
+    const radius = room.restSpots.find(s => s.id === target.id)?.radius ?? 1;
+    return (
+      <mesh geometry={SPOT_GEO} position={[0, 0.03, 0]} scale={[radius * 1.1, 1, radius * 1.1]}>
+        <meshBasicMaterial color={COLORS.selected} side={THREE.DoubleSide} />
+      </mesh>
+    );
+  }
+  return null;
+}
+
+/**
+ * Gizmo on the selection; stores the move when the drag ends
+ * @private
+ */
+function SelectionGizmo({ room, target, value, mode, layout, isDraggingRef }) {
+  const proxy = useMemo(() => new THREE.Group(), []);
+  const liftRef = useRef(0);
+  const { bounds } = room;
+
+  useLayoutEffect(() => {
+    const [x, y, z] = toPosition(target, value);
+    proxy.position.set(x, y, z);
+    proxy.rotation.set(0, target.kind === 'prop' ? value.rotation[1] * DEG : 0, 0);
+    // Keep the height above ground it has now (props stand on it, memories float)
+    liftRef.current = target.kind === 'restSpot' ? 0 : y - getGroundHeight(x, z, 0);
+  }, [proxy, target, value]);
+
+  const onObjectChange = () => {
+    const p = proxy.position;
+    p.x = clamp(p.x, bounds.minX, bounds.maxX);
+    p.z = clamp(p.z, bounds.minZ, bounds.maxZ);
+    p.y = getGroundHeight(p.x, p.z, 0) + liftRef.current;
+  };
+
+  const onMouseUp = () => {
+    if (isDraggingRef) isDraggingRef.current = false;
+    const [x, y, z] = [round(proxy.position.x), round(proxy.position.y), round(proxy.position.z)];
+    let next;
+    if (target.kind === 'prop') {
+      const yaw = round(((proxy.rotation.y / DEG) % 360 + 360) % 360);
+      next = { position: [x, y, z], rotation: [value.rotation[0], yaw, value.rotation[2]], scale: value.scale };
+    } else {
+      next = target.kind === 'restSpot' ? [x, z] : [x, y, z];
+    }
+    if (JSON.stringify(next) !== JSON.stringify(value)) layout.move(target, next);
+  };
+
+  const rotating = mode === 'rotate' && target.kind === 'prop';
+  return (
+    <>
+      <primitive object={proxy}>
+        <SelectionOutline room={room} target={target} value={value} />
+      </primitive>
+      <TransformControls
+        object={proxy}
+        mode={rotating ? 'rotate' : 'translate'}
+        space="world"
+        showX={!rotating}
+        showY={rotating}
+        showZ={!rotating}
+        translationSnap={EDITOR_CONFIG.translationSnap}
+        rotationSnap={EDITOR_CONFIG.rotationSnapDeg * DEG}
+        onMouseDown={() => {
+          if (isDraggingRef) isDraggingRef.current = true;
+        }}
+        onMouseUp={onMouseUp}
+        onObjectChange={onObjectChange}
+      />
+    </>
+  );
+}
+
+/**
+ * Memories in a room, kept current while the editor is open
+ * @private
+ */
+function useRoomMemories(roomId) {
+  const [memories, setMemories] = useState(() => memoryRegistry.getAllMemories());
+  useEffect(() => {
+    const refresh = () => setMemories(memoryRegistry.getAllMemories());
+    refresh();
+    const offs = [PET_EVENTS.MEMORY_ADDED, PET_EVENTS.MEMORY_MOVED].map(e => petEvents.on(e, refresh));
+    return () => offs.forEach(off => off());
+  }, []);
+  return useMemo(() => memories.filter(m => isMemoryInRoom(m, roomId)), [memories, roomId]);
+}
+
+/**
+ * Room editor layer (render inside the Canvas next to the room)
+ * @param {Object} props - Component props
+ * @param {import('../environment/rooms.js').RoomDefinition} props.room - Laid-out room being edited
+ * @param {string|null} [props.roomId] - Palace room ID (for memories; null outside a palace)
+ * @param {import('./layout.js').LayoutStore} props.layout - Layout store that records the moves
+ * @param {import('./layout.js').LayoutTarget|null} props.selected - Selection
+ * @param {function(import('./layout.js').LayoutTarget|null): void} props.onSelect - Select something (null to deselect)
+ * @param {'translate'|'rotate'} [props.mode='translate'] - Gizmo mode (rotate only applies to props)
+ * @param {React.MutableRefObject<boolean>} [props.isDraggingRef] - Set while dragging, pauses camera look
+ * @returns {JSX.Element} Markers and gizmo
+ */
+export function RoomEditor({ room, roomId = null, layout, selected, onSelect, mode = 'translate', isDraggingRef }) {
+  const memories = useRoomMemories(roomId);
+  // Stable while nothing moves, so a re-render mid-drag doesn't snap the gizmo back
+  const value = useMemo(() => selected && getTargetValue(room, selected), [room, selected, memories]);
+
+  // Drop a selection that no longer exists (memory removed, prop gone from the room file)
+  useEffect(() => {
+    if (selected && !value) onSelect(null);
+  }, [selected, value, onSelect]);
+
+  return (
+    <group name="roomEditor">
+      {room.restSpots.map((s) => {
+        const target = { kind: 'restSpot', roomId: room.id, id: s.id };
+        const [x, z] = s.position;
+        return (
+          <mesh
+            key={s.id}
+            geometry={SPOT_GEO}
+            position={[x, getGroundHeight(x, z, 0) + 0.02, z]}
+            scale={[s.radius, 1, s.radius]}
+            onClick={(e) => {
+              e.stopPropagation();
+              onSelect(target);
+            }}
+          >
+            <meshBasicMaterial
+              color={isSameTarget(target, selected) ? COLORS.selected : COLORS.spot}
+              transparent
+              opacity={0.6}
+              side={THREE.DoubleSide}
+              depthWrite={false}
+            />
+          </mesh>
+        );
+      })}
+
+      {memories.map((m) => {
+        const target = { kind: 'memory', id: m.id };
+        return (
+          <group key={m.id}>
+            <MemoryAura position={m.position} hasGuardian={!!m.guardianPetId} bondLevel={memoryRegistry.getBondLevel(m.guardianPetId)} />
+            <mesh
+              geometry={MEMORY_GEO}
+              position={m.position.toArray()}
+              onClick={(e) => {
+                e.stopPropagation();
+                onSelect(target);
+              }}
+            >
+              <meshBasicMaterial color={isSameTarget(target, selected) ? COLORS.selected : COLORS.memory} />
+            </mesh>
+          </group>
+        );
+      })}
+
+      {selected && value && (
+        <SelectionGizmo
+          key={`${selected.kind}:${selected.id}:${selected.index}`}
+          room={room}
+          target={selected}
+          value={value}
+          mode={mode}
+          layout={layout}
+          isDraggingRef={isDraggingRef}
+        />
+      )}
+    </group>
+  );
+}
+
+export default RoomEditor;
@@ -0,0 +1,328 @@
+/**
+ * @fileoverview Room layout edits: moved props, rest spots and memories, with undo/redo and persistence
+ * @module pets-core/editor/layout
+ *
+ * Room files stay untouched; the player's rearrangements are stored as overrides and laid
+ * over the parsed room (applyRoomLayout). Registering the laid-out room updates the obstacle
+ * and rest spot registries, so pets walk around furniture where it is now.
+ * Memories live in memoryRegistry; their moved positions are kept here too and re-applied
+ * when the app adds them again.
+ * Layouts reload when the global adapter changes (setStorageAdapter); edits made while an
+ * async load is in flight are laid over what it loads.
+ *
+ * @example
+ * layoutStore.move({ kind: 'restSpot', roomId: 'garden', id: 'moss' }, [-2, -5]);
+ * const room = layoutStore.apply(gardenRoom);
+ * layoutStore.undo();
+ */
+
+import { getStorageAdapter, onStorageAdapterChange } from '../persistence/adapters.js';
+import { readJSON, readJSONSync, writeJSON } from '../persistence/storage.js';
+import { petEvents, PET_EVENTS } from '../events/PetEventEmitter.js';
+import { applyRoomLayout } from '../environment/rooms.js';
+import { memoryRegistry } from '../memory/guardian.js';
+
+/** Storage key for layout state */
+export const LAYOUT_STORAGE_KEY = 'mindPalace:layout:v1';
+
+/**
+ * Editor tuning
+ * @type {Object}
+ */
+export const EDITOR_CONFIG = {
+  historySize: 100,       // Undo steps kept (not saved)
+  translationSnap: 0.25,  // Gizmo move step (units)
+  rotationSnapDeg: 15     // Gizmo turn step
+};
+
+/**
+ * @typedef {Object} LayoutTarget
+ * @property {'prop'|'restSpot'|'memory'} kind - What is moved
+ * @property {string} id - Prop, rest spot or memory ID
+ * @property {string} [roomId] - Room ID (props and rest spots)
+ * @property {number} [index] - Placed copy of the prop
+ */
+
+/**
+ * Values by target kind: a prop copy's transform ({position, rotation, scale}),
+ * a rest spot's [x, z] or a memory's [x, y, z]
+ * @typedef {import('../environment/rooms.js').RoomTransform|number[]} LayoutValue
+ */
+
+/**
+ * Do two targets name the same thing?
+ * @param {LayoutTarget|null} a - Target
+ * @param {LayoutTarget|null} b - Target
+ * @returns {boolean} True if equal
+ */
+export function isSameTarget(a, b) {
+  return !!a && !!b && a.kind === b.kind && a.id === b.id && a.roomId === b.roomId && a.index === b.index;
+}
+
+const isObj = (v) => !!v && typeof v === 'object' && !Array.isArray(v);
+
+/**
+ * Copy of an object with one key set, or removed when the value is null (empty parents are dropped)
+ * @private
+ */
+function setPath(obj, [key, ...rest], value) {
+  const next = { ...obj };
+  const child = rest.length ? setPath(obj?.[key], rest, value) : value;
+  if (child === null || (isObj(child) && !Object.keys(child).length)) delete next[key];
+  else next[key] = child;
+  return next;
+}
+
+/**
+ * Room layouts for every room, with an undo history of edits
+ */
+export class LayoutStore {
+  /**
+   * @param {Object} [options] - Store options
+   * @param {import('../persistence/adapters.js').StorageAdapter} [options.adapter] - Storage adapter (defaults to the global one)
+   * @param {string} [options.storageKey=LAYOUT_STORAGE_KEY] - Storage key
+   */
+  constructor({ adapter = null, storageKey = LAYOUT_STORAGE_KEY } = {}) {
+    this.adapter = adapter;
+    this.storageKey = storageKey;
+    /** @type {Object.<string, import('../environment/rooms.js').RoomLayout>} Overrides by room ID */
+    this.rooms = {};
+    /** @type {Object.<string, number[]>} Memory ID -> [x, y, z] */
+    this.memories = {};
+    /** @type {Array<Array<{target: LayoutTarget, before: LayoutValue|null, after: LayoutValue|null}>>} */
+    this._undo = [];
+    this._redo = [];
+    /** @type {WeakMap<Object, {layout: Object|undefined, room: Object}>} Last apply() per room */
+    this._applied = new WeakMap();
+
+    /** @type {Array<[LayoutTarget, LayoutValue|null]>|null} Values written while an async load is in flight */
+    this._early = null;
+    this._loadToken = 0;
+
+    // Load saved state
+    this.ready = this.loadState();
+
+    // Follow setStorageAdapter() unless an adapter was given
+    this._offAdapterChange = onStorageAdapterChange(() => {
+      if (!this.adapter) this.ready = this.loadState();
+    });
+  }
+
+  /**
+   * Where layouts are saved: the store's own adapter, else the global one
+   * @private
+   */
+  _getAdapter() {
+    return this.adapter ?? getStorageAdapter();
+  }
+
+  /**
+   * Switch storage adapter and reload state from it
+   * @param {import('../persistence/adapters.js').StorageAdapter|null} adapter - Storage adapter (null follows the global one)
+   * @returns {Promise<void>} Resolves once state is loaded
+   */
+  setAdapter(adapter) {
+    this.adapter = adapter;
+    this.ready = this.loadState();
+    return this.ready;
+  }
+
+  /**
+   * Apply saved data
+   * @private
+   */
+  _applyState(data) {
+    if (!data) return;
+    this.rooms = isObj(data.rooms) ? data.rooms : {};
+    this.memories = isObj(data.memories) ? data.memories : {};
+    this._undo = [];
+    this._redo = [];
+    for (const [id, [x, y, z]] of Object.entries(this.memories)) memoryRegistry.moveMemory(id, x, y, z);
+    petEvents.emit(PET_EVENTS.LAYOUT_CHANGED, { roomIds: Object.keys(this.rooms), reason: 'load' });
+  }
+
+  /**
+   * Load state from storage (synchronously when the adapter supports it).
+   * Edits made while an async load is in flight are written again on top of the loaded layout.
+   * @returns {Promise<void>} Resolves once state is loaded
+   */
+  loadState() {
+    const adapter = this._getAdapter();
+    const token = ++this._loadToken;
+    if (adapter.readSync) {
+      this._finishLoad(readJSONSync(this.storageKey, adapter));
+      return Promise.resolve();
+    }
+    this._early ??= [];
+    return readJSON(this.storageKey, adapter).then(data => {
+      // A newer load (setAdapter) supersedes this one
+      if (token === this._loadToken) this._finishLoad(data);
+    });
+  }
+
+  /**
+   * Apply loaded data, then write the edits made while it was loading
+   * @private
+   */
+  _finishLoad(data) {
+    const early = this._early;
+    this._early = null;
+    this._applyState(data);
+    if (early?.length) this._write(early, 'load');
+  }
+
+  /**
+   * Save state to storage (skipped until the saved state has been read, so it isn't overwritten)
+   * @returns {Promise<boolean>} True if written
+   */
+  saveState() {
+    if (this._early) return Promise.resolve(false);
+    return writeJSON(this.storageKey, { version: 1, rooms: this.rooms, memories: this.memories }, this._getAdapter());
+  }
+
+  /**
+   * Put moved memories where they were moved to, now and whenever the app adds them again
+   * @returns {Function} Detach
+   */
+  attach() {
+    const place = (id) => {
+      const pos = this.memories[id];
+      if (pos) memoryRegistry.moveMemory(id, pos[0], pos[1], pos[2]);
+    };
+    Object.keys(this.memories).forEach(place);
+    return petEvents.on(PET_EVENTS.MEMORY_ADDED, ({ memory }) => place(memory.id));
+  }
+
+  /**
+   * A room with its layout applied. Returns the same object until the room's layout changes.
+   * @param {import('../environment/rooms.js').RoomDefinition} room - Parsed room
+   * @returns {import('../environment/rooms.js').RoomDefinition} Laid-out room
+   */
+  apply(room) {
+    const layout = this.rooms[room.id];
+    const hit = this._applied.get(room);
+    if (hit && hit.layout === layout) return hit.room;
+    const out = applyRoomLayout(room, layout ?? null);
+    this._applied.set(room, { layout, room: out });
+    return out;
+  }
+
+  /**
+   * Stored value for a target (memories: current position)
+   * @param {LayoutTarget} target - Target
+   * @returns {LayoutValue|null} Value, or null if it is where the room file puts it
+   */
+  get(target) {
+    if (target.kind === 'memory') {
+      const p = memoryRegistry.memories.get(target.id)?.position;
+      return this.memories[target.id] ?? (p ? [p.x, p.y, p.z] : null);
+    }
+    const layout = this.rooms[target.roomId];
+    if (target.kind === 'prop') return layout?.props?.[target.id]?.[target.index] ?? null;
+    return layout?.restSpots?.[target.id] ?? null;
+  }
+
+  /**
+   * Move something (one undo step)
+   * @param {LayoutTarget} target - Target
+   * @param {LayoutValue} value - New value
+   */
+  move(target, value) {
+    this._commit([{ target, before: this.get(target), after: value }], 'edit');
+  }
+
+  /**
+   * Put a room's props and rest spots back where its file has them (one undo step)
+   * @param {string} roomId - Room ID
+   * @returns {boolean} True if anything was moved
+   */
+  resetRoom(roomId) {
+    const layout = this.rooms[roomId];
+    const changes = [];
+    for (const [id, copies] of Object.entries(layout?.props ?? {})) {
+      for (const [index, before] of Object.entries(copies)) {
+        changes.push({ target: { kind: 'prop', roomId, id, index: Number(index) }, before, after: null });
+      }
+    }
+    for (const [id, before] of Object.entries(layout?.restSpots ?? {})) {
+      changes.push({ target: { kind: 'restSpot', roomId, id }, before, after: null });
+    }
+    if (!changes.length) return false;
+    this._commit(changes, 'reset');
+    return true;
+  }
+
+  /** @returns {boolean} True if there is an edit to undo */
+  get canUndo() {
+    return this._undo.length > 0;
+  }
+
+  /** @returns {boolean} True if there is an undone edit to redo */
+  get canRedo() {
+    return this._redo.length > 0;
+  }
+
+  /**
+   * Undo the last edit
+   * @returns {boolean} True if something was undone
+   */
+  undo() {
+    const step = this._undo.pop();
+    if (!step) return false;
+    this._redo.push(step);
+    this._write(step.map(c => [c.target, c.before]), 'undo');
+    return true;
+  }
+
+  /**
+   * Redo the last undone edit
+   * @returns {boolean} True if something was redone
+   */
+  redo() {
+    const step = this._redo.pop();
+    if (!step) return false;
+    this._undo.push(step);
+    this._write(step.map(c => [c.target, c.after]), 'redo');
+    return true;
+  }
+
+  /**
+   * Record an undo step and apply it
+   * @private
+   */
+  _commit(changes, reason) {
+    this._undo.push(changes);
+    if (this._undo.length > EDITOR_CONFIG.historySize) this._undo.shift();
+    this._redo = [];
+    this._write(changes.map(c => [c.target, c.after]), reason);
+  }
+
+  /**
+   * Set values, save and notify
+   * @private
+   */
+  _write(entries, reason) {
+    this._early?.push(...entries);
+    const roomIds = new Set();
+    for (const [target, value] of entries) {
+      if (target.kind === 'memory') {
+        this.memories = setPath(this.memories, [target.id], value);
+        if (value) memoryRegistry.moveMemory(target.id, value[0], value[1], value[2]);
+        const roomId = memoryRegistry.memories.get(target.id)?.roomId;
+        if (roomId) roomIds.add(roomId);
+        continue;
+      }
+      const path = target.kind === 'prop' ? ['props', target.id, String(target.index)] : ['restSpots', target.id];
+      this.rooms = setPath(this.rooms, [target.roomId, ...path], value);
+      roomIds.add(target.roomId);
+    }
+    this.saveState();
+    petEvents.emit(PET_EVENTS.LAYOUT_CHANGED, { roomIds: [...roomIds], reason });
+  }
+}
+
+/**
+ * Global layout store singleton
+ * @type {LayoutStore}
+ */
+export const layoutStore = new LayoutStore();
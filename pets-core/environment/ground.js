@@ -52,6 +52,39 @@ export function clearGroundMeshes() {
   groundMeshes = [];
 }
 
+/**
+ * Lights of the current scene, read by getLightingAtPosition and isInSunbeam
+ * @type {THREE.Light[]}
+ */
+let sceneLights = [];
+
+/**
+ * Register a scene light (ThemeLights does this for theme and room lighting)
+ * @param {THREE.Light} light - Light
+ */
+export function registerSceneLight(light) {
+  if (!sceneLights.includes(light)) {
+    sceneLights.push(light);
+  }
+}
+
+/**
+ * Unregister a scene light
+ * @param {THREE.Light} light - Light to remove
+ */
+export function unregisterSceneLight(light) {
+  const idx = sceneLights.indexOf(light);
+  if (idx >= 0) sceneLights.splice(idx, 1);
+}
+
+/**
+ * Registered scene lights
+ * @returns {THREE.Light[]} Lights
+ */
+export function getSceneLights() {
+  return sceneLights;
+}
+
 /**
  * Get ground height at position
  * @param {number} x - X position
@@ -152,21 +185,25 @@ export function calculateShadowOpacity(objectY, groundY, baseOpacity = 0.8) {
 }
 
 /**
- * Get lighting intensity at position (for pet reactions)
+ * Get lighting intensity at position (for pet reactions). Follows the day/night cycle
+ * when the lights are the registered scene lights.
  * @param {THREE.Vector3} pos - Position to check
- * @param {THREE.Light[]} lights - Array of lights to check
+ * @param {THREE.Light[]} [lights=getSceneLights()] - Array of lights to check
+ * @param {import('./restSpots.js').RestSpotRegistry|null} [restSpots=null] - Rest spots of the room
+ *   (restSpotRegistry, or a palace room's scope.restSpots); directional light counts in full on its sunbeam spots
  * @returns {number} Combined light intensity (0-1)
  */
-export function getLightingAtPosition(pos, lights) {
+export function getLightingAtPosition(pos, lights = sceneLights, restSpots = null) {
   if (!lights || lights.length === 0) return 0.5;
 
+  const sunlit = restSpots?.getSpotAt(pos)?.type === 'sunbeam';
   let totalIntensity = 0;
 
   for (const light of lights) {
     if (light.isAmbientLight || light.isHemisphereLight) {
       totalIntensity += light.intensity * 0.3;
     } else if (light.isDirectionalLight) {
-      totalIntensity += light.intensity * 0.5;
+      totalIntensity += light.intensity * (sunlit ? 1 : 0.5);
     } else if (light.isPointLight) {
       const dist = pos.distanceTo(light.position);
       const falloff = Math.max(0, 1 - dist / (light.distance || 10));
@@ -182,22 +219,20 @@ export function getLightingAtPosition(pos, lights) {
 }
 
 /**
- * Check if position is in a sunbeam (based on directional lights)
+ * Check if position is in a sunbeam: a directional light is bright enough (so never at night).
+ * Given a rest spot registry, the position must also be on one of its 'sunbeam' spots.
  * @param {THREE.Vector3} pos - Position to check
- * @param {THREE.DirectionalLight[]} lights - Directional lights
- * @param {number} threshold - Intensity threshold
+ * @param {THREE.DirectionalLight[]} [lights=getSceneLights()] - Directional lights
+ * @param {number} [threshold=0.7] - Intensity threshold
+ * @param {import('./restSpots.js').RestSpotRegistry|null} [restSpots=null] - Where the sunbeams are
+ *   (restSpotRegistry, or a palace room's scope.restSpots); null counts anywhere as sunlit
  * @returns {boolean} True if in sunbeam
  */
-export function isInSunbeam(pos, lights, threshold = 0.7) {
+export function isInSunbeam(pos, lights = sceneLights, threshold = 0.7, restSpots = null) {
   if (!lights || lights.length === 0) return false;
+  // Without rest spots, assume a vertical sunbeam anywhere
+  // A more complex implementation would use shadow maps
+  if (restSpots && restSpots.getSpotAt(pos)?.type !== 'sunbeam') return false;
 
-  for (const light of lights) {
-    if (light.isDirectionalLight && light.intensity > threshold) {
-      // Simple check: assume vertical sunbeam in defined regions
-      // A more complex implementation would use shadow maps
-      return true;
-    }
-  }
-
-  return false;
+  return lights.some(light => light.isDirectionalLight && light.intensity > threshold);
 }
@@ -0,0 +1,422 @@
+/**
+ * @fileoverview Navigation grid and A* pathfinding around registered obstacles
+ * @module pets-core/environment/navigation
+ */
+
+import * as THREE from 'three';
+import { clamp } from '../utils.js';
+import { obstacleRegistry } from './obstacles.js';
+
+/**
+ * Navigation tuning
+ * @type {Object}
+ */
+export const NAV_CONFIG = {
+  cellSize: 0.5,           // Grid resolution
+  petRadius: 0.45,         // Clearance kept from obstacles
+  sampleY: 0.55,           // Height cells are tested at (pet body center)
+  maxExpanded: 6000,       // A* gives up after expanding this many cells
+  repathS: 0.6,            // Min time between re-plans for a moving target
+  repathDist: 0.75,        // Target must move this far to trigger a re-plan
+  retargetDist: 3,         // A jump this large is a new target: re-plan right away
+  waypointReach: 0.35,     // Distance at which a waypoint counts as reached
+  bounds: { minX: -10, maxX: 10, minZ: -10, maxZ: 10 }
+};
+
+const SQRT2 = Math.SQRT2;
+// 8-neighbourhood: [dx, dz, cost]
+const NEIGHBOURS = [
+  [1, 0, 1], [-1, 0, 1], [0, 1, 1], [0, -1, 1],
+  [1, 1, SQRT2], [1, -1, SQRT2], [-1, 1, SQRT2], [-1, -1, SQRT2]
+];
+
+// Pre-allocated vector for collision sampling
+const _p = new THREE.Vector3();
+
+/**
+ * Walkability grid over the room, built from an obstacle registry (obstacleRegistry by default).
+ * Rebuilt lazily on the next query after obstacles are added or removed.
+ */
+export class NavGrid {
+  /**
+   * @param {Object} [options] - Grid options
+   * @param {Object} [options.bounds] - Area covered {minX, maxX, minZ, maxZ}
+   * @param {number} [options.cellSize] - Cell size
+   * @param {number} [options.petRadius] - Clearance from obstacles
+   * @param {import('./obstacles.js').ObstacleRegistry} [options.obstacles=obstacleRegistry] - Obstacles to path around
+   */
+  constructor({
+    bounds = NAV_CONFIG.bounds,
+    cellSize = NAV_CONFIG.cellSize,
+    petRadius = NAV_CONFIG.petRadius,
+    obstacles = obstacleRegistry
+  } = {}) {
+    this.cellSize = cellSize;
+    this.petRadius = petRadius;
+    this.obstacles = obstacles;
+    this.setBounds(bounds);
+  }
+
+  /**
+   * Change the covered area (forces a rebuild)
+   * @param {Object} bounds - {minX, maxX, minZ, maxZ}
+   */
+  setBounds(bounds) {
+    this.bounds = { ...bounds };
+    this.cols = Math.max(1, Math.ceil((bounds.maxX - bounds.minX) / this.cellSize) + 1);
+    this.rows = Math.max(1, Math.ceil((bounds.maxZ - bounds.minZ) / this.cellSize) + 1);
+    const n = this.cols * this.rows;
+    this.blocked = new Uint8Array(n);
+    // A* scratch buffers, reused between queries
+    this._g = new Float32Array(n);
+    this._parent = new Int32Array(n);
+    this._stamp = new Uint32Array(n);
+    this._closed = new Uint32Array(n);
+    this._query = 0;
+    /** Obstacle registry version the grid was built from (-1 = never built) */
+    this.version = -1;
+  }
+
+  /**
+   * Rebuild if obstacles changed since the last build
+   * @returns {NavGrid} this
+   */
+  ensureFresh() {
+    if (this.version !== this.obstacles.version) this.rebuild();
+    return this;
+  }
+
+  /**
+   * Rebuild walkability from the obstacle registry
+   */
+  rebuild() {
+    this.blocked.fill(0);
+    if (this.obstacles.obstacles.size > 0) {
+      for (let r = 0; r < this.rows; r++) {
+        for (let c = 0; c < this.cols; c++) {
+          _p.set(this.bounds.minX + c * this.cellSize, NAV_CONFIG.sampleY, this.bounds.minZ + r * this.cellSize);
+          if (this.obstacles.checkCollision(_p, this.petRadius)) {
+            this.blocked[r * this.cols + c] = 1;
+          }
+        }
+      }
+    }
+    this.version = this.obstacles.version;
+  }
+
+  /**
+   * Are there any obstacles to path around?
+   * @returns {boolean} True if obstacles are registered
+   */
+  hasObstacles() {
+    return this.obstacles.obstacles.size > 0;
+  }
+
+  /**
+   * Cell column for a world X (clamped to the grid)
+   * @param {number} x - World X
+   * @returns {number} Column
+   */
+  col(x) {
+    return clamp(Math.round((x - this.bounds.minX) / this.cellSize), 0, this.cols - 1);
+  }
+
+  /**
+   * Cell row for a world Z (clamped to the grid)
+   * @param {number} z - World Z
+   * @returns {number} Row
+   */
+  row(z) {
+    return clamp(Math.round((z - this.bounds.minZ) / this.cellSize), 0, this.rows - 1);
+  }
+
+  /**
+   * Is a world position walkable?
+   * @param {number} x - World X
+   * @param {number} z - World Z
+   * @returns {boolean} True if walkable
+   */
+  isWalkable(x, z) {
+    return this.blocked[this.row(z) * this.cols + this.col(x)] === 0;
+  }
+
+  /**
+   * Straight walk between two points stays on walkable cells
+   * @param {{x: number, z: number}} a - Start
+   * @param {{x: number, z: number}} b - End
+   * @returns {boolean} True if unobstructed
+   */
+  hasLineOfSight(a, b) {
+    const dx = b.x - a.x;
+    const dz = b.z - a.z;
+    const steps = Math.ceil(Math.sqrt(dx * dx + dz * dz) / (this.cellSize * 0.5));
+    for (let i = 1; i <= steps; i++) {
+      const t = i / steps;
+      if (!this.isWalkable(a.x + dx * t, a.z + dz * t)) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Nearest walkable cell index to a cell (ring search)
+   * @private
+   */
+  _nearestOpen(c, r) {
+    if (this.blocked[r * this.cols + c] === 0) return r * this.cols + c;
+    const maxRing = Math.max(this.cols, this.rows);
+    for (let ring = 1; ring < maxRing; ring++) {
+      let best = -1;
+      let bestD2 = Infinity;
+      for (let dr = -ring; dr <= ring; dr++) {
+        for (let dc = -ring; dc <= ring; dc++) {
+          if (Math.abs(dr) !== ring && Math.abs(dc) !== ring) continue;
+          const cc = c + dc;
+          const rr = r + dr;
+          if (cc < 0 || rr < 0 || cc >= this.cols || rr >= this.rows) continue;
+          const idx = rr * this.cols + cc;
+          const d2 = dc * dc + dr * dr;
+          if (this.blocked[idx] === 0 && d2 < bestD2) {
+            bestD2 = d2;
+            best = idx;
+          }
+        }
+      }
+      if (best >= 0) return best;
+    }
+    return -1;
+  }
+
+  /**
+   * A* path between two world positions.
+   * Blocked endpoints snap to the nearest walkable cell. The path is smoothed so
+   * waypoints are only placed where the pet has to turn.
+   * @param {{x: number, z: number}} from - Start
+   * @param {{x: number, z: number}} to - Goal
+   * @returns {{x: number, z: number}[]|null} Waypoints after the start (ending at the goal), or null if unreachable
+   */
+  findPath(from, to) {
+    this.ensureFresh();
+    const start = this._nearestOpen(this.col(from.x), this.row(from.z));
+    const goal = this._nearestOpen(this.col(to.x), this.row(to.z));
+    if (start < 0 || goal < 0) return null;
+    if (start === goal) return [{ x: to.x, z: to.z }];
+
+    const cols = this.cols;
+    const gc = goal % cols;
+    const gr = (goal / cols) | 0;
+    const heuristic = (idx) => {
+      const dc = Math.abs((idx % cols) - gc);
+      const dr = Math.abs(((idx / cols) | 0) - gr);
+      return Math.max(dc, dr) + (SQRT2 - 1) * Math.min(dc, dr); // Octile
+    };
+
+    const q = ++this._query;
+    const g = this._g;
+    const parent = this._parent;
+    const stamp = this._stamp;
+    const closed = this._closed;
+    const open = new MinHeap();
+
+    g[start] = 0;
+    parent[start] = -1;
+    stamp[start] = q;
+    open.push(start, heuristic(start));
+
+    let expanded = 0;
+    let found = false;
+    while (open.size > 0) {
+      const cur = open.pop();
+      if (closed[cur] === q) continue;
+      closed[cur] = q;
+      if (cur === goal) {
+        found = true;
+        break;
+      }
+      if (++expanded > NAV_CONFIG.maxExpanded) break;
+
+      const cc = cur % cols;
+      const cr = (cur / cols) | 0;
+      for (const [dc, dr, cost] of NEIGHBOURS) {
+        const nc = cc + dc;
+        const nr = cr + dr;
+        if (nc < 0 || nr < 0 || nc >= cols || nr >= this.rows) continue;
+        const next = nr * cols + nc;
+        if (this.blocked[next] || closed[next] === q) continue;
+        // No corner cutting
+        if (dc !== 0 && dr !== 0 && (this.blocked[cr * cols + nc] || this.blocked[nr * cols + cc])) continue;
+
+        const ng = g[cur] + cost;
+        if (stamp[next] !== q || ng < g[next]) {
+          stamp[next] = q;
+          g[next] = ng;
+          parent[next] = cur;
+          open.push(next, ng + heuristic(next));
+        }
+      }
+    }
+    if (!found) return null;
+
+    // Walk back to the start
+    const cells = [];
+    for (let idx = goal; idx !== -1; idx = parent[idx]) cells.push(idx);
+    cells.reverse();
+    const points = cells.map(idx => ({
+      x: this.bounds.minX + (idx % cols) * this.cellSize,
+      z: this.bounds.minZ + ((idx / cols) | 0) * this.cellSize
+    }));
+    // Finish exactly on the goal when it is reachable, else on its nearest open cell
+    if (this.isWalkable(to.x, to.z)) points[points.length - 1] = { x: to.x, z: to.z };
+
+    return this._smooth(from, points);
+  }
+
+  /**
+   * Drop waypoints that can be skipped in a straight line
+   * @private
+   */
+  _smooth(from, points) {
+    const out = [];
+    let anchor = from;
+    let i = 0;
+    while (i < points.length) {
+      let j = points.length - 1;
+      while (j > i && !this.hasLineOfSight(anchor, points[j])) j--;
+      out.push(points[j]);
+      anchor = points[j];
+      i = j + 1;
+    }
+    return out;
+  }
+}
+
+/**
+ * Binary min-heap of grid indices
+ * @private
+ */
+class MinHeap {
+  constructor() {
+    this.items = [];
+    this.keys = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(item, key) {
+    const { items, keys } = this;
+    let i = items.length;
+    items.push(item);
+    keys.push(key);
+    while (i > 0) {
+      const p = (i - 1) >> 1;
+      if (keys[p] <= key) break;
+      items[i] = items[p];
+      keys[i] = keys[p];
+      i = p;
+    }
+    items[i] = item;
+    keys[i] = key;
+  }
+
+  pop() {
+    const { items, keys } = this;
+    const top = items[0];
+    const lastItem = items.pop();
+    const lastKey = keys.pop();
+    const n = items.length;
+    if (n > 0) {
+      let i = 0;
+      while (true) {
+        let c = 2 * i + 1;
+        if (c >= n) break;
+        if (c + 1 < n && keys[c + 1] < keys[c]) c++;
+        if (keys[c] >= lastKey) break;
+        items[i] = items[c];
+        keys[i] = keys[c];
+        i = c;
+      }
+      items[i] = lastItem;
+      keys[i] = lastKey;
+    }
+    return top;
+  }
+}
+
+/**
+ * Global navigation grid singleton (covers NAV_CONFIG.bounds; call setBounds for other rooms)
+ * @type {NavGrid}
+ */
+export const navGrid = new NavGrid();
+
+/**
+ * @typedef {Object} PathState
+ * @property {{x: number, z: number}[]} waypoints - Current waypoints
+ * @property {number} index - Next waypoint
+ * @property {number} goalX - Goal X the path was planned for
+ * @property {number} goalZ - Goal Z the path was planned for
+ * @property {number} version - Grid version the path was planned on
+ * @property {number} repathAt - Earliest time for a re-plan toward a moving goal
+ */
+
+/**
+ * Create per-pet path following state
+ * @returns {PathState} Path state
+ */
+export function createPathState() {
+  return { waypoints: [], index: 0, goalX: NaN, goalZ: NaN, version: -1, repathAt: 0 };
+}
+
+/**
+ * Forget the current path (e.g. when the target changes meaning)
+ * @param {PathState} path - Path state
+ */
+export function clearPath(path) {
+  path.waypoints = [];
+  path.index = 0;
+  path.goalX = NaN;
+  path.goalZ = NaN;
+}
+
+/**
+ * Point to steer toward on the way to a target. Re-plans with A* when the target
+ * moves, the obstacles change, or there is no straight line to it; returns the
+ * target itself when the way is clear.
+ * @param {PathState} path - Path state (mutated)
+ * @param {{x: number, z: number}} pos - Current position
+ * @param {{x: number, z: number}} target - Final target
+ * @param {number} time - Elapsed time (rate-limits re-plans)
+ * @param {NavGrid} [grid=navGrid] - Navigation grid
+ * @returns {{x: number, z: number}} Steering point
+ */
+export function getNavWaypoint(path, pos, target, time, grid = navGrid) {
+  if (!grid.hasObstacles()) return target;
+  grid.ensureFresh();
+
+  const mx = target.x - path.goalX;
+  const mz = target.z - path.goalZ;
+  const moved2 = mx * mx + mz * mz; // NaN before the first plan
+  const retarget = !(moved2 <= NAV_CONFIG.retargetDist * NAV_CONFIG.retargetDist);
+  const drifted = moved2 > NAV_CONFIG.repathDist * NAV_CONFIG.repathDist && time >= path.repathAt;
+  if (path.version !== grid.version || retarget || drifted) {
+    path.waypoints = grid.hasLineOfSight(pos, target) ? [] : (grid.findPath(pos, target) || []);
+    path.index = 0;
+    path.goalX = target.x;
+    path.goalZ = target.z;
+    path.version = grid.version;
+    path.repathAt = time + NAV_CONFIG.repathS;
+  }
+
+  const reach2 = NAV_CONFIG.waypointReach * NAV_CONFIG.waypointReach;
+  while (path.index < path.waypoints.length - 1) {
+    const wp = path.waypoints[path.index];
+    const dx = wp.x - pos.x;
+    const dz = wp.z - pos.z;
+    if (dx * dx + dz * dz > reach2) break;
+    path.index++;
+  }
+
+  // Last waypoint is (or stands in for) the target; steer for the live target once it is next
+  if (path.index >= path.waypoints.length - 1) return target;
+  return path.waypoints[path.index];
+}
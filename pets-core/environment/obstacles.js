@@ -4,6 +4,7 @@
  */
 
 import * as THREE from 'three';
+import { SpatialHash, SPATIAL_CONFIG } from './spatialHash.js';
 
 /**
  * @typedef {Object} Obstacle
@@ -13,22 +14,31 @@ import * as THREE from 'three';
  * @property {'box'|'cylinder'|'sphere'} shape - Collision shape type
  * @property {number} [radius] - Radius for cylinder/sphere shapes
  * @property {boolean} [walkable] - Can pets walk on top (for tables, etc.)
+ *
+ * Registries index obstacles by version: after changing `position`, `size` or `radius` in
+ * place, call ObstacleRegistry#touch so the spatial index and nav grids rebuild.
  */
 
 // Pre-allocated vectors for calculations
 const _obstacleToPos = new THREE.Vector3();
 const _avoidDir = new THREE.Vector3();
 const _closest = new THREE.Vector3();
+const _nearby = [];
 
 /**
  * Obstacle registry for the current scene
  */
-class ObstacleRegistry {
+export class ObstacleRegistry {
   constructor() {
     /** @type {Map<string, Obstacle>} */
     this.obstacles = new Map();
     /** @type {THREE.Box3} */
     this._tempBox = new THREE.Box3();
+    /** Bumped on every change (nav grids compare it to know when to rebuild) */
+    this.version = 0;
+    /** @type {SpatialHash} Obstacle footprints, rebuilt lazily when version changes */
+    this._index = new SpatialHash(SPATIAL_CONFIG.obstacleCellSize);
+    this._indexVersion = -1;
   }
 
   /**
@@ -37,6 +47,7 @@ class ObstacleRegistry {
    */
   add(obstacle) {
     this.obstacles.set(obstacle.id, obstacle);
+    this.version++;
   }
 
   /**
@@ -44,7 +55,18 @@ class ObstacleRegistry {
    * @param {string} id - Obstacle ID
    */
   remove(id) {
-    this.obstacles.delete(id);
+    if (this.obstacles.delete(id)) this.version++;
+  }
+
+  /**
+   * Mark obstacles as changed after editing their position, size or radius in place
+   * @param {string} [id] - Obstacle ID (omit after editing several)
+   * @returns {boolean} False if the ID is not registered
+   */
+  touch(id) {
+    if (id !== undefined && !this.obstacles.has(id)) return false;
+    this.version++;
+    return true;
   }
 
   /**
@@ -52,6 +74,7 @@ class ObstacleRegistry {
    */
   clear() {
     this.obstacles.clear();
+    this.version++;
   }
 
   /**
@@ -62,6 +85,30 @@ class ObstacleRegistry {
     return Array.from(this.obstacles.values());
   }
 
+  /**
+   * Obstacles whose footprint may lie within a radius of a point (broad phase).
+   * Obstacles are indexed when added; after moving one in place, call touch() (or add it again).
+   * @param {number} x - X position
+   * @param {number} z - Z position
+   * @param {number} radius - Search radius
+   * @param {Obstacle[]} [out=[]] - Output array (cleared first)
+   * @returns {Obstacle[]} Candidate obstacles
+   */
+  getNearby(x, z, radius, out = []) {
+    if (this._indexVersion !== this.version) {
+      this._index.clear();
+      for (const obs of this.obstacles.values()) {
+        // Square around the widest extent covers boxes, cylinders and spheres
+        const e = Math.max(obs.radius || 0, obs.size.x / 2, obs.size.z / 2);
+        this._index.insertBox(obs.id, obs.position.x - e, obs.position.z - e, obs.position.x + e, obs.position.z + e, obs);
+      }
+      this._indexVersion = this.version;
+    }
+    const near = this._index.query(x, z, radius, out);
+    for (let i = 0; i < near.length; i++) out[i] = near[i].item;
+    return out;
+  }
+
   /**
    * Check if position collides with any obstacle
    * @param {THREE.Vector3} pos - Position to check
@@ -69,7 +116,7 @@ class ObstacleRegistry {
    * @returns {Obstacle|null} Colliding obstacle or null
    */
   checkCollision(pos, radius = 0.5) {
-    for (const obs of this.obstacles.values()) {
+    for (const obs of this.getNearby(pos.x, pos.z, radius, _nearby)) {
       if (this._intersects(pos, radius, obs)) {
         return obs;
       }
@@ -127,8 +174,8 @@ export function calculateObstacleAvoidance(petPos, petVel, lookAhead = 2.0, petR
   const dirX = petVel.x / speed;
   const dirZ = petVel.z / speed;
   
-  // Check obstacles
-  for (const obs of obstacleRegistry.getAll()) {
+  // Check obstacles (anything further than lookAhead + margin is skipped below anyway)
+  for (const obs of obstacleRegistry.getNearby(petPos.x, petPos.z, lookAhead + petRadius + 0.3, _nearby)) {
     _obstacleToPos.copy(obs.position).sub(petPos);
     _obstacleToPos.y = 0; // Flatten to XZ plane
     
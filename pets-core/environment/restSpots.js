@@ -5,6 +5,8 @@
 
 import * as THREE from 'three';
 import { pick, randRange } from '../utils.js';
+import { getRng } from '../random.js';
+import { TIME_OF_DAY_CONFIG } from './timeOfDay.js';
 
 /**
  * @typedef {Object} RestSpot
@@ -21,7 +23,7 @@ import { pick, randRange } from '../utils.js';
 /**
  * Rest spot registry
  */
-class RestSpotRegistry {
+export class RestSpotRegistry {
   constructor() {
     /** @type {Map<string, RestSpot>} */
     this.spots = new Map();
@@ -103,21 +105,39 @@ class RestSpotRegistry {
   /**
    * Find a random available spot
    * @param {string} [preferType] - Preferred type (weighted)
+   * @param {import('../random.js').Rng} [rng] - Random stream (defaults to the world stream)
    * @returns {RestSpot|null} Random spot
    */
-  findRandom(preferType) {
+  findRandom(preferType, rng = getRng()) {
     const available = this.getAvailable();
     if (available.length === 0) return null;
 
     // Weight preferred type higher
     if (preferType) {
       const preferred = available.filter(s => s.type === preferType);
-      if (preferred.length > 0 && Math.random() < 0.7) {
-        return pick(preferred);
+      if (preferred.length > 0 && rng.next() < 0.7) {
+        return pick(preferred, rng);
       }
     }
 
-    return pick(available);
+    return pick(available, rng);
+  }
+
+  /**
+   * Find one of the warmest spots (see getSpotWarmth). Prefers a free one, but returns an
+   * occupied one rather than a colder spot, so pets gather there.
+   * @param {number} [daylight=1] - Sunlight (0-1, see timeOfDay.js)
+   * @param {import('../random.js').Rng} [rng] - Random stream (defaults to the world stream)
+   * @returns {RestSpot|null} Warm spot
+   */
+  findWarm(daylight = 1, rng = getRng()) {
+    const all = this.getAll();
+    if (all.length === 0) return null;
+
+    const warmest = Math.max(...all.map(s => getSpotWarmth(s, daylight)));
+    const warm = all.filter(s => getSpotWarmth(s, daylight) >= warmest - TIME_OF_DAY_CONFIG.warmSpotSlack);
+    const free = warm.filter(s => !s.occupied);
+    return pick(free.length > 0 ? free : warm, rng);
   }
 
   /**
@@ -211,13 +231,24 @@ export function createRestSpot(id, x, z, radius = 1.0, type = 'generic', priorit
  * @param {Array<[number, number]>} coords - Array of [x, z] coordinates
  * @param {string} [prefix='spot'] - ID prefix
  * @param {'rug'|'cushion'|'bed'|'sunbeam'|'generic'} [type='generic'] - Spot type
+ * @param {import('../random.js').Rng} [rng] - Random stream (defaults to the world stream)
  */
-export function createRestSpotsFromArray(coords, prefix = 'spot', type = 'generic') {
+export function createRestSpotsFromArray(coords, prefix = 'spot', type = 'generic', rng = getRng()) {
   coords.forEach(([x, z], i) => {
-    createRestSpot(`${prefix}_${i}`, x, z, 1.0, type, 0.5 + Math.random() * 0.3, 0.5);
+    createRestSpot(`${prefix}_${i}`, x, z, 1.0, type, randRange(0.5, 0.8, rng), 0.5);
   });
 }
 
+/**
+ * How warm a spot is right now: sunbeams only hold their warmth while the sun is up
+ * @param {RestSpot} spot - Spot
+ * @param {number} [daylight=1] - Sunlight (0-1, see timeOfDay.js)
+ * @returns {number} Warmth (0-1)
+ */
+export function getSpotWarmth(spot, daylight = 1) {
+  return spot.type === 'sunbeam' ? spot.warmth * daylight : spot.warmth;
+}
+
 /**
  * Get species-preferred rest spot type
  * @param {string} speciesKey - Species key
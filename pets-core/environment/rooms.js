@@ -0,0 +1,541 @@
+/**
+ * @fileoverview Declarative room definitions: JSON format, validation, loading and registry wiring
+ * @module pets-core/environment/rooms
+ *
+ * A room is plain JSON, so it can ship as a file, come from a server or an editor:
+ *
+ * @example
+ * {
+ *   "format": "mind-palace-room",
+ *   "version": 1,
+ *   "id": "reading-nook",
+ *   "background": "#1b1530",
+ *   "fog": { "color": "#1b1530", "near": 8, "far": 30 },
+ *   "bounds": { "minX": -6, "maxX": 6, "minZ": -6, "maxZ": 6 },
+ *   "lighting": {
+ *     "ambient": { "intensity": 0.8, "color": "#ffffff" },
+ *     "directional": { "intensity": 1.2, "position": [5, 9, 4], "color": "#ffe2b0" }
+ *   },
+ *   "materials": {
+ *     "wood": { "type": "toon", "color": "#8b5a2b" },
+ *     "glow": { "type": "basic", "color": "#ffd89a", "opacity": 0.1, "additive": true }
+ *   },
+ *   "ground": [
+ *     { "id": "floor", "geometry": { "type": "plane", "args": [14, 14] }, "material": "wood", "rotation": [-90, 0, 0] }
+ *   ],
+ *   "props": [
+ *     { "id": "table", "geometry": { "type": "box", "args": [1.6, 0.8, 0.9] }, "material": "wood",
+ *       "position": [2, 0.4, -1], "obstacle": true },
+ *     { "id": "stools", "geometry": { "type": "cylinder", "args": [0.3, 0.3, 0.5, 10] }, "material": "wood",
+ *       "position": [0, 0.25, 0], "placement": { "type": "scatter", "count": 4, "extent": 4 }, "obstacle": true }
+ *   ],
+ *   "obstacles": [{ "id": "bookshelf", "shape": "box", "position": [-5, 1, 0], "size": [0.6, 2, 3] }],
+ *   "restSpots": [{ "id": "hearth", "position": [0, -4], "type": "sunbeam", "warmth": 0.9 }],
+ *   "effects": [{ "type": "sparkles", "count": 60, "scale": [12, 3, 12], "color": "#ffdca8", "mobile": { "count": 30 } }],
+ *   "dayNight": { "night": { "background": "#0b0816", "lighting": { "directional": { "intensity": 0.2 } } } }
+ * }
+ *
+ * Units are scene units; rotations are in degrees. A prop is one part (`geometry` + `material`)
+ * or several (`parts`), placed once, at explicit `instances`, or by a `placement` (`ring` /
+ * `scatter`, seeded by `placement.seed` or the room and prop IDs). Parts flagged `obstacle`
+ * go into obstacleRegistry, ground entries are registered with registerGroundMesh, and
+ * rest spots go into restSpotRegistry. Background, fog and lighting are the daytime look;
+ * `dayNight` changes them for dawn, evening and night (see environment/timeOfDay.js).
+ */
+
+import * as THREE from 'three';
+import { lerp } from '../utils.js';
+import { createRng, hashSeed } from '../random.js';
+import { obstacleRegistry } from './obstacles.js';
+import { restSpotRegistry } from './restSpots.js';
+
+/** Format tag every room file carries */
+export const ROOM_FORMAT = 'mind-palace-room';
+
+/** Newest room format version this build reads */
+export const ROOM_FORMAT_VERSION = 1;
+
+/**
+ * Geometry types a room can use, with their three.js constructors (`args` are passed through)
+ * @type {Object.<string, Function>}
+ */
+export const ROOM_GEOMETRIES = {
+  box: THREE.BoxGeometry,
+  plane: THREE.PlaneGeometry,
+  circle: THREE.CircleGeometry,
+  ring: THREE.RingGeometry,
+  sphere: THREE.SphereGeometry,
+  cylinder: THREE.CylinderGeometry,
+  cone: THREE.ConeGeometry,
+  capsule: THREE.CapsuleGeometry,
+  torus: THREE.TorusGeometry,
+  icosahedron: THREE.IcosahedronGeometry,
+  dodecahedron: THREE.DodecahedronGeometry,
+  octahedron: THREE.OctahedronGeometry
+};
+
+/** Ambient effect types RoomEnvironment can draw */
+export const ROOM_EFFECT_TYPES = ['sparkles', 'stars', 'grid'];
+
+/** Rest spot types (see restSpots.js) */
+export const REST_SPOT_TYPES = ['rug', 'cushion', 'bed', 'sunbeam', 'generic'];
+
+/** Obstacle shapes (see obstacles.js) */
+const OBSTACLE_SHAPES = ['box', 'cylinder', 'sphere'];
+
+/** Phases a room can restyle (daytime is the room itself) */
+const DAY_NIGHT_PHASES = ['dawn', 'evening', 'night'];
+
+/** Material types */
+const MATERIAL_TYPES = ['toon', 'basic'];
+
+/** Bounds used when a room leaves them out */
+const DEFAULT_BOUNDS = { minX: -9.5, maxX: 9.5, minZ: -9.5, maxZ: 9.5 };
+
+/**
+ * @typedef {Object} RoomPart
+ * @property {{type: string, args: number[]}} geometry - Geometry type and constructor args
+ * @property {string} material - Key into the room's materials
+ * @property {number[]} position - [x, y, z] relative to the prop
+ * @property {number[]} rotation - [x, y, z] in degrees
+ * @property {number[]} scale - [x, y, z]
+ * @property {boolean} obstacle - Register each placed copy with obstacleRegistry
+ */
+
+/**
+ * @typedef {Object} RoomTransform
+ * @property {number[]} position - [x, y, z]
+ * @property {number[]} rotation - [x, y, z] in degrees
+ * @property {number[]} scale - [x, y, z]
+ */
+
+/**
+ * @typedef {Object} RoomDefinition
+ * @property {string} format - Always ROOM_FORMAT
+ * @property {number} version - Format version
+ * @property {string} id - Room ID (prefixes registry IDs and placement seeds)
+ * @property {string} [name] - Display name
+ * @property {string} background - Clear color
+ * @property {{color: string, near: number, far: number}|null} fog - Linear fog
+ * @property {{minX: number, maxX: number, minZ: number, maxZ: number}} bounds - Walkable area
+ * @property {Object.<string, Object>} lighting - Lights by key; the key prefix picks the type (see ThemeLights)
+ * @property {Object.<string, Object>} materials - Materials by key ({type, color, opacity, additive, side})
+ * @property {Array<RoomPart & {id: string}>} ground - Walkable ground meshes
+ * @property {Array<{id: string, parts: RoomPart[], transforms: RoomTransform[]}>} props - Scenery
+ * @property {Array<{id: string, shape: string, position: number[], size: number[]}>} obstacles - Invisible obstacles
+ * @property {Array<{id: string, position: number[], radius: number, type: string, priority: number, warmth: number}>} restSpots - Rest spots
+ * @property {Array<Object>} effects - Ambient effects ({type, mobile, ...component props})
+ * @property {Object.<string, Object>|null} dayNight - Look per phase ({background, fog, lighting} overrides by phase)
+ */
+
+const isNum = (v) => typeof v === 'number' && Number.isFinite(v);
+const isVec = (v, n) => Array.isArray(v) && v.length === n && v.every(isNum);
+const isObj = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+const toVec3 = (v, fallback) => (isNum(v) ? [v, v, v] : v ?? fallback);
+
+/**
+ * Normalize one part, collecting problems
+ * @private
+ */
+function readPart(raw, where, materials, problems) {
+  const geometry = raw.geometry;
+  if (!geometry || !ROOM_GEOMETRIES[geometry.type]) {
+    problems.push(`${where}: unknown geometry type "${geometry?.type}"`);
+  } else if (geometry.args !== undefined && !(Array.isArray(geometry.args) && geometry.args.every(v => isNum(v) || typeof v === 'boolean'))) {
+    problems.push(`${where}: geometry args must be numbers`);
+  }
+  if (!raw.material) problems.push(`${where}: missing material`);
+  else if (!materials[raw.material]) problems.push(`${where}: unknown material "${raw.material}"`);
+
+  const part = {
+    geometry: { type: geometry?.type, args: geometry?.args ?? [] },
+    material: raw.material,
+    position: raw.position ?? [0, 0, 0],
+    rotation: raw.rotation ?? [0, 0, 0],
+    scale: toVec3(raw.scale, [1, 1, 1]),
+    obstacle: !!raw.obstacle
+  };
+  for (const k of ['position', 'rotation', 'scale']) {
+    if (!isVec(part[k], 3)) problems.push(`${where}: ${k} must be [x, y, z]`);
+  }
+  return part;
+}
+
+/**
+ * Copies of a prop: the prop's own transform, explicit instances, or a seeded placement
+ * @private
+ */
+function readTransforms(raw, roomId, where, problems) {
+  const base = {
+    position: raw.position ?? [0, 0, 0],
+    rotation: raw.rotation ?? [0, 0, 0],
+    scale: toVec3(raw.scale, [1, 1, 1])
+  };
+  if (!isVec(base.position, 3) || !isVec(base.rotation, 3) || !isVec(base.scale, 3)) {
+    problems.push(`${where}: position/rotation/scale must be [x, y, z]`);
+    return [];
+  }
+
+  if (Array.isArray(raw.instances)) {
+    return raw.instances.map((inst, i) => {
+      const t = {
+        position: inst.position ?? base.position,
+        rotation: inst.rotation ?? base.rotation,
+        scale: toVec3(inst.scale, base.scale)
+      };
+      if (!isVec(t.position, 3) || !isVec(t.rotation, 3) || !isVec(t.scale, 3)) {
+        problems.push(`${where}.instances[${i}]: position/rotation/scale must be [x, y, z]`);
+      }
+      return t;
+    });
+  }
+
+  const placement = raw.placement;
+  if (!placement) return [base];
+
+  const count = placement.count;
+  if (!Number.isInteger(count) || count < 0) {
+    problems.push(`${where}.placement: count must be a whole number`);
+    return [];
+  }
+  // Seeded by the room file, not the world seed: every save sees the same room
+  const rng = createRng(hashSeed('room', placement.seed ?? `${roomId}:${raw.id}`));
+  const [sMin, sMax] = placement.scale ?? [1, 1];
+  const randomYaw = placement.randomYaw !== false;
+  const [bx, by, bz] = base.position;
+  const out = [];
+
+  if (placement.type === 'ring') {
+    if (!isNum(placement.radius)) {
+      problems.push(`${where}.placement: ring needs a radius`);
+      return [];
+    }
+    for (let i = 0; i < count; i++) {
+      const a = (i / count) * Math.PI * 2;
+      const r = placement.radius + Math.sin(i * 2.1) * (placement.wobble ?? 0) + rng.next() * (placement.jitter ?? 0);
+      const s = lerp(sMin, sMax, rng.next());
+      const yaw = randomYaw ? rng.next() * 360 : 0;
+      out.push({
+        position: [bx + Math.cos(a) * r, by, bz + Math.sin(a) * r],
+        rotation: [base.rotation[0], base.rotation[1] + yaw, base.rotation[2]],
+        scale: base.scale.map(v => v * s)
+      });
+    }
+  } else if (placement.type === 'scatter') {
+    const [ex, ez] = isNum(placement.extent) ? [placement.extent, placement.extent] : placement.extent ?? [1, 1];
+    for (let i = 0; i < count; i++) {
+      const x = rng.range(-1, 1) * ex;
+      const z = rng.range(-1, 1) * ez;
+      const s = lerp(sMin, sMax, rng.next());
+      const yaw = randomYaw ? rng.next() * 360 : 0;
+      out.push({
+        position: [bx + x, by, bz + z],
+        rotation: [base.rotation[0], base.rotation[1] + yaw, base.rotation[2]],
+        scale: base.scale.map(v => v * s)
+      });
+    }
+  } else {
+    problems.push(`${where}.placement: unknown type "${placement.type}" (ring or scatter)`);
+  }
+  return out;
+}
+
+/** Rooms returned by parseRoom (parsing one again returns it unchanged) */
+const PARSED = new WeakSet();
+
+/**
+ * Validate a room definition and fill in defaults
+ * @param {Object|string} input - Room JSON (object or string), or an already parsed room
+ * @returns {RoomDefinition} Normalized room
+ * @throws {Error} Listing every problem found
+ */
+export function parseRoom(input) {
+  if (PARSED.has(input)) return input;
+  const raw = typeof input === 'string' ? JSON.parse(input) : input;
+  const problems = [];
+  if (!raw || typeof raw !== 'object') throw new Error('[pets-core] Room definition must be an object');
+
+  const id = raw.id;
+  if (typeof id !== 'string' || !id) problems.push('id must be a non-empty string');
+  if (raw.format !== ROOM_FORMAT) problems.push(`format must be "${ROOM_FORMAT}"`);
+  const version = raw.version ?? 1;
+  if (!Number.isInteger(version) || version > ROOM_FORMAT_VERSION) {
+    problems.push(`version ${version} is not supported (newest is ${ROOM_FORMAT_VERSION})`);
+  }
+
+  const bounds = { ...DEFAULT_BOUNDS, ...raw.bounds };
+  if (!['minX', 'maxX', 'minZ', 'maxZ'].every(k => isNum(bounds[k])) || bounds.minX >= bounds.maxX || bounds.minZ >= bounds.maxZ) {
+    problems.push('bounds must have numeric minX < maxX and minZ < maxZ');
+  }
+
+  const materials = raw.materials ?? {};
+  for (const [key, m] of Object.entries(materials)) {
+    if (!MATERIAL_TYPES.includes(m.type ?? 'toon')) problems.push(`materials.${key}: type must be toon or basic`);
+    if (typeof m.color !== 'string') problems.push(`materials.${key}: color must be a CSS color string`);
+  }
+
+  const ground = (raw.ground ?? []).map((g, i) => ({
+    id: g.id ?? `ground_${i}`,
+    ...readPart(g, `ground[${i}]`, materials, problems)
+  }));
+
+  const props = (raw.props ?? []).map((p, i) => {
+    const where = `props[${i}]`;
+    const propId = p.id ?? `prop_${i}`;
+    // One-part props put geometry/material on the prop itself; its transform places the copies
+    const parts = p.parts
+      ? p.parts.map((part, j) => readPart({ obstacle: p.obstacle, ...part }, `${where}.parts[${j}]`, materials, problems))
+      : [readPart({ ...p, position: undefined, rotation: undefined, scale: undefined }, where, materials, problems)];
+    return { id: propId, parts, transforms: readTransforms({ ...p, id: propId }, id, where, problems) };
+  });
+
+  const obstacles = (raw.obstacles ?? []).map((o, i) => {
+    const shape = o.shape ?? 'box';
+    if (!OBSTACLE_SHAPES.includes(shape)) problems.push(`obstacles[${i}]: shape must be box, cylinder or sphere`);
+    if (!isVec(o.position, 3) || !isVec(o.size, 3)) problems.push(`obstacles[${i}]: position and size must be [x, y, z]`);
+    return { id: o.id ?? `obstacle_${i}`, shape, position: o.position, size: o.size };
+  });
+
+  const restSpots = (raw.restSpots ?? []).map((s, i) => {
+    const spot = {
+      id: s.id ?? `spot_${i}`,
+      position: s.position,
+      radius: s.radius ?? 1.0,
+      type: s.type ?? 'generic',
+      priority: s.priority ?? 0.5,
+      warmth: s.warmth ?? 0.5
+    };
+    if (!isVec(spot.position, 2)) problems.push(`restSpots[${i}]: position must be [x, z]`);
+    if (!REST_SPOT_TYPES.includes(spot.type)) problems.push(`restSpots[${i}]: unknown type "${spot.type}"`);
+    if (!(spot.warmth >= 0 && spot.warmth <= 1) || !(spot.priority >= 0 && spot.priority <= 1)) {
+      problems.push(`restSpots[${i}]: warmth and priority must be 0-1`);
+    }
+    return spot;
+  });
+
+  const effects = (raw.effects ?? []).map((e, i) => {
+    if (!ROOM_EFFECT_TYPES.includes(e.type)) problems.push(`effects[${i}]: unknown type "${e.type}"`);
+    return { ...e };
+  });
+
+  const dayNight = raw.dayNight ?? null;
+  if (dayNight !== null && !isObj(dayNight)) problems.push('dayNight must be an object of looks by phase');
+  for (const [phase, look] of Object.entries(isObj(dayNight) ? dayNight : {})) {
+    const where = `dayNight.${phase}`;
+    if (!DAY_NIGHT_PHASES.includes(phase)) problems.push(`${where}: phase must be dawn, evening or night`);
+    if (!isObj(look)) {
+      problems.push(`${where} must be an object ({background, fog, lighting})`);
+      continue;
+    }
+    if (look.background !== undefined && typeof look.background !== 'string') problems.push(`${where}.background must be a CSS color string`);
+    if (look.fog !== undefined) {
+      if (!isObj(look.fog)) problems.push(`${where}.fog must be an object ({color, near, far})`);
+      else {
+        if (look.fog.color !== undefined && typeof look.fog.color !== 'string') problems.push(`${where}.fog.color must be a CSS color string`);
+        if (['near', 'far'].some(k => look.fog[k] !== undefined && !isNum(look.fog[k]))) problems.push(`${where}.fog: near and far must be numbers`);
+      }
+    }
+    if (look.lighting !== undefined) {
+      if (!isObj(look.lighting)) problems.push(`${where}.lighting must be an object of light overrides`);
+      else if (Object.keys(look.lighting).some(k => !(k in (raw.lighting ?? {})))) {
+        problems.push(`${where}.lighting: only lights the room has can change`);
+      }
+    }
+  }
+
+  if (problems.length) {
+    throw new Error(`[pets-core] Invalid room "${id ?? '?'}": ${problems.join('; ')}`);
+  }
+
+  const room = {
+    format: ROOM_FORMAT,
+    version,
+    id,
+    name: raw.name ?? id,
+    background: raw.background ?? '#000000',
+    fog: raw.fog ?? null,
+    bounds,
+    lighting: raw.lighting ?? {},
+    materials,
+    ground,
+    props,
+    obstacles,
+    restSpots,
+    effects,
+    dayNight
+  };
+  PARSED.add(room);
+  return room;
+}
+
+/**
+ * Fetch and parse a room file
+ * @param {string} url - Room JSON URL
+ * @returns {Promise<RoomDefinition>} Normalized room
+ */
+export async function loadRoom(url) {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`[pets-core] Room ${url} failed to load: ${res.status}`);
+  return parseRoom(await res.json());
+}
+
+/** @type {Map<string, THREE.BufferGeometry>} */
+const GEO_CACHE = new Map();
+
+/**
+ * Shared geometry for a room geometry spec
+ * @param {{type: string, args: number[]}} spec - Geometry spec
+ * @returns {THREE.BufferGeometry} Geometry (cached; do not dispose)
+ */
+export function getRoomGeometry(spec) {
+  const key = `${spec.type}:${spec.args.join(',')}`;
+  let geo = GEO_CACHE.get(key);
+  if (!geo) {
+    geo = new ROOM_GEOMETRIES[spec.type](...spec.args);
+    geo.computeBoundingBox();
+    GEO_CACHE.set(key, geo);
+  }
+  return geo;
+}
+
+const DEG = Math.PI / 180;
+const _euler = new THREE.Euler();
+const _quat = new THREE.Quaternion();
+const _pos = new THREE.Vector3();
+const _scl = new THREE.Vector3();
+
+/**
+ * Matrix for a position / rotation (degrees) / scale triple
+ * @param {RoomTransform} t - Transform
+ * @param {THREE.Matrix4} [out] - Output matrix
+ * @returns {THREE.Matrix4} Matrix
+ */
+export function roomTransformMatrix(t, out = new THREE.Matrix4()) {
+  _euler.set(t.rotation[0] * DEG, t.rotation[1] * DEG, t.rotation[2] * DEG);
+  return out.compose(_pos.fromArray(t.position), _quat.setFromEuler(_euler), _scl.fromArray(t.scale));
+}
+
+/**
+ * World matrices of every placed copy of a prop part
+ * @param {{parts: RoomPart[], transforms: RoomTransform[]}} prop - Normalized prop
+ * @param {RoomPart} part - One of its parts
+ * @returns {THREE.Matrix4[]} Matrices
+ */
+export function getPartMatrices(prop, part) {
+  const local = roomTransformMatrix(part);
+  return prop.transforms.map(t => roomTransformMatrix(t).multiply(local));
+}
+
+/**
+ * Put a room's obstacles (explicit ones and props flagged `obstacle`) and rest spots
+ * into the registries. IDs are prefixed with `room:<id>:`.
+ * @param {RoomDefinition} room - Normalized room
+ * @param {Object} [targets] - Registries to fill (a palace passes each room its own)
+ * @param {import('./obstacles.js').ObstacleRegistry} [targets.obstacles=obstacleRegistry] - Obstacle registry
+ * @param {import('./restSpots.js').RestSpotRegistry} [targets.restSpots=restSpotRegistry] - Rest spot registry
+ * @returns {Function} Removes everything it added
+ */
+export function registerRoom(room, { obstacles = obstacleRegistry, restSpots = restSpotRegistry } = {}) {
+  const prefix = `room:${room.id}:`;
+  const obstacleIds = [];
+  const spotIds = [];
+  const box = new THREE.Box3();
+
+  for (const o of room.obstacles) {
+    const id = prefix + o.id;
+    obstacles.add({
+      id,
+      position: new THREE.Vector3().fromArray(o.position),
+      size: new THREE.Vector3().fromArray(o.size),
+      shape: o.shape,
+      radius: o.shape === 'box' ? undefined : o.size[0] / 2
+    });
+    obstacleIds.push(id);
+  }
+
+  for (const prop of room.props) {
+    prop.parts.forEach((part, j) => {
+      if (!part.obstacle) return;
+      const geo = getRoomGeometry(part.geometry);
+      getPartMatrices(prop, part).forEach((m, i) => {
+        box.copy(geo.boundingBox).applyMatrix4(m);
+        const id = `${prefix}${prop.id}:${j}:${i}`;
+        obstacles.add({
+          id,
+          position: box.getCenter(new THREE.Vector3()),
+          size: box.getSize(new THREE.Vector3()),
+          shape: 'box',
+          walkable: false
+        });
+        obstacleIds.push(id);
+      });
+    });
+  }
+
+  for (const s of room.restSpots) {
+    const id = prefix + s.id;
+    restSpots.add({
+      id,
+      position: new THREE.Vector3(s.position[0], 0, s.position[1]),
+      radius: s.radius,
+      type: s.type,
+      priority: s.priority,
+      warmth: s.warmth
+    });
+    spotIds.push(id);
+  }
+
+  return () => {
+    obstacleIds.forEach(id => obstacles.remove(id));
+    spotIds.forEach(id => restSpots.remove(id));
+  };
+}
+
+/**
+ * @typedef {Object} RoomLayout
+ * @property {Object.<string, Object.<number, RoomTransform>>} [props] - Prop ID -> copy index -> transform
+ * @property {Object.<string, number[]>} [restSpots] - Rest spot ID -> [x, z]
+ */
+
+/**
+ * A room with moved props and rest spots (see editor/layout.js). Props and spots
+ * without overrides, and everything else, are shared with the original.
+ * @param {RoomDefinition} room - Normalized room
+ * @param {RoomLayout|null} layout - Overrides
+ * @returns {RoomDefinition} Room with the overrides applied (the room itself if there are none)
+ */
+export function applyRoomLayout(room, layout) {
+  if (!layout) return room;
+  const propMoves = layout.props ?? {};
+  const spotMoves = layout.restSpots ?? {};
+  const out = {
+    ...room,
+    props: room.props.map((p) => {
+      const moves = propMoves[p.id];
+      if (!moves) return p;
+      return { ...p, transforms: p.transforms.map((t, i) => moves[i] ?? t) };
+    }),
+    restSpots: room.restSpots.map((s) => (spotMoves[s.id] ? { ...s, position: spotMoves[s.id] } : s))
+  };
+  PARSED.add(out);
+  return out;
+}
+
+/**
+ * Theme config fields from a room (for PetsApp); extra fields are kept
+ * @param {RoomDefinition} room - Normalized room
+ * @param {Object} [extra] - Other config fields (title, hud, player...)
+ * @returns {Object} Theme config with `room`, background, fog, lighting, dayNight, bounds and rugs
+ */
+export function roomToConfig(room, extra = {}) {
+  return {
+    ...extra,
+    room,
+    background: room.background,
+    fog: room.fog,
+    lighting: room.lighting,
+    dayNight: room.dayNight,
+    bounds: room.bounds,
+    rugs: room.restSpots.map(s => [s.position[0], s.position[1]])
+  };
+}
@@ -0,0 +1,193 @@
+/**
+ * @fileoverview Uniform-grid spatial hash for neighbor queries (separation, greetings, obstacles)
+ * @module pets-core/environment/spatialHash
+ *
+ * The manager rebuilds the pet index once per frame from its pose map, then every pet
+ * queries it instead of scanning all other pets:
+ *
+ * @example
+ * useFrame(() => {
+ *   // ...fill posMapRef.current...
+ *   petSpatialHash.rebuild(posMapRef.current);
+ * });
+ * <Pet getPosMap={getPosMap} getSpatialHash={() => petSpatialHash} ... />
+ */
+
+/**
+ * Spatial hash tuning
+ * @type {Object}
+ */
+export const SPATIAL_CONFIG = {
+  cellSize: 2.5,          // Pet index cell size (about the separation radius)
+  obstacleCellSize: 2.0   // Obstacle index cell size
+};
+
+/**
+ * @typedef {Object} SpatialEntry
+ * @property {string} id - Entry ID
+ * @property {number} x - X position (box center for boxes)
+ * @property {number} z - Z position (box center for boxes)
+ * @property {*} item - Payload passed to insert
+ * @property {number} index - Insertion index
+ */
+
+// Cell coordinates are packed into one number (exact for |cell| < 32768)
+const cellKey = (cx, cz) => (cx + 32768) * 65536 + (cz + 32768);
+
+/**
+ * Uniform grid over the XZ plane. Points live in one cell; boxes in every cell they overlap.
+ * Queries are broad phase: they return everything in the overlapped cells, so callers
+ * still do their own exact distance or shape test.
+ */
+export class SpatialHash {
+  /**
+   * @param {number} [cellSize=SPATIAL_CONFIG.cellSize] - Cell size in world units
+   */
+  constructor(cellSize = SPATIAL_CONFIG.cellSize) {
+    this.cellSize = cellSize;
+    /** @type {Map<number, SpatialEntry[]>} */
+    this.cells = new Map();
+    /** @type {SpatialEntry[]} Entries in insertion order */
+    this.entries = [];
+    this._stamp = 0;
+  }
+
+  /**
+   * Number of entries
+   * @type {number}
+   */
+  get size() {
+    return this.entries.length;
+  }
+
+  /**
+   * Remove all entries (cell arrays are kept for reuse)
+   */
+  clear() {
+    for (const cell of this.cells.values()) cell.length = 0;
+    this.entries.length = 0;
+  }
+
+  /**
+   * Cell coordinate for a world coordinate
+   * @param {number} v - X or Z
+   * @returns {number} Cell coordinate
+   */
+  cellOf(v) {
+    return Math.floor(v / this.cellSize);
+  }
+
+  /**
+   * @private
+   */
+  _cell(cx, cz) {
+    const key = cellKey(cx, cz);
+    let cell = this.cells.get(key);
+    if (!cell) {
+      cell = [];
+      this.cells.set(key, cell);
+    }
+    return cell;
+  }
+
+  /**
+   * Insert a point
+   * @param {string} id - Entry ID
+   * @param {number} x - X position
+   * @param {number} z - Z position
+   * @param {*} [item=null] - Payload
+   * @returns {SpatialEntry} Entry
+   */
+  insert(id, x, z, item = null) {
+    const entry = { id, x, z, item, index: this.entries.length, _stamp: 0 };
+    this.entries.push(entry);
+    this._cell(this.cellOf(x), this.cellOf(z)).push(entry);
+    return entry;
+  }
+
+  /**
+   * Insert an axis-aligned box (added to every cell it overlaps)
+   * @param {string} id - Entry ID
+   * @param {number} minX - Min X
+   * @param {number} minZ - Min Z
+   * @param {number} maxX - Max X
+   * @param {number} maxZ - Max Z
+   * @param {*} [item=null] - Payload
+   * @returns {SpatialEntry} Entry
+   */
+  insertBox(id, minX, minZ, maxX, maxZ, item = null) {
+    const entry = { id, x: (minX + maxX) * 0.5, z: (minZ + maxZ) * 0.5, item, index: this.entries.length, _stamp: 0 };
+    this.entries.push(entry);
+    const c1 = this.cellOf(maxX);
+    const r1 = this.cellOf(maxZ);
+    for (let cx = this.cellOf(minX); cx <= c1; cx++) {
+      for (let cz = this.cellOf(minZ); cz <= r1; cz++) {
+        this._cell(cx, cz).push(entry);
+      }
+    }
+    return entry;
+  }
+
+  /**
+   * Replace the contents with a pose map (ID -> {x, z}); the pose is the payload
+   * @param {Map<string, {x: number, z: number}>} posMap - Pose map
+   * @returns {SpatialHash} this
+   */
+  rebuild(posMap) {
+    this.clear();
+    for (const [id, p] of posMap) this.insert(id, p.x, p.z, p);
+    return this;
+  }
+
+  /**
+   * Entries in the cells overlapping a circle's bounding square (each entry once)
+   * @param {number} x - Center X
+   * @param {number} z - Center Z
+   * @param {number} radius - Radius
+   * @param {SpatialEntry[]} [out=[]] - Output array (cleared first)
+   * @returns {SpatialEntry[]} Candidates
+   */
+  query(x, z, radius, out = []) {
+    out.length = 0;
+    const stamp = ++this._stamp;
+    const c1 = this.cellOf(x + radius);
+    const r1 = this.cellOf(z + radius);
+    for (let cx = this.cellOf(x - radius); cx <= c1; cx++) {
+      for (let cz = this.cellOf(z - radius); cz <= r1; cz++) {
+        const cell = this.cells.get(cellKey(cx, cz));
+        if (!cell) continue;
+        for (const entry of cell) {
+          if (entry._stamp === stamp) continue;
+          entry._stamp = stamp;
+          out.push(entry);
+        }
+      }
+    }
+    return out;
+  }
+
+  /**
+   * Visit every pair of point entries closer than a radius (each pair once, in insertion order of the first)
+   * @param {number} radius - Max distance
+   * @param {function(SpatialEntry, SpatialEntry, number): void} fn - Called with (a, b, squared distance)
+   */
+  forEachPair(radius, fn) {
+    const r2 = radius * radius;
+    const near = [];
+    for (const a of this.entries) {
+      for (const b of this.query(a.x, a.z, radius, near)) {
+        if (b.index <= a.index) continue;
+        const dx = a.x - b.x;
+        const dz = a.z - b.z;
+        const d2 = dx * dx + dz * dz;
+        if (d2 < r2) fn(a, b, d2);
+      }
+    }
+  }
+}
+
+/**
+ * Shared pet index, rebuilt by the scene manager once per frame
+ * @type {SpatialHash}
+ */
+export const petSpatialHash = new SpatialHash(SPATIAL_CONFIG.cellSize);
@@ -0,0 +1,169 @@
+/**
+ * @fileoverview Day/night cycle on the player's local clock: phases, daylight and per-room sky/fog/light keyframes
+ * @module pets-core/environment/timeOfDay
+ *
+ * A room's own background, fog and lighting are its daytime look. Its optional `dayNight`
+ * block overrides parts of them for the other phases; values are blended between phases:
+ *
+ * @example
+ * "dayNight": {
+ *   "evening": { "background": "#ffc9a8", "lighting": { "directional": { "intensity": 0.9, "color": "#ff9a5a" } } },
+ *   "night": { "background": "#0d1230", "fog": { "color": "#0d1230" }, "lighting": { "directional": { "intensity": 0.2 } } }
+ * }
+ *
+ * Pets read the phase from updateBrain's `timeOfDay` param: in the evening they rest more and
+ * gather on the warmest spots, at night they fall asleep (see ai/brain.js).
+ */
+
+import * as THREE from 'three';
+import { lerp } from '../utils.js';
+
+/** Phases in day order */
+export const DAY_PHASES = ['night', 'dawn', 'day', 'evening'];
+
+/**
+ * Day/night tuning
+ * @type {Object}
+ */
+export const TIME_OF_DAY_CONFIG = {
+  // Local hours [start, end); night is the rest
+  phases: {
+    dawn: [5.5, 8],
+    day: [8, 17.5],
+    evening: [17.5, 21.5]
+  },
+  // Sunlight per phase (0 = dark); sunbeam spots are only warm while the sun is up
+  daylight: { night: 0, dawn: 0.5, day: 1, evening: 0.4 },
+  tickS: 30,                  // How often apps re-read the clock
+  eveningRestMul: 2.5,        // Rest chance multiplier in the evening
+  eveningRestDurationMul: 2,  // Evening rests last longer
+  nightSleepAfterS: 6,        // Seconds without interaction before a pet dozes off at night
+  nightSleepChancePerS: 0.15,
+  nightSleepDuration: [25, 45],
+  warmSpotSlack: 0.05         // Spots this close to the warmest count as warm
+};
+
+/**
+ * @typedef {Object} TimeOfDay
+ * @property {number} hour - Local hour (0-24, fractional)
+ * @property {string} phase - 'night' | 'dawn' | 'day' | 'evening'
+ * @property {number} daylight - Sunlight (0-1), blended across phase changes
+ * @property {{from: string, to: string, t: number}} blend - Keyframes the hour lies between
+ */
+
+/**
+ * Local hour of a date
+ * @param {Date} [date=new Date()] - Date
+ * @returns {number} Hour (0-24, fractional)
+ */
+export function getHour(date = new Date()) {
+  return date.getHours() + date.getMinutes() / 60 + date.getSeconds() / 3600;
+}
+
+/**
+ * Phase of an hour
+ * @param {number} hour - Local hour
+ * @returns {string} Phase
+ */
+export function getDayPhase(hour) {
+  const { phases } = TIME_OF_DAY_CONFIG;
+  for (const phase of ['dawn', 'day', 'evening']) {
+    if (hour >= phases[phase][0] && hour < phases[phase][1]) return phase;
+  }
+  return 'night';
+}
+
+/**
+ * Keyframes around the clock: each phase is at full strength in its middle (day and night
+ * hold across theirs), blending into the next one at the boundaries
+ * @private
+ */
+function getKeyframes() {
+  const { dawn, day, evening } = TIME_OF_DAY_CONFIG.phases;
+  const mid = ([a, b]) => (a + b) / 2;
+  return [
+    { hour: dawn[0], phase: 'night' },
+    { hour: mid(dawn), phase: 'dawn' },
+    { hour: day[0], phase: 'day' },
+    { hour: day[1], phase: 'day' },
+    { hour: mid(evening), phase: 'evening' },
+    { hour: evening[1], phase: 'night' }
+  ];
+}
+
+/**
+ * Time of day for an hour
+ * @param {number} [hour=getHour()] - Local hour
+ * @returns {TimeOfDay} Phase, daylight and keyframe blend
+ */
+export function getTimeOfDay(hour = getHour()) {
+  const keys = getKeyframes();
+  const h = ((hour % 24) + 24) % 24;
+  let i = keys.findIndex(k => k.hour > h);
+  if (i === -1) i = 0;
+  const next = keys[i];
+  const prev = keys[(i + keys.length - 1) % keys.length];
+  // Night wraps past midnight
+  const span = (next.hour - prev.hour + 24) % 24 || 24;
+  const t = ((h - prev.hour + 24) % 24) / span;
+  const { daylight } = TIME_OF_DAY_CONFIG;
+  return {
+    hour: h,
+    phase: getDayPhase(h),
+    daylight: lerp(daylight[prev.phase], daylight[next.phase], t),
+    blend: { from: prev.phase, to: next.phase, t }
+  };
+}
+
+const _a = new THREE.Color();
+const _b = new THREE.Color();
+
+/**
+ * Blend two values of the same shape: numbers, [x, y, z] arrays, CSS colors or objects of those
+ * @private
+ */
+function mix(a, b, t) {
+  if (b === undefined || a === b) return a;
+  if (a === undefined) return b;
+  if (typeof a === 'number') return lerp(a, b, t);
+  if (typeof a === 'string') return `#${_a.set(a).lerp(_b.set(b), t).getHexString()}`;
+  if (Array.isArray(a)) return a.map((v, i) => mix(v, b[i], t));
+  if (a && typeof a === 'object') {
+    const out = {};
+    for (const k of new Set([...Object.keys(a), ...Object.keys(b ?? {})])) out[k] = mix(a[k], b?.[k], t);
+    return out;
+  }
+  return t < 0.5 ? a : b;
+}
+
+/**
+ * Scene look of one phase: the daytime look with the phase's overrides on top.
+ * Lights and fog the daytime look doesn't have are ignored.
+ * @private
+ */
+function getPhaseLook(scene, phase) {
+  const over = phase === 'day' ? null : scene.dayNight?.[phase];
+  const lighting = {};
+  for (const [key, light] of Object.entries(scene.lighting ?? {})) {
+    lighting[key] = { ...light, ...over?.lighting?.[key] };
+  }
+  return {
+    background: over?.background ?? scene.background,
+    fog: scene.fog ? { ...scene.fog, ...over?.fog } : null,
+    lighting
+  };
+}
+
+/**
+ * Background, fog and lighting of a theme config or room at a time of day
+ * @param {Object} scene - Theme config or room ({background, fog, lighting, dayNight})
+ * @param {TimeOfDay|null} timeOfDay - Time of day (null for the daytime look)
+ * @returns {{background: string, fog: Object|null, lighting: Object}} Scene fields
+ */
+export function getSceneAtTime(scene, timeOfDay) {
+  if (!timeOfDay || !scene.dayNight) {
+    return { background: scene.background, fog: scene.fog ?? null, lighting: scene.lighting };
+  }
+  const { from, to, t } = timeOfDay.blend;
+  return mix(getPhaseLook(scene, from), getPhaseLook(scene, to), t);
+}
@@ -30,13 +30,48 @@ export const PET_EVENTS = {
   UNASSIGNED_FROM_MEMORY: 'pet:unassignedFromMemory',
   MEMORY_ADDED: 'memory:added',
   MEMORY_REMOVED: 'memory:removed',
+  MEMORY_MOVED: 'memory:moved',
   PET_NEAR_MEMORY: 'pet:nearMemory',
   PET_LEFT_MEMORY: 'pet:leftMemory',
   
   // State events
   BOND_INCREASED: 'pet:bondIncreased',
+  BOND_MILESTONE: 'pet:bondMilestone',
   HAPPINESS_CHANGED: 'pet:happinessChanged',
-  MODE_CHANGED: 'pet:modeChanged'
+  MODE_CHANGED: 'pet:modeChanged',
+  
+  // Needs events
+  NEED_CRITICAL: 'pet:needCritical',
+  NEED_RECOVERED: 'pet:needRecovered',
+  NEED_SATISFIED: 'pet:needSatisfied',
+
+  // Customization events
+  ACCESSORY_EQUIPPED: 'pet:accessoryEquipped',
+  ACCESSORY_UNEQUIPPED: 'pet:accessoryUnequipped',
+
+  // Gacha events
+  GACHA_PULL: 'gacha:pull',
+  COLLECTION_DISCOVERED: 'collection:discovered',
+  COLLECTION_DUPLICATE: 'collection:duplicate',
+  COLLECTION_VARIANT: 'collection:variant',
+  COLLECTION_SHARDS_SPENT: 'collection:shardsSpent',
+
+  // Wallet events
+  COINS_EARNED: 'wallet:earned',
+  COINS_SPENT: 'wallet:spent',
+
+  // Palace events
+  PET_CHANGED_ROOM: 'pet:changedRoom',
+  ROOM_ENTERED: 'palace:roomEntered',
+  ROOM_LOADED: 'palace:roomLoaded',
+  ROOM_UNLOADED: 'palace:roomUnloaded',
+
+  // Editor events
+  LAYOUT_CHANGED: 'editor:layoutChanged',
+
+  // Persistence events
+  STORAGE_ERROR: 'storage:error',
+  OFFLINE_CATCH_UP: 'world:offlineCatchUp'
 };
 
 /**
@@ -47,6 +82,25 @@ export const PET_EVENTS = {
  * @property {Object} [memory] - Memory object
  * @property {string} [mode] - AI mode
  * @property {number} [value] - Numeric value
+ * @property {string} [need] - Need key (needs events)
+ * @property {string} [accessoryId] - Accessory ID (customization events)
+ * @property {string} [slot] - Accessory slot (customization events)
+ * @property {import('../gacha/rarity.js').GachaPull} [pull] - Pull result (gacha events)
+ * @property {string} [speciesKey] - Species key (collection events)
+ * @property {import('../gacha/collection.js').DexEntry} [entry] - Dex entry (collection events)
+ * @property {number} [shards] - Shards granted (collection duplicate events)
+ * @property {import('../economy/wallet.js').Transaction} [transaction] - Ledger entry (wallet events)
+ * @property {number} [balance] - Balance after the transaction (wallet events)
+ * @property {string} [palaceId] - Palace ID (palace events)
+ * @property {string} [roomId] - Room entered, loaded or unloaded; a traveling pet's new room (palace events)
+ * @property {string} [fromRoomId] - Room the pet or player left (palace events)
+ * @property {string} [portalId] - Portal walked through (palace events)
+ * @property {number[]} [position] - Arrival position [x, z] (PET_CHANGED_ROOM)
+ * @property {number} [yaw] - Arrival facing (PET_CHANGED_ROOM)
+ * @property {string[]} [roomIds] - Rooms whose layout changed (LAYOUT_CHANGED)
+ * @property {string} [reason] - 'edit' | 'undo' | 'redo' | 'reset' | 'load' (LAYOUT_CHANGED)
+ * @property {string} [key] - Storage key (storage events)
+ * @property {Error} [error] - Error (storage events, ROOM_LOADED for a room that failed)
  */
 
 /**
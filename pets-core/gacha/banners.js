@@ -0,0 +1,146 @@
+/**
+ * @fileoverview Gacha banner definitions: time windows, rate-up species, custom weights and pity
+ * @module pets-core/gacha/banners
+ *
+ * A banner is plain data; GachaManager.pull(bannerId) reads it, so a seasonal event is
+ * just a registerBanner() call:
+ *
+ * @example
+ * registerBanner({
+ *   id: 'lunar2027',
+ *   name: 'Lunar Festival',
+ *   startsAt: Date.parse('2027-02-01'),
+ *   endsAt: Date.parse('2027-02-15'),
+ *   weights: { common: 60, rare: 32, legendary: 8 },
+ *   rateUp: { species: ['dragon'], share: 0.75 },
+ *   pity: 40
+ * });
+ */
+
+/**
+ * @typedef {Object} BannerRateUp
+ * @property {string[]} species - Featured species
+ * @property {number} [share=0.5] - Chance that a pull landing in a featured species' tier picks a featured one
+ */
+
+/**
+ * @typedef {Object} GachaBanner
+ * @property {string} id - Unique banner ID
+ * @property {string} name - Display name
+ * @property {number|null} [startsAt] - Start timestamp (null = always started)
+ * @property {number|null} [endsAt] - End timestamp (null = never ends)
+ * @property {Object.<string, number>} [weights] - Rarity weights (defaults to RARITY_TIERS weights)
+ * @property {BannerRateUp} [rateUp] - Featured species
+ * @property {number} [pity] - Pulls until a guaranteed legendary (defaults to GACHA_CONFIG.pityCounter)
+ * @property {number} [cost] - Coins per pull (defaults to GACHA_CONFIG.summonCost)
+ * @property {number} [multiCost] - Coins per multi-pull (defaults to cost × GACHA_CONFIG.multiPullCount)
+ */
+
+/** ID of the permanent banner */
+export const STANDARD_BANNER_ID = 'standard';
+
+/**
+ * Permanent banner: base rates, no rate-up
+ * @type {GachaBanner}
+ */
+export const STANDARD_BANNER = {
+  id: STANDARD_BANNER_ID,
+  name: 'Standard',
+  startsAt: null,
+  endsAt: null
+};
+
+/**
+ * Banner registry
+ */
+class BannerRegistry {
+  constructor() {
+    /** @type {Map<string, GachaBanner>} */
+    this.banners = new Map();
+  }
+
+  /**
+   * Register (or replace) a banner
+   * @param {GachaBanner} banner - Banner definition
+   */
+  add(banner) {
+    this.banners.set(banner.id, {
+      ...banner,
+      startsAt: banner.startsAt ?? null,
+      endsAt: banner.endsAt ?? null
+    });
+  }
+
+  /**
+   * Remove a banner (the standard banner stays)
+   * @param {string} id - Banner ID
+   */
+  remove(id) {
+    if (id === STANDARD_BANNER_ID) return;
+    this.banners.delete(id);
+  }
+
+  /**
+   * Get a banner
+   * @param {string} id - Banner ID
+   * @returns {GachaBanner|null} Banner or null
+   */
+  get(id) {
+    return this.banners.get(id) || null;
+  }
+
+  /**
+   * Get all banners
+   * @returns {GachaBanner[]} Banners in registration order
+   */
+  getAll() {
+    return Array.from(this.banners.values());
+  }
+
+  /**
+   * Check whether a banner is open
+   * @param {string} id - Banner ID
+   * @param {number} [now=Date.now()] - Current time
+   * @returns {boolean} True if registered and inside its time window
+   */
+  isActive(id, now = Date.now()) {
+    const banner = this.get(id);
+    if (!banner) return false;
+    if (banner.startsAt !== null && now < banner.startsAt) return false;
+    if (banner.endsAt !== null && now >= banner.endsAt) return false;
+    return true;
+  }
+
+  /**
+   * Get open banners
+   * @param {number} [now=Date.now()] - Current time
+   * @returns {GachaBanner[]} Open banners
+   */
+  getActive(now = Date.now()) {
+    return this.getAll().filter(b => this.isActive(b.id, now));
+  }
+
+  /**
+   * Remove all banners except the standard one
+   */
+  clear() {
+    this.banners.clear();
+    this.add(STANDARD_BANNER);
+  }
+}
+
+/**
+ * Global banner registry singleton
+ */
+export const bannerRegistry = new BannerRegistry();
+bannerRegistry.add(STANDARD_BANNER);
+
+/**
+ * Register a banner
+ * @param {GachaBanner} banner - Banner definition
+ * @returns {GachaBanner} Registered banner
+ */
+export function registerBanner(banner) {
+  bannerRegistry.add(banner);
+  return bannerRegistry.get(banner.id);
+}
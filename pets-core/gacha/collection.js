@@ -0,0 +1,407 @@
+/**
+ * @fileoverview Collection log (pet-dex): discovered species and variants, duplicate rewards
+ * @module pets-core/gacha/collection
+ *
+ * Species are discovered only by pulling them (PET_EVENTS.GACHA_PULL), so the starter pets
+ * and free spawns don't fill the dex. Spawned pets (PET_EVENTS.PET_SPAWNED) log their color
+ * and pattern under species already discovered.
+ * Pulling a species already in the dex is a duplicate: it is converted into upgrade shards
+ * for that species and, with a wallet attached, coins, instead of a pet (isConverted).
+ * A newly discovered pet with no room to spawn (pet cap) is converted into the same reward
+ * (recordOverflow). Each pull pays out at most once.
+ *
+ * With an async adapter, pulls and spawns logged before the save has been read are logged
+ * again on top of the loaded entries.
+ *
+ * @example
+ * useEffect(() => collectionRegistry.attach({ wallet }), []);
+ */
+
+import { getStorageAdapter, onStorageAdapterChange } from '../persistence/adapters.js';
+import { readJSON, readJSONSync, writeJSON } from '../persistence/storage.js';
+import { petEvents, PET_EVENTS } from '../events/PetEventEmitter.js';
+import { SPECIES } from '../species.js';
+import { getSpeciesRarity } from './rarity.js';
+import { TRANSACTION_REASONS } from '../economy/wallet.js';
+
+/** Storage key for collection state */
+export const COLLECTION_STORAGE_KEY = 'mindPalace:collection:v1';
+
+/**
+ * Duplicate rewards by rarity
+ * @type {Object.<string, {shards: number, coins: number}>}
+ */
+export const DUPLICATE_REWARDS = {
+  common: { shards: 1, coins: 10 },
+  rare: { shards: 3, coins: 30 },
+  legendary: { shards: 10, coins: 100 }
+};
+
+/** Coins per shard when exchanging (see exchangeShards) */
+export const SHARD_EXCHANGE_RATE = 5;
+
+/**
+ * @typedef {Object} DexEntry
+ * @property {string} speciesKey - Species key
+ * @property {number} discoveredAt - First discovery timestamp
+ * @property {number} pulls - Times pulled
+ * @property {number} duplicates - Pulls after the first discovery
+ * @property {number} shards - Unspent upgrade shards
+ * @property {number[]} colors - Body colors seen
+ * @property {string[]} patterns - Pattern types seen ('plain' for none)
+ */
+
+/**
+ * @typedef {Object} DexRow
+ * @property {string} speciesKey - Species key
+ * @property {Object} species - SPECIES definition
+ * @property {string} rarity - Rarity tier
+ * @property {boolean} discovered - In the dex
+ * @property {DexEntry|null} entry - Dex entry (null while undiscovered, shown as a silhouette)
+ */
+
+/**
+ * Collection registry
+ */
+export class CollectionRegistry {
+  /**
+   * @param {Object} [options] - Registry options
+   * @param {import('../persistence/adapters.js').StorageAdapter} [options.adapter] - Storage adapter (defaults to the global one)
+   * @param {string} [options.storageKey=COLLECTION_STORAGE_KEY] - Storage key
+   */
+  constructor({ adapter = null, storageKey = COLLECTION_STORAGE_KEY } = {}) {
+    /** @type {Map<string, DexEntry>} */
+    this.entries = new Map();
+    this.adapter = adapter;
+    this.storageKey = storageKey;
+    /** @type {WeakSet<import('./rarity.js').GachaPull>} Pulls paid out as shards and coins instead of a pet */
+    this._converted = new WeakSet();
+
+    /** @type {Function[]|null} Entry changes made while an async load is in flight */
+    this._early = null;
+    this._loadToken = 0;
+    this._silent = false;
+
+    // Load saved state
+    this.ready = this.loadState();
+
+    // Reload from the new store on setStorageAdapter() unless an adapter was given
+    this._offAdapterChange = onStorageAdapterChange(() => {
+      if (!this.adapter) this.ready = this.loadState();
+    });
+  }
+
+  /**
+   * Storage the dex saves to (the given adapter, else the global one)
+   * @private
+   */
+  _getAdapter() {
+    return this.adapter ?? getStorageAdapter();
+  }
+
+  /**
+   * Switch storage adapter and reload state from it
+   * @param {import('../persistence/adapters.js').StorageAdapter|null} adapter - Storage adapter (null follows the global one)
+   * @returns {Promise<void>} Resolves once state is loaded
+   */
+  setAdapter(adapter) {
+    this.adapter = adapter;
+    this.ready = this.loadState();
+    return this.ready;
+  }
+
+  /**
+   * Apply saved data
+   * @private
+   */
+  _applyState(data) {
+    this.entries.clear();
+    for (const e of data?.entries ?? []) {
+      if (e?.speciesKey) this.entries.set(e.speciesKey, e);
+    }
+  }
+
+  /**
+   * Load state from storage (synchronously when the adapter supports it).
+   * Entry changes made while an async load is in flight are made again on the loaded entries.
+   * @returns {Promise<void>} Resolves once state is loaded
+   */
+  loadState() {
+    const adapter = this._getAdapter();
+    const token = ++this._loadToken;
+    if (adapter.readSync) {
+      this._finishLoad(readJSONSync(this.storageKey, adapter));
+      return Promise.resolve();
+    }
+    this._early ??= [];
+    return readJSON(this.storageKey, adapter).then(data => {
+      // A newer load (adapter change) supersedes this one
+      if (token === this._loadToken) this._finishLoad(data);
+    });
+  }
+
+  /**
+   * Apply loaded data, then replay the entry changes made while it was loading
+   * (coins paid at the time are not paid again)
+   * @private
+   */
+  _finishLoad(data) {
+    const early = this._early;
+    this._early = null;
+    this._applyState(data);
+    if (!early?.length) return;
+
+    this._silent = true;
+    try {
+      for (const op of early) op();
+    } finally {
+      this._silent = false;
+    }
+    this.saveState();
+  }
+
+  /**
+   * Change entries now, and remember the change for replay if the save is still loading
+   * @private
+   */
+  _track(op) {
+    this._early?.push(op);
+    return op();
+  }
+
+  /**
+   * Emit a collection event (not while replaying changes onto a loaded save)
+   * @private
+   */
+  _emit(event, payload) {
+    if (!this._silent) petEvents.emit(event, payload);
+  }
+
+  /**
+   * Save state to storage (skipped until the saved state has been read, so it isn't overwritten)
+   * @returns {Promise<boolean>} True if written
+   */
+  saveState() {
+    if (this._early) return Promise.resolve(false);
+    return writeJSON(this.storageKey, { entries: [...this.entries.values()] }, this._getAdapter());
+  }
+
+  /**
+   * Entry for a species, created (and announced) on first discovery
+   * @private
+   */
+  _discover(speciesKey) {
+    let entry = this.entries.get(speciesKey);
+    if (entry) return { entry, isNew: false };
+    entry = {
+      speciesKey,
+      discoveredAt: Date.now(),
+      pulls: 0,
+      duplicates: 0,
+      shards: 0,
+      colors: [],
+      patterns: []
+    };
+    this.entries.set(speciesKey, entry);
+    this._emit(PET_EVENTS.COLLECTION_DISCOVERED, { speciesKey, entry });
+    return { entry, isNew: true };
+  }
+
+  /**
+   * Log a gacha pull. A duplicate is converted into shards and (with a wallet) coins;
+   * the caller should not spawn it (isConverted).
+   * @param {import('./rarity.js').GachaPull} pull - Pull result
+   * @param {import('../economy/wallet.js').Wallet} [wallet] - Wallet paid the duplicate coins
+   * @returns {{isNew: boolean, shards: number, coins: number}} Discovery and duplicate rewards
+   */
+  recordPull(pull, wallet = null) {
+    const { isNew, shards } = this._track(() => {
+      const { entry, isNew } = this._discover(pull.speciesKey);
+      entry.pulls++;
+      if (isNew) return { isNew, shards: 0 };
+      const reward = DUPLICATE_REWARDS[pull.rarity] ?? DUPLICATE_REWARDS.common;
+      entry.duplicates++;
+      entry.shards += reward.shards;
+      return { isNew, shards: reward.shards };
+    });
+
+    let coins = 0;
+    if (!isNew) {
+      this._converted.add(pull);
+      const reward = DUPLICATE_REWARDS[pull.rarity] ?? DUPLICATE_REWARDS.common;
+      if (wallet && reward.coins > 0) {
+        wallet.earn(reward.coins, TRANSACTION_REASONS.DUPLICATE, { speciesKey: pull.speciesKey, rarity: pull.rarity });
+        coins = reward.coins;
+      }
+      petEvents.emit(PET_EVENTS.COLLECTION_DUPLICATE, { speciesKey: pull.speciesKey, entry: this.entries.get(pull.speciesKey), shards, value: coins });
+    }
+
+    this.saveState();
+    return { isNew, shards, coins };
+  }
+
+  /**
+   * Was a pull paid out as shards and coins instead of a pet (a duplicate, or an overflow)?
+   * @param {import('./rarity.js').GachaPull} pull - Pull result
+   * @returns {boolean} True if converted
+   */
+  isConverted(pull) {
+    return this._converted.has(pull);
+  }
+
+  /**
+   * Log a pet's look under its species (ignored until the species has been pulled)
+   * @param {{speciesKey: string, bodyColor?: number, pattern?: Object|null}} pet - Pet data
+   * @returns {boolean} True if the color or pattern was new for its species
+   */
+  recordPet(pet) {
+    if (!SPECIES[pet?.speciesKey]) return false;
+    const { speciesKey, bodyColor } = pet;
+    const patternType = pet.pattern?.type ?? 'plain';
+    const isNewVariant = this._track(() => {
+      const entry = this.entries.get(speciesKey);
+      if (!entry) return false;
+      let isNewVariant = false;
+
+      if (Number.isInteger(bodyColor) && !entry.colors.includes(bodyColor)) {
+        entry.colors.push(bodyColor);
+        isNewVariant = true;
+      }
+      if (!entry.patterns.includes(patternType)) {
+        entry.patterns.push(patternType);
+        isNewVariant = true;
+      }
+
+      if (isNewVariant) this._emit(PET_EVENTS.COLLECTION_VARIANT, { speciesKey, entry });
+      return isNewVariant;
+    });
+    if (isNewVariant) this.saveState();
+    return isNewVariant;
+  }
+
+  /**
+   * Check whether a species is in the dex
+   * @param {string} speciesKey - Species key
+   * @returns {boolean} True if discovered
+   */
+  isDiscovered(speciesKey) {
+    return this.entries.has(speciesKey);
+  }
+
+  /**
+   * Get a species' entry
+   * @param {string} speciesKey - Species key
+   * @returns {DexEntry|null} Entry or null
+   */
+  getEntry(speciesKey) {
+    return this.entries.get(speciesKey) || null;
+  }
+
+  /**
+   * Convert a pulled pet that had no room to spawn (pet cap reached) into shards and coins,
+   * at the duplicate reward for its rarity. A pull already converted as a duplicate pays nothing more.
+   * @param {import('./rarity.js').GachaPull} pull - Pull that didn't spawn
+   * @param {import('../economy/wallet.js').Wallet} [wallet] - Wallet paid the coins
+   * @returns {{shards: number, coins: number}} Reward
+   */
+  recordOverflow(pull, wallet = null) {
+    if (this._converted.has(pull)) return { shards: 0, coins: 0 };
+    this._converted.add(pull);
+    const reward = DUPLICATE_REWARDS[pull.rarity] ?? DUPLICATE_REWARDS.common;
+    this._track(() => {
+      this._discover(pull.speciesKey).entry.shards += reward.shards;
+    });
+    let coins = 0;
+    if (wallet && reward.coins > 0) {
+      wallet.earn(reward.coins, TRANSACTION_REASONS.OVERFLOW, { speciesKey: pull.speciesKey, rarity: pull.rarity });
+      coins = reward.coins;
+    }
+    this.saveState();
+    return { shards: reward.shards, coins };
+  }
+
+  /**
+   * Spend a species' upgrade shards
+   * @param {string} speciesKey - Species key
+   * @param {number} amount - Shards to spend
+   * @returns {boolean} True if spent
+   */
+  spendShards(speciesKey, amount) {
+    const entry = this.entries.get(speciesKey);
+    if (!entry || !(amount > 0) || entry.shards < amount) return false;
+    // Replayed on a loaded save as far as its shards allow
+    this._track(() => {
+      const e = this.entries.get(speciesKey);
+      if (e) e.shards = Math.max(0, e.shards - amount);
+    });
+    this.saveState();
+    petEvents.emit(PET_EVENTS.COLLECTION_SHARDS_SPENT, { speciesKey, entry, shards: amount });
+    return true;
+  }
+
+  /**
+   * Exchange a species' shards for coins at SHARD_EXCHANGE_RATE
+   * @param {string} speciesKey - Species key
+   * @param {import('../economy/wallet.js').Wallet} wallet - Wallet to pay
+   * @param {number} [amount] - Shards to exchange (defaults to all)
+   * @returns {number} Coins paid
+   */
+  exchangeShards(speciesKey, wallet, amount = this.getEntry(speciesKey)?.shards ?? 0) {
+    if (!this.spendShards(speciesKey, amount)) return 0;
+    const coins = amount * SHARD_EXCHANGE_RATE;
+    wallet.earn(coins, TRANSACTION_REASONS.SHARD_EXCHANGE, { speciesKey, shards: amount });
+    return coins;
+  }
+
+  /**
+   * Dex rows for every species in SPECIES, in SPECIES order
+   * @returns {DexRow[]} Rows
+   */
+  getDex() {
+    return Object.entries(SPECIES).map(([speciesKey, species]) => {
+      const entry = this.getEntry(speciesKey);
+      return { speciesKey, species, rarity: getSpeciesRarity(speciesKey), discovered: !!entry, entry };
+    });
+  }
+
+  /**
+   * Discovery progress
+   * @returns {{discovered: number, total: number}} Counts
+   */
+  getProgress() {
+    const total = Object.keys(SPECIES).length;
+    const discovered = Object.keys(SPECIES).filter(k => this.entries.has(k)).length;
+    return { discovered, total };
+  }
+
+  /**
+   * Log pulls and spawns from pet events
+   * @param {Object} [options] - Options
+   * @param {import('../economy/wallet.js').Wallet} [options.wallet] - Wallet paid duplicate coins
+   * @param {typeof petEvents} [options.events=petEvents] - Event bus
+   * @returns {Function} Unsubscribe
+   */
+  attach({ wallet = null, events = petEvents } = {}) {
+    const offs = [
+      events.on(PET_EVENTS.GACHA_PULL, ({ pull }) => this.recordPull(pull, wallet)),
+      events.on(PET_EVENTS.PET_SPAWNED, ({ pet }) => pet && this.recordPet(pet))
+    ];
+    return () => offs.forEach(off => off());
+  }
+
+  /**
+   * Reset the collection (for testing)
+   */
+  reset() {
+    // Drop any load in flight; the reset state is what gets saved
+    this._loadToken++;
+    this._early = null;
+    this.entries.clear();
+    this.saveState();
+  }
+}
+
+/**
+ * Global collection registry singleton
+ */
+export const collectionRegistry = new CollectionRegistry();
@@ -3,8 +3,16 @@
  * @module pets-core/gacha/rarity
  */
 
+import { getStorageAdapter, onStorageAdapterChange } from '../persistence/adapters.js';
+import { readJSON, readJSONSync, writeJSON } from '../persistence/storage.js';
+import { getRng, forkRng } from '../random.js';
+import { petEvents, PET_EVENTS } from '../events/PetEventEmitter.js';
+import { bannerRegistry, STANDARD_BANNER_ID } from './banners.js';
+import { SPECIES, getSpeciesKeys } from '../species.js';
+
 /**
- * Rarity tier definitions
+ * Rarity tier definitions. `species` lists the registered species of each tier
+ * (SpeciesConfig.rarity).
  */
 export const RARITY_TIERS = {
   common: {
@@ -13,7 +21,7 @@ export const RARITY_TIERS = {
     color: 0x9ca3af, // Gray
     glowColor: 0xd1d5db,
     weight: 70,
-    species: ['cat', 'dog', 'bunny'],
+    get species() { return getSpeciesKeys('common'); },
     starCount: 1
   },
   rare: {
@@ -22,7 +30,7 @@ export const RARITY_TIERS = {
     color: 0x3b82f6, // Blue
     glowColor: 0x60a5fa,
     weight: 25,
-    species: ['tiger', 'wolf'],
+    get species() { return getSpeciesKeys('rare'); },
     starCount: 2
   },
   legendary: {
@@ -31,7 +39,7 @@ export const RARITY_TIERS = {
     color: 0xfbbf24, // Gold
     glowColor: 0xfcd34d,
     weight: 5,
-    species: ['dragon'],
+    get species() { return getSpeciesKeys('legendary'); },
     starCount: 3
   }
 };
@@ -47,9 +55,13 @@ export const GACHA_CONFIG = {
   pityCounter: 50,
   pityRarityBoost: 'legendary',
   
-  // Cost (for future currency system)
+  // Coins per summon (GachaManager.summon; banners can override)
   summonCost: 100,
   
+  // Multi-pull: pulls per batch, lowest rarity guaranteed in each batch
+  multiPullCount: 10,
+  multiPullGuarantee: 'rare',
+  
   // Animation timing (ms)
   revealDelay: 1500,
   starAnimationDelay: 200
@@ -61,7 +73,16 @@ export const GACHA_CONFIG = {
  * @property {string} rarity - Rarity tier
  * @property {boolean} isGuaranteed - Was this a guaranteed pull
  * @property {boolean} isPity - Was this a pity pull
+ * @property {boolean} [isRateUp] - Landed on one of the banner's featured species
+ * @property {string} bannerId - Banner pulled on
+ * @property {number} timestamp - Pull time
+ */
+
+/**
+ * Rarity tiers from lowest to highest
+ * @type {string[]}
  */
+export const RARITY_ORDER = ['common', 'rare', 'legendary'];
 
 /**
  * Get species list by rarity
@@ -69,7 +90,8 @@ export const GACHA_CONFIG = {
  * @returns {string[]} Species keys
  */
 export function getSpeciesByRarity(rarity) {
-  return RARITY_TIERS[rarity]?.species || RARITY_TIERS.common.species;
+  const species = RARITY_TIERS[rarity]?.species;
+  return species?.length ? species : RARITY_TIERS.common.species;
 }
 
 /**
@@ -78,12 +100,8 @@ export function getSpeciesByRarity(rarity) {
  * @returns {string} Rarity tier
  */
 export function getSpeciesRarity(speciesKey) {
-  for (const [rarity, tier] of Object.entries(RARITY_TIERS)) {
-    if (tier.species.includes(speciesKey)) {
-      return rarity;
-    }
-  }
-  return 'common';
+  const rarity = SPECIES[speciesKey]?.rarity;
+  return RARITY_TIERS[rarity] ? rarity : 'common';
 }
 
 /**
@@ -98,23 +116,33 @@ function getTotalWeight() {
  * Roll a random rarity based on weights
  * @param {Object} [modifiers] - Optional modifiers
  * @param {number} [modifiers.luckBoost=0] - Increase rare/legendary chance (0-1)
+ * @param {Object.<string, number>} [modifiers.weights] - Base weights per rarity (defaults to RARITY_TIERS weights)
+ * @param {string} [modifiers.minRarity] - Never roll below this rarity
+ * @param {import('../random.js').Rng} [rng] - Random stream (defaults to the world stream)
  * @returns {string} Selected rarity
  */
-export function rollRarity(modifiers = {}) {
-  const { luckBoost = 0 } = modifiers;
+export function rollRarity(modifiers = {}, rng = getRng()) {
+  const { luckBoost = 0, weights = null, minRarity = null } = modifiers;
+  const base = (rarity) => weights?.[rarity] ?? RARITY_TIERS[rarity].weight;
   
   // Adjust weights with luck boost
   const adjustedWeights = {};
   let remainingBoost = luckBoost * 100;
   
   // Take from common, give to rare/legendary
-  const commonReduction = Math.min(RARITY_TIERS.common.weight * 0.5, remainingBoost);
-  adjustedWeights.common = RARITY_TIERS.common.weight - commonReduction;
-  adjustedWeights.rare = RARITY_TIERS.rare.weight + commonReduction * 0.7;
-  adjustedWeights.legendary = RARITY_TIERS.legendary.weight + commonReduction * 0.3;
+  const commonReduction = Math.min(base('common') * 0.5, remainingBoost);
+  adjustedWeights.common = base('common') - commonReduction;
+  adjustedWeights.rare = base('rare') + commonReduction * 0.7;
+  adjustedWeights.legendary = base('legendary') + commonReduction * 0.3;
+  
+  // Drop tiers below the floor
+  const floor = minRarity ? RARITY_ORDER.indexOf(minRarity) : 0;
+  for (let i = 0; i < floor; i++) {
+    adjustedWeights[RARITY_ORDER[i]] = 0;
+  }
   
   const total = adjustedWeights.common + adjustedWeights.rare + adjustedWeights.legendary;
-  const roll = Math.random() * total;
+  const roll = rng.next() * total;
   
   let cumulative = 0;
   for (const [rarity, weight] of Object.entries(adjustedWeights)) {
@@ -124,140 +152,349 @@ export function rollRarity(modifiers = {}) {
     }
   }
   
-  return 'common';
+  return RARITY_ORDER[floor] ?? 'common';
 }
 
 /**
  * Select a random species from a rarity tier
  * @param {string} rarity - Rarity tier
+ * @param {import('../random.js').Rng} [rng] - Random stream (defaults to the world stream)
+ * @param {import('./banners.js').BannerRateUp} [rateUp] - Featured species that get a share of the tier
  * @returns {string} Species key
  */
-export function rollSpecies(rarity) {
+export function rollSpecies(rarity, rng = getRng(), rateUp = null) {
   const species = getSpeciesByRarity(rarity);
-  return species[Math.floor(Math.random() * species.length)];
+  const featured = rateUp?.species?.filter(k => species.includes(k)) ?? [];
+  if (featured.length > 0 && rng.next() < (rateUp.share ?? 0.5)) {
+    return rng.pick(featured);
+  }
+  return rng.pick(species);
 }
 
+/** Storage key for gacha state */
+export const GACHA_STORAGE_KEY = 'mindPalace:gacha:v1';
+
 /**
- * Gacha state manager
+ * Gacha state manager. Pity and pull counts are kept per banner; the first-rare
+ * guarantee is account-wide. State reloads when the global adapter changes
+ * (setStorageAdapter) unless an adapter was given, and pulls made while an async
+ * load is in flight are counted again on top of the loaded state.
  */
 export class GachaManager {
-  constructor() {
+  /**
+   * @param {Object} [options] - Manager options
+   * @param {import('../persistence/adapters.js').StorageAdapter} [options.adapter] - Storage adapter (defaults to the global one)
+   * @param {string} [options.storageKey=GACHA_STORAGE_KEY] - Storage key
+   */
+  constructor({ adapter = null, storageKey = GACHA_STORAGE_KEY } = {}) {
+    this._resetState();
+    this.adapter = adapter;
+    this.storageKey = storageKey;
+
+    /** @type {GachaPull[]|null} Pulls made while an async load is in flight */
+    this._early = null;
+    this._loadToken = 0;
+    
+    // Load saved state
+    this.ready = this.loadState();
+
+    // Follow setStorageAdapter() unless an adapter was given
+    this._offAdapterChange = onStorageAdapterChange(() => {
+      if (!this.adapter) this.ready = this.loadState();
+    });
+  }
+
+  /**
+   * @private
+   */
+  _resetState() {
     this.pullCount = 0;
     this.pullHistory = [];
-    this.pityCounter = 0;
+    /** @type {Object.<string, {pullCount: number, pityCounter: number}>} Per-banner counters */
+    this.bannerState = {};
     this.hasReceivedFirstRare = false;
-    
-    // Load state from localStorage
-    this.loadState();
+  }
+
+  /**
+   * Adapter in use: the one given, else the current global one
+   * @private
+   */
+  _getAdapter() {
+    return this.adapter ?? getStorageAdapter();
+  }
+
+  /**
+   * Switch storage adapter and reload state from it
+   * @param {import('../persistence/adapters.js').StorageAdapter|null} adapter - Storage adapter (null follows the global one)
+   * @returns {Promise<void>} Resolves once state is loaded
+   */
+  setAdapter(adapter) {
+    this.adapter = adapter;
+    this.ready = this.loadState();
+    return this.ready;
+  }
+
+  /**
+   * Apply saved data
+   * @private
+   */
+  _applyState(data) {
+    if (!data) return;
+    this.pullCount = data.pullCount || 0;
+    this.hasReceivedFirstRare = data.hasReceivedFirstRare || false;
+    this.pullHistory = (data.pullHistory || []).map(p => ({ ...p, bannerId: p.bannerId ?? STANDARD_BANNER_ID }));
+    // Saves from before banners had one global pity counter: it belongs to the standard banner
+    this.bannerState = data.banners ?? {
+      [STANDARD_BANNER_ID]: { pullCount: this.pullCount, pityCounter: data.pityCounter || 0 }
+    };
   }
   
   /**
-   * Load state from localStorage
+   * Load state from storage (synchronously when the adapter supports it).
+   * Pulls made while an async load is in flight are counted again on top of the loaded state.
+   * @returns {Promise<void>} Resolves once state is loaded
    */
   loadState() {
-    try {
-      const saved = localStorage.getItem('mindPalace:gacha:v1');
-      if (saved) {
-        const data = JSON.parse(saved);
-        this.pullCount = data.pullCount || 0;
-        this.pityCounter = data.pityCounter || 0;
-        this.hasReceivedFirstRare = data.hasReceivedFirstRare || false;
-        this.pullHistory = data.pullHistory || [];
-      }
-    } catch {}
+    const adapter = this._getAdapter();
+    const token = ++this._loadToken;
+    if (adapter.readSync) {
+      this._finishLoad(readJSONSync(this.storageKey, adapter));
+      return Promise.resolve();
+    }
+    this._early ??= [];
+    return readJSON(this.storageKey, adapter).then(data => {
+      // A newer load (setAdapter) supersedes this one
+      if (token === this._loadToken) this._finishLoad(data);
+    });
+  }
+
+  /**
+   * Apply loaded data, then count the pulls made while it was loading
+   * @private
+   */
+  _finishLoad(data) {
+    const early = this._early;
+    this._early = null;
+    if (data) this._applyState(data);
+    else if (early) this._resetState();
+    if (!early?.length) return;
+
+    for (const pull of early) {
+      const state = this._bannerState(pull.bannerId);
+      this.pullCount++;
+      state.pullCount++;
+      state.pityCounter = pull.isPity || pull.rarity === 'legendary' ? 0 : state.pityCounter + 1;
+      if (pull.rarity !== 'common') this.hasReceivedFirstRare = true;
+      this.pullHistory.push(pull);
+    }
+    this.saveState();
   }
   
   /**
-   * Save state to localStorage
+   * Save state to storage (skipped until the saved state has been read, so it isn't overwritten)
+   * @returns {Promise<boolean>} True if written
    */
   saveState() {
-    try {
-      localStorage.setItem('mindPalace:gacha:v1', JSON.stringify({
-        pullCount: this.pullCount,
-        pityCounter: this.pityCounter,
-        hasReceivedFirstRare: this.hasReceivedFirstRare,
-        pullHistory: this.pullHistory.slice(-100) // Keep last 100
-      }));
-    } catch {}
+    if (this._early) return Promise.resolve(false);
+    return writeJSON(this.storageKey, {
+      pullCount: this.pullCount,
+      hasReceivedFirstRare: this.hasReceivedFirstRare,
+      banners: this.bannerState,
+      pullHistory: this.pullHistory.slice(-100) // Keep last 100
+    }, this._getAdapter());
   }
-  
+
   /**
-   * Perform a gacha pull
-   * @returns {GachaPull} Pull result
+   * Pity counter of the standard banner (callers from before per-banner counters)
+   * @type {number}
+   */
+  get pityCounter() {
+    return this._bannerState(STANDARD_BANNER_ID).pityCounter;
+  }
+
+  /**
+   * Counters for a banner
+   * @private
+   */
+  _bannerState(bannerId) {
+    return (this.bannerState[bannerId] ||= { pullCount: 0, pityCounter: 0 });
+  }
+
+  /**
+   * Roll one pull without saving
+   * @private
    */
-  pull() {
+  _roll(banner, minRarity = null) {
+    const state = this._bannerState(banner.id);
     this.pullCount++;
-    this.pityCounter++;
+    state.pullCount++;
+    state.pityCounter++;
+    // One stream per pull index: results replay from the world seed and pull count
+    const rng = forkRng(`gacha:${this.pullCount}`);
+    const pity = banner.pity ?? GACHA_CONFIG.pityCounter;
     
     let rarity;
     let isGuaranteed = false;
     let isPity = false;
     
     // Check pity (guaranteed legendary)
-    if (this.pityCounter >= GACHA_CONFIG.pityCounter) {
-      rarity = 'legendary';
+    if (state.pityCounter >= pity) {
+      rarity = GACHA_CONFIG.pityRarityBoost;
       isPity = true;
-      this.pityCounter = 0;
+      state.pityCounter = 0;
     }
     // Check first-time rare guarantee
     else if (!this.hasReceivedFirstRare && 
              this.pullCount <= GACHA_CONFIG.guaranteeRareWithinFirst) {
       // Force at least rare on the guarantee pull
       if (this.pullCount === GACHA_CONFIG.guaranteeRareWithinFirst) {
-        rarity = Math.random() < 0.2 ? 'legendary' : 'rare';
+        rarity = rng.next() < 0.2 ? 'legendary' : 'rare';
         isGuaranteed = true;
       } else {
-        rarity = rollRarity();
+        rarity = rollRarity({ weights: banner.weights, minRarity }, rng);
       }
     }
-    // Normal roll
+    // Normal roll (a multi-pull's last pull may carry a floor)
     else {
-      rarity = rollRarity();
+      rarity = rollRarity({ weights: banner.weights, minRarity }, rng);
+      isGuaranteed = minRarity !== null;
     }
     
     // Update rare tracking
     if (rarity !== 'common') {
       this.hasReceivedFirstRare = true;
       if (rarity === 'legendary') {
-        this.pityCounter = 0;
+        state.pityCounter = 0;
       }
     }
     
-    const speciesKey = rollSpecies(rarity);
+    const speciesKey = rollSpecies(rarity, rng, banner.rateUp);
     
     const result = {
       speciesKey,
       rarity,
       isGuaranteed,
       isPity,
+      isRateUp: !!banner.rateUp?.species?.includes(speciesKey),
+      bannerId: banner.id,
       timestamp: Date.now()
     };
     
     this.pullHistory.push(result);
+    this._early?.push(result);
+    petEvents.emit(PET_EVENTS.GACHA_PULL, { pull: result });
+    return result;
+  }
+
+  /**
+   * Look up an open banner
+   * @private
+   */
+  _openBanner(bannerId) {
+    if (!bannerRegistry.isActive(bannerId)) return null;
+    return bannerRegistry.get(bannerId);
+  }
+  
+  /**
+   * Perform a gacha pull
+   * @param {string} [bannerId=STANDARD_BANNER_ID] - Banner to pull on
+   * @returns {GachaPull|null} Pull result, or null if the banner is unknown or closed
+   */
+  pull(bannerId = STANDARD_BANNER_ID) {
+    const banner = this._openBanner(bannerId);
+    if (!banner) return null;
+    const result = this._roll(banner);
     this.saveState();
-    
     return result;
   }
+
+  /**
+   * Perform a multi-pull; if no earlier pull in the batch reaches
+   * GACHA_CONFIG.multiPullGuarantee, the last one is rolled at that rarity or better
+   * @param {string} [bannerId=STANDARD_BANNER_ID] - Banner to pull on
+   * @param {number} [count=GACHA_CONFIG.multiPullCount] - Pulls in the batch
+   * @returns {GachaPull[]|null} Pull results, or null if the banner is unknown or closed
+   */
+  multiPull(bannerId = STANDARD_BANNER_ID, count = GACHA_CONFIG.multiPullCount) {
+    const banner = this._openBanner(bannerId);
+    if (!banner) return null;
+    const floor = RARITY_ORDER.indexOf(GACHA_CONFIG.multiPullGuarantee);
+    const results = [];
+    for (let i = 0; i < count; i++) {
+      const met = results.some(r => RARITY_ORDER.indexOf(r.rarity) >= floor);
+      const isLast = i === count - 1;
+      results.push(this._roll(banner, isLast && !met ? GACHA_CONFIG.multiPullGuarantee : null));
+    }
+    this.saveState();
+    return results;
+  }
+
+  /**
+   * Coins for one pull or a multi-pull on a banner
+   * @param {string} [bannerId=STANDARD_BANNER_ID] - Banner
+   * @param {number} [count=1] - Pulls
+   * @returns {number} Cost in coins
+   */
+  getCost(bannerId = STANDARD_BANNER_ID, count = 1) {
+    const banner = bannerRegistry.get(bannerId);
+    const cost = banner?.cost ?? GACHA_CONFIG.summonCost;
+    if (count === GACHA_CONFIG.multiPullCount && banner?.multiCost !== undefined) return banner.multiCost;
+    return cost * count;
+  }
+
+  /**
+   * Pay from a wallet, then pull
+   * @param {import('../economy/wallet.js').Wallet} wallet - Wallet to charge
+   * @param {string} [bannerId=STANDARD_BANNER_ID] - Banner to pull on
+   * @returns {GachaPull|null} Pull result, or null if the wallet can't cover the cost or the banner is closed
+   */
+  summon(wallet, bannerId = STANDARD_BANNER_ID) {
+    if (!this._openBanner(bannerId)) return null;
+    if (!wallet.spend(this.getCost(bannerId), 'summon', { bannerId, pullCount: this.pullCount + 1 })) return null;
+    return this.pull(bannerId);
+  }
+
+  /**
+   * Pay from a wallet, then multi-pull
+   * @param {import('../economy/wallet.js').Wallet} wallet - Wallet to charge
+   * @param {string} [bannerId=STANDARD_BANNER_ID] - Banner to pull on
+   * @param {number} [count=GACHA_CONFIG.multiPullCount] - Pulls in the batch
+   * @returns {GachaPull[]|null} Pull results, or null if the wallet can't cover the cost or the banner is closed
+   */
+  summonMulti(wallet, bannerId = STANDARD_BANNER_ID, count = GACHA_CONFIG.multiPullCount) {
+    if (!this._openBanner(bannerId)) return null;
+    if (!wallet.spend(this.getCost(bannerId, count), 'summon', { bannerId, count, pullCount: this.pullCount + 1 })) return null;
+    return this.multiPull(bannerId, count);
+  }
   
   /**
    * Get pull statistics
+   * @param {string} [bannerId] - Banner to report on (omit for all banners)
    * @returns {Object} Statistics
    */
-  getStats() {
+  getStats(bannerId) {
+    const history = bannerId ? this.pullHistory.filter(p => p.bannerId === bannerId) : this.pullHistory;
     const counts = { common: 0, rare: 0, legendary: 0 };
-    for (const pull of this.pullHistory) {
+    for (const pull of history) {
       counts[pull.rarity] = (counts[pull.rarity] || 0) + 1;
     }
     
+    const state = this._bannerState(bannerId ?? STANDARD_BANNER_ID);
+    const pity = bannerRegistry.get(bannerId ?? STANDARD_BANNER_ID)?.pity ?? GACHA_CONFIG.pityCounter;
+    const totalPulls = bannerId ? state.pullCount : this.pullCount;
+    // Rates come from the kept history (the last 100 pulls)
+    const n = history.length;
+    
     return {
-      totalPulls: this.pullCount,
-      pityCounter: this.pityCounter,
-      untilPity: GACHA_CONFIG.pityCounter - this.pityCounter,
+      bannerId: bannerId ?? null,
+      totalPulls,
+      pityCounter: state.pityCounter,
+      untilPity: pity - state.pityCounter,
       counts,
       rates: {
-        common: this.pullCount ? (counts.common / this.pullCount * 100).toFixed(1) : 0,
-        rare: this.pullCount ? (counts.rare / this.pullCount * 100).toFixed(1) : 0,
-        legendary: this.pullCount ? (counts.legendary / this.pullCount * 100).toFixed(1) : 0
+        common: n ? (counts.common / n * 100).toFixed(1) : 0,
+        rare: n ? (counts.rare / n * 100).toFixed(1) : 0,
+        legendary: n ? (counts.legendary / n * 100).toFixed(1) : 0
       }
     };
   }
@@ -266,10 +503,10 @@ export class GachaManager {
    * Reset gacha state (for testing)
    */
   reset() {
-    this.pullCount = 0;
-    this.pityCounter = 0;
-    this.hasReceivedFirstRare = false;
-    this.pullHistory = [];
+    // Drop any load in flight; the reset state is what gets saved
+    this._loadToken++;
+    this._early = null;
+    this._resetState();
     this.saveState();
   }
 }
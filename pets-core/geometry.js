@@ -8,7 +8,7 @@ import { RoundedBoxGeometry } from 'three/examples/jsm/geometries/RoundedBoxGeom
 import * as BufferGeometryUtils from 'three/examples/jsm/utils/BufferGeometryUtils.js';
 import { getSpecies } from './species.js';
 
-/** @type {Map<string, Object>} Global geometry cache */
+/** @type {Map<string, Object>} Global geometry cache (entries remember the species definition they were built from) */
 const GEO_CACHE = new Map();
 
 /**
@@ -72,6 +72,127 @@ function setWingAttributes(geo, wingFlag, sideVal) {
   return geo;
 }
 
+/**
+ * @typedef {Object} EarLayout
+ * @property {number} x - Distance of each ear from the center line
+ * @property {number} y - Ear center height
+ * @property {number} z - Ear center depth
+ * @property {number} sx - Ear X stretch
+ * @property {number} sy - Ear Y stretch
+ * @property {number} rotX - Base tilt
+ * @property {number} rotZ - Base outward splay (right ear uses -rotZ)
+ * @property {number} twitch - Twitch amount
+ * @property {number} width - Unstretched ear width
+ * @property {number} height - Unstretched ear height
+ * @property {number} depth - Unstretched ear depth
+ */
+
+/**
+ * Ear placement for a species (shared by the ear instances in Pet.jsx and accessory anchors)
+ * @param {string} speciesKey - Species key
+ * @returns {EarLayout} Left-ear layout (the right ear mirrors it)
+ */
+export function getEarLayout(speciesKey) {
+  const sp = getSpecies(speciesKey);
+  const scale = sp.scale || 1;
+  const base = {
+    x: 0.30 * scale,
+    y: sp.ear === 'long' ? 1.55 * scale : 1.35 * scale,
+    z: sp.ear === 'floppy' ? 0.10 * scale : 0.16 * scale,
+    sx: sp.ear === 'long' ? 0.85 : 1.0,
+    sy: sp.ear === 'long' ? 1.75 : 1.0,
+    width: 0.18 * scale,
+    height: 0.32 * scale,
+    depth: 0.14 * scale
+  };
+  switch (sp.ear) {
+    case 'pointy': return { ...base, rotX: 0, rotZ: 0.45, twitch: 0.35 };
+    case 'floppy': return { ...base, rotX: 0.2, rotZ: 0.85, twitch: 0.25 };
+    case 'sharp': return { ...base, rotX: -0.05, rotZ: 0.55, twitch: 0.25 };
+    default: return { ...base, rotX: -0.1, rotZ: 0.18, twitch: 0.25 };
+  }
+}
+
+/**
+ * @typedef {Object} PetAnchors
+ * @property {{position: number[], width: number, clearWidth: number, obstructionTop: number}} headTop -
+ *   Top of the head; clearWidth is the gap between whatever sticks up (ears, horns), obstructionTop their height
+ * @property {{position: number[], width: number}} face - Eye line on the front of the head
+ * @property {{position: number[], width: number}} neck - Collar ring (outer width)
+ * @property {{position: number[], width: number, occupied: boolean}} back - Between the shoulders; occupied if the species has its own wings
+ * @property {{position: number[], width: number, height: number, depth: number}} ear - Right ear tip, relative to the ear's center
+ * @property {{position: number[], width: number}} tail - Tail tip
+ */
+
+/**
+ * Bounding box of a part (after its translate/rotate)
+ * @private
+ */
+function partBox(geo) {
+  geo.computeBoundingBox();
+  return geo.boundingBox.clone();
+}
+
+/**
+ * Derive accessory anchor points from a species' parts
+ * @private
+ */
+function buildAnchors(key, sp, { head, body, collar, tailGeo, horns }) {
+  const scale = sp.scale || 1;
+  const headBox = partBox(head);
+  const bodyBox = partBox(body);
+  const collarBox = partBox(collar);
+  const tailBox = partBox(tailGeo);
+  const ear = getEarLayout(key);
+
+  // Things poking up through the top of the head: ears (inner edges) and horns
+  let clearWidth = headBox.max.x - headBox.min.x;
+  let obstructionTop = headBox.max.y;
+  const earHalfH = ear.height * ear.sy * 0.5;
+  const earTop = ear.y + Math.cos(ear.rotZ) * earHalfH;
+  if (earTop > headBox.max.y) {
+    clearWidth = Math.min(clearWidth, 2 * (ear.x - ear.width * ear.sx * 0.5));
+    obstructionTop = Math.max(obstructionTop, earTop);
+  }
+  for (const horn of horns) {
+    const b = partBox(horn);
+    clearWidth = Math.min(clearWidth, 2 * Math.min(Math.abs(b.min.x), Math.abs(b.max.x)));
+    obstructionTop = Math.max(obstructionTop, b.max.y);
+  }
+
+  return {
+    headTop: {
+      position: [0, headBox.max.y, (headBox.min.z + headBox.max.z) * 0.5],
+      width: headBox.max.x - headBox.min.x,
+      clearWidth,
+      obstructionTop
+    },
+    face: {
+      position: [0, 1.02 * scale, headBox.max.z + 0.01 * scale],
+      width: headBox.max.x - headBox.min.x
+    },
+    neck: {
+      position: [0, (collarBox.min.y + collarBox.max.y) * 0.5, (collarBox.min.z + collarBox.max.z) * 0.5],
+      width: collarBox.max.x - collarBox.min.x
+    },
+    back: {
+      position: [0, bodyBox.max.y - 0.05 * scale, bodyBox.min.z * 0.45],
+      width: bodyBox.max.x - bodyBox.min.x,
+      occupied: !!sp.wings
+    },
+    ear: {
+      position: [0, earHalfH * 0.75, ear.depth * 0.5],
+      width: ear.width * ear.sx,
+      height: ear.height * ear.sy,
+      depth: ear.depth
+    },
+    tail: {
+      position: [0, (tailBox.min.y + tailBox.max.y) * 0.5, tailBox.min.z],
+      width: tailBox.max.x - tailBox.min.x
+    }
+  };
+}
+
 /**
  * Get cached pet geometries for a species
  * @param {string} speciesKey - Species key
@@ -79,10 +200,11 @@ function setWingAttributes(geo, wingFlag, sideVal) {
  */
 export function getPetGeometries(speciesKey) {
   const key = speciesKey || 'cat';
+  const sp = getSpecies(key);
   const cached = GEO_CACHE.get(key);
-  if (cached) return cached;
+  if (cached?.species === sp) return cached.geos;
+  if (cached) disposeGeometries(cached.geos);
 
-  const sp = getSpecies(key);
   const merge = getMergeFn();
   const scale = sp.scale || 1;
   const seg = 2; // Low-poly for mobile
@@ -127,11 +249,9 @@ export function getPetGeometries(speciesKey) {
   // Detail parts (vertex colors)
   const detailParts = [];
 
-  // Belly patch
-  const belly = new RoundedBoxGeometry(0.55 * scale, 0.34 * scale, 0.20 * scale, seg, 0.14 * scale);
-  belly.translate(0, 0.46 * scale, 0.46 * scale);
-  applyVertexColor(belly, 0xfff6ea);
-  detailParts.push(belly);
+  // Belly patch (own mesh so it can take the pet's accent color)
+  const bellyGeo = new RoundedBoxGeometry(0.55 * scale, 0.34 * scale, 0.20 * scale, seg, 0.14 * scale);
+  bellyGeo.translate(0, 0.46 * scale, 0.46 * scale);
 
   // Collar
   const collar = new THREE.TorusGeometry(0.30 * scale, 0.06 * scale, 6, 10);
@@ -165,86 +285,25 @@ export function getPetGeometries(speciesKey) {
   applyVertexColor(nose, 0x1b1b2d);
   detailParts.push(nose);
 
-  // Species-specific details
-  if (key === 'tiger') {
-    const stripe = new RoundedBoxGeometry(0.08 * scale, 0.28 * scale, 0.06 * scale, seg, 0.04 * scale);
-    const stripePos = [
-      [-0.25, 0.58, 0.42],
-      [0.25, 0.58, 0.42],
-      [-0.18, 0.46, 0.46],
-      [0.18, 0.46, 0.46],
-      [0, 0.52, -0.30]
-    ];
-    for (const [x, y, z] of stripePos) {
-      const s = stripe.clone();
-      s.translate(x * scale, y * scale, z * scale);
-      applyVertexColor(s, 0x1b1b2d);
-      detailParts.push(s);
-    }
-
-    // Sideburns
-    const sb = new RoundedBoxGeometry(0.12 * scale, 0.20 * scale, 0.08 * scale, seg, 0.05 * scale);
-    const sbL = sb.clone();
-    sbL.translate(-0.55 * scale, 0.98 * scale, 0.56 * scale);
-    applyVertexColor(sbL, 0xfefae0);
-    detailParts.push(sbL);
-    const sbR = sb.clone();
-    sbR.translate(0.55 * scale, 0.98 * scale, 0.56 * scale);
-    applyVertexColor(sbR, 0xfefae0);
-    detailParts.push(sbR);
-  }
-
-  if (key === 'wolf') {
-    // Ruff spikes
-    const spike = new THREE.ConeGeometry(0.10 * scale, 0.22 * scale, 6, 1);
-    for (let i = 0; i < 10; i++) {
-      const a = (i / 10) * Math.PI * 2;
-      const s = spike.clone();
-      s.rotateX(Math.PI);
-      s.translate(Math.cos(a) * 0.42 * scale, 0.90 * scale, Math.sin(a) * 0.20 * scale);
-      applyVertexColor(s, i % 2 === 0 ? 0xcfe9ff : 0xb8c0c8);
-      detailParts.push(s);
-    }
-
-    // Muzzle
-    const muzzle = new RoundedBoxGeometry(0.34 * scale, 0.20 * scale, 0.44 * scale, seg, 0.10 * scale);
-    muzzle.translate(0, 0.92 * scale, 0.68 * scale);
-    applyVertexColor(muzzle, 0xfefae0);
-    detailParts.push(muzzle);
-  }
-
-  // Dragon wings and horns
-  const isDragon = key === 'dragon';
-  if (isDragon) {
-    for (const g of bodyParts) ensureWingAttrs(g);
-    for (const g of headParts) ensureWingAttrs(g);
-    for (const g of detailParts) ensureWingAttrs(g);
-
-    const wing = new RoundedBoxGeometry(0.90 * scale, 0.08 * scale, 0.55 * scale, seg, 0.06 * scale);
-    const wL = wing.clone();
-    wL.translate(-0.85 * scale, 0.92 * scale, -0.15 * scale);
-    setWingAttributes(wL, 1, -1);
-    bodyParts.push(wL);
-    const wR = wing.clone();
-    wR.translate(0.85 * scale, 0.92 * scale, -0.15 * scale);
-    setWingAttributes(wR, 1, 1);
-    bodyParts.push(wR);
-
-    // Horns
-    const horn = new THREE.ConeGeometry(0.07 * scale, 0.25 * scale, 7, 1);
-    const h1 = horn.clone();
-    h1.translate(-0.20 * scale, 1.46 * scale, 0.10 * scale);
-    applyVertexColor(h1, 0xfff6ea);
-    detailParts.push(ensureWingAttrs(h1));
-    const h2 = horn.clone();
-    h2.translate(0.20 * scale, 1.46 * scale, 0.10 * scale);
-    applyVertexColor(h2, 0xfff6ea);
-    detailParts.push(ensureWingAttrs(h2));
-  } else {
-    for (const g of bodyParts) ensureWingAttrs(g);
-    for (const g of headParts) ensureWingAttrs(g);
-    for (const g of detailParts) ensureWingAttrs(g);
-  }
+  // Species-specific parts (stripes, ruffs, wings, horns...)
+  const horns = [];
+  sp.buildGeometry?.({
+    THREE,
+    RoundedBoxGeometry,
+    scale,
+    seg,
+    bodyParts,
+    headParts,
+    detailParts,
+    horns,
+    applyVertexColor,
+    setWingAttributes
+  });
+
+  // Every part needs the wing attributes for the merge (0 = doesn't flap)
+  for (const g of bodyParts) ensureWingAttrs(g);
+  for (const g of headParts) ensureWingAttrs(g);
+  for (const g of detailParts) ensureWingAttrs(g);
 
   // Tail
   let tailGeo;
@@ -289,17 +348,36 @@ export function getPetGeometries(speciesKey) {
     headGeo.computeBoundingSphere();
   }
 
-  const result = { bodyGeo, headGeo, detailGeo, tailGeo, earGeo, faceGeo, hitGeo };
-  GEO_CACHE.set(key, result);
+  const anchors = buildAnchors(key, sp, { head, body, collar, tailGeo, horns });
+
+  const result = { bodyGeo, headGeo, detailGeo, bellyGeo, tailGeo, earGeo, faceGeo, hitGeo, anchors };
+  GEO_CACHE.set(key, { species: sp, geos: result });
   return result;
 }
 
+/**
+ * Accessory anchor points for a species (see PetAnchors)
+ * @param {string} speciesKey - Species key
+ * @returns {PetAnchors} Anchors
+ */
+export function getPetAnchors(speciesKey) {
+  return getPetGeometries(speciesKey).anchors;
+}
+
+/**
+ * Dispose a cached geometry set
+ * @private
+ */
+function disposeGeometries(geos) {
+  Object.values(geos).forEach(geo => geo?.dispose?.());
+}
+
 /**
  * Clear geometry cache (for hot-reload scenarios)
  */
 export function clearGeometryCache() {
-  for (const [, geos] of GEO_CACHE) {
-    Object.values(geos).forEach(geo => geo?.dispose?.());
+  for (const [, entry] of GEO_CACHE) {
+    disposeGeometries(entry.geos);
   }
   GEO_CACHE.clear();
 }
@@ -0,0 +1,38 @@
+/**
+ * @fileoverview Hook that follows the pet-dex (collection registry)
+ * @module pets-core/hooks/useCollection
+ */
+
+import { useState, useEffect } from 'react';
+import { collectionRegistry } from '../gacha/collection.js';
+import { petEvents, PET_EVENTS } from '../events/PetEventEmitter.js';
+
+/** Events that change the dex */
+const COLLECTION_EVENTS = [
+  PET_EVENTS.COLLECTION_DISCOVERED,
+  PET_EVENTS.COLLECTION_DUPLICATE,
+  PET_EVENTS.COLLECTION_VARIANT,
+  PET_EVENTS.COLLECTION_SHARDS_SPENT
+];
+
+/**
+ * Dex rows and progress for UI. Re-renders on collection events.
+ * @param {import('../gacha/collection.js').CollectionRegistry} [registry=collectionRegistry] - Collection to follow
+ * @returns {{dex: import('../gacha/collection.js').DexRow[], progress: {discovered: number, total: number}, registry: import('../gacha/collection.js').CollectionRegistry}}
+ */
+export function useCollection(registry = collectionRegistry) {
+  const [snapshot, setSnapshot] = useState(() => ({
+    dex: registry.getDex(),
+    progress: registry.getProgress()
+  }));
+
+  useEffect(() => {
+    const refresh = () => setSnapshot({ dex: registry.getDex(), progress: registry.getProgress() });
+    // Async adapters finish loading after the first render
+    registry.ready.then(refresh);
+    const offs = COLLECTION_EVENTS.map(e => petEvents.on(e, refresh));
+    return () => offs.forEach(off => off());
+  }, [registry]);
+
+  return { ...snapshot, registry };
+}
@@ -0,0 +1,57 @@
+/**
+ * @fileoverview Hook that runs the offline simulation when saved pets are loaded
+ * @module pets-core/hooks/useOfflineCatchUp
+ */
+
+import { useState, useCallback, useRef, useEffect } from 'react';
+import { simulateOffline, applyOfflineBondChanges } from '../simulation/offline.js';
+import { petEvents, PET_EVENTS } from '../events/PetEventEmitter.js';
+
+/**
+ * Offline catch-up for a persisted pet list.
+ *
+ * Pass `onLoad` to usePersistedPets so pets are advanced before the first Pet mounts;
+ * the hook then applies registry side effects (bond changes) and publishes the
+ * summary after the render that used the simulated pets has committed.
+ * The simulation reads the memory registry and the room, so hold the load
+ * (usePetState does while `ready` is false) until both are loaded.
+ *
+ * @param {Object|false} options - Simulation options for simulateOffline, or false to disable
+ * @param {Object} [options.bounds] - Room bounds
+ * @param {Array<[number, number]>} [options.rugs] - Fallback rest positions
+ * @param {import('../memory/guardian.js').MemoryRegistry} [options.memories] - Memories and guardians
+ * @param {Object|null} [options.personality] - The theme's PERSONALITY values
+ * @param {boolean} [options.ready=true] - False while the memories or the room are still loading
+ * @returns {{onLoad: Function, summary: import('../simulation/offline.js').OfflineSummary|null, dismissSummary: Function}}
+ */
+export function useOfflineCatchUp(options) {
+  const [summary, setSummary] = useState(null);
+  const pending = useRef(null);
+
+  const optsRef = useRef(options);
+  optsRef.current = options;
+
+  const onLoad = useCallback((pets) => {
+    if (!optsRef.current) return pets;
+    // Deterministic, so a repeated call (StrictMode) yields the same result
+    const result = simulateOffline(pets, optsRef.current);
+    pending.current = result;
+    return result.pets;
+  }, []);
+
+  // Runs after every commit; cheap no-op unless a load just happened
+  useEffect(() => {
+    if (!pending.current) return;
+    const { summary: s, bondChanges } = pending.current;
+    pending.current = null;
+    applyOfflineBondChanges(bondChanges, optsRef.current?.memories);
+    if (s) {
+      setSummary(s);
+      petEvents.emit(PET_EVENTS.OFFLINE_CATCH_UP, { summary: s });
+    }
+  });
+
+  const dismissSummary = useCallback(() => setSummary(null), []);
+
+  return { onLoad, summary, dismissSummary };
+}
@@ -0,0 +1,48 @@
+/**
+ * @fileoverview Hook that follows a palace's current room and loaded rooms
+ * @module pets-core/hooks/usePalace
+ */
+
+import { useState, useEffect } from 'react';
+import { petEvents, PET_EVENTS } from '../events/PetEventEmitter.js';
+
+/**
+ * Snapshot of the parts of a palace the UI shows
+ * @private
+ */
+function snapshot(palace) {
+  if (!palace) return { roomId: null, scope: null, rooms: [], error: null };
+  const roomId = palace.activeId;
+  return {
+    roomId,
+    scope: roomId ? palace.getScope(roomId) : null,
+    rooms: palace.getRooms(),
+    error: roomId ? palace.errors.get(roomId) ?? null : null
+  };
+}
+
+/**
+ * Palace state for UI. Re-renders on ROOM_ENTERED / ROOM_LOADED / ROOM_UNLOADED.
+ * @param {import('../palace/palace.js').Palace|null} palace - Palace to follow (null for single-room apps)
+ * @returns {{roomId: string|null, scope: import('../palace/palace.js').RoomScope|null, rooms: Object[], error: Error|null}}
+ *   Player's room, its registries once loaded, picker entries and the room's load error
+ */
+export function usePalace(palace) {
+  const [state, setState] = useState(() => snapshot(palace));
+
+  useEffect(() => {
+    const refresh = () => setState(snapshot(palace));
+    refresh();
+    if (!palace) return undefined;
+    const offs = [
+      PET_EVENTS.ROOM_ENTERED,
+      PET_EVENTS.ROOM_LOADED,
+      PET_EVENTS.ROOM_UNLOADED
+    ].map(event => petEvents.on(event, (e) => {
+      if (e.palaceId === palace.id) refresh();
+    }));
+    return () => offs.forEach(off => off());
+  }, [palace]);
+
+  return state;
+}
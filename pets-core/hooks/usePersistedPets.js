@@ -0,0 +1,81 @@
+/**
+ * @fileoverview Pet list state backed by a storage adapter
+ * @module pets-core/hooks/usePersistedPets
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import { getStorageAdapter } from '../persistence/adapters.js';
+import { safeLoadSave, safeLoadSaveAsync, safeSavePets } from '../persistence/storage.js';
+import { setWorldSeed } from '../random.js';
+
+/**
+ * Load pets from storage and persist them on change.
+ *
+ * Adapters with `readSync` hydrate on first render; async adapters (IndexedDB, remote)
+ * start from an empty list and hydrate after mount. Nothing is written until
+ * hydration finishes, so an async save is never clobbered by the initial state.
+ * A loaded save restores its world seed and stream position before `onLoad` runs. While `paused`, the
+ * load waits (empty list, not hydrated), e.g. for registries `onLoad` reads.
+ *
+ * The adapter is read when the hook mounts and when `storageKey` changes, so an inline
+ * adapter object (new every render) doesn't reload the save; saves use the latest one.
+ *
+ * @param {string} storageKey - Storage key
+ * @param {Object} [options] - Options
+ * @param {string[]} [options.legacyKeys=[]] - Older keys to migrate from
+ * @param {import('../persistence/adapters.js').StorageAdapter} [options.adapter] - Storage adapter
+ * @param {Function} [options.createInitial] - Creates pets when nothing is saved
+ * @param {Function} [options.onLoad] - Transforms saved pets before they become state
+ * @param {boolean} [options.paused=false] - Hold the load
+ * @returns {[Object[], Function, boolean]} Pets, setter and hydrated flag
+ */
+export function usePersistedPets(storageKey, { legacyKeys = [], adapter, createInitial = () => [], onLoad, paused = false } = {}) {
+  const store = adapter ?? getStorageAdapter();
+  const storeRef = useRef(store);
+  storeRef.current = store;
+  const isSync = typeof store.readSync === 'function';
+
+  // Latest values for the hydrate without re-running it
+  const optsRef = useRef({ legacyKeys, createInitial, onLoad });
+  optsRef.current = { legacyKeys, createInitial, onLoad };
+
+  const fromSave = (save) => {
+    const { createInitial: create, onLoad: transform } = optsRef.current;
+    if (!save) return create();
+    setWorldSeed(save.worldSeed, save.rngState);
+    return transform ? transform(save.pets) : save.pets;
+  };
+
+  const loadOnMount = isSync && !paused;
+  const [pets, setPets] = useState(() => (loadOnMount ? fromSave(safeLoadSave(storageKey, legacyKeys, store)) : []));
+  const [hydrated, setHydrated] = useState(loadOnMount);
+  const loadedKeyRef = useRef(loadOnMount ? storageKey : null);
+
+  // Later hydration: async adapters, a paused load, a new storage key
+  useEffect(() => {
+    if (paused || loadedKeyRef.current === storageKey) return undefined;
+    let cancelled = false;
+    const apply = (save) => {
+      loadedKeyRef.current = storageKey;
+      setPets(fromSave(save));
+      setHydrated(true);
+    };
+    setHydrated(false);
+    if (isSync) {
+      apply(safeLoadSave(storageKey, optsRef.current.legacyKeys, storeRef.current));
+      return undefined;
+    }
+    safeLoadSaveAsync(storageKey, optsRef.current.legacyKeys, storeRef.current).then((save) => {
+      if (!cancelled) apply(save);
+    });
+    return () => { cancelled = true; };
+  }, [storageKey, isSync, paused]);
+
+  // Persist on change, only once this key's save has loaded (a key change re-runs this before its load lands)
+  useEffect(() => {
+    if (!hydrated || loadedKeyRef.current !== storageKey) return;
+    safeSavePets(storageKey, pets, storeRef.current);
+  }, [pets, storageKey, hydrated]);
+
+  return [pets, setPets, hydrated];
+}
@@ -0,0 +1,32 @@
+/**
+ * @fileoverview Hook that loads a species' glTF model
+ * @module pets-core/hooks/usePetModel
+ */
+
+import { useState, useEffect } from 'react';
+import { getSpecies } from '../species.js';
+import { loadPetModel, getLoadedPetModel } from '../models.js';
+
+/**
+ * Loaded model for a species. Null while loading, if it failed, or if the species is
+ * procedural; draw the procedural geometry in those cases.
+ * @param {string} speciesKey - Species key
+ * @returns {import('../models.js').PetModel|null} Model or null
+ */
+export function usePetModel(speciesKey) {
+  const [model, setModel] = useState(() => getLoadedPetModel(speciesKey));
+
+  useEffect(() => {
+    let alive = true;
+    setModel(getLoadedPetModel(speciesKey));
+    if (!getSpecies(speciesKey).model) return undefined;
+    loadPetModel(speciesKey).then((m) => {
+      if (alive) setModel(m);
+    });
+    return () => {
+      alive = false;
+    };
+  }, [speciesKey]);
+
+  return model;
+}
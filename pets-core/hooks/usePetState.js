@@ -3,79 +3,54 @@
  * @module pets-core/hooks/usePetState
  */
 
-import { useState, useCallback, useRef, useEffect } from 'react';
-import { randId } from '../utils.js';
+import { useCallback, useRef, useEffect } from 'react';
+import { randId, getStorageKey } from '../utils.js';
+import { usePersistedPets } from './usePersistedPets.js';
+import { useOfflineCatchUp } from './useOfflineCatchUp.js';
+import { createNeeds } from '../ai/needs.js';
+import { getRng } from '../random.js';
+import { generateTraits } from '../ai/personality.js';
 import { SPECIES, pickSpeciesColor, pickPetName, pickRandomSpecies } from '../species.js';
-
-/**
- * Storage key generator
- * @param {string} theme - Theme name
- * @returns {string} Storage key
- */
-function getStorageKey(theme) {
-  return `mindPalace:${theme}Pets:v1`;
-}
-
-/**
- * Safely load pets from localStorage
- * @param {string} key - Storage key
- * @returns {Object[]|null} Pets array or null
- */
-function safeLoadPets(key) {
-  try {
-    if (typeof window === 'undefined') return null;
-    const raw = localStorage.getItem(key);
-    if (!raw) return null;
-    const parsed = JSON.parse(raw);
-    if (!Array.isArray(parsed)) return null;
-    return parsed;
-  } catch {
-    return null;
-  }
-}
-
-/**
- * Safely save pets to localStorage
- * @param {string} key - Storage key
- * @param {Object[]} pets - Pets array
- */
-function safeSavePets(key, pets) {
-  try {
-    if (typeof window === 'undefined') return;
-    localStorage.setItem(key, JSON.stringify(pets));
-  } catch {
-    // Ignore quota errors
-  }
-}
+import { rollPattern } from '../customization/patterns.js';
+import { petEvents, PET_EVENTS } from '../events/PetEventEmitter.js';
+import { validatePets } from '../persistence/schema.js';
 
 /**
  * Create a new pet with random attributes
  * @param {string} [speciesKey] - Optional species key
  * @param {boolean} [includeHighTier=false] - Include rare species
+ * @param {import('../random.js').Rng} [rng] - Random stream (defaults to the world stream)
  * @returns {Object} New pet object
  */
-export function createPet(speciesKey, includeHighTier = false) {
-  const key = speciesKey || pickRandomSpecies(includeHighTier);
-  const x = (Math.random() * 2 - 1) * 6.8;
-  const z = (Math.random() * 2 - 1) * 6.8;
+export function createPet(speciesKey, includeHighTier = false, rng = getRng()) {
+  const key = speciesKey || pickRandomSpecies(includeHighTier, rng);
+  const x = rng.range(-1, 1) * 6.8;
+  const z = rng.range(-1, 1) * 6.8;
   
-  return {
-    id: randId(),
-    name: pickPetName(),
+  const pet = {
+    id: randId(rng),
+    name: pickPetName(rng),
     speciesKey: key,
-    bodyColor: pickSpeciesColor(key),
+    bodyColor: pickSpeciesColor(key, rng),
+    accentColor: null,
     position: [x, z],
-    yaw: Math.random() * Math.PI * 2,
-    seed: Math.random() * 10
+    yaw: rng.next() * Math.PI * 2,
+    seed: rng.next() * 10,
+    needs: createNeeds(),
+    traits: generateTraits(rng, key),
+    equipment: {}
   };
+  pet.pattern = rollPattern(rng, key, pet.bodyColor);
+  return pet;
 }
 
 /**
- * Create default starting pets
+ * Create default starting pets. They go through validatePets like loaded pets, so they
+ * get needs, traits, equipment, pattern and accent color too.
  * @returns {Object[]} Default pets array
  */
 export function createDefaultPets() {
-  return [
+  return validatePets([
     {
       id: 'pet_a',
       name: 'Nova 12',
@@ -103,7 +78,7 @@ export function createDefaultPets() {
       yaw: Math.PI * 0.5,
       seed: 3.7
     }
-  ];
+  ]);
 }
 
 /**
@@ -112,14 +87,25 @@ export function createDefaultPets() {
  * @param {string} options.theme - Theme name for storage key
  * @param {number} [options.maxPets=12] - Maximum allowed pets
  * @param {boolean} [options.includeHighTier=false] - Allow high-tier species
+ * @param {string[]} [options.legacyKeys=[]] - Older save keys to migrate from when the theme key is empty
+ * @param {import('../persistence/adapters.js').StorageAdapter} [options.adapter] - Storage adapter
+ * @param {Object|false} [options.offlineCatchUp] - Offline simulation options ({bounds, rugs, memories, ready}), false to
+ *   disable. The saved pets load once `ready` isn't false, so the simulation sees the loaded memories and room.
  * @returns {Object} Pet state and actions
  */
-export function usePetState({ theme, maxPets = 12, includeHighTier = false }) {
+export function usePetState({ theme, maxPets = 12, includeHighTier = false, legacyKeys = [], adapter, offlineCatchUp = {} }) {
   const storageKey = getStorageKey(theme);
   
-  // Initialize from localStorage or defaults
-  const [pets, setPets] = useState(() => {
-    return safeLoadPets(storageKey) ?? createDefaultPets();
+  // Advance saved pets through the time the app was closed
+  const { onLoad, summary: awaySummary, dismissSummary } = useOfflineCatchUp(offlineCatchUp);
+  
+  // Initialize from storage or defaults
+  const [pets, setPets, hydrated] = usePersistedPets(storageKey, {
+    legacyKeys,
+    adapter,
+    createInitial: createDefaultPets,
+    onLoad,
+    paused: !!offlineCatchUp && offlineCatchUp.ready === false
   });
   
   // Keep ref in sync for callbacks
@@ -128,21 +114,20 @@ export function usePetState({ theme, maxPets = 12, includeHighTier = false }) {
     petsRef.current = pets;
   }, [pets]);
   
-  // Persist on change
-  useEffect(() => {
-    safeSavePets(storageKey, pets);
-  }, [pets, storageKey]);
-  
   /**
    * Add a new pet
    * @param {string} [speciesKey] - Optional species key
+   * @param {Object} [fields] - Fields to set on the new pet (e.g. its palace roomId)
    * @returns {Object|null} New pet or null if at max
    */
-  const addPet = useCallback((speciesKey) => {
+  const addPet = useCallback((speciesKey, fields) => {
     if (petsRef.current.length >= maxPets) return null;
     
-    const newPet = createPet(speciesKey, includeHighTier);
+    const newPet = { ...createPet(speciesKey, includeHighTier), ...fields };
+    // Counted right away, so several adds in one tick (multi-pull) respect the cap
+    petsRef.current = [...petsRef.current, newPet];
     setPets(prev => [...prev, newPet]);
+    petEvents.emit(PET_EVENTS.PET_SPAWNED, { petId: newPet.id, pet: newPet });
     return newPet;
   }, [maxPets, includeHighTier]);
   
@@ -169,6 +154,15 @@ export function usePetState({ theme, maxPets = 12, includeHighTier = false }) {
     });
   }, []);
   
+  /**
+   * Update several pets in one state change (e.g. sampled poses)
+   * @param {Map<string, Object>} patches - Pet ID -> properties to update
+   */
+  const updatePets = useCallback((patches) => {
+    if (!patches.size) return;
+    setPets(prev => prev.map(p => (patches.has(p.id) ? { ...p, ...patches.get(p.id) } : p)));
+  }, []);
+  
   /**
    * Reset to default pets
    */
@@ -191,8 +185,12 @@ export function usePetState({ theme, maxPets = 12, includeHighTier = false }) {
     addPet,
     removePet,
     updatePet,
+    updatePets,
     resetPets,
     getPet,
+    hydrated,
+    awaySummary,
+    dismissAwaySummary: dismissSummary,
     count: pets.length,
     maxPets,
     canAdd: pets.length < maxPets
@@ -0,0 +1,32 @@
+/**
+ * @fileoverview Hook that lays a room out with the player's edits and follows the undo history
+ * @module pets-core/hooks/useRoomLayout
+ */
+
+import { useState, useEffect } from 'react';
+import { layoutStore } from '../editor/layout.js';
+import { petEvents, PET_EVENTS } from '../events/PetEventEmitter.js';
+
+/**
+ * Laid-out room for rendering and registries. Re-renders on LAYOUT_CHANGED.
+ * @param {import('../editor/layout.js').LayoutStore} [store=layoutStore] - Layout store
+ * @param {import('../environment/rooms.js').RoomDefinition|null} room - Parsed room (null while loading)
+ * @returns {{room: import('../environment/rooms.js').RoomDefinition|null, canUndo: boolean, canRedo: boolean}}
+ *   Room with the edits applied (same object until they change) and the history state
+ */
+export function useRoomLayout(store = layoutStore, room) {
+  const [, setVersion] = useState(0);
+
+  useEffect(() => {
+    const refresh = () => setVersion(v => v + 1);
+    // Async adapters finish loading after the first render
+    store.ready.then(refresh);
+    return petEvents.on(PET_EVENTS.LAYOUT_CHANGED, refresh);
+  }, [store]);
+
+  return {
+    room: room ? store.apply(room) : null,
+    canUndo: store.canUndo,
+    canRedo: store.canRedo
+  };
+}
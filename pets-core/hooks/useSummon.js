@@ -0,0 +1,148 @@
+/**
+ * @fileoverview Summon ceremony hook: gacha pull, timed star reveal, then spawn
+ * @module pets-core/hooks/useSummon
+ */
+
+import { useState, useCallback, useRef, useEffect } from 'react';
+import { gachaManager as defaultManager, GACHA_CONFIG, RARITY_TIERS, RARITY_ORDER } from '../gacha/rarity.js';
+import { STANDARD_BANNER_ID } from '../gacha/banners.js';
+
+/**
+ * Summon ceremony phases
+ * @enum {string}
+ */
+export const SUMMON_PHASES = {
+  IDLE: 'idle',
+  CHARGING: 'charging',   // Glow builds up for GACHA_CONFIG.revealDelay
+  STARS: 'stars',         // One star per GACHA_CONFIG.starAnimationDelay, up to the tier's starCount
+  REVEAL: 'reveal'        // Species shown; the pet has been spawned
+};
+
+/**
+ * @typedef {Object} SummonState
+ * @property {string} phase - Current phase (SUMMON_PHASES)
+ * @property {import('../gacha/rarity.js').GachaPull|null} result - Pull being revealed (the best one of a multi-pull)
+ * @property {import('../gacha/rarity.js').GachaPull[]} results - Every pull of the summon
+ * @property {number} stars - Stars shown so far
+ */
+
+const IDLE_STATE = { phase: SUMMON_PHASES.IDLE, result: null, results: [], stars: 0 };
+
+/**
+ * Highest-rarity pull (first one on ties)
+ * @private
+ */
+function bestPull(results) {
+  return results.reduce((best, r) => (
+    RARITY_ORDER.indexOf(r.rarity) > RARITY_ORDER.indexOf(best.rarity) ? r : best
+  ));
+}
+
+/**
+ * Summon flow. `summon()` pulls right away (so the result is saved even if the
+ * page closes mid-animation), plays the reveal, and calls `onSummoned` once the
+ * species is revealed so the pet appears in the scene at the end of the ceremony.
+ * `summon(GACHA_CONFIG.multiPullCount)` does a multi-pull; the reveal plays for its
+ * best pull and `onSummoned` runs once per pull. Dismissing or unmounting mid-ceremony
+ * spawns the pulled pets right away.
+ *
+ * @param {Object} [options] - Options
+ * @param {function(import('../gacha/rarity.js').GachaPull): void} [options.onSummoned] - Spawn the pulled pet
+ * @param {function(number): boolean} [options.canSummon] - Called with the pull count; return false to block (e.g. pet cap reached)
+ * @param {import('../gacha/rarity.js').GachaManager} [options.manager=gachaManager] - Gacha manager
+ * @param {import('../economy/wallet.js').Wallet|null} [options.wallet=null] - Wallet charged the banner's cost per summon (null = free)
+ * @param {string} [options.bannerId=STANDARD_BANNER_ID] - Banner to pull on
+ * @returns {{summon: function(number=): Promise<import('../gacha/rarity.js').GachaPull[]|null>, dismiss: Function, state: SummonState, isBusy: boolean}}
+ */
+export function useSummon({
+  onSummoned,
+  canSummon,
+  manager = defaultManager,
+  wallet = null,
+  bannerId = STANDARD_BANNER_ID
+} = {}) {
+  const [state, setState] = useState(IDLE_STATE);
+  const busy = useRef(false);
+  const timers = useRef([]);
+  const mounted = useRef(true);
+  // Pulls already paid for whose pets haven't been handed to onSummoned yet
+  const pending = useRef(null);
+
+  const optsRef = useRef({ onSummoned, canSummon });
+  optsRef.current = { onSummoned, canSummon };
+
+  const clearTimers = useCallback(() => {
+    for (const t of timers.current) clearTimeout(t);
+    timers.current = [];
+  }, []);
+
+  const spawnPending = useCallback(() => {
+    const results = pending.current;
+    pending.current = null;
+    results?.forEach(r => optsRef.current.onSummoned?.(r));
+  }, []);
+
+  useEffect(() => {
+    mounted.current = true;
+    return () => {
+      mounted.current = false;
+      clearTimers();
+      // Unmounting mid-ceremony still spawns the pets that were paid for, like dismiss()
+      spawnPending();
+    };
+  }, [clearTimers, spawnPending]);
+
+  const summon = useCallback(async (count = 1) => {
+    if (busy.current) return null;
+    if (optsRef.current.canSummon && !optsRef.current.canSummon(count)) return null;
+    busy.current = true;
+
+    await Promise.all([manager.ready, wallet?.ready]);
+    let results;
+    if (count > 1) {
+      results = wallet ? manager.summonMulti(wallet, bannerId, count) : manager.multiPull(bannerId, count);
+    } else {
+      const one = wallet ? manager.summon(wallet, bannerId) : manager.pull(bannerId);
+      results = one && [one];
+    }
+    if (!results) {
+      busy.current = false;
+      return null;
+    }
+    pending.current = results;
+    if (!mounted.current) {
+      // Unmounted while the manager or wallet was loading: no ceremony to play
+      spawnPending();
+      busy.current = false;
+      return results;
+    }
+    const result = bestPull(results);
+    const starCount = RARITY_TIERS[result.rarity]?.starCount ?? 1;
+    const { revealDelay, starAnimationDelay } = GACHA_CONFIG;
+
+    setState({ phase: SUMMON_PHASES.CHARGING, result, results, stars: 0 });
+
+    const at = (ms, fn) => timers.current.push(setTimeout(fn, ms));
+    for (let i = 1; i <= starCount; i++) {
+      at(revealDelay + (i - 1) * starAnimationDelay, () => {
+        setState({ phase: SUMMON_PHASES.STARS, result, results, stars: i });
+      });
+    }
+    at(revealDelay + starCount * starAnimationDelay, () => {
+      setState({ phase: SUMMON_PHASES.REVEAL, result, results, stars: starCount });
+      spawnPending();
+    });
+
+    return results;
+  }, [manager, wallet, bannerId, spawnPending]);
+
+  const dismiss = useCallback(() => {
+    clearTimers();
+    // Skipping the animation still spawns the pets that were pulled
+    spawnPending();
+    setState(IDLE_STATE);
+    busy.current = false;
+  }, [clearTimers, spawnPending]);
+
+  return { summon, dismiss, state, isBusy: state.phase !== SUMMON_PHASES.IDLE };
+}
@@ -0,0 +1,33 @@
+/**
+ * @fileoverview Hook that follows the player's local clock through the day/night cycle
+ * @module pets-core/hooks/useTimeOfDay
+ */
+
+import { useState, useEffect } from 'react';
+import { getTimeOfDay, TIME_OF_DAY_CONFIG } from '../environment/timeOfDay.js';
+
+/**
+ * Time of day for scenes and pet brains. Re-reads the clock every TIME_OF_DAY_CONFIG.tickS.
+ * @param {boolean|{hour: number}} [option=true] - A theme's `timeOfDay`: true follows the clock,
+ *   `{hour}` pins it (previews, screenshots), false turns the cycle off
+ * @returns {import('../environment/timeOfDay.js').TimeOfDay|null} Time of day (null when off)
+ */
+export function useTimeOfDay(option = true) {
+  const pinned = typeof option === 'object' && option !== null ? option.hour : null;
+  const on = option !== false;
+  const [timeOfDay, setTimeOfDay] = useState(() => (on ? getTimeOfDay(pinned ?? undefined) : null));
+
+  useEffect(() => {
+    if (!on) {
+      setTimeOfDay(null);
+      return undefined;
+    }
+    const refresh = () => setTimeOfDay(getTimeOfDay(pinned ?? undefined));
+    refresh();
+    if (pinned !== null) return undefined;
+    const id = setInterval(refresh, TIME_OF_DAY_CONFIG.tickS * 1000);
+    return () => clearInterval(id);
+  }, [on, pinned]);
+
+  return timeOfDay;
+}
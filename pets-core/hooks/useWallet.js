@@ -0,0 +1,34 @@
+/**
+ * @fileoverview Hook that follows a wallet's balance and recent ledger
+ * @module pets-core/hooks/useWallet
+ */
+
+import { useState, useEffect } from 'react';
+import { wallet as defaultWallet } from '../economy/wallet.js';
+import { petEvents, PET_EVENTS } from '../events/PetEventEmitter.js';
+
+/**
+ * Wallet balance for UI. Re-renders on COINS_EARNED / COINS_SPENT.
+ * @param {import('../economy/wallet.js').Wallet} [wallet=wallet] - Wallet to follow
+ * @param {number} [ledgerLimit=10] - Recent entries to return
+ * @returns {{balance: number, ledger: import('../economy/wallet.js').Transaction[], wallet: import('../economy/wallet.js').Wallet}}
+ */
+export function useWallet(wallet = defaultWallet, ledgerLimit = 10) {
+  const [snapshot, setSnapshot] = useState(() => ({
+    balance: wallet.balance,
+    ledger: wallet.getLedger(ledgerLimit)
+  }));
+
+  useEffect(() => {
+    const refresh = () => setSnapshot({ balance: wallet.balance, ledger: wallet.getLedger(ledgerLimit) });
+    // Async adapters finish loading after the first render
+    wallet.ready.then(refresh);
+    const offs = [
+      petEvents.on(PET_EVENTS.COINS_EARNED, refresh),
+      petEvents.on(PET_EVENTS.COINS_SPENT, refresh)
+    ];
+    return () => offs.forEach(off => off());
+  }, [wallet, ledgerLimit]);
+
+  return { ...snapshot, wallet };
+}
@@ -6,24 +6,77 @@
 // Species and utilities
 export * from './species.js';
 export * from './utils.js';
+export * from './random.js';
 
 // Geometry and materials
 export * from './geometry.js';
 export * from './materials.js';
+export * from './models.js';
 
 // AI modules
 export * from './ai/brain.js';
 export * from './ai/social.js';
+export * from './ai/behaviors.js';
+export * from './ai/personality.js';
+export * from './ai/needs.js';
 
 // Environment modules (Phase 2)
 export * from './environment/obstacles.js';
+export * from './environment/navigation.js';
+export * from './environment/spatialHash.js';
 export * from './environment/restSpots.js';
 export * from './environment/ground.js';
+export * from './environment/rooms.js';
+export * from './environment/timeOfDay.js';
+
+// Customization
+export * from './customization/accessories.js';
+// species.js already exports COLOR_PALETTES (spawn colors per species)
+export {
+  COLOR_PALETTES as CUSTOMIZATION_PALETTES,
+  DEFAULT_ACCENT_COLOR,
+  getPaletteColors,
+  getRecommendedPalettes,
+  hexToRgb,
+  rgbToHex,
+  hexToCss,
+  cssToHex,
+  lightenColor,
+  darkenColor,
+  getRandomColor,
+  getAccentColor
+} from './customization/colors.js';
+export * from './customization/patterns.js';
 
 // Memory modules (Phase 2)
 export * from './memory/guardian.js';
 export { MemoryLink, MemoryAura } from './memory/MemoryLink.jsx';
 
+// Palace (rooms joined by portals)
+export * from './palace/palace.js';
+export * from './palace/travel.js';
+export { PalacePortals } from './palace/PalacePortals.jsx';
+
+// Room editor
+export * from './editor/layout.js';
+export { RoomEditor, getTargetValue, getTargetLabel } from './editor/RoomEditor.jsx';
+export { EditorToolbar } from './editor/EditorToolbar.jsx';
+
+// Simulation
+export * from './simulation/offline.js';
+export * from './simulation/PetWorld.js';
+
+// Gacha and economy
+export * from './gacha/rarity.js';
+export * from './gacha/banners.js';
+export * from './gacha/collection.js';
+export * from './economy/wallet.js';
+
+// Persistence
+export * from './persistence/schema.js';
+export * from './persistence/storage.js';
+export * from './persistence/adapters.js';
+
 // Events system (Phase 2)
 export * from './events/PetEventEmitter.js';
 
@@ -33,11 +86,32 @@ export { PetProvider, usePetContext, usePetEvent } from './context/PetContext.js
 // Hooks
 export * from './hooks/useToonTextures.js';
 export * from './hooks/usePetState.js';
+export * from './hooks/usePersistedPets.js';
+export * from './hooks/useOfflineCatchUp.js';
+export * from './hooks/useSummon.js';
+export * from './hooks/useWallet.js';
+export * from './hooks/useCollection.js';
+export * from './hooks/usePetModel.js';
+export * from './hooks/usePalace.js';
+export * from './hooks/useRoomLayout.js';
+export * from './hooks/useTimeOfDay.js';
 
 // Components
 export { Pet } from './components/Pet.jsx';
 export { HeartPool } from './components/HeartPool.jsx';
+export { PetHoverCard } from './components/PetHoverCard.jsx';
+export { PetAccessory } from './components/PetAccessory.jsx';
+export { WardrobePanel } from './components/WardrobePanel.jsx';
+export { SummonReveal } from './components/SummonReveal.jsx';
+export { PetDex } from './components/PetDex.jsx';
+export { PetManager, PET_MANAGER_CONFIG } from './components/PetManager.jsx';
+export { PlayerController, PLAYER_CONFIG } from './components/PlayerController.jsx';
+export { VirtualJoystick } from './components/VirtualJoystick.jsx';
+export { PetHud } from './components/PetHud.jsx';
+export { PetsApp, ThemeLights } from './components/PetsApp.jsx';
 
 // Themes
-export { SpaceEnvironment, SPACE_CONFIG } from './themes/SpaceTheme.jsx';
-export { GardenEnvironment, GARDEN_CONFIG } from './themes/GardenTheme.jsx';
+export { RoomEnvironment } from './themes/RoomEnvironment.jsx';
+export { SpaceEnvironment, SPACE_CONFIG, SPACE_ROOM } from './themes/SpaceTheme.jsx';
+export { GardenEnvironment, GARDEN_CONFIG, GARDEN_ROOM } from './themes/GardenTheme.jsx';
+export { HOME_PALACE, HOME_CONFIG } from './themes/PalaceTheme.js';
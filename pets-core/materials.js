@@ -4,10 +4,14 @@
  */
 
 import * as THREE from 'three';
+import { PATTERN_TYPES, normalizePattern } from './customization/patterns.js';
 
 /** @type {Map<string, THREE.Material>} Global material cache */
 const MAT_CACHE = new Map();
 
+/** @type {Map<THREE.Material, number>} Mounted users of cached materials (retainMaterial) */
+const MAT_USERS = new Map();
+
 /**
  * Create eye shader material with SDF-based rendering
  * @returns {THREE.ShaderMaterial} Eye material with uniforms
@@ -165,6 +169,187 @@ export function getToonMat(rampTex, hex, keyExtra = '') {
     gradientMap: rampTex
   });
   m.dithering = true;
+  m.userData.cacheKey = k;
+  MAT_CACHE.set(k, m);
+  return m;
+}
+
+/**
+ * Chain a shader patch onto a material's onBeforeCompile. Patches compose (e.g. a
+ * patterned dragon body gets both the pattern and the wing flap), and each one adds
+ * its key to the program cache key so differently patched materials don't share programs.
+ * @private
+ * @param {THREE.Material} mat - Material to patch
+ * @param {string} key - Program cache key part
+ * @param {function(Object): void} patch - Called with the shader before compile
+ */
+function addShaderPatch(mat, key, patch) {
+  const prev = mat.onBeforeCompile;
+  const keys = (mat.userData._programKeys ||= []);
+  keys.push(key);
+  mat.onBeforeCompile = (shader, renderer) => {
+    prev.call(mat, shader, renderer);
+    patch(shader);
+  };
+  mat.customProgramCacheKey = () => keys.join('|');
+  mat.needsUpdate = true;
+}
+
+/** Pattern shader chunk: mask functions evaluated in species-normalized object space */
+const PATTERN_GLSL = /* glsl */`
+varying vec3 vPatternPos;
+uniform vec3 uPatternColor;
+uniform vec3 uPatternColor2;
+uniform float uPatternScale;
+uniform float uPatternFreq;
+uniform float uPatternSeed;
+
+float patHash(vec3 p){
+  p = fract(p * 0.3183099 + 0.1);
+  p *= 17.0;
+  return fract(p.x * p.y * p.z * (p.x + p.y + p.z));
+}
+
+float patNoise(vec3 x){
+  vec3 i = floor(x);
+  vec3 f = fract(x);
+  f = f * f * (3.0 - 2.0 * f);
+  return mix(
+    mix(mix(patHash(i), patHash(i + vec3(1.0, 0.0, 0.0)), f.x),
+        mix(patHash(i + vec3(0.0, 1.0, 0.0)), patHash(i + vec3(1.0, 1.0, 0.0)), f.x), f.y),
+    mix(mix(patHash(i + vec3(0.0, 0.0, 1.0)), patHash(i + vec3(1.0, 0.0, 1.0)), f.x),
+        mix(patHash(i + vec3(0.0, 1.0, 1.0)), patHash(i + vec3(1.0, 1.0, 1.0)), f.x), f.y),
+    f.z
+  );
+}
+
+// x = amount of uPatternColor, y = amount of uPatternColor2
+vec2 petPatternMask(vec3 p){
+#if PET_PATTERN == 1
+  // Stripes: bands across the spine, wobbled by noise, plain underside
+  float w = patNoise(p * 3.0 + uPatternSeed);
+  float s = sin((p.z + p.y * 0.35) * 14.0 * uPatternFreq + w * 3.0);
+  return vec2(smoothstep(0.45, 0.6, s) * smoothstep(0.3, 0.5, p.y), 0.0);
+#elif PET_PATTERN == 2
+  // Spots: jittered cells, one round spot per cell
+  vec3 q = p * 5.0 * uPatternFreq + uPatternSeed;
+  vec3 i = floor(q);
+  vec3 f = fract(q);
+  float d = 1.0;
+  for (int x = -1; x <= 1; x++)
+  for (int y = -1; y <= 1; y++)
+  for (int z = -1; z <= 1; z++){
+    vec3 g = vec3(float(x), float(y), float(z));
+    vec3 o = vec3(patHash(i + g), patHash(i + g + 19.1), patHash(i + g + 47.3));
+    float r = mix(0.18, 0.34, patHash(i + g + 83.7));
+    d = min(d, length(g + o - f) - r);
+  }
+  return vec2(1.0 - smoothstep(-0.02, 0.02, d), 0.0);
+#elif PET_PATTERN == 3
+  // Calico: two independent noise fields give light and dark patches
+  vec3 q = p * 2.6 * uPatternFreq + uPatternSeed;
+  float n1 = patNoise(q) * 0.65 + patNoise(q * 2.3) * 0.35;
+  float n2 = patNoise(q + 31.7) * 0.65 + patNoise(q * 2.3 + 31.7) * 0.35;
+  return vec2(smoothstep(0.56, 0.6, n1), smoothstep(0.58, 0.62, n2));
+#elif PET_PATTERN == 4
+  // Gradient: fades from the body color at the paws to the pattern color on top
+  float n = (patNoise(p * 3.0 + uPatternSeed) - 0.5) * 0.1;
+  return vec2(smoothstep(0.3, 1.4, p.y + n), 0.0);
+#elif PET_PATTERN == 5
+  // Tuxedo: chest bib (and chin), paws, muzzle
+  float bib = smoothstep(0.0, 0.04, p.z - 0.25 - abs(p.x) * 0.5) * (1.0 - smoothstep(0.8, 0.84, p.y));
+  float paws = 1.0 - smoothstep(0.22, 0.25, p.y);
+  float muzzle = smoothstep(0.55, 0.59, p.z) * (1.0 - smoothstep(1.0, 1.04, p.y));
+  return vec2(max(bib, max(paws, muzzle)), 0.0);
+#else
+  return vec2(0.0);
+#endif
+}
+`;
+
+/**
+ * Get cached patterned toon material (stripes, spots, calico, gradient, tuxedo).
+ * The pattern is drawn into the diffuse color before lighting, so it is shaded by
+ * the same toon ramp as the rest of the body.
+ * @param {THREE.Texture} rampTex - Gradient ramp texture
+ * @param {number} hex - Body color hex value
+ * @param {import('./customization/patterns.js').PetPattern} pattern - Pattern parameters
+ * @param {string} [keyExtra=''] - Extra cache key identifier
+ * @param {number} [bodyScale=1] - Species scale (patterns are laid out in unscaled pet space)
+ * @returns {THREE.MeshToonMaterial} Cached toon material
+ */
+export function getPatternMat(rampTex, hex, pattern, keyExtra = '', bodyScale = 1) {
+  const pat = normalizePattern(pattern);
+  const type = PATTERN_TYPES[pat?.type];
+  if (!type) return getToonMat(rampTex, hex, keyExtra);
+
+  const k = [
+    'pat', hex, pat.type, pat.color, pat.color2, pat.scale, pat.seed, bodyScale, keyExtra, rampTex.uuid
+  ].join('|');
+  const cached = MAT_CACHE.get(k);
+  if (cached) return cached;
+
+  const m = new THREE.MeshToonMaterial({
+    color: new THREE.Color(hex),
+    gradientMap: rampTex
+  });
+  m.dithering = true;
+  m.defines = { PET_PATTERN: type.index };
+  m.userData.cacheKey = k;
+
+  const uniforms = {
+    uPatternColor: { value: new THREE.Color(pat.color) },
+    uPatternColor2: { value: new THREE.Color(pat.color2) },
+    uPatternScale: { value: 1 / bodyScale },
+    uPatternFreq: { value: pat.scale },
+    uPatternSeed: { value: (pat.seed % 1000) * 0.731 }
+  };
+  m.userData.patternUniforms = uniforms;
+
+  addShaderPatch(m, 'petPattern', (shader) => {
+    Object.assign(shader.uniforms, uniforms);
+
+    // Ears are instanced: take the instance transform so they pattern like the head
+    shader.vertexShader = shader.vertexShader
+      .replace(
+        '#include <common>',
+        `#include <common>\nvarying vec3 vPatternPos;`
+      )
+      .replace(
+        '#include <begin_vertex>',
+        `#include <begin_vertex>\nvPatternPos = position;\n#ifdef USE_INSTANCING\nvPatternPos = (instanceMatrix * vec4(position, 1.0)).xyz;\n#endif`
+      );
+
+    shader.fragmentShader = shader.fragmentShader
+      .replace('#include <common>', `#include <common>\n${PATTERN_GLSL}`)
+      .replace(
+        '#include <color_fragment>',
+        `#include <color_fragment>\nvec2 petPat = petPatternMask(vPatternPos * uPatternScale);\ndiffuseColor.rgb = mix(diffuseColor.rgb, uPatternColor, petPat.x);\ndiffuseColor.rgb = mix(diffuseColor.rgb, uPatternColor2, petPat.y);`
+      );
+  });
+
+  MAT_CACHE.set(k, m);
+  return m;
+}
+
+/**
+ * Get cached accessory material (toon, optionally double-sided for flat parts like wings)
+ * @param {THREE.Texture} rampTex - Gradient ramp texture
+ * @param {number} hex - Color hex value
+ * @param {boolean} [doubleSide=false] - Render both faces
+ * @returns {THREE.MeshToonMaterial} Cached toon material
+ */
+export function getAccessoryMat(rampTex, hex, doubleSide = false) {
+  const k = 'acc|' + String(hex) + '|' + (doubleSide ? 2 : 1) + '|' + rampTex.uuid;
+  const cached = MAT_CACHE.get(k);
+  if (cached) return cached;
+  
+  const m = new THREE.MeshToonMaterial({
+    color: new THREE.Color(hex),
+    gradientMap: rampTex,
+    side: doubleSide ? THREE.DoubleSide : THREE.FrontSide
+  });
+  m.dithering = true;
   MAT_CACHE.set(k, m);
   return m;
 }
@@ -189,6 +374,34 @@ export function getDetailMat(rampTex) {
   return m;
 }
 
+/**
+ * Get cached toon stand-in for a material authored in a glTF model (keeps its color, texture
+ * and vertex colors)
+ * @param {THREE.Texture} rampTex - Gradient ramp texture
+ * @param {THREE.Material} source - Authored material
+ * @returns {THREE.MeshToonMaterial} Cached toon material
+ */
+export function getModelToonMat(rampTex, source) {
+  const k = 'model|' + source.uuid + '|' + rampTex.uuid;
+  const cached = MAT_CACHE.get(k);
+  if (cached) return cached;
+
+  const m = new THREE.MeshToonMaterial({
+    color: source.color ? source.color.clone() : new THREE.Color(0xffffff),
+    map: source.map ?? null,
+    gradientMap: rampTex,
+    vertexColors: !!source.vertexColors,
+    transparent: !!source.transparent,
+    opacity: source.opacity ?? 1,
+    alphaTest: source.alphaTest ?? 0,
+    side: source.side ?? THREE.FrontSide
+  });
+  m.name = source.name;
+  m.dithering = true;
+  MAT_CACHE.set(k, m);
+  return m;
+}
+
 /**
  * Get cached blob shadow material
  * @param {THREE.Texture} blobTex - Blob shadow texture
@@ -218,7 +431,7 @@ export function patchDragonFlapMaterial(mat) {
   mat.userData._flapPatched = true;
   mat.userData.uTime = { value: 0 };
 
-  mat.onBeforeCompile = (shader) => {
+  addShaderPatch(mat, 'dragonFlap', (shader) => {
     shader.uniforms.uTime = mat.userData.uTime;
 
     shader.vertexShader = shader.vertexShader
@@ -236,9 +449,32 @@ export function patchDragonFlapMaterial(mat) {
       );
 
     mat.userData._shader = shader;
-  };
+  });
+}
 
-  mat.needsUpdate = true;
+/**
+ * Count a mounted user of a cached toon or pattern material
+ * @param {THREE.Material} mat - Material from getToonMat/getPatternMat
+ */
+export function retainMaterial(mat) {
+  MAT_USERS.set(mat, (MAT_USERS.get(mat) ?? 0) + 1);
+}
+
+/**
+ * Drop a user of a cached material. The last one out disposes it and evicts it from the
+ * cache, so the colors a pet goes through (e.g. dragging a custom color) don't pile up.
+ * @param {THREE.Material} mat - Material passed to retainMaterial
+ */
+export function releaseMaterial(mat) {
+  const users = (MAT_USERS.get(mat) ?? 0) - 1;
+  if (users > 0) {
+    MAT_USERS.set(mat, users);
+    return;
+  }
+  MAT_USERS.delete(mat);
+  const k = mat.userData.cacheKey;
+  if (k !== undefined && MAT_CACHE.get(k) === mat) MAT_CACHE.delete(k);
+  mat.dispose();
 }
 
 /**
@@ -249,4 +485,5 @@ export function clearMaterialCache() {
     mat?.dispose?.();
   }
   MAT_CACHE.clear();
+  MAT_USERS.clear();
 }
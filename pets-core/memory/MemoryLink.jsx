@@ -7,6 +7,7 @@ import React, { useMemo, useRef } from 'react';
 import * as THREE from 'three';
 import { useFrame } from '@react-three/fiber';
 import { Line } from '@react-three/drei';
+import { cosmeticRng } from '../random.js';
 
 /**
  * Visual link between a pet and its assigned memory
@@ -143,7 +144,7 @@ export function MemoryLink({
  */
 export function MemoryAura({ position, hasGuardian = false, bondLevel = 0 }) {
   const auraRef = useRef();
-  const phaseRef = useRef(Math.random() * Math.PI * 2);
+  const phaseRef = useRef(cosmeticRng.next() * Math.PI * 2);
 
   const color = useMemo(() => {
     if (!hasGuardian) return new THREE.Color(0.5, 0.5, 0.5);
@@ -5,6 +5,20 @@
 
 import * as THREE from 'three';
 import { petEvents, PET_EVENTS } from '../events/PetEventEmitter.js';
+import { readJSON, writeJSON } from '../persistence/storage.js';
+import { randRange, clamp } from '../utils.js';
+import { registerBehavior } from '../ai/behaviors.js';
+import { createPathState } from '../environment/navigation.js';
+import { steerToward, avoidWallsAndPets } from '../ai/brain.js';
+
+/** Storage key for memory registry state */
+export const MEMORY_STORAGE_KEY = 'mindPalace:memories:v1';
+
+/**
+ * Bond levels that emit PET_EVENTS.BOND_MILESTONE when a guardian's bond crosses them
+ * @type {number[]}
+ */
+export const BOND_MILESTONES = [0.25, 0.5, 0.75, 1];
 
 /**
  * @typedef {Object} MemoryNode
@@ -12,6 +26,7 @@ import { petEvents, PET_EVENTS } from '../events/PetEventEmitter.js';
  * @property {THREE.Vector3} position - Memory position in world
  * @property {string} title - Memory title/label
  * @property {string} [guardianPetId] - Assigned guardian pet ID
+ * @property {string|null} [roomId] - Palace room the memory is in (null = any room)
  * @property {number} createdAt - Creation timestamp
  */
 
@@ -27,12 +42,31 @@ import { petEvents, PET_EVENTS } from '../events/PetEventEmitter.js';
 /**
  * Memory registry for the Mind Palace
  */
-class MemoryRegistry {
+export class MemoryRegistry {
   constructor() {
     /** @type {Map<string, MemoryNode>} */
     this.memories = new Map();
     /** @type {Map<string, GuardianAssignment>} Assignment by petId */
     this.assignments = new Map();
+    /** Resolves once attachStorage has loaded the saved state */
+    this.ready = Promise.resolve();
+    /** @type {{adapter: Object, key: string, loaded: boolean}|null} @private */
+    this._storage = null;
+    this._saveQueued = false;
+  }
+
+  /**
+   * Save soon after a change while storage is attached (changes in one tick share a write)
+   * @private
+   */
+  _changed() {
+    if (!this._storage?.loaded || this._saveQueued) return;
+    this._saveQueued = true;
+    Promise.resolve().then(() => {
+      this._saveQueued = false;
+      const storage = this._storage;
+      if (storage?.loaded) this.save(storage.adapter, storage.key);
+    });
   }
 
   /**
@@ -44,6 +78,7 @@ class MemoryRegistry {
       ...memory,
       createdAt: memory.createdAt ?? Date.now()
     });
+    this._changed();
     
     // Emit event for curious behavior trigger
     petEvents.emit(PET_EVENTS.MEMORY_ADDED, { memory });
@@ -55,10 +90,30 @@ class MemoryRegistry {
    */
   removeMemory(id) {
     const memory = this.memories.get(id);
-    if (memory?.guardianPetId) {
+    if (!memory) return;
+    if (memory.guardianPetId) {
       this.unassignGuardian(memory.guardianPetId);
     }
     this.memories.delete(id);
+    this._changed();
+    petEvents.emit(PET_EVENTS.MEMORY_REMOVED, { memoryId: id, memory });
+  }
+
+  /**
+   * Move a memory (e.g. from the room editor)
+   * @param {string} id - Memory ID
+   * @param {number} x - X position
+   * @param {number} y - Y position
+   * @param {number} z - Z position
+   * @returns {boolean} True if the memory exists
+   */
+  moveMemory(id, x, y, z) {
+    const memory = this.memories.get(id);
+    if (!memory) return false;
+    memory.position = new THREE.Vector3(x, y, z);
+    this._changed();
+    petEvents.emit(PET_EVENTS.MEMORY_MOVED, { memoryId: id, memory });
+    return true;
   }
 
   /**
@@ -107,6 +162,7 @@ class MemoryRegistry {
       bondLevel: 0,
       lastVisit: Date.now()
     });
+    this._changed();
 
     petEvents.emit(PET_EVENTS.ASSIGNED_TO_MEMORY, { petId, memoryId, memory });
     return true;
@@ -124,6 +180,7 @@ class MemoryRegistry {
         memory.guardianPetId = null;
       }
       this.assignments.delete(petId);
+      this._changed();
     }
   }
 
@@ -155,8 +212,29 @@ class MemoryRegistry {
   updateBond(petId, increase = 0.05) {
     const assignment = this.assignments.get(petId);
     if (assignment) {
+      const before = assignment.bondLevel;
       assignment.bondLevel = Math.min(1, assignment.bondLevel + increase);
       assignment.lastVisit = Date.now();
+      this._changed();
+
+      for (const milestone of BOND_MILESTONES) {
+        if (before < milestone && assignment.bondLevel >= milestone) {
+          petEvents.emit(PET_EVENTS.BOND_MILESTONE, { petId, memoryId: assignment.memoryId, value: milestone });
+        }
+      }
+    }
+  }
+
+  /**
+   * Reduce bond level (e.g. long absences from its memory)
+   * @param {string} petId - Pet ID
+   * @param {number} decrease - Amount to decrease (0-1)
+   */
+  decayBond(petId, decrease) {
+    const assignment = this.assignments.get(petId);
+    if (assignment) {
+      assignment.bondLevel = Math.max(0, assignment.bondLevel - decrease);
+      this._changed();
     }
   }
 
@@ -227,17 +305,74 @@ class MemoryRegistry {
   /**
    * Import state from persistence
    * @param {Object} state - Saved state
+   * @param {Object} [options] - Import options
+   * @param {boolean} [options.merge=false] - Keep memories and assignments the state doesn't have
+   *   (saved entries win on the same ID) instead of replacing everything
    */
-  importState(state) {
+  importState(state, { merge = false } = {}) {
     if (state.memories) {
-      this.memories = new Map(state.memories.map(([id, m]) => [
+      const loaded = state.memories.map(([id, m]) => [
         id,
         { ...m, position: new THREE.Vector3(m.position.x, m.position.y, m.position.z) }
-      ]));
+      ]);
+      this.memories = new Map(merge ? [...this.memories, ...loaded] : loaded);
     }
     if (state.assignments) {
-      this.assignments = new Map(state.assignments);
+      this.assignments = new Map(merge ? [...this.assignments, ...state.assignments] : state.assignments);
     }
+    if (merge) {
+      // One guardian per memory, as the assignments say
+      for (const [petId, a] of this.assignments) {
+        if (!this.memories.has(a.memoryId)) this.assignments.delete(petId);
+      }
+      const guardians = new Map([...this.assignments.values()].map(a => [a.memoryId, a.petId]));
+      for (const m of this.memories.values()) m.guardianPetId = guardians.get(m.id) ?? null;
+    }
+  }
+
+  /**
+   * Persist exported state through a storage adapter
+   * @param {import('../persistence/adapters.js').StorageAdapter} [adapter] - Storage adapter
+   * @param {string} [key=MEMORY_STORAGE_KEY] - Storage key
+   * @returns {Promise<boolean>} True if written
+   */
+  save(adapter, key = MEMORY_STORAGE_KEY) {
+    return writeJSON(key, this.exportState(), adapter);
+  }
+
+  /**
+   * Load state through a storage adapter
+   * @param {import('../persistence/adapters.js').StorageAdapter} [adapter] - Storage adapter
+   * @param {string} [key=MEMORY_STORAGE_KEY] - Storage key
+   * @returns {Promise<boolean>} True if a saved state was found
+   */
+  async load(adapter, key = MEMORY_STORAGE_KEY) {
+    const state = await readJSON(key, adapter);
+    if (!state) return false;
+    this.importState(state);
+    return true;
+  }
+
+  /**
+   * Load the saved state and save after every change until detached. Memories and
+   * guardians added before the load finishes are kept (see importState's `merge`).
+   * `ready` resolves once the saved state is in.
+   * @param {import('../persistence/adapters.js').StorageAdapter} [adapter] - Storage adapter (defaults to the global one)
+   * @param {string} [key=MEMORY_STORAGE_KEY] - Storage key
+   * @returns {Function} Detach (stops saving)
+   */
+  attachStorage(adapter, key = MEMORY_STORAGE_KEY) {
+    const storage = { adapter, key, loaded: false };
+    this._storage = storage;
+    this.ready = readJSON(key, adapter).then((state) => {
+      if (this._storage !== storage) return;
+      if (state) this.importState(state, { merge: true });
+      storage.loaded = true;
+      this._changed();
+    });
+    return () => {
+      if (this._storage === storage) this._storage = null;
+    };
   }
 }
 
@@ -254,12 +389,14 @@ export const memoryRegistry = new MemoryRegistry();
  * @param {number} x - X position
  * @param {number} y - Y position
  * @param {number} z - Z position
+ * @param {string|null} [roomId=null] - Palace room (see palace/palace.js)
  */
-export function createMemory(id, title, x, y, z) {
+export function createMemory(id, title, x, y, z, roomId = null) {
   memoryRegistry.addMemory({
     id,
     title,
     position: new THREE.Vector3(x, y, z),
+    roomId,
     guardianPetId: null,
     createdAt: Date.now()
   });
@@ -276,3 +413,89 @@ export function getMemoryCuriosityStrength(memory, maxAgeMs = 5 * 60 * 1000) {
   if (age > maxAgeMs) return 0;
   return 1 - (age / maxAgeMs);
 }
+
+/**
+ * Memory visit tuning
+ * @type {Object}
+ */
+export const MEMORY_VISIT_CONFIG = {
+  chancePerS: 0.02,       // Chance per second a wandering guardian heads to its memory
+  arriveDist: 1.0,        // Close enough to count as a visit
+  giveUpS: 20,            // Abandon the trip after this long
+  linger: [3.0, 5.0],     // Seconds spent at the memory
+  bondGain: 0.02          // Bond gained per visit
+};
+
+/**
+ * Is the memory in the room the pet is in? Memories without a room are in every room.
+ * @param {MemoryNode} memory - Memory
+ * @param {string|null} [roomId] - Pet's palace room
+ * @returns {boolean} True if the pet can walk to it without a portal
+ */
+export function isMemoryInRoom(memory, roomId) {
+  return !memory.roomId || !roomId || memory.roomId === roomId;
+}
+
+/**
+ * Distance from a position to the pet's assigned memory
+ * @private
+ */
+function distToMemory(memory, pos) {
+  return Math.hypot(memory.position.x - pos.x, memory.position.z - pos.z);
+}
+
+// Guardians walk over to their memory now and then, routed around obstacles on the nav grid.
+// The trip target lives in brain.visitTarget so the rest spot is left alone. Memories in
+// another palace room are reached through portals instead (palace/travel.js).
+registerBehavior({
+  id: 'visiting',
+  priority: 25,
+  canEnter: (ctx) => {
+    const memory = ctx.pos && memoryRegistry.getAssignedMemory(ctx.petId);
+    return !!memory && isMemoryInRoom(memory, ctx.params.roomId) &&
+      distToMemory(memory, ctx.pos) > MEMORY_VISIT_CONFIG.arriveDist * 2;
+  },
+  chancePerS: () => MEMORY_VISIT_CONFIG.chancePerS,
+  enter: (brain, ctx) => {
+    const memory = memoryRegistry.getAssignedMemory(ctx.petId);
+    brain.visitTarget = { x: memory.position.x, y: 0, z: memory.position.z };
+    brain.t = MEMORY_VISIT_CONFIG.giveUpS;
+    brain.visitArrived = false;
+  },
+  update: (brain, ctx) => {
+    const memory = memoryRegistry.getAssignedMemory(ctx.petId);
+    if (!memory) return false;
+    if (!brain.visitArrived && ctx.pos && distToMemory(memory, ctx.pos) < MEMORY_VISIT_CONFIG.arriveDist) {
+      brain.visitArrived = true;
+      brain.t = randRange(MEMORY_VISIT_CONFIG.linger[0], MEMORY_VISIT_CONFIG.linger[1], ctx.rng);
+      memoryRegistry.updateBond(ctx.petId, MEMORY_VISIT_CONFIG.bondGain);
+      petEvents.emit(PET_EVENTS.PET_NEAR_MEMORY, { petId: ctx.petId, memoryId: memory.id });
+    }
+    return brain.t > 0;
+  },
+  move: (brain, pos, vel, { dt, time, navGrid, bounds, separationVec }) => {
+    let vx = vel.x;
+    let vz = vel.z;
+    // Memories placed past the walls are visited from the nearest reachable spot
+    const target = brain.visitTarget;
+    if (bounds) {
+      target.x = clamp(target.x, bounds.minX, bounds.maxX);
+      target.z = clamp(target.z, bounds.minZ, bounds.maxZ);
+    }
+    const d = Math.hypot(target.x - pos.x, target.z - pos.z);
+    if (d > MEMORY_VISIT_CONFIG.arriveDist * 0.6) {
+      brain.path ??= createPathState();
+      const way = steerToward(brain, pos, target, time, navGrid);
+      // Same wall and separation steering as wandering, so guardians don't shove through the others
+      const dir = avoidWallsAndPets(way.x, way.z, pos, bounds, separationVec, 0.6);
+      vx += dir.x * 1.4 * dt * 3.0;
+      vz += dir.z * 1.4 * dt * 3.0;
+      vx *= Math.pow(0.86, dt * 60);
+      vz *= Math.pow(0.86, dt * 60);
+    } else {
+      vx *= Math.pow(0.70, dt * 60);
+      vz *= Math.pow(0.70, dt * 60);
+    }
+    return { x: vx, z: vz };
+  }
+});
@@ -0,0 +1,313 @@
+/**
+ * @fileoverview glTF/GLB pet models: loading, named-node rig and toon material override
+ * @module pets-core/models
+ *
+ * A species with a `model` is drawn from a glTF file instead of getPetGeometries()'
+ * primitives. Named nodes are hooked up to the same animation as the procedural parts:
+ *
+ *   Head          head bob / tilt (rotates about the node origin, put it at the neck)
+ *   Tail          tail wag (origin at the tail base)
+ *   Ear_L, Ear_R  ear twitch (origin at the ear base); without Ear_R, ear accessories are off
+ *   Wing_L, Wing_R  wing flap for species with `wings` (origin at the shoulder)
+ *   Face          where the shader eyes go; leave it out if the model has its own eyes
+ *
+ * Materials are swapped for toon ones: materials named `Body…` take the pet's body color
+ * and coat pattern, `Accent…` its accent color, the rest keep their authored color/texture.
+ * Author the model at the size of a scale-1 pet; it is scaled by the species scale.
+ * Until the file loads, or if it fails to, the pet is drawn procedurally.
+ *
+ * @example
+ * registerSpecies({
+ *   key: 'owl',
+ *   label: 'Owl',
+ *   emoji: '🦉',
+ *   ear: 'sharp',
+ *   tail: 'short',
+ *   model: { src: '/models/owl.glb' }
+ * });
+ */
+
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import { clone as cloneObject } from 'three/examples/jsm/utils/SkeletonUtils.js';
+import { getSpecies } from './species.js';
+import { getModelToonMat } from './materials.js';
+
+/**
+ * @typedef {Object} SpeciesModel
+ * @property {string|Blob|ArrayBuffer} src - File URL, a local File/Blob, or the file's bytes
+ * @property {number} [scale=1] - Extra scale on top of the species scale
+ * @property {Object.<string, string>} [nodes] - Node name overrides (see MODEL_NODE_NAMES)
+ * @property {boolean} [toon=true] - Swap authored materials for toon ones
+ */
+
+/**
+ * @typedef {Object} PetModel
+ * @property {string} speciesKey - Species key
+ * @property {THREE.Object3D} root - Prepared template (clone it with instantiatePetModel)
+ * @property {Object.<string, boolean>} parts - Rig parts found in the file
+ * @property {boolean} toon - Swap materials for toon ones
+ */
+
+/**
+ * @typedef {Object} PetModelInstance
+ * @property {THREE.Object3D} root - Scene graph for one pet
+ * @property {THREE.Object3D|null} head - Head pivot
+ * @property {THREE.Object3D|null} tail - Tail pivot
+ * @property {THREE.Object3D|null} earLeft - Left ear pivot
+ * @property {THREE.Object3D|null} earRight - Right ear pivot
+ * @property {THREE.Object3D|null} wingLeft - Left wing pivot
+ * @property {THREE.Object3D|null} wingRight - Right wing pivot
+ * @property {THREE.Object3D|null} face - Face node pivot
+ * @property {{head: THREE.Group|null, tail: THREE.Group|null, ear: THREE.Group|null, face: THREE.Group|null}} attach -
+ *   Where accessories and shader eyes go; head/tail take pet-space positions, ear/face are at the node
+ */
+
+/**
+ * Node names looked up in a model (case-insensitive; SpeciesModel.nodes overrides them)
+ * @type {Object.<string, string>}
+ */
+export const MODEL_NODE_NAMES = {
+  head: 'Head',
+  tail: 'Tail',
+  earLeft: 'Ear_L',
+  earRight: 'Ear_R',
+  wingLeft: 'Wing_L',
+  wingRight: 'Wing_R',
+  face: 'Face'
+};
+
+/**
+ * Material name prefixes that take the pet's colors
+ * @type {{body: string, accent: string}}
+ */
+export const MODEL_MATERIAL_ROLES = {
+  body: 'Body',
+  accent: 'Accent'
+};
+
+/** Prefix for the pivot groups inserted above rig nodes */
+const PIVOT_PREFIX = '__petRig_';
+
+/** @type {Map<string, {species: Object, promise: Promise<PetModel|null>, model: PetModel|null}>} */
+const MODEL_CACHE = new Map();
+
+let loader = null;
+
+/**
+ * Loader used for pet models (created on first use)
+ * @returns {GLTFLoader} Loader
+ */
+export function getModelLoader() {
+  if (!loader) loader = new GLTFLoader();
+  return loader;
+}
+
+/**
+ * Use a configured loader (e.g. with a DRACOLoader or KTX2Loader attached)
+ * @param {GLTFLoader} gltfLoader - Loader
+ */
+export function setModelLoader(gltfLoader) {
+  loader = gltfLoader;
+}
+
+/**
+ * Parse a model source
+ * @private
+ */
+async function readModel(src) {
+  const gltfLoader = getModelLoader();
+  if (src instanceof ArrayBuffer) {
+    return gltfLoader.parseAsync(src, '');
+  }
+  if (typeof Blob !== 'undefined' && src instanceof Blob) {
+    const url = URL.createObjectURL(src);
+    try {
+      return await gltfLoader.loadAsync(url);
+    } finally {
+      URL.revokeObjectURL(url);
+    }
+  }
+  return gltfLoader.loadAsync(src);
+}
+
+/**
+ * Find a node by name, exact match first
+ * @private
+ */
+function findNode(root, name) {
+  const exact = root.getObjectByName(name);
+  if (exact) return exact;
+  const lower = name.toLowerCase();
+  let found = null;
+  root.traverse((o) => {
+    if (!found && o.name.toLowerCase() === lower) found = o;
+  });
+  return found;
+}
+
+/**
+ * Put a node under a pivot group at its origin, so animation can rotate the pivot
+ * without losing the node's authored rotation
+ * @private
+ */
+function addPivot(node, part) {
+  const pivot = new THREE.Group();
+  pivot.name = PIVOT_PREFIX + part;
+  pivot.position.copy(node.position);
+  node.parent.add(pivot);
+  pivot.add(node);
+  node.position.set(0, 0, 0);
+  return pivot;
+}
+
+/**
+ * Wrap a loaded scene for use as a pet
+ * @private
+ */
+function prepareModel(speciesKey, sp, scene) {
+  const names = { ...MODEL_NODE_NAMES, ...sp.model.nodes };
+  const root = new THREE.Group();
+  root.name = `petModel_${speciesKey}`;
+  root.scale.setScalar((sp.scale || 1) * (sp.model.scale ?? 1));
+  root.add(scene);
+
+  const parts = {};
+  for (const [part, name] of Object.entries(names)) {
+    const node = findNode(scene, name);
+    parts[part] = !!node;
+    if (node) addPivot(node, part);
+  }
+
+  return { speciesKey, root, parts, toon: sp.model.toon !== false };
+}
+
+/**
+ * Load (once) the model of a species
+ * @param {string} speciesKey - Species key
+ * @returns {Promise<PetModel|null>} Model, or null if the species has none or it failed to load
+ */
+export function loadPetModel(speciesKey) {
+  const sp = getSpecies(speciesKey);
+  if (!sp.model?.src) return Promise.resolve(null);
+
+  const cached = MODEL_CACHE.get(speciesKey);
+  if (cached?.species === sp) return cached.promise;
+
+  const entry = { species: sp, model: null, promise: null };
+  entry.promise = readModel(sp.model.src)
+    .then((gltf) => {
+      entry.model = prepareModel(speciesKey, sp, gltf.scene);
+      return entry.model;
+    })
+    .catch((err) => {
+      console.warn(`[pets-core] Model for "${speciesKey}" failed to load, using procedural geometry`, err);
+      return null;
+    });
+  MODEL_CACHE.set(speciesKey, entry);
+  return entry.promise;
+}
+
+/**
+ * Get a species' model if it has already loaded
+ * @param {string} speciesKey - Species key
+ * @returns {PetModel|null} Model or null
+ */
+export function getLoadedPetModel(speciesKey) {
+  const cached = MODEL_CACHE.get(speciesKey);
+  return cached?.species === getSpecies(speciesKey) ? cached.model : null;
+}
+
+/**
+ * Clone a model for one pet (geometry is shared)
+ * @param {PetModel} model - Loaded model
+ * @returns {PetModelInstance} Instance with its rig pivots
+ */
+export function instantiatePetModel(model) {
+  const root = cloneObject(model.root);
+  root.updateMatrixWorld(true);
+  const pivot = (part) => (model.parts[part] ? root.getObjectByName(PIVOT_PREFIX + part) : null);
+  const head = pivot('head');
+  const tail = pivot('tail');
+  const earRight = pivot('earRight');
+  const face = pivot('face');
+  return {
+    root,
+    head,
+    tail,
+    earLeft: pivot('earLeft'),
+    earRight,
+    wingLeft: pivot('wingLeft'),
+    wingRight: pivot('wingRight'),
+    face,
+    attach: {
+      head: head && attachPoint(head, true),
+      tail: tail && attachPoint(tail, true),
+      ear: earRight && attachPoint(earRight, false),
+      face: face && attachPoint(face, false)
+    }
+  };
+}
+
+const _inv = new THREE.Matrix4();
+const _scale = new THREE.Vector3();
+
+/**
+ * Group under a pivot for things that ride it (accessories, shader eyes)
+ * @private
+ * @param {THREE.Object3D} pivot - Rig pivot (world matrices up to date, root unparented)
+ * @param {boolean} petSpace - Children use pet coordinates like the procedural head/tail
+ *   groups; otherwise they sit at the node origin, at pet scale
+ */
+function attachPoint(pivot, petSpace) {
+  const point = new THREE.Group();
+  pivot.add(point);
+  if (petSpace) {
+    point.applyMatrix4(_inv.copy(pivot.matrixWorld).invert());
+  } else {
+    pivot.getWorldScale(_scale);
+    point.scale.set(1 / _scale.x, 1 / _scale.y, 1 / _scale.z);
+  }
+  return point;
+}
+
+/**
+ * Pick the material for one authored material
+ * @private
+ */
+function pickMaterial(source, { bodyMat, accentMat, rampTex, toon }) {
+  const name = source.name.toLowerCase();
+  if (name.startsWith(MODEL_MATERIAL_ROLES.body.toLowerCase())) return bodyMat;
+  if (name.startsWith(MODEL_MATERIAL_ROLES.accent.toLowerCase())) return accentMat;
+  if (toon && rampTex) return getModelToonMat(rampTex, source);
+  return source;
+}
+
+/**
+ * Apply a pet's materials to its model instance (safe to call again when colors change)
+ * @param {PetModelInstance} instance - Model instance
+ * @param {Object} materials - Materials
+ * @param {THREE.Material} materials.bodyMat - Body color / pattern material
+ * @param {THREE.Material} materials.accentMat - Accent color material
+ * @param {THREE.Texture} [materials.rampTex] - Toon ramp for the other materials
+ * @param {boolean} [materials.toon=true] - Swap the other materials for toon ones
+ */
+export function applyPetModelMaterials(instance, { bodyMat, accentMat, rampTex, toon = true }) {
+  instance.root.traverse((o) => {
+    if (!o.isMesh) return;
+    // Remember the authored material so later calls still know each mesh's role
+    o.userData.petSourceMaterial ??= o.material;
+    const source = o.userData.petSourceMaterial;
+    const opts = { bodyMat, accentMat, rampTex, toon };
+    o.material = Array.isArray(source)
+      ? source.map((m) => pickMaterial(m, opts))
+      : pickMaterial(source, opts);
+  });
+}
+
+/**
+ * Forget loaded models (for hot-reload scenarios)
+ */
+export function clearModelCache() {
+  MODEL_CACHE.clear();
+}
@@ -0,0 +1,94 @@
+/**
+ * @fileoverview Doorways of the player's palace room, and walking through them
+ * @module pets-core/palace/PalacePortals
+ */
+
+import React, { useEffect, useMemo, useRef } from 'react';
+import * as THREE from 'three';
+import { useFrame, useThree } from '@react-three/fiber';
+import { getToonMat } from '../materials.js';
+import { getDoorwayYaw } from './palace.js';
+
+/** Doorway frame size */
+const DOOR = { width: 1.8, height: 2.4, post: 0.18 };
+
+// Shared doorway geometry
+const POST_GEO = new THREE.BoxGeometry(DOOR.post, DOOR.height, DOOR.post);
+const LINTEL_GEO = new THREE.BoxGeometry(DOOR.width + DOOR.post, DOOR.post, DOOR.post);
+const GLOW_GEO = new THREE.PlaneGeometry(DOOR.width - DOOR.post, DOOR.height - DOOR.post * 0.5);
+
+/**
+ * One doorway: a frame facing into the room with a pulsing glow in the opening
+ * @private
+ */
+function Doorway({ portal, bounds, rampTex }) {
+  const frameMat = getToonMat(rampTex, 0xf1ece2, 'portalFrame');
+  const glowMat = useMemo(() => new THREE.MeshBasicMaterial({
+    color: new THREE.Color(portal.color),
+    transparent: true,
+    opacity: 0.35,
+    side: THREE.DoubleSide,
+    blending: THREE.AdditiveBlending,
+    depthWrite: false
+  }), [portal.color]);
+  useEffect(() => () => glowMat.dispose(), [glowMat]);
+
+  useFrame((state) => {
+    glowMat.opacity = 0.28 + 0.1 * Math.sin(state.clock.getElapsedTime() * 2.2);
+  });
+
+  const [x, z] = portal.from.position;
+  const half = DOOR.width / 2;
+  return (
+    <group position={[x, 0, z]} rotation={[0, getDoorwayYaw(portal.from, bounds), 0]} name={`portal_${portal.id}`}>
+      <mesh geometry={POST_GEO} material={frameMat} position={[-half, DOOR.height / 2, 0]} />
+      <mesh geometry={POST_GEO} material={frameMat} position={[half, DOOR.height / 2, 0]} />
+      <mesh geometry={LINTEL_GEO} material={frameMat} position={[0, DOOR.height, 0]} />
+      <mesh geometry={GLOW_GEO} material={glowMat} position={[0, (DOOR.height - DOOR.post * 0.5) / 2, 0]} />
+    </group>
+  );
+}
+
+/**
+ * Doorways of a palace room. Calls onEnter when the player steps into one; it has to step
+ * out of every doorway before the next call, so arriving next to a doorway doesn't bounce back.
+ * @param {Object} props - Component props
+ * @param {import('./palace.js').Palace} props.palace - Palace
+ * @param {string} props.roomId - Player's room
+ * @param {Object} props.bounds - Room bounds (doorways face the center)
+ * @param {THREE.Texture} props.rampTex - Toon ramp texture
+ * @param {function(import('./palace.js').Portal): void} props.onEnter - Player walked into a doorway
+ * @returns {JSX.Element} Doorways
+ */
+export function PalacePortals({ palace, roomId, bounds, rampTex, onEnter }) {
+  const { camera } = useThree();
+  const portals = useMemo(() => palace.getPortals(roomId), [palace, roomId]);
+  const armedRef = useRef(false);
+
+  useFrame(() => {
+    let inside = null;
+    for (const portal of portals) {
+      const [x, z] = portal.from.position;
+      if (Math.hypot(camera.position.x - x, camera.position.z - z) < portal.radius) {
+        inside = portal;
+        break;
+      }
+    }
+    if (!inside) {
+      armedRef.current = true;
+    } else if (armedRef.current) {
+      armedRef.current = false;
+      onEnter(inside);
+    }
+  });
+
+  return (
+    <>
+      {portals.map((p) => (
+        <Doorway key={p.id} portal={p} bounds={bounds} rampTex={rampTex} />
+      ))}
+    </>
+  );
+}
+
+export default PalacePortals;
@@ -0,0 +1,503 @@
+/**
+ * @fileoverview Mind Palace: rooms joined by portals, each with its own registries, loaded lazily
+ * @module pets-core/palace/palace
+ *
+ * A palace is plain JSON listing rooms (room files by URL, or inline room definitions,
+ * see environment/rooms.js) and the portals between them. A portal is a two-way doorway
+ * with one end in each room:
+ *
+ * @example
+ * {
+ *   "format": "mind-palace",
+ *   "version": 1,
+ *   "id": "home",
+ *   "start": "living",
+ *   "rooms": {
+ *     "living": { "name": "Living Room", "emoji": "🛋️", "url": "/rooms/living.json" },
+ *     "bedroom": { "name": "Bedroom", "emoji": "🛏️", "url": "/rooms/bedroom.json" },
+ *     "garden": { "name": "Garden", "emoji": "🌿", "room": { "format": "mind-palace-room", "id": "garden" } }
+ *   },
+ *   "portals": [
+ *     { "id": "hall", "a": { "room": "living", "position": [9, 0] }, "b": { "room": "bedroom", "position": [-9, 0] } },
+ *     { "id": "patio", "a": { "room": "living", "position": [0, -9] }, "b": { "room": "garden", "position": [0, 9] },
+ *       "color": "#caffbf" }
+ *   ]
+ * }
+ *
+ * Every loaded room gets a RoomScope: its own ObstacleRegistry, RestSpotRegistry and NavGrid,
+ * so pets only path around and rest in the room they are in. Entering a room loads it and
+ * preloads its neighbours (PALACE_CONFIG.keepLoadedHops); rooms further away are unloaded.
+ *
+ * @example
+ * const palace = new Palace(palaceJson);
+ * await palace.enter(palace.startId);
+ * <PetsApp config={HOME_CONFIG} palace={palace} />
+ */
+
+import { ObstacleRegistry } from '../environment/obstacles.js';
+import { RestSpotRegistry } from '../environment/restSpots.js';
+import { NavGrid } from '../environment/navigation.js';
+import { parseRoom, loadRoom, registerRoom } from '../environment/rooms.js';
+import { petEvents, PET_EVENTS } from '../events/PetEventEmitter.js';
+
+/** Format tag every palace file carries */
+export const PALACE_FORMAT = 'mind-palace';
+
+/** Newest palace format version this build reads */
+export const PALACE_FORMAT_VERSION = 1;
+
+/**
+ * Palace tuning
+ * @type {Object}
+ */
+export const PALACE_CONFIG = {
+  keepLoadedHops: 1,          // Rooms this many portals from the player stay loaded
+  portalRadius: 1.2,          // Default doorway trigger radius
+  exitOffset: 1.8,            // Arrivals step this far into the room from the doorway
+  travelCooldownS: 30,        // A pet stays at least this long in a room it walked into
+  memoryTripChancePerS: 0.01, // Guardian sets off for its memory's room
+  followChancePerS: 0.03,     // Pet in another room trails after the player
+  lonelyFollowMul: 3,         // ...this much faster while lonely
+  offscreenTickS: 2,          // Travel decisions for pets outside the player's room
+  giveUpS: 25                 // On-screen walk to a doorway is abandoned after this long
+};
+
+const isNum = (v) => typeof v === 'number' && Number.isFinite(v);
+const isVec2 = (v) => Array.isArray(v) && v.length === 2 && v.every(isNum);
+
+/**
+ * @typedef {Object} PortalEnd
+ * @property {string} room - Room ID
+ * @property {number[]} position - Doorway [x, z]
+ * @property {number[]|null} exit - Arrival point [x, z] (null = PALACE_CONFIG.exitOffset toward the room center)
+ */
+
+/**
+ * @typedef {Object} Portal
+ * @property {string} id - Portal ID
+ * @property {PortalEnd} from - End in the room it is looked up from
+ * @property {PortalEnd} to - End in the other room
+ * @property {number} radius - Trigger radius
+ * @property {string} color - Doorway glow color
+ */
+
+/**
+ * @typedef {Object} PalaceRoomInfo
+ * @property {string} id - Room ID
+ * @property {string} name - Display name
+ * @property {string} emoji - Picker icon
+ * @property {string|null} url - Room file URL
+ * @property {Object|null} room - Inline room definition
+ */
+
+/**
+ * @typedef {Object} PalaceDefinition
+ * @property {string} id - Palace ID
+ * @property {string} name - Display name
+ * @property {string} start - Room pets and the player start in
+ * @property {Map<string, PalaceRoomInfo>} rooms - Rooms by ID
+ * @property {Array<{id: string, a: PortalEnd, b: PortalEnd, radius: number, color: string}>} portals - Portals
+ */
+
+/**
+ * @typedef {Object} RoomScope
+ * @property {string} id - Palace room ID (the key in `rooms`, which may differ from room.id)
+ * @property {import('../environment/rooms.js').RoomDefinition} room - Room in the registries
+ * @property {import('../environment/rooms.js').RoomDefinition} source - Room as loaded (before layout edits)
+ * @property {ObstacleRegistry} obstacles - The room's obstacles
+ * @property {RestSpotRegistry} restSpots - The room's rest spots
+ * @property {NavGrid} navGrid - Grid over the room's bounds and obstacles
+ * @property {function(import('../environment/rooms.js').RoomDefinition): void} setRoom - Re-register a
+ *   rearranged version of the room (see editor/layout.js)
+ * @property {Function} dispose - Empties the registries
+ */
+
+/**
+ * Normalize one portal end, collecting problems
+ * @private
+ */
+function readEnd(raw, where, rooms, problems) {
+  if (!raw || !rooms.has(raw.room)) problems.push(`${where}: unknown room "${raw?.room}"`);
+  if (!isVec2(raw?.position)) problems.push(`${where}.position must be [x, z]`);
+  if (raw?.exit !== undefined && !isVec2(raw.exit)) problems.push(`${where}.exit must be [x, z]`);
+  return { room: raw?.room, position: raw?.position, exit: raw?.exit ?? null };
+}
+
+/**
+ * Validate a palace definition and fill in defaults
+ * @param {Object|string} input - Palace JSON (object or string)
+ * @returns {PalaceDefinition} Normalized palace
+ * @throws {Error} Listing every problem found
+ */
+export function parsePalace(input) {
+  const raw = typeof input === 'string' ? JSON.parse(input) : input;
+  if (!raw || typeof raw !== 'object') throw new Error('[pets-core] Palace definition must be an object');
+  const problems = [];
+
+  const id = raw.id;
+  if (typeof id !== 'string' || !id) problems.push('id must be a non-empty string');
+  if (raw.format !== PALACE_FORMAT) problems.push(`format must be "${PALACE_FORMAT}"`);
+  const version = raw.version ?? 1;
+  if (!Number.isInteger(version) || version > PALACE_FORMAT_VERSION) {
+    problems.push(`version ${version} is not supported (newest is ${PALACE_FORMAT_VERSION})`);
+  }
+
+  const rooms = new Map();
+  for (const [roomId, r] of Object.entries(raw.rooms ?? {})) {
+    const hasUrl = typeof r?.url === 'string' && r.url.length > 0;
+    const hasRoom = !!r?.room && typeof r.room === 'object';
+    if (hasUrl === hasRoom) problems.push(`rooms.${roomId}: needs either url or room`);
+    rooms.set(roomId, {
+      id: roomId,
+      name: r?.name ?? roomId,
+      emoji: r?.emoji ?? '🚪',
+      url: hasUrl ? r.url : null,
+      room: hasRoom ? r.room : null
+    });
+  }
+  if (!rooms.size) problems.push('rooms must list at least one room');
+
+  const start = raw.start ?? rooms.keys().next().value;
+  if (rooms.size && !rooms.has(start)) problems.push(`start: unknown room "${start}"`);
+
+  const portalIds = new Set();
+  const portals = (raw.portals ?? []).map((p, i) => {
+    const where = `portals[${i}]`;
+    if (typeof p?.id !== 'string' || !p.id) problems.push(`${where}: id must be a non-empty string`);
+    else if (portalIds.has(p.id)) problems.push(`${where}: duplicate id "${p.id}"`);
+    portalIds.add(p?.id);
+    const a = readEnd(p?.a, `${where}.a`, rooms, problems);
+    const b = readEnd(p?.b, `${where}.b`, rooms, problems);
+    if (a.room && a.room === b.room) problems.push(`${where}: both ends are in "${a.room}"`);
+    const radius = p?.radius ?? PALACE_CONFIG.portalRadius;
+    if (!isNum(radius) || radius <= 0) problems.push(`${where}.radius must be a positive number`);
+    return { id: p?.id, a, b, radius, color: p?.color ?? '#bde0fe' };
+  });
+
+  if (problems.length) {
+    throw new Error(`[pets-core] Invalid palace "${id ?? '?'}": ${problems.join('; ')}`);
+  }
+
+  return { id, name: raw.name ?? id, start, rooms, portals };
+}
+
+/**
+ * Build the registries for a parsed room
+ * @private
+ */
+function createRoomScope(roomId, room) {
+  const obstacles = new ObstacleRegistry();
+  const restSpots = new RestSpotRegistry();
+  let unregister = registerRoom(room, { obstacles, restSpots });
+  const scope = {
+    id: roomId,
+    room,
+    source: room,
+    obstacles,
+    restSpots,
+    navGrid: new NavGrid({ bounds: room.bounds, obstacles }),
+    setRoom: (next) => {
+      if (next === scope.room) return;
+      unregister();
+      scope.room = next;
+      unregister = registerRoom(next, { obstacles, restSpots });
+    },
+    dispose: () => unregister()
+  };
+  return scope;
+}
+
+/**
+ * A palace of rooms. Tracks the player's room (`activeId`), which rooms are loaded,
+ * and when pets last walked through a portal.
+ */
+export class Palace {
+  /**
+   * @param {Object|PalaceDefinition} definition - Palace JSON (parsed with parsePalace)
+   * @param {Object} [options] - Options
+   * @param {function(string): Promise<import('../environment/rooms.js').RoomDefinition>} [options.load=loadRoom] - Room file loader
+   * @param {number} [options.keepLoadedHops=PALACE_CONFIG.keepLoadedHops] - Rooms this close to the player stay loaded
+   */
+  constructor(definition, { load = loadRoom, keepLoadedHops = PALACE_CONFIG.keepLoadedHops } = {}) {
+    const def = definition.rooms instanceof Map ? definition : parsePalace(definition);
+    this.id = def.id;
+    this.name = def.name;
+    this.startId = def.start;
+    /** @type {Map<string, PalaceRoomInfo>} */
+    this.rooms = def.rooms;
+    this.portals = def.portals;
+    this.keepLoadedHops = keepLoadedHops;
+    this._load = load;
+    /** Room the player is in (null until the first enter) */
+    this.activeId = null;
+    /** @type {Map<string, RoomScope>} Loaded rooms */
+    this.scopes = new Map();
+    /** @type {Map<string, Promise<RoomScope>>} Loads in flight */
+    this._loading = new Map();
+    /** @type {Map<string, Error>} Rooms that failed to load */
+    this.errors = new Map();
+    /** @type {Map<string, number>} Pet ID -> time it last changed room (ms) */
+    this.arrivedAt = new Map();
+  }
+
+  /**
+   * Room a pet is in (pets without a room are in the start room)
+   * @param {string|null|undefined} roomId - Pet's roomId
+   * @returns {string} Room ID
+   */
+  resolveRoomId(roomId) {
+    return roomId && this.rooms.has(roomId) ? roomId : this.startId;
+  }
+
+  /**
+   * Room picker entries
+   * @returns {Array<PalaceRoomInfo & {status: 'idle'|'loading'|'ready'|'error'}>} Rooms
+   */
+  getRooms() {
+    return Array.from(this.rooms.values(), (info) => ({ ...info, status: this.getStatus(info.id) }));
+  }
+
+  /**
+   * Load status of a room
+   * @param {string} roomId - Room ID
+   * @returns {'idle'|'loading'|'ready'|'error'} Status
+   */
+  getStatus(roomId) {
+    if (this.scopes.has(roomId)) return 'ready';
+    if (this._loading.has(roomId)) return 'loading';
+    if (this.errors.has(roomId)) return 'error';
+    return 'idle';
+  }
+
+  /**
+   * Registries of a loaded room
+   * @param {string} roomId - Room ID
+   * @returns {RoomScope|null} Scope, or null while not loaded
+   */
+  getScope(roomId) {
+    return this.scopes.get(roomId) ?? null;
+  }
+
+  /**
+   * Portals leading out of a room, oriented so `from` is the end in that room
+   * @param {string} roomId - Room ID
+   * @returns {Portal[]} Portals
+   */
+  getPortals(roomId) {
+    const out = [];
+    for (const p of this.portals) {
+      if (p.a.room === roomId) out.push({ id: p.id, from: p.a, to: p.b, radius: p.radius, color: p.color });
+      else if (p.b.room === roomId) out.push({ id: p.id, from: p.b, to: p.a, radius: p.radius, color: p.color });
+    }
+    return out;
+  }
+
+  /**
+   * Rooms one portal away
+   * @param {string} roomId - Room ID
+   * @returns {string[]} Room IDs
+   */
+  getNeighbors(roomId) {
+    return [...new Set(this.getPortals(roomId).map(p => p.to.room))];
+  }
+
+  /**
+   * Rooms within a number of portals (breadth-first, including the room itself)
+   * @param {string} roomId - Room ID
+   * @param {number} hops - Max portals
+   * @returns {Map<string, number>} Room ID -> hops
+   */
+  getRoomsWithin(roomId, hops) {
+    const dist = new Map([[roomId, 0]]);
+    const queue = [roomId];
+    while (queue.length) {
+      const id = queue.shift();
+      const d = dist.get(id);
+      if (d >= hops) continue;
+      for (const n of this.getNeighbors(id)) {
+        if (dist.has(n)) continue;
+        dist.set(n, d + 1);
+        queue.push(n);
+      }
+    }
+    return dist;
+  }
+
+  /**
+   * Shortest portal route between two rooms
+   * @param {string} fromId - Start room
+   * @param {string} toId - Goal room
+   * @returns {Portal[]|null} Portals to walk through in order ([] if already there, null if unreachable)
+   */
+  findRoute(fromId, toId) {
+    if (fromId === toId) return [];
+    const via = new Map([[fromId, null]]);
+    const queue = [fromId];
+    while (queue.length) {
+      const id = queue.shift();
+      for (const portal of this.getPortals(id)) {
+        const next = portal.to.room;
+        if (via.has(next)) continue;
+        via.set(next, portal);
+        if (next === toId) {
+          const route = [];
+          for (let p = portal; p; p = via.get(p.from.room)) route.unshift(p);
+          return route;
+        }
+        queue.push(next);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Load a room and build its registries (once; later calls share the result)
+   * @param {string} roomId - Room ID
+   * @returns {Promise<RoomScope>} Scope; a load overtaken by unload() resolves to the room's
+   *   current scope (or its newer load) and rejects if the room stayed unloaded
+   */
+  load(roomId) {
+    const ready = this.scopes.get(roomId);
+    if (ready) return Promise.resolve(ready);
+    const pending = this._loading.get(roomId);
+    if (pending) return pending;
+
+    const info = this.rooms.get(roomId);
+    if (!info) return Promise.reject(new Error(`[pets-core] Palace "${this.id}" has no room "${roomId}"`));
+
+    // Starts on the next tick, so inline rooms resolve (or reject) like fetched ones
+    const promise = Promise.resolve().then(async () => {
+      const room = info.room ? parseRoom(info.room) : await this._load(info.url);
+      const scope = createRoomScope(roomId, room);
+      // Unloaded (or reloaded) while the file was in flight: hand out the live scope, never this one
+      if (this._loading.get(roomId) !== promise) {
+        scope.dispose();
+        const current = this.scopes.get(roomId) ?? this._loading.get(roomId);
+        if (current) return current;
+        throw new Error(`[pets-core] Room "${roomId}" was unloaded while loading`);
+      }
+      this._loading.delete(roomId);
+      this.errors.delete(roomId);
+      this.scopes.set(roomId, scope);
+      petEvents.emit(PET_EVENTS.ROOM_LOADED, { palaceId: this.id, roomId });
+      return scope;
+    });
+    this._loading.set(roomId, promise);
+    promise.catch((error) => {
+      if (this._loading.get(roomId) !== promise) return;
+      this._loading.delete(roomId);
+      this.errors.set(roomId, error);
+      console.warn(`[pets-core] Room "${roomId}" failed to load:`, error);
+      petEvents.emit(PET_EVENTS.ROOM_LOADED, { palaceId: this.id, roomId, error });
+    });
+    return promise;
+  }
+
+  /**
+   * Drop a room's registries
+   * @param {string} roomId - Room ID
+   */
+  unload(roomId) {
+    this._loading.delete(roomId);
+    const scope = this.scopes.get(roomId);
+    if (!scope) return;
+    scope.dispose();
+    this.scopes.delete(roomId);
+    petEvents.emit(PET_EVENTS.ROOM_UNLOADED, { palaceId: this.id, roomId });
+  }
+
+  /**
+   * Move the player to a room: loads it, preloads its neighbours and unloads rooms
+   * further than keepLoadedHops
+   * @param {string} roomId - Room ID
+   * @returns {Promise<RoomScope>} The room's scope once loaded
+   */
+  enter(roomId) {
+    if (!this.rooms.has(roomId)) return Promise.reject(new Error(`[pets-core] Palace "${this.id}" has no room "${roomId}"`));
+    const fromRoomId = this.activeId;
+    this.activeId = roomId;
+
+    const keep = this.getRoomsWithin(roomId, this.keepLoadedHops);
+    for (const id of [...this.scopes.keys(), ...this._loading.keys()]) {
+      if (!keep.has(id)) this.unload(id);
+    }
+    for (const id of keep.keys()) {
+      if (id !== roomId) this.load(id).catch(() => {});
+    }
+
+    if (fromRoomId !== roomId) {
+      petEvents.emit(PET_EVENTS.ROOM_ENTERED, { palaceId: this.id, roomId, fromRoomId });
+    }
+    return this.load(roomId);
+  }
+
+  /**
+   * Where someone walking through a portal arrives
+   * @param {PortalEnd} end - Arrival end
+   * @returns {{x: number, z: number, yaw: number}} Arrival point and facing into the room (pet yaw; the camera's is yaw + π)
+   */
+  getArrival(end) {
+    const [px, pz] = end.position;
+    const yaw = getDoorwayYaw(end, this.scopes.get(end.room)?.room.bounds);
+    const [x, z] = end.exit ?? [
+      px + Math.sin(yaw) * PALACE_CONFIG.exitOffset,
+      pz + Math.cos(yaw) * PALACE_CONFIG.exitOffset
+    ];
+    return { x, z, yaw };
+  }
+
+  /**
+   * Can a pet walk through a portal yet? (It stays a while in a room it just walked into.)
+   * @param {string} petId - Pet ID
+   * @param {number} [now=Date.now()] - Current time (ms)
+   * @returns {boolean} True if the cooldown is over
+   */
+  canTravel(petId, now = Date.now()) {
+    return now - (this.arrivedAt.get(petId) ?? -Infinity) >= PALACE_CONFIG.travelCooldownS * 1000;
+  }
+
+  /**
+   * Send a pet through a portal. The app applies the move by listening for
+   * PET_EVENTS.PET_CHANGED_ROOM (PetsApp does).
+   * @param {string} petId - Pet ID
+   * @param {Portal} portal - Portal, oriented from the pet's room
+   * @param {number} [now=Date.now()] - Current time (ms)
+   * @returns {{roomId: string, position: number[], yaw: number}} Pet patch
+   */
+  movePet(petId, portal, now = Date.now()) {
+    const arrival = this.getArrival(portal.to);
+    const patch = { roomId: portal.to.room, position: [arrival.x, arrival.z], yaw: arrival.yaw };
+    this.arrivedAt.set(petId, now);
+    petEvents.emit(PET_EVENTS.PET_CHANGED_ROOM, {
+      palaceId: this.id,
+      petId,
+      portalId: portal.id,
+      fromRoomId: portal.from.room,
+      ...patch
+    });
+    return patch;
+  }
+
+  /**
+   * Drop every room's registries
+   */
+  dispose() {
+    for (const id of [...this.scopes.keys()]) this.unload(id);
+    this._loading.clear();
+    this.activeId = null;
+  }
+}
+
+/**
+ * Yaw looking from a doorway toward its room's center (pet convention: +Z at 0)
+ * @param {PortalEnd} end - Portal end
+ * @param {{minX: number, maxX: number, minZ: number, maxZ: number}} [bounds] - Room bounds (origin if unknown)
+ * @returns {number} Yaw in radians
+ */
+export function getDoorwayYaw(end, bounds) {
+  const cx = bounds ? (bounds.minX + bounds.maxX) / 2 : 0;
+  const cz = bounds ? (bounds.minZ + bounds.maxZ) / 2 : 0;
+  const dx = cx - end.position[0];
+  const dz = cz - end.position[1];
+  return dx || dz ? Math.atan2(dx, dz) : 0;
+}
@@ -0,0 +1,113 @@
+/**
+ * @fileoverview Pets moving between palace rooms: walking to a doorway on screen, hopping rooms off screen
+ * @module pets-core/palace/travel
+ *
+ * Pets in the player's room are simulated by their Pet component; a guardian whose memory is
+ * in another room may walk to the doorway on the way there (the "traveling" behavior below).
+ * Pets in other rooms are not simulated, so planOffscreenTravel decides for them now and then:
+ * trail after the player, or head for their memory's room, one portal at a time.
+ * Either way the move goes through Palace.movePet (PET_EVENTS.PET_CHANGED_ROOM).
+ */
+
+import { registerBehavior } from '../ai/behaviors.js';
+import { getNeedModifiers } from '../ai/needs.js';
+import { createPathState, getNavWaypoint } from '../environment/navigation.js';
+import { memoryRegistry } from '../memory/guardian.js';
+import { PALACE_CONFIG } from './palace.js';
+
+/**
+ * Room a pet wants to walk to for its guarded memory
+ * @param {import('./palace.js').Palace} palace - Palace
+ * @param {string} petId - Pet ID
+ * @param {string} roomId - Room the pet is in
+ * @returns {string|null} Memory's room, or null if it is here (or nowhere)
+ */
+export function getMemoryRoom(palace, petId, roomId) {
+  const memoryRoom = memoryRegistry.getAssignedMemory(petId)?.roomId;
+  return memoryRoom && memoryRoom !== roomId && palace.rooms.has(memoryRoom) ? memoryRoom : null;
+}
+
+/**
+ * Travel decisions for pets outside the player's room. Call every PALACE_CONFIG.offscreenTickS.
+ * @param {Object[]} pets - All pets
+ * @param {import('./palace.js').Palace} palace - Palace (its activeId is the player's room)
+ * @param {Object} options - Options
+ * @param {number} options.dt - Seconds since the last call
+ * @param {import('../random.js').Rng} options.rng - Random stream
+ * @param {number} [options.now=Date.now()] - Current time (ms)
+ * @returns {Map<string, Object>} Pet ID -> patch for every pet that moved (also emitted as PET_CHANGED_ROOM)
+ */
+export function planOffscreenTravel(pets, palace, { dt, rng, now = Date.now() }) {
+  const moved = new Map();
+  if (!palace.activeId) return moved;
+
+  for (const pet of pets) {
+    const roomId = palace.resolveRoomId(pet.roomId);
+    if (roomId === palace.activeId || !palace.canTravel(pet.id, now)) continue;
+
+    let target = null;
+    const memoryRoom = getMemoryRoom(palace, pet.id, roomId);
+    if (memoryRoom && rng.next() < PALACE_CONFIG.memoryTripChancePerS * dt) {
+      target = memoryRoom;
+    } else {
+      const mul = getNeedModifiers(pet.needs).lonely ? PALACE_CONFIG.lonelyFollowMul : 1;
+      if (rng.next() < PALACE_CONFIG.followChancePerS * mul * dt) target = palace.activeId;
+    }
+    if (!target) continue;
+
+    const route = palace.findRoute(roomId, target);
+    if (route?.length) moved.set(pet.id, palace.movePet(pet.id, route[0], now));
+  }
+  return moved;
+}
+
+// A guardian whose memory is in another room walks to the first doorway on the way.
+// Needs `palace` and `roomId` in the updateBrain params (Pet passes them inside a palace).
+registerBehavior({
+  id: 'traveling',
+  priority: 24,
+  canEnter: (ctx) => {
+    const { palace, roomId } = ctx.params;
+    if (!palace || !roomId || !palace.canTravel(ctx.petId)) return false;
+    const memoryRoom = getMemoryRoom(palace, ctx.petId, roomId);
+    return !!memoryRoom && !!palace.findRoute(roomId, memoryRoom)?.length;
+  },
+  chancePerS: () => PALACE_CONFIG.memoryTripChancePerS,
+  enter: (brain, ctx) => {
+    const { palace, roomId } = ctx.params;
+    brain.travelPortal = palace.findRoute(roomId, getMemoryRoom(palace, ctx.petId, roomId))[0];
+    brain.t = PALACE_CONFIG.giveUpS;
+  },
+  update: (brain, ctx) => {
+    const portal = brain.travelPortal;
+    if (!portal || !ctx.pos) return false;
+    const [x, z] = portal.from.position;
+    if (Math.hypot(x - ctx.pos.x, z - ctx.pos.z) < portal.radius * 0.6) {
+      ctx.params.palace.movePet(ctx.petId, portal);
+      brain.travelPortal = null;
+      return false;
+    }
+    return brain.t > 0;
+  },
+  exit: (brain) => {
+    brain.travelPortal = null;
+  },
+  move: (brain, pos, vel, { dt, time, navGrid }) => {
+    let vx = vel.x;
+    let vz = vel.z;
+    const portal = brain.travelPortal;
+    if (portal) {
+      const target = { x: portal.from.position[0], z: portal.from.position[1] };
+      brain.path ??= createPathState();
+      const wp = getNavWaypoint(brain.path, pos, target, time, navGrid);
+      const wx = wp.x - pos.x;
+      const wz = wp.z - pos.z;
+      const wd = Math.sqrt(wx * wx + wz * wz) || 1;
+      vx += (wx / wd) * 1.5 * dt * 3.0;
+      vz += (wz / wd) * 1.5 * dt * 3.0;
+    }
+    vx *= Math.pow(0.86, dt * 60);
+    vz *= Math.pow(0.86, dt * 60);
+    return { x: vx, z: vz };
+  }
+});
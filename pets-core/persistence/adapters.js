@@ -0,0 +1,264 @@
+/**
+ * @fileoverview Pluggable storage adapters for pet persistence
+ * @module pets-core/persistence/adapters
+ */
+
+/**
+ * Storage adapter interface. Values are always JSON strings.
+ * Async methods must reject on failure (quota, network) rather than swallow errors;
+ * the persistence layer decides how to report them.
+ *
+ * @typedef {Object} StorageAdapter
+ * @property {string} name - Adapter name (for logging)
+ * @property {function(string): Promise<string|null>} getItem - Read a value
+ * @property {function(string, string): Promise<void>} setItem - Write a value
+ * @property {function(string): Promise<void>} removeItem - Delete a value
+ * @property {function(string): (string|null)} [readSync] - Synchronous read, if supported.
+ *   Lets hooks hydrate on first render instead of after an effect.
+ */
+
+/**
+ * Adapter backed by window.localStorage (or any Web Storage object)
+ */
+export class LocalStorageAdapter {
+  /**
+   * @param {Storage} [storage] - Web Storage implementation (defaults to window.localStorage)
+   */
+  constructor(storage) {
+    this.name = 'localStorage';
+    this.storage = storage ?? (typeof window !== 'undefined' ? window.localStorage : null);
+  }
+
+  /**
+   * Synchronous read
+   * @param {string} key - Storage key
+   * @returns {string|null} Stored value
+   */
+  readSync(key) {
+    if (!this.storage) return null;
+    return this.storage.getItem(key);
+  }
+
+  async getItem(key) {
+    return this.readSync(key);
+  }
+
+  async setItem(key, value) {
+    if (!this.storage) throw new Error('localStorage is not available');
+    this.storage.setItem(key, value);
+  }
+
+  async removeItem(key) {
+    this.storage?.removeItem(key);
+  }
+}
+
+/**
+ * In-memory adapter for tests and SSR
+ */
+export class MemoryStorageAdapter {
+  /**
+   * @param {Object.<string, string>} [initial] - Initial key/value pairs
+   */
+  constructor(initial = {}) {
+    this.name = 'memory';
+    /** @type {Map<string, string>} */
+    this.data = new Map(Object.entries(initial));
+  }
+
+  /**
+   * Synchronous read
+   * @param {string} key - Storage key
+   * @returns {string|null} Stored value
+   */
+  readSync(key) {
+    return this.data.has(key) ? this.data.get(key) : null;
+  }
+
+  async getItem(key) {
+    return this.readSync(key);
+  }
+
+  async setItem(key, value) {
+    this.data.set(key, String(value));
+  }
+
+  async removeItem(key) {
+    this.data.delete(key);
+  }
+
+  /**
+   * Remove all stored values
+   */
+  clear() {
+    this.data.clear();
+  }
+}
+
+/**
+ * Adapter backed by an IndexedDB object store (no size quota issues of localStorage)
+ */
+export class IndexedDBStorageAdapter {
+  /**
+   * @param {Object} [options] - Adapter options
+   * @param {string} [options.dbName='mindPalace'] - Database name
+   * @param {string} [options.storeName='kv'] - Object store name
+   * @param {IDBFactory} [options.indexedDB] - IndexedDB implementation
+   */
+  constructor({ dbName = 'mindPalace', storeName = 'kv', indexedDB } = {}) {
+    this.name = 'indexedDB';
+    this.dbName = dbName;
+    this.storeName = storeName;
+    this.idb = indexedDB ?? (typeof window !== 'undefined' ? window.indexedDB : null);
+    /** @type {Promise<IDBDatabase>|null} */
+    this._dbPromise = null;
+  }
+
+  /**
+   * Open (once) the database
+   * @private
+   * @returns {Promise<IDBDatabase>} Database handle
+   */
+  _open() {
+    if (!this._dbPromise) {
+      this._dbPromise = new Promise((resolve, reject) => {
+        if (!this.idb) {
+          reject(new Error('IndexedDB is not available'));
+          return;
+        }
+        const req = this.idb.open(this.dbName, 1);
+        req.onupgradeneeded = () => {
+          if (!req.result.objectStoreNames.contains(this.storeName)) {
+            req.result.createObjectStore(this.storeName);
+          }
+        };
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+      });
+      // Allow a retry after a failed open
+      this._dbPromise.catch(() => { this._dbPromise = null; });
+    }
+    return this._dbPromise;
+  }
+
+  /**
+   * Run a single request in a transaction
+   * @private
+   * @param {'readonly'|'readwrite'} mode - Transaction mode
+   * @param {Function} fn - Receives the object store, returns an IDBRequest
+   * @returns {Promise<*>} Request result
+   */
+  async _run(mode, fn) {
+    const db = await this._open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(this.storeName, mode);
+      const req = fn(tx.objectStore(this.storeName));
+      tx.oncomplete = () => resolve(req.result);
+      tx.onerror = () => reject(tx.error || req.error);
+      tx.onabort = () => reject(tx.error || new Error('IndexedDB transaction aborted'));
+    });
+  }
+
+  async getItem(key) {
+    const value = await this._run('readonly', store => store.get(key));
+    return value ?? null;
+  }
+
+  async setItem(key, value) {
+    await this._run('readwrite', store => store.put(value, key));
+  }
+
+  async removeItem(key) {
+    await this._run('readwrite', store => store.delete(key));
+  }
+}
+
+/**
+ * Adapter that stores values on an HTTP server.
+ * Uses `GET|PUT|DELETE {baseUrl}/{key}`; a 404 on GET means "no value".
+ */
+export class RemoteStorageAdapter {
+  /**
+   * @param {Object} options - Adapter options
+   * @param {string} options.baseUrl - Server base URL (e.g. 'http://localhost:8787/saves')
+   * @param {Object.<string, string>} [options.headers] - Extra request headers
+   * @param {Function} [options.fetch] - fetch implementation (defaults to global fetch)
+   */
+  constructor({ baseUrl, headers = {}, fetch: fetchFn } = {}) {
+    if (!baseUrl) throw new Error('RemoteStorageAdapter requires a baseUrl');
+    this.name = 'remote';
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.headers = headers;
+    this.fetch = fetchFn ?? ((...args) => globalThis.fetch(...args));
+  }
+
+  /**
+   * Build the URL for a key
+   * @private
+   */
+  _url(key) {
+    return `${this.baseUrl}/${encodeURIComponent(key)}`;
+  }
+
+  async getItem(key) {
+    const res = await this.fetch(this._url(key), { method: 'GET', headers: this.headers });
+    if (res.status === 404) return null;
+    if (!res.ok) throw new Error(`Remote storage GET ${key} failed: ${res.status}`);
+    return res.text();
+  }
+
+  async setItem(key, value) {
+    const res = await this.fetch(this._url(key), {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json', ...this.headers },
+      body: value
+    });
+    if (!res.ok) throw new Error(`Remote storage PUT ${key} failed: ${res.status}`);
+  }
+
+  async removeItem(key) {
+    const res = await this.fetch(this._url(key), { method: 'DELETE', headers: this.headers });
+    if (!res.ok && res.status !== 404) {
+      throw new Error(`Remote storage DELETE ${key} failed: ${res.status}`);
+    }
+  }
+}
+
+/** @type {StorageAdapter|null} */
+let defaultAdapter = null;
+
+/** @type {Set<function(StorageAdapter|null): void>} */
+const adapterListeners = new Set();
+
+/**
+ * Get the default storage adapter.
+ * localStorage in the browser, in-memory elsewhere (SSR, Node tests).
+ * @returns {StorageAdapter} Default adapter
+ */
+export function getStorageAdapter() {
+  if (!defaultAdapter) {
+    defaultAdapter = typeof window !== 'undefined' && window.localStorage
+      ? new LocalStorageAdapter()
+      : new MemoryStorageAdapter();
+  }
+  return defaultAdapter;
+}
+
+/**
+ * Replace the default storage adapter used by hooks, provider and managers
+ * @param {StorageAdapter|null} adapter - New adapter (null restores the environment default)
+ */
+export function setStorageAdapter(adapter) {
+  defaultAdapter = adapter;
+  for (const listener of adapterListeners) listener(adapter);
+}
+
+/**
+ * Listen for setStorageAdapter (stores that loaded at import reload from the new adapter)
+ * @param {function(StorageAdapter|null): void} listener - Called with the new adapter
+ * @returns {function(): void} Unsubscribe
+ */
+export function onStorageAdapterChange(listener) {
+  adapterListeners.add(listener);
+  return () => adapterListeners.delete(listener);
+}
@@ -0,0 +1,275 @@
+/**
+ * @fileoverview Versioned save schema, field validation and migrations for pet saves
+ * @module pets-core/persistence/schema
+ */
+
+import { randId } from '../utils.js';
+import { SPECIES, pickPetName } from '../species.js';
+import { createNeeds, isValidNeeds, NEED_KEYS } from '../ai/needs.js';
+import { getRng, getWorldSeed, isValidSeed, randomSeed, createRng, hashSeed } from '../random.js';
+import { generateTraits, isValidTraits } from '../ai/personality.js';
+import { isValidEquipment, sanitizeEquipment } from '../customization/accessories.js';
+import { isValidPattern, normalizePattern } from '../customization/patterns.js';
+
+/**
+ * Current save schema version
+ *
+ * Version history:
+ *   1 - bare array of pets (`mindPalace:${theme}Pets:v1` and early `mindPalace:pets:v2` saves)
+ *   2 - `{ version, savedAt, pets }` envelope, pets carry provider stats
+ *       (bondLevel, happiness, activityHistory, assignedMemoryId, createdAt)
+ *   3 - envelope carries `worldSeed` for reproducible sessions
+ *   4 - envelope carries `rngState`, the world stream position, so a reload continues
+ *       the stream instead of replaying it (and handing out the same pet IDs again)
+ * @type {number}
+ */
+export const SAVE_SCHEMA_VERSION = 4;
+
+/** Max activity entries kept per pet */
+const MAX_ACTIVITY_HISTORY = 50;
+
+const isFiniteNumber = (v) => typeof v === 'number' && Number.isFinite(v);
+const isUnit = (v) => isFiniteNumber(v) && v >= 0 && v <= 1;
+
+/**
+ * @typedef {Object} FieldSchema
+ * @property {Function} validate - Returns true if value is acceptable
+ * @property {Function} fallback - Produces a replacement for invalid/missing values (receives the pet validated so far)
+ * @property {Function} [normalize] - Optional cleanup applied to valid values (receives the pet validated so far)
+ */
+
+/**
+ * Per-field validation rules for a saved pet.
+ * Unknown fields are preserved as-is so newer builds can round-trip data.
+ * @type {Object.<string, FieldSchema>}
+ */
+export const PET_FIELD_SCHEMA = {
+  id: {
+    validate: (v) => typeof v === 'string' && v.length > 0,
+    fallback: () => randId()
+  },
+  name: {
+    validate: (v) => typeof v === 'string' && v.length > 0,
+    fallback: () => pickPetName()
+  },
+  speciesKey: {
+    validate: (v) => typeof v === 'string' && Object.prototype.hasOwnProperty.call(SPECIES, v),
+    fallback: () => 'cat'
+  },
+  bodyColor: {
+    validate: (v) => Number.isInteger(v) && v >= 0 && v <= 0xffffff,
+    fallback: () => 0xcdb4db
+  },
+  accentColor: {
+    // null = DEFAULT_ACCENT_COLOR
+    validate: (v) => v === null || (Number.isInteger(v) && v >= 0 && v <= 0xffffff),
+    fallback: () => null
+  },
+  pattern: {
+    // null = plain coat
+    validate: isValidPattern,
+    fallback: () => null,
+    normalize: normalizePattern
+  },
+  position: {
+    validate: (v) => Array.isArray(v) && v.length >= 2 && isFiniteNumber(v[0]) && isFiniteNumber(v[1]),
+    fallback: () => [0, 0],
+    normalize: (v) => [v[0], v[1]]
+  },
+  yaw: {
+    validate: isFiniteNumber,
+    fallback: () => 0
+  },
+  seed: {
+    validate: isFiniteNumber,
+    fallback: () => getRng().next() * 10
+  },
+  bondLevel: {
+    validate: isUnit,
+    fallback: () => 0
+  },
+  happiness: {
+    validate: isUnit,
+    fallback: () => 0.5
+  },
+  activityHistory: {
+    validate: Array.isArray,
+    fallback: () => [],
+    normalize: (v) => v
+      .filter(e => e && typeof e === 'object' && typeof e.action === 'string')
+      .slice(-MAX_ACTIVITY_HISTORY)
+  },
+  assignedMemoryId: {
+    validate: (v) => v === null || typeof v === 'string',
+    fallback: () => null
+  },
+  roomId: {
+    // Palace room the pet is in; null = the palace's start room (or the app's only room)
+    validate: (v) => v === null || (typeof v === 'string' && v.length > 0),
+    fallback: () => null
+  },
+  createdAt: {
+    validate: isFiniteNumber,
+    fallback: () => Date.now()
+  },
+  needs: {
+    validate: isValidNeeds,
+    fallback: () => createNeeds(),
+    normalize: (v) => ({
+      ...v,
+      critical: Array.isArray(v.critical) ? v.critical.filter(k => NEED_KEYS.includes(k)) : []
+    })
+  },
+  traits: {
+    validate: isValidTraits,
+    // Derived from the ID so a pet keeps the same traits until its first save
+    fallback: (pet) => generateTraits(createRng(hashSeed(pet.id, 'traits')), pet.speciesKey)
+  },
+  equipment: {
+    validate: isValidEquipment,
+    fallback: () => ({}),
+    // Accessories removed from the catalog (or now conflicting / unwearable) are dropped
+    normalize: (v, pet) => sanitizeEquipment(v, pet.speciesKey)
+  }
+};
+
+/**
+ * Validate a single saved pet, replacing invalid fields with fallbacks
+ * @param {Object} raw - Saved pet data
+ * @returns {Object|null} Valid pet or null if not an object
+ */
+export function validatePet(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return null;
+
+  const pet = { ...raw };
+  for (const [field, schema] of Object.entries(PET_FIELD_SCHEMA)) {
+    const value = raw[field];
+    if (value === undefined || !schema.validate(value)) {
+      pet[field] = schema.fallback(pet);
+    } else if (schema.normalize) {
+      pet[field] = schema.normalize(value, pet);
+    }
+  }
+  return pet;
+}
+
+/**
+ * Validate a list of saved pets (drops garbage entries and duplicate IDs)
+ * @param {Object[]} list - Saved pets
+ * @returns {Object[]} Valid pets
+ */
+export function validatePets(list) {
+  if (!Array.isArray(list)) return [];
+  const seen = new Set();
+  const out = [];
+  for (const raw of list) {
+    const pet = validatePet(raw);
+    if (!pet) continue;
+    if (seen.has(pet.id)) pet.id = randId();
+    seen.add(pet.id);
+    out.push(pet);
+  }
+  return out;
+}
+
+/**
+ * @typedef {Object} Migration
+ * @property {number} from - Source version
+ * @property {number} to - Target version
+ * @property {Function} migrate - Transform save data from `from` to `to`
+ */
+
+/**
+ * Ordered migration chain. Each step upgrades exactly one version.
+ * @type {Migration[]}
+ */
+export const SAVE_MIGRATIONS = [
+  {
+    from: 1,
+    to: 2,
+    // Bare pet array -> envelope with provider stats
+    migrate: (pets) => ({
+      version: 2,
+      savedAt: Date.now(),
+      pets: pets.filter(p => p && typeof p === 'object').map(p => ({
+        bondLevel: 0,
+        happiness: 0.5,
+        activityHistory: [],
+        assignedMemoryId: null,
+        createdAt: Date.now(),
+        ...p
+      }))
+    })
+  },
+  {
+    from: 2,
+    to: 3,
+    // Saves from before seeding get a fresh world seed
+    migrate: (save) => ({ ...save, version: 3, worldSeed: randomSeed() })
+  },
+  {
+    from: 3,
+    to: 4,
+    // Where the stream was is unknown; continue from a fresh position rather than its start
+    migrate: (save) => ({ ...save, version: 4, rngState: randomSeed() })
+  }
+];
+
+/**
+ * Detect the schema version of raw save data
+ * @param {*} data - Parsed save data
+ * @returns {number|null} Version or null if unrecognized
+ */
+export function detectSaveVersion(data) {
+  if (Array.isArray(data)) return 1;
+  if (data && typeof data === 'object' && Number.isInteger(data.version)) return data.version;
+  return null;
+}
+
+/**
+ * Upgrade parsed save data to the current schema and validate it
+ * @param {*} data - Parsed save data (any known version)
+ * @returns {{version: number, savedAt: number, worldSeed: number, rngState: number, pets: Object[]}|null} Current save or null
+ */
+export function migrateSave(data) {
+  let version = detectSaveVersion(data);
+  if (version === null) return null;
+
+  if (version > SAVE_SCHEMA_VERSION) {
+    console.warn(`[pets-core] Save version ${version} is newer than supported ${SAVE_SCHEMA_VERSION}`);
+    return null;
+  }
+
+  let current = data;
+  while (version < SAVE_SCHEMA_VERSION) {
+    const step = SAVE_MIGRATIONS.find(m => m.from === version);
+    if (!step) return null;
+    current = step.migrate(current);
+    version = step.to;
+  }
+
+  return {
+    ...current,
+    version: SAVE_SCHEMA_VERSION,
+    worldSeed: isValidSeed(current.worldSeed) ? current.worldSeed : randomSeed(),
+    rngState: isValidSeed(current.rngState) ? current.rngState : randomSeed(),
+    pets: validatePets(current.pets)
+  };
+}
+
+/**
+ * Wrap pets in a current-version save envelope
+ * @param {Object[]} pets - Pets to save
+ * @param {number} [worldSeed=getWorldSeed()] - World seed to store
+ * @param {number} [rngState=getRng().getState()] - World stream position to store
+ * @returns {{version: number, savedAt: number, worldSeed: number, rngState: number, pets: Object[]}} Save envelope
+ */
+export function createSave(pets, worldSeed = getWorldSeed(), rngState = getRng().getState()) {
+  return {
+    version: SAVE_SCHEMA_VERSION,
+    savedAt: Date.now(),
+    worldSeed,
+    rngState,
+    pets
+  };
+}
@@ -0,0 +1,187 @@
+/**
+ * @fileoverview Shared persistence layer for pet saves
+ * @module pets-core/persistence/storage
+ */
+
+import { migrateSave, createSave } from './schema.js';
+import { getStorageAdapter } from './adapters.js';
+import { petEvents, PET_EVENTS } from '../events/PetEventEmitter.js';
+
+/**
+ * Report a storage failure instead of silently dropping it
+ * @param {string} op - Operation name ('read'|'write'|'remove')
+ * @param {string} key - Storage key
+ * @param {import('./adapters.js').StorageAdapter} adapter - Adapter that failed
+ * @param {Error} error - Error thrown
+ */
+function reportStorageError(op, key, adapter, error) {
+  const quota = error?.name === 'QuotaExceededError' || error?.code === 22;
+  console.warn(`[pets-core] Storage ${op} failed for "${key}" (${adapter.name})`, error);
+  petEvents.emit(PET_EVENTS.STORAGE_ERROR, { op, key, adapter: adapter.name, quota, error });
+}
+
+/**
+ * Parse a stored JSON string
+ * @param {string|null} raw - Stored value
+ * @returns {*} Parsed value or null
+ */
+function parseJSON(raw) {
+  if (!raw) return null;
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read a JSON value through an adapter
+ * @param {string} key - Storage key
+ * @param {import('./adapters.js').StorageAdapter} [adapter] - Storage adapter
+ * @returns {Promise<*>} Parsed value or null
+ */
+export async function readJSON(key, adapter = getStorageAdapter()) {
+  try {
+    return parseJSON(await adapter.getItem(key));
+  } catch (err) {
+    reportStorageError('read', key, adapter, err);
+    return null;
+  }
+}
+
+/**
+ * Read a JSON value synchronously (only for adapters with readSync)
+ * @param {string} key - Storage key
+ * @param {import('./adapters.js').StorageAdapter} [adapter] - Storage adapter
+ * @returns {*} Parsed value, or null if missing or the adapter is async-only
+ */
+export function readJSONSync(key, adapter = getStorageAdapter()) {
+  if (!adapter.readSync) return null;
+  try {
+    return parseJSON(adapter.readSync(key));
+  } catch (err) {
+    reportStorageError('read', key, adapter, err);
+    return null;
+  }
+}
+
+/**
+ * Write a JSON value through an adapter
+ * @param {string} key - Storage key
+ * @param {*} value - Serializable value
+ * @param {import('./adapters.js').StorageAdapter} [adapter] - Storage adapter
+ * @returns {Promise<boolean>} True if written
+ */
+export async function writeJSON(key, value, adapter = getStorageAdapter()) {
+  try {
+    await adapter.setItem(key, JSON.stringify(value));
+    return true;
+  } catch (err) {
+    reportStorageError('write', key, adapter, err);
+    return false;
+  }
+}
+
+/**
+ * Remove a stored value
+ * @param {string} key - Storage key
+ * @param {import('./adapters.js').StorageAdapter} [adapter] - Storage adapter
+ * @returns {Promise<boolean>} True if removed
+ */
+export async function removeKey(key, adapter = getStorageAdapter()) {
+  try {
+    await adapter.removeItem(key);
+    return true;
+  } catch (err) {
+    reportStorageError('remove', key, adapter, err);
+    return false;
+  }
+}
+
+/**
+ * Read and migrate a save (synchronous; only for adapters with readSync)
+ * @param {string} key - Storage key
+ * @param {import('./adapters.js').StorageAdapter} [adapter] - Storage adapter
+ * @returns {{version: number, savedAt: number, worldSeed: number, rngState: number, pets: Object[]}|null} Current save or null
+ */
+export function readSave(key, adapter = getStorageAdapter()) {
+  return migrateSave(readJSONSync(key, adapter));
+}
+
+/**
+ * Read and migrate a save through any adapter
+ * @param {string} key - Storage key
+ * @param {import('./adapters.js').StorageAdapter} [adapter] - Storage adapter
+ * @returns {Promise<{version: number, savedAt: number, worldSeed: number, rngState: number, pets: Object[]}|null>} Current save or null
+ */
+export async function readSaveAsync(key, adapter = getStorageAdapter()) {
+  return migrateSave(await readJSON(key, adapter));
+}
+
+/**
+ * Load a save, falling back to legacy keys when the primary key is empty
+ * (synchronous; only for adapters with readSync)
+ * @param {string} key - Storage key
+ * @param {string[]} [legacyKeys=[]] - Older keys to import from (first hit wins)
+ * @param {import('./adapters.js').StorageAdapter} [adapter] - Storage adapter
+ * @returns {{version: number, savedAt: number, worldSeed: number, rngState: number, pets: Object[]}|null} Current save or null
+ */
+export function safeLoadSave(key, legacyKeys = [], adapter = getStorageAdapter()) {
+  for (const k of [key, ...legacyKeys]) {
+    const save = readSave(k, adapter);
+    if (save) return save;
+  }
+  return null;
+}
+
+/**
+ * Load a save through any adapter, falling back to legacy keys when the primary key is empty
+ * @param {string} key - Storage key
+ * @param {string[]} [legacyKeys=[]] - Older keys to import from (first hit wins)
+ * @param {import('./adapters.js').StorageAdapter} [adapter] - Storage adapter
+ * @returns {Promise<{version: number, savedAt: number, worldSeed: number, rngState: number, pets: Object[]}|null>} Current save or null
+ */
+export async function safeLoadSaveAsync(key, legacyKeys = [], adapter = getStorageAdapter()) {
+  for (const k of [key, ...legacyKeys]) {
+    const save = await readSaveAsync(k, adapter);
+    if (save) return save;
+  }
+  return null;
+}
+
+/**
+ * Safely load pets, falling back to legacy keys when the primary key is empty
+ * (synchronous; only for adapters with readSync)
+ * @param {string} key - Storage key
+ * @param {string[]} [legacyKeys=[]] - Older keys to import from (first hit wins)
+ * @param {import('./adapters.js').StorageAdapter} [adapter] - Storage adapter
+ * @returns {Object[]|null} Validated pets array or null
+ */
+export function safeLoadPets(key, legacyKeys = [], adapter = getStorageAdapter()) {
+  const save = safeLoadSave(key, legacyKeys, adapter);
+  return save ? save.pets : null;
+}
+
+/**
+ * Load pets through any adapter (IndexedDB, remote), falling back to legacy keys
+ * @param {string} key - Storage key
+ * @param {string[]} [legacyKeys=[]] - Older keys to import from (first hit wins)
+ * @param {import('./adapters.js').StorageAdapter} [adapter] - Storage adapter
+ * @returns {Promise<Object[]|null>} Validated pets array or null
+ */
+export async function safeLoadPetsAsync(key, legacyKeys = [], adapter = getStorageAdapter()) {
+  const save = await safeLoadSaveAsync(key, legacyKeys, adapter);
+  return save ? save.pets : null;
+}
+
+/**
+ * Save pets as a current-version envelope (stamped with the world seed and stream position).
+ * Failures (quota, network) emit PET_EVENTS.STORAGE_ERROR.
+ * @param {string} key - Storage key
+ * @param {Object[]} pets - Pets array to save
+ * @param {import('./adapters.js').StorageAdapter} [adapter] - Storage adapter
+ * @returns {Promise<boolean>} True if written
+ */
+export function safeSavePets(key, pets, adapter = getStorageAdapter()) {
+  return writeJSON(key, createSave(pets), adapter);
+}
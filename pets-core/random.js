@@ -0,0 +1,127 @@
+/**
+ * @fileoverview Seedable PRNG service for reproducible pet sessions
+ * @module pets-core/random
+ *
+ * All gameplay randomness in pets-core goes through this module. The world seed is
+ * stored in save data, so a session can be replayed from it. Independent systems
+ * draw from forked streams (forkRng) so that, e.g., one pet's brain does not shift
+ * another pet's random sequence.
+ */
+
+/**
+ * @typedef {Object} Rng
+ * @property {number} seed - Seed the stream was created with
+ * @property {function(): number} next - Next value in [0, 1)
+ * @property {function(number, number): number} range - Value in [a, b)
+ * @property {function(number): number} int - Integer in [0, n)
+ * @property {function(number): boolean} chance - True with probability p
+ * @property {function(Array): *} pick - Random array element
+ * @property {function(): number} getState - Current internal state
+ * @property {function(number): void} setState - Restore internal state
+ */
+
+/**
+ * Create a deterministic random stream (mulberry32)
+ * @param {number} seed - 32-bit seed
+ * @returns {Rng} Random stream
+ */
+export function createRng(seed) {
+  let state = seed >>> 0;
+
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  return {
+    seed: seed >>> 0,
+    next,
+    range: (a, b) => a + (b - a) * next(),
+    int: (n) => Math.floor(next() * n),
+    chance: (p) => next() < p,
+    pick: (arr) => arr[Math.floor(next() * arr.length)],
+    getState: () => state,
+    setState: (s) => { state = s >>> 0; }
+  };
+}
+
+/**
+ * Hash any mix of strings/numbers into a 32-bit seed (FNV-1a)
+ * @param {...(string|number)} parts - Values to hash
+ * @returns {number} 32-bit seed
+ */
+export function hashSeed(...parts) {
+  const str = parts.join('|');
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/**
+ * Fresh non-deterministic seed (the only place entropy enters the system)
+ * @returns {number} 32-bit seed
+ */
+export function randomSeed() {
+  return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+/**
+ * Check that a value is a usable world seed
+ * @param {*} v - Value to check
+ * @returns {boolean} True if a 32-bit unsigned integer
+ */
+export function isValidSeed(v) {
+  return Number.isInteger(v) && v >= 0 && v <= 0xffffffff;
+}
+
+let worldSeed = randomSeed();
+let worldRng = createRng(worldSeed);
+
+/**
+ * Set the world seed and restart the shared stream
+ * @param {number} seed - 32-bit seed
+ * @param {number} [state] - Stream position to continue from (a saved getState()); omit to start over
+ */
+export function setWorldSeed(seed, state) {
+  worldSeed = seed >>> 0;
+  worldRng = createRng(worldSeed);
+  if (isValidSeed(state)) worldRng.setState(state);
+}
+
+/**
+ * Get the current world seed
+ * @returns {number} World seed
+ */
+export function getWorldSeed() {
+  return worldSeed;
+}
+
+/**
+ * Get the shared world stream (default for pets-core functions taking an `rng`)
+ * @returns {Rng} World random stream
+ */
+export function getRng() {
+  return worldRng;
+}
+
+/**
+ * Derive an independent stream from the world seed and a label
+ * @param {string} label - Stream label (e.g. `pet:${id}`)
+ * @returns {Rng} Forked random stream
+ */
+export function forkRng(label) {
+  return createRng(hashSeed(worldSeed, label));
+}
+
+/**
+ * Stream for purely visual effects (hearts, sparkles).
+ * Deliberately outside the world seed so rendering never shifts gameplay streams.
+ * @type {Rng}
+ */
+export const cosmeticRng = createRng(randomSeed());
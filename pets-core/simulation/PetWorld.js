@@ -0,0 +1,452 @@
+/**
+ * @fileoverview Headless pet world: steps the pet AI at a fixed timestep without React/Three rendering
+ * @module pets-core/simulation/PetWorld
+ *
+ * One step mirrors a frame of Pet.jsx's useFrame for every pet plus the manager's
+ * chase and greeting pass, so balancing runs, tests and server-side validation
+ * exercise the same brain/social/chase logic as the scene.
+ */
+
+import * as THREE from 'three';
+import { clamp, dampAngle } from '../utils.js';
+import { createRng, hashSeed, getWorldSeed } from '../random.js';
+import { createBrainState, updateBrain, calculateMovement, calculateYaw, releaseRestSpot } from '../ai/brain.js';
+import {
+  SOCIAL_CONFIG,
+  createSocialState,
+  createChaseMode,
+  updateSocialState,
+  startSocialInteraction,
+  maybeStartChase,
+  updateChaseMode,
+  calculateSeparation,
+  calculatePlayerSeparation,
+  isWithinSocialDistance,
+  getPairKey
+} from '../ai/social.js';
+import { createNeeds, decayNeeds, updateCriticalNeeds, satisfyNeed } from '../ai/needs.js';
+import { getPersonality } from '../ai/personality.js';
+import { obstacleRegistry, calculateObstacleAvoidance, findNearestValidPosition } from '../environment/obstacles.js';
+import { SpatialHash } from '../environment/spatialHash.js';
+
+/**
+ * Headless world defaults
+ * @type {Object}
+ */
+export const WORLD_CONFIG = {
+  fixedDt: 1 / 60,        // Matches the 60fps assumptions in brain/social
+  baseY: 0.55,            // Same as Pet.jsx BASE_Y
+  needsTickS: 1,          // Needs are advanced once per simulated second
+  maxStepsPerAdvance: 60 * 60 * 10, // advance() never runs more than 10 simulated minutes at once
+  bounds: { minX: -9.5, maxX: 9.5, minZ: -9.5, maxZ: 9.5 }
+};
+
+/**
+ * @typedef {Object} SimPet
+ * @property {Object} data - Pet data as passed in (id, speciesKey, seed, ...)
+ * @property {import('../ai/brain.js').BrainState} brain - Brain state
+ * @property {import('../ai/social.js').SocialState} social - Social state
+ * @property {import('../ai/needs.js').PetNeeds} needs - Needs state
+ * @property {{x: number, z: number}} pos - Position
+ * @property {{x: number, z: number}} vel - Velocity (units per 1/60s)
+ * @property {number} yaw - Facing angle
+ * @property {import('../random.js').Rng} rng - Per-pet random stream
+ * @property {import('../ai/personality.js').PetPersonality} personality - Values derived from the pet's traits
+ * @property {Object<string, number>} modeTime - Seconds spent per brain mode
+ */
+
+/**
+ * @typedef {Object} WorldStats
+ * @property {number} steps - Steps run
+ * @property {number} time - Simulated seconds
+ * @property {number} greetings - Social greetings started
+ * @property {number} chases - Chases started
+ * @property {Object<string, number>} modeTime - Seconds spent per brain mode, summed over pets
+ */
+
+// Pre-allocated vectors for obstacle queries
+const _obsPos = new THREE.Vector3();
+const _obsVel = new THREE.Vector3();
+
+/**
+ * Fixed-timestep pet simulation with no rendering.
+ *
+ * Uses the global obstacleRegistry and restSpotRegistry, so set up the room the
+ * same way the scene would. Randomness comes from streams derived from `seed`:
+ * the same seed, pets and inputs always produce the same run.
+ */
+export class PetWorld {
+  /**
+   * @param {Object} [options] - World options
+   * @param {Object[]} [options.pets=[]] - Initial pets (saved pet objects)
+   * @param {number} [options.seed=getWorldSeed()] - Seed for all simulation randomness
+   * @param {Object} [options.bounds] - Room bounds {minX, maxX, minZ, maxZ}
+   * @param {Array<[number, number]>} [options.rugs=[]] - Fallback rest positions
+   * @param {{x: number, z: number}|null} [options.player] - Player position, or null for an empty room
+   * @param {number} [options.fixedDt] - Step length in seconds
+   * @param {number} [options.startAt=0] - Wall-clock timestamp (ms) that simulated time 0 maps to (stamps needs.updatedAt)
+   * @param {boolean} [options.obstacles=true] - Steer around and resolve against obstacleRegistry
+   */
+  constructor({
+    pets = [],
+    seed = getWorldSeed(),
+    bounds = WORLD_CONFIG.bounds,
+    rugs = [],
+    player = { x: 0, z: 0 },
+    fixedDt = WORLD_CONFIG.fixedDt,
+    startAt = 0,
+    obstacles = true
+  } = {}) {
+    this.seed = seed >>> 0;
+    this.bounds = bounds;
+    this.rugs = rugs;
+    this.player = player;
+    this.fixedDt = fixedDt;
+    this.startAt = startAt;
+    this.useObstacles = obstacles;
+
+    this.time = 0;
+    this.steps = 0;
+    this._accumulator = 0;
+
+    /** @type {Map<string, SimPet>} */
+    this.pets = new Map();
+    /** @type {Map<string, {x: number, z: number}>} Pose snapshot taken at the start of each step */
+    this.posMap = new Map();
+    /** @type {SpatialHash} posMap indexed for neighbor queries (rebuilt with it) */
+    this.spatial = new SpatialHash();
+    this.chaseMode = createChaseMode();
+    this.pairCooldown = new Map();
+    this.rng = createRng(hashSeed(this.seed, 'world'));
+
+    this.stats = { greetings: 0, chases: 0 };
+
+    for (const pet of pets) this.addPet(pet);
+  }
+
+  /**
+   * Add a pet to the world
+   * @param {Object} pet - Pet data (id required; position, yaw, seed, needs optional)
+   * @returns {SimPet} Simulated pet
+   */
+  addPet(pet) {
+    if (this.pets.has(pet.id)) return this.pets.get(pet.id);
+    const sim = {
+      data: pet,
+      brain: createBrainState(pet.seed ?? hashSeed(this.seed, pet.id) % 10000),
+      social: createSocialState(),
+      needs: pet.needs ? { ...pet.needs, critical: [...(pet.needs.critical || [])] } : createNeeds(this._now()),
+      pos: { x: pet.position?.[0] ?? 0, z: pet.position?.[1] ?? 0 },
+      vel: { x: 0, z: 0 },
+      yaw: pet.yaw ?? 0,
+      rng: createRng(hashSeed(this.seed, 'pet', pet.id)),
+      personality: getPersonality(pet.traits),
+      needsT: WORLD_CONFIG.needsTickS,
+      modeTime: {}
+    };
+    // Simulated time is the interaction clock; start everyone as "just interacted"
+    sim.brain.lastInteractAt = this.time;
+    this.pets.set(pet.id, sim);
+    return sim;
+  }
+
+  /**
+   * Remove a pet (frees its rest spot)
+   * @param {string} petId - Pet ID
+   */
+  removePet(petId) {
+    const sim = this.pets.get(petId);
+    if (!sim) return;
+    releaseRestSpot(sim.brain);
+    this.pets.delete(petId);
+    if (this.chaseMode.chaserId === petId || this.chaseMode.runnerId === petId) {
+      this.chaseMode.active = false;
+      this.chaseMode.chaserId = null;
+      this.chaseMode.runnerId = null;
+    }
+  }
+
+  /**
+   * Get a simulated pet
+   * @param {string} petId - Pet ID
+   * @returns {SimPet|undefined} Simulated pet
+   */
+  getPet(petId) {
+    return this.pets.get(petId);
+  }
+
+  /**
+   * Move the player (null for no player)
+   * @param {{x: number, z: number}|null} pos - Player position
+   */
+  setPlayer(pos) {
+    this.player = pos ? { x: pos.x, z: pos.z } : null;
+  }
+
+  /**
+   * Record a player interaction (petting, picking up) for a pet
+   * @param {string} petId - Pet ID
+   */
+  interact(petId) {
+    const sim = this.pets.get(petId);
+    if (sim) sim.brain.lastInteractAt = this.time;
+  }
+
+  /**
+   * Wall-clock timestamp for the current simulated time
+   * @private
+   */
+  _now() {
+    return this.startAt + this.time * 1000;
+  }
+
+  /**
+   * Run a single fixed step
+   * @returns {PetWorld} this
+   */
+  step() {
+    const dt = this.fixedDt;
+    const t = this.time;
+
+    this._snapshotPoses();
+    this._updateChase(t);
+    if (this.steps % SOCIAL_CONFIG.checkEveryFrames === 0) {
+      this._checkGreetings(t);
+    }
+
+    for (const sim of this.pets.values()) {
+      this._stepPet(sim, dt, t);
+    }
+
+    this.time += dt;
+    this.steps++;
+    return this;
+  }
+
+  /**
+   * Run a number of fixed steps
+   * @param {number} steps - Step count
+   * @returns {PetWorld} this
+   */
+  run(steps) {
+    for (let i = 0; i < steps; i++) this.step();
+    return this;
+  }
+
+  /**
+   * Advance by a duration, carrying the remainder to the next call (for real-time drivers)
+   * @param {number} seconds - Seconds to advance
+   * @returns {number} Steps run
+   */
+  advance(seconds) {
+    this._accumulator += seconds;
+    let n = 0;
+    while (this._accumulator >= this.fixedDt && n < WORLD_CONFIG.maxStepsPerAdvance) {
+      this.step();
+      this._accumulator -= this.fixedDt;
+      n++;
+    }
+    if (n >= WORLD_CONFIG.maxStepsPerAdvance) this._accumulator = 0;
+    return n;
+  }
+
+  /**
+   * Capture positions for separation, chase and greeting checks
+   * @private
+   */
+  _snapshotPoses() {
+    this.posMap.clear();
+    for (const [id, sim] of this.pets) {
+      this.posMap.set(id, { x: sim.pos.x, z: sim.pos.z, yaw: sim.yaw, mode: sim.brain.mode });
+    }
+    this.spatial.rebuild(this.posMap);
+  }
+
+  /**
+   * Chase burst bookkeeping (the manager's job in the scene)
+   * @private
+   */
+  _updateChase(t) {
+    const { baseY } = WORLD_CONFIG;
+    if (this.chaseMode.active) {
+      updateChaseMode(this.chaseMode, this.posMap, t, baseY);
+    } else if (maybeStartChase(this.chaseMode, Array.from(this.pets.values(), s => ({ id: s.data.id, personality: s.personality })), t, this.rng)) {
+      this.stats.chases++;
+      updateChaseMode(this.chaseMode, this.posMap, t, baseY);
+    }
+  }
+
+  /**
+   * Pairwise greeting check (the manager's job in the scene)
+   * @private
+   */
+  _checkGreetings(t) {
+    const ch = this.chaseMode;
+    let maxDistance = 0;
+    for (const sim of this.pets.values()) maxDistance = Math.max(maxDistance, sim.personality.socialDistance);
+
+    // Only pairs within the widest greeting distance; the pair's own distance is checked below
+    this.spatial.forEachPair(maxDistance, (ea, eb) => {
+      const idA = ea.id;
+      const idB = eb.id;
+      const a = this.pets.get(idA);
+      const b = this.pets.get(idB);
+
+      // Ignore if chasing
+      if (ch.active && [ch.chaserId, ch.runnerId].some(id => id === idA || id === idB)) return;
+
+      const key = getPairKey(idA, idB);
+      if (t < (this.pairCooldown.get(key) || 0)) return;
+      const distance = (a.personality.socialDistance + b.personality.socialDistance) * 0.5;
+      if (!isWithinSocialDistance(a.pos, b.pos, distance)) return;
+
+      this.pairCooldown.set(key, t + SOCIAL_CONFIG.cooldownS);
+      if (!a.social.active) satisfyNeed(a.needs, 'social', 0.08);
+      if (!b.social.active) satisfyNeed(b.needs, 'social', 0.08);
+      startSocialInteraction(a.social, b.social, a.pos, b.pos, idA, idB, t, WORLD_CONFIG.baseY, this.rng);
+      this.stats.greetings++;
+    });
+  }
+
+  /**
+   * One pet's frame: needs, brain, steering, integration
+   * @private
+   */
+  _stepPet(sim, dt, t) {
+    const B = sim.brain;
+    const id = sim.data.id;
+    const player = this.player;
+
+    if (updateSocialState(sim.social, t) && B.mode === 'socializing') {
+      B.mode = 'wandering';
+    }
+
+    // Needs on the simulated clock (no events: runs can be thousands of ticks)
+    sim.needsT -= dt;
+    if (sim.needsT <= 0) {
+      sim.needsT += WORLD_CONFIG.needsTickS;
+      decayNeeds(sim.needs, WORLD_CONFIG.needsTickS, B.mode);
+      updateCriticalNeeds(sim.needs);
+      sim.needs.updatedAt = this._now();
+    }
+
+    // Chase roles override the brain
+    const chase = this.chaseMode;
+    if (chase.active) {
+      if (chase.chaserId === id) {
+        B.mode = 'chasing';
+        B.t = chase.until - t;
+        B.restSpot = { x: chase.runnerPos.x, y: WORLD_CONFIG.baseY, z: chase.runnerPos.z };
+      } else if (chase.runnerId === id) {
+        B.mode = 'running';
+        B.t = chase.until - t;
+      }
+    }
+
+    const dxp = player ? player.x - sim.pos.x : 0;
+    const dzp = player ? player.z - sim.pos.z : 0;
+
+    updateBrain(B, {
+      dt,
+      time: t,
+      now: t,
+      isHeld: false,
+      socialActive: sim.social.active,
+      playerDist2: dxp * dxp + dzp * dzp,
+      chaseMode: chase,
+      petId: id,
+      rugs: this.rugs,
+      needs: sim.needs,
+      pos: sim.pos,
+      speciesKey: sim.data.speciesKey,
+      rng: sim.rng,
+      personality: sim.personality
+    });
+    if (sim.social.active) B.mode = 'socializing';
+
+    // Separation (pets, player, obstacles)
+    const sep = calculateSeparation(sim.pos, this.spatial, id);
+    if (player) {
+      const ps = calculatePlayerSeparation(sim.pos, player, sim.personality.playerSpace);
+      sep.x += ps.x;
+      sep.z += ps.z;
+    }
+    if (this.useObstacles && obstacleRegistry.obstacles.size > 0) {
+      _obsPos.set(sim.pos.x, WORLD_CONFIG.baseY, sim.pos.z);
+      _obsVel.set(sim.vel.x, 0, sim.vel.z);
+      const avoid = calculateObstacleAvoidance(_obsPos, _obsVel);
+      sep.x += avoid.x;
+      sep.z += avoid.z;
+    }
+
+    const v = calculateMovement(B, sim.pos, sim.vel, {
+      dt,
+      time: t,
+      bounds: this.bounds,
+      playerPos: player || sim.pos,
+      chaseMode: chase,
+      separationVec: sep,
+      isMobile: false,
+      baseY: WORLD_CONFIG.baseY
+    });
+    sim.vel.x = v.x;
+    sim.vel.z = v.z;
+
+    // Integrate position
+    sim.pos.x = clamp(sim.pos.x + sim.vel.x * dt * 60, this.bounds.minX, this.bounds.maxX);
+    sim.pos.z = clamp(sim.pos.z + sim.vel.z * dt * 60, this.bounds.minZ, this.bounds.maxZ);
+
+    if (this.useObstacles && obstacleRegistry.obstacles.size > 0) {
+      _obsPos.set(sim.pos.x, WORLD_CONFIG.baseY, sim.pos.z);
+      const valid = findNearestValidPosition(_obsPos);
+      sim.pos.x = valid.x;
+      sim.pos.z = valid.z;
+    }
+
+    // Facing
+    if (B.mode === 'socializing') {
+      sim.yaw = dampAngle(sim.yaw, sim.social.facePartnerYaw, 0.14);
+    } else if (B.mode === 'curious' && player) {
+      const targetYaw = Math.atan2(dxp, dzp);
+      if (isFinite(targetYaw)) sim.yaw = dampAngle(sim.yaw, targetYaw, 0.12);
+    } else if (sim.vel.x * sim.vel.x + sim.vel.z * sim.vel.z > 0.0001) {
+      sim.yaw = calculateYaw(sim.vel, sim.yaw, 0.09);
+    }
+
+    sim.modeTime[B.mode] = (sim.modeTime[B.mode] || 0) + dt;
+  }
+
+  /**
+   * Current pets as saveable objects (position, yaw and needs written back)
+   * @returns {Object[]} Pet objects
+   */
+  getPets() {
+    return Array.from(this.pets.values(), sim => ({
+      ...sim.data,
+      position: [sim.pos.x, sim.pos.z],
+      yaw: sim.yaw,
+      needs: { ...sim.needs, critical: [...sim.needs.critical] }
+    }));
+  }
+
+  /**
+   * Run statistics
+   * @returns {WorldStats} Stats
+   */
+  getStats() {
+    const modeTime = {};
+    for (const sim of this.pets.values()) {
+      for (const [mode, s] of Object.entries(sim.modeTime)) {
+        modeTime[mode] = (modeTime[mode] || 0) + s;
+      }
+    }
+    return { steps: this.steps, time: this.time, ...this.stats, modeTime };
+  }
+
+  /**
+   * Release rest spots held by simulated pets
+   */
+  dispose() {
+    for (const sim of this.pets.values()) releaseRestSpot(sim.brain);
+  }
+}
@@ -0,0 +1,296 @@
+/**
+ * @fileoverview Deterministic "while you were away" simulation for closed-tab time
+ * @module pets-core/simulation/offline
+ */
+
+import { clamp, hash1 } from '../utils.js';
+import { getPersonality } from '../ai/personality.js';
+import { createNeeds, decayNeeds, updateCriticalNeeds, getNeedModifiers } from '../ai/needs.js';
+import { restSpotRegistry } from '../environment/restSpots.js';
+import { memoryRegistry } from '../memory/guardian.js';
+
+/**
+ * Offline simulation tuning
+ * @type {Object}
+ */
+export const OFFLINE_CONFIG = {
+  minElapsedS: 60,               // Shorter absences are ignored
+  maxElapsedS: 14 * 24 * 3600,   // Absences are capped at two weeks
+  stepS: 60,                     // Base simulation step
+  maxSteps: 5000,                // Step count cap per pet (step grows for long absences)
+  baseNapChancePerStep: 0.12,    // Chance to nap each step with nobody around
+  guardChancePerStep: 0.45,      // Chance a guardian spends a step at its memory
+  guardRadius: 1.2,              // Scatter around the memory while guarding
+  wanderStep: 2.5,               // Max coarse wander distance per step
+  wakeEnergy: 0.9,               // Sleeping pets wake once energy is back above this
+  bondGraceS: 12 * 3600,         // No bond decay for this long without a visit
+  bondDecayPerDay: 0.04,         // Bond lost per day of not visiting
+  bondGainPerGuardHour: 0.01     // Bond gained per hour spent at the memory
+};
+
+/**
+ * @typedef {Object} OfflinePetSummary
+ * @property {string} petId - Pet ID
+ * @property {string} name - Pet name
+ * @property {number} sleptS - Seconds spent sleeping
+ * @property {number} restedS - Seconds spent resting
+ * @property {number} guardedS - Seconds spent at the guarded memory
+ * @property {number} wanderedS - Seconds spent wandering
+ * @property {'sleeping'|'resting'|'guarding'|'wandering'} finalMode - What the pet is doing on return
+ * @property {string[]} criticalNeeds - Needs that are critical on return
+ * @property {number} bondDelta - Change in memory bond
+ */
+
+/**
+ * @typedef {Object} OfflineSummary
+ * @property {number} elapsedS - Simulated absence in seconds
+ * @property {OfflinePetSummary[]} pets - Per-pet summary
+ */
+
+/**
+ * Deterministic random value for a pet and step
+ * @param {number} seed - Pet seed
+ * @param {number} step - Step index
+ * @param {number} channel - Independent stream index
+ * @returns {number} Value in [0, 1)
+ */
+function rand(seed, step, channel) {
+  return hash1(seed * 7919.13 + step * 12.9898 + channel * 78.233);
+}
+
+/**
+ * Collect rest spots as plain {id, x, z} (registry first, rugs as fallback)
+ * @param {Array<[number, number]>} rugs - Fallback rest positions
+ * @returns {{id: string, x: number, z: number}[]} Rest spots
+ */
+function collectRestSpots(rugs) {
+  const registered = restSpotRegistry.getAll();
+  if (registered.length > 0) {
+    return registered.map(s => ({ id: s.id, x: s.position.x, z: s.position.z }));
+  }
+  return rugs.map(([x, z], i) => ({ id: `rug_${i}`, x, z }));
+}
+
+/**
+ * Nearest spot not claimed by another pet
+ * @private
+ */
+function nearestFreeSpot(spots, claimed, petId, x, z) {
+  let best = null;
+  let bestD2 = Infinity;
+  for (const s of spots) {
+    const owner = claimed.get(s.id);
+    if (owner && owner !== petId) continue;
+    const d2 = (s.x - x) ** 2 + (s.z - z) ** 2;
+    if (d2 < bestD2) {
+      bestD2 = d2;
+      best = s;
+    }
+  }
+  return best;
+}
+
+/**
+ * Simulate pets through an absence.
+ *
+ * Pure with respect to its inputs: pets are copied, registries are only read.
+ * Bond changes are returned in `bondChanges` for the caller to apply
+ * (see applyOfflineBondChanges) so the simulation can be re-run safely.
+ *
+ * @param {Object[]} pets - Saved pets (with `needs.updatedAt` as their last-seen time)
+ * @param {Object} [options] - Simulation options
+ * @param {number} [options.now=Date.now()] - Current timestamp (ms)
+ * @param {Object} [options.bounds] - Room bounds {minX, maxX, minZ, maxZ}
+ * @param {Array<[number, number]>} [options.rugs=[]] - Fallback rest positions
+ * @param {import('../memory/guardian.js').MemoryRegistry} [options.memories=memoryRegistry] - Memories and
+ *   guardians (load them first, or guarding and bond decay are skipped)
+ * @param {Object|null} [options.personality=null] - The theme's PERSONALITY values (config `personality`)
+ * @returns {{pets: Object[], summary: OfflineSummary|null, bondChanges: {petId: string, delta: number}[]}}
+ */
+export function simulateOffline(pets, options = {}) {
+  const {
+    now = Date.now(),
+    bounds = { minX: -9.5, maxX: 9.5, minZ: -9.5, maxZ: 9.5 },
+    rugs = [],
+    memories = memoryRegistry,
+    personality: themePersonality = null
+  } = options;
+  const cfg = OFFLINE_CONFIG;
+
+  const spots = collectRestSpots(rugs);
+  const claimed = new Map(); // spotId -> petId
+  const summaries = [];
+  const bondChanges = [];
+  let maxElapsedS = 0;
+
+  const out = pets.map((pet) => {
+    const lastSeen = pet.needs?.updatedAt;
+    if (!Number.isFinite(lastSeen)) return pet;
+
+    const elapsedS = Math.min((now - lastSeen) / 1000, cfg.maxElapsedS);
+    if (elapsedS < cfg.minElapsedS) return pet;
+    maxElapsedS = Math.max(maxElapsedS, elapsedS);
+
+    const steps = Math.max(1, Math.min(cfg.maxSteps, Math.floor(elapsedS / cfg.stepS)));
+    const stepS = elapsedS / steps;
+    const seed = pet.seed ?? 0;
+    const personality = getPersonality(pet.traits, themePersonality);
+
+    const needs = { ...createNeeds(lastSeen), ...pet.needs, critical: [...(pet.needs.critical || [])] };
+    const memory = memories.getAssignedMemory(pet.id);
+    let x = pet.position?.[0] ?? 0;
+    let z = pet.position?.[1] ?? 0;
+    let mode = 'wandering';
+    let spotId = null;
+
+    const stats = { sleptS: 0, restedS: 0, guardedS: 0, wanderedS: 0 };
+
+    const goRest = () => {
+      const spot = nearestFreeSpot(spots, claimed, pet.id, x, z);
+      if (spotId && spotId !== spot?.id) claimed.delete(spotId);
+      if (spot) {
+        claimed.set(spot.id, pet.id);
+        spotId = spot.id;
+        x = spot.x;
+        z = spot.z;
+      }
+    };
+    const leaveRest = () => {
+      if (spotId) claimed.delete(spotId);
+      spotId = null;
+    };
+
+    for (let i = 0; i < steps; i++) {
+      const mods = getNeedModifiers(needs);
+
+      if (mode === 'sleeping' && (needs.energy < cfg.wakeEnergy || rand(seed, i, 0) < 0.5)) {
+        // Keep sleeping
+      } else {
+        const r = rand(seed, i, 1);
+        const napChance = clamp(cfg.baseNapChancePerStep + (1 - needs.energy) * 0.6, 0, 1);
+        const restChance = clamp(personality.restChancePerS * mods.restChanceMul * 2, 0, 0.5);
+
+        if (mods.exhausted || r < napChance) {
+          mode = 'sleeping';
+          goRest();
+        } else if (memory && rand(seed, i, 2) < cfg.guardChancePerStep) {
+          mode = 'guarding';
+          leaveRest();
+          const a = rand(seed, i, 3) * Math.PI * 2;
+          const d = rand(seed, i, 4) * cfg.guardRadius;
+          x = memory.position.x + Math.cos(a) * d;
+          z = memory.position.z + Math.sin(a) * d;
+        } else if (r < napChance + restChance) {
+          mode = 'resting';
+          goRest();
+        } else {
+          mode = 'wandering';
+          leaveRest();
+          x += (rand(seed, i, 5) * 2 - 1) * cfg.wanderStep;
+          z += (rand(seed, i, 6) * 2 - 1) * cfg.wanderStep;
+        }
+      }
+
+      x = clamp(x, bounds.minX, bounds.maxX);
+      z = clamp(z, bounds.minZ, bounds.maxZ);
+
+      // Guarding is awake time at a single spot; needs-wise it counts as wandering
+      decayNeeds(needs, stepS, mode === 'guarding' ? 'wandering' : mode);
+      updateCriticalNeeds(needs);
+
+      if (mode === 'sleeping') stats.sleptS += stepS;
+      else if (mode === 'resting') stats.restedS += stepS;
+      else if (mode === 'guarding') stats.guardedS += stepS;
+      else stats.wanderedS += stepS;
+    }
+    needs.updatedAt = now;
+
+    // Bond: time at the memory builds it, a long absence from it erodes it
+    let bondDelta = 0;
+    const assignment = memories.getAssignment(pet.id);
+    if (assignment) {
+      bondDelta += (stats.guardedS / 3600) * cfg.bondGainPerGuardHour;
+      const unvisitedS = stats.guardedS > 0
+        ? 0
+        : Math.max(0, (now - (assignment.lastVisit ?? lastSeen)) / 1000 - cfg.bondGraceS);
+      bondDelta -= (Math.min(unvisitedS, elapsedS) / 86400) * cfg.bondDecayPerDay;
+      bondDelta = clamp(assignment.bondLevel + bondDelta, 0, 1) - assignment.bondLevel;
+      if (bondDelta !== 0) bondChanges.push({ petId: pet.id, delta: bondDelta });
+    }
+
+    summaries.push({
+      petId: pet.id,
+      name: pet.name,
+      ...stats,
+      finalMode: mode,
+      criticalNeeds: [...needs.critical],
+      bondDelta
+    });
+
+    const next = {
+      ...pet,
+      position: [x, z],
+      needs,
+      awayMode: mode
+    };
+    if (assignment) {
+      next.bondLevel = clamp((pet.bondLevel ?? assignment.bondLevel) + bondDelta, 0, 1);
+    }
+    return next;
+  });
+
+  return {
+    pets: out,
+    summary: summaries.length > 0 ? { elapsedS: maxElapsedS, pets: summaries } : null,
+    bondChanges
+  };
+}
+
+/**
+ * Apply bond changes produced by simulateOffline to the memory registry
+ * @param {{petId: string, delta: number}[]} bondChanges - Bond changes
+ * @param {import('../memory/guardian.js').MemoryRegistry} [memories=memoryRegistry] - Registry the simulation read
+ */
+export function applyOfflineBondChanges(bondChanges, memories = memoryRegistry) {
+  for (const { petId, delta } of bondChanges) {
+    if (delta > 0) {
+      memories.updateBond(petId, delta);
+    } else if (delta < 0) {
+      memories.decayBond(petId, -delta);
+    }
+  }
+}
+
+/**
+ * Format seconds as a short duration ("2h 15m", "40m")
+ * @param {number} s - Seconds
+ * @returns {string} Duration text
+ */
+function formatDuration(s) {
+  const h = Math.floor(s / 3600);
+  const m = Math.round((s % 3600) / 60);
+  if (h >= 24) return `${Math.floor(h / 24)}d ${h % 24}h`;
+  return h > 0 ? `${h}h ${m}m` : `${m}m`;
+}
+
+/**
+ * Human-readable lines for a catch-up summary
+ * @param {OfflineSummary} summary - Summary from simulateOffline
+ * @returns {string[]} One line per pet
+ */
+export function describeOfflineSummary(summary) {
+  if (!summary) return [];
+  const found = {
+    sleeping: 'is fast asleep',
+    resting: 'is lounging on a rest spot',
+    guarding: 'is keeping watch over its memory',
+    wandering: 'is pottering about'
+  };
+  return summary.pets.map((p) => {
+    const parts = [`${p.name} napped for ${formatDuration(p.sleptS)}`];
+    if (p.guardedS > 0) parts.push(`guarded its memory for ${formatDuration(p.guardedS)}`);
+    let line = `${parts.join(' and ')}, and ${found[p.finalMode]}.`;
+    if (p.criticalNeeds.length > 0) line += ` Needs attention: ${p.criticalNeeds.join(', ')}.`;
+    return line;
+  });
+}
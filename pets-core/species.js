@@ -1,104 +1,317 @@
 /**
- * @fileoverview Species definitions and configurations for Mind Palace Pets
+ * @fileoverview Species registry for Mind Palace Pets
  * @module pets-core/species
+ *
+ * Every per-species table (gacha tiers, spawn colors, recommended palettes, trait
+ * leanings, pattern weights, geometry details) is read from the definitions here,
+ * so a new species is one registerSpecies() call:
+ *
+ * @example
+ * registerSpecies({
+ *   key: 'fox',
+ *   label: 'Fox',
+ *   emoji: '🦊',
+ *   ear: 'pointy',
+ *   tail: 'long',
+ *   rarity: 'rare',
+ *   colors: [0xf28c48, 0xf6f1e9, 0xc8c3cc],
+ *   palettes: ['sunset', 'natural', 'forest'],
+ *   traits: { curious: 0.2, shy: 0.05 },
+ *   patterns: { none: 40, tuxedo: 35, gradient: 25 },
+ *   buildGeometry({ THREE, scale, detailParts, applyVertexColor }) {
+ *     const tip = new THREE.SphereGeometry(0.09 * scale, 8, 6);
+ *     tip.translate(0, 1.02 * scale, -0.62 * scale);
+ *     detailParts.push(applyVertexColor(tip, 0xfff6ea));
+ *   }
+ * });
+ */
+
+import { getRng } from './random.js';
+
+/**
+ * @typedef {Object} SpeciesGeometryContext
+ * @property {Object} THREE - three.js namespace
+ * @property {Function} RoundedBoxGeometry - RoundedBoxGeometry class
+ * @property {number} scale - Species scale
+ * @property {number} seg - Rounded box segments
+ * @property {Array} bodyParts - Body parts (merged, pet body color)
+ * @property {Array} headParts - Head parts (merged, pet body color)
+ * @property {Array} detailParts - Detail parts (merged, vertex colors)
+ * @property {Array} horns - Parts that stick up through the head (kept clear by hats)
+ * @property {Function} applyVertexColor - (geo, hex) => geo
+ * @property {Function} setWingAttributes - (geo, wingFlag, side) => geo, marks parts that flap
  */
 
 /**
  * @typedef {Object} SpeciesConfig
+ * @property {string} key - Species key
  * @property {string} label - Display name
  * @property {string} [emoji] - Emoji representation
  * @property {number} [scale] - Size multiplier (default 1.0)
  * @property {'pointy'|'floppy'|'long'|'sharp'|'horn'} ear - Ear style
  * @property {'long'|'short'|'pom'} tail - Tail style
- * @property {boolean} [highTier] - Is this a rare species
- * @property {boolean} [mythical] - Is this a mythical species
+ * @property {'common'|'rare'|'legendary'} [rarity='common'] - Gacha tier
+ * @property {boolean} [highTier] - Is this a rare species (derived from rarity)
+ * @property {boolean} [mythical] - Is this a mythical species (derived from rarity)
  * @property {boolean} [hover] - Does this species hover/fly
+ * @property {boolean} [wings] - Has flapping wings (parts marked with setWingAttributes)
+ * @property {number[]} [colors] - Spawn body colors
+ * @property {string[]} [palettes] - Recommended customization palette keys
+ * @property {Object.<string, number>} [traits] - Trait leanings added to generated traits (-0.25..0.25)
+ * @property {Object.<string, number>} [patterns] - Coat pattern roll weights (`none` keeps a plain coat)
+ * @property {function(SpeciesGeometryContext): void} [buildGeometry] - Adds species-specific parts
+ * @property {import('./models.js').SpeciesModel} [model] - glTF/GLB model drawn instead of the
+ *   procedural geometry (which stays the fallback and still places accessories and the hitbox)
  */
 
 /**
- * Species registry with configurations
+ * Species registry with configurations (filled by registerSpecies)
  * @type {Object.<string, SpeciesConfig>}
  */
-export const SPECIES = {
-  cat: { 
-    label: 'Cat', 
-    emoji: '🐱', 
-    scale: 1.0, 
-    ear: 'pointy', 
-    tail: 'long' 
-  },
-  dog: { 
-    label: 'Dog', 
-    emoji: '🐶', 
-    scale: 1.0, 
-    ear: 'floppy', 
-    tail: 'short' 
-  },
-  bunny: { 
-    label: 'Bunny', 
-    emoji: '🐰', 
-    scale: 1.0, 
-    ear: 'long', 
-    tail: 'pom' 
-  },
-  tiger: { 
-    label: 'Tiger', 
-    emoji: '🐯', 
-    scale: 1.5, 
-    ear: 'pointy', 
-    tail: 'long', 
-    highTier: true 
-  },
-  wolf: { 
-    label: 'Dire Wolf', 
-    emoji: '🐺', 
-    scale: 1.8, 
-    ear: 'sharp', 
-    tail: 'long', 
-    highTier: true 
-  },
-  dragon: { 
-    label: 'Dragon', 
-    emoji: '🐲', 
-    scale: 2.2, 
-    ear: 'horn', 
-    tail: 'long', 
-    mythical: true, 
-    hover: true 
-  }
-};
+export const SPECIES = {};
 
 /**
  * Base species only (common tier)
  * @type {Object.<string, SpeciesConfig>}
  */
-export const BASE_SPECIES = {
-  cat: SPECIES.cat,
-  dog: SPECIES.dog,
-  bunny: SPECIES.bunny
-};
+export const BASE_SPECIES = {};
 
 /**
  * Cozy color palettes per species (hex values)
  * @type {Object.<string, number[]>}
  */
-export const COLOR_PALETTES = {
-  cat: [0xcdb4db, 0xbde0fe, 0xa2d2ff, 0xffc8dd],
-  dog: [0xffd6a5, 0xfec89a, 0xfde4cf, 0xcdeac0],
-  bunny: [0xd0f4de, 0xa9def9, 0xe4c1f9, 0xfcf6bd],
-  tiger: [0xf4a261, 0xf6bd60, 0xfefae0],
-  wolf: [0xb8c0c8, 0x7f8c99, 0xcfe9ff],
-  dragon: [0x6ee7b7, 0x60a5fa, 0xa7f3d0]
-};
+export const COLOR_PALETTES = {};
+
+/** Spawn colors for species registered without any */
+const DEFAULT_COLORS = [0xcdb4db, 0xbde0fe, 0xa2d2ff, 0xffc8dd];
+
+/** @type {Set<function(string): void>} Called with the key whenever a species is (re)registered or removed */
+const _changeListeners = new Set();
+
+/**
+ * Listen for species being registered, replaced or removed (modules that cache
+ * per-species data use this to drop stale entries)
+ * @param {function(string): void} listener - Called with the species key
+ * @returns {function(): void} Unsubscribe
+ */
+export function onSpeciesChange(listener) {
+  _changeListeners.add(listener);
+  return () => _changeListeners.delete(listener);
+}
+
+/**
+ * Register (or replace) a species. Call it before saved pets load, or pets of the
+ * species fail schema validation and come back as cats.
+ * @param {SpeciesConfig} def - Species definition
+ * @returns {SpeciesConfig} Registered species
+ */
+export function registerSpecies(def) {
+  if (!def?.key || typeof def.key !== 'string') {
+    throw new Error('registerSpecies: species needs a string key');
+  }
+  const rarity = def.rarity ?? 'common';
+  const sp = {
+    scale: 1.0,
+    ear: 'pointy',
+    tail: 'long',
+    ...def,
+    label: def.label ?? def.key,
+    rarity,
+    highTier: def.highTier ?? rarity === 'rare',
+    mythical: def.mythical ?? rarity === 'legendary',
+    colors: def.colors?.length ? [...def.colors] : DEFAULT_COLORS
+  };
+
+  SPECIES[sp.key] = sp;
+  COLOR_PALETTES[sp.key] = sp.colors;
+  if (rarity === 'common') BASE_SPECIES[sp.key] = sp;
+  else delete BASE_SPECIES[sp.key];
+  for (const listener of _changeListeners) listener(sp.key);
+  return sp;
+}
+
+/**
+ * Remove a species (saved pets of that species load as cats)
+ * @param {string} key - Species key
+ */
+export function unregisterSpecies(key) {
+  delete SPECIES[key];
+  delete BASE_SPECIES[key];
+  delete COLOR_PALETTES[key];
+  for (const listener of _changeListeners) listener(key);
+}
+
+/**
+ * Species keys, optionally of one rarity, in registration order
+ * @param {string} [rarity] - Rarity tier
+ * @returns {string[]} Species keys
+ */
+export function getSpeciesKeys(rarity) {
+  const keys = Object.keys(SPECIES);
+  return rarity ? keys.filter(k => SPECIES[k].rarity === rarity) : keys;
+}
+
+// Built-in species
+
+registerSpecies({
+  key: 'cat',
+  label: 'Cat',
+  emoji: '🐱',
+  scale: 1.0,
+  ear: 'pointy',
+  tail: 'long',
+  colors: [0xcdb4db, 0xbde0fe, 0xa2d2ff, 0xffc8dd],
+  palettes: ['natural', 'pastel', 'monochrome'],
+  traits: { lazy: 0.15, curious: 0.1 },
+  patterns: { none: 40, stripes: 15, calico: 20, tuxedo: 20, gradient: 5 }
+});
+
+registerSpecies({
+  key: 'dog',
+  label: 'Dog',
+  emoji: '🐶',
+  scale: 1.0,
+  ear: 'floppy',
+  tail: 'short',
+  colors: [0xffd6a5, 0xfec89a, 0xfde4cf, 0xcdeac0],
+  palettes: ['natural', 'pastel', 'candy'],
+  traits: { playful: 0.15, brave: 0.1 },
+  patterns: { none: 45, spots: 30, tuxedo: 15, gradient: 10 }
+});
+
+registerSpecies({
+  key: 'bunny',
+  label: 'Bunny',
+  emoji: '🐰',
+  scale: 1.0,
+  ear: 'long',
+  tail: 'pom',
+  colors: [0xd0f4de, 0xa9def9, 0xe4c1f9, 0xfcf6bd],
+  palettes: ['pastel', 'candy', 'natural'],
+  traits: { shy: 0.2, brave: -0.1 },
+  patterns: { none: 50, spots: 20, gradient: 20, tuxedo: 10 }
+});
+
+registerSpecies({
+  key: 'tiger',
+  label: 'Tiger',
+  emoji: '🐯',
+  scale: 1.5,
+  ear: 'pointy',
+  tail: 'long',
+  rarity: 'rare',
+  colors: [0xf4a261, 0xf6bd60, 0xfefae0],
+  palettes: ['sunset', 'natural', 'cosmic'],
+  traits: { brave: 0.15, curious: 0.05 },
+  patterns: { none: 60, stripes: 30, gradient: 10 },
+  buildGeometry({ RoundedBoxGeometry, scale, seg, detailParts, applyVertexColor }) {
+    const stripe = new RoundedBoxGeometry(0.08 * scale, 0.28 * scale, 0.06 * scale, seg, 0.04 * scale);
+    const stripePos = [
+      [-0.25, 0.58, 0.42],
+      [0.25, 0.58, 0.42],
+      [-0.18, 0.46, 0.46],
+      [0.18, 0.46, 0.46],
+      [0, 0.52, -0.30]
+    ];
+    for (const [x, y, z] of stripePos) {
+      const s = stripe.clone();
+      s.translate(x * scale, y * scale, z * scale);
+      applyVertexColor(s, 0x1b1b2d);
+      detailParts.push(s);
+    }
+
+    // Sideburns
+    const sb = new RoundedBoxGeometry(0.12 * scale, 0.20 * scale, 0.08 * scale, seg, 0.05 * scale);
+    const sbL = sb.clone();
+    sbL.translate(-0.55 * scale, 0.98 * scale, 0.56 * scale);
+    applyVertexColor(sbL, 0xfefae0);
+    detailParts.push(sbL);
+    const sbR = sb.clone();
+    sbR.translate(0.55 * scale, 0.98 * scale, 0.56 * scale);
+    applyVertexColor(sbR, 0xfefae0);
+    detailParts.push(sbR);
+  }
+});
+
+registerSpecies({
+  key: 'wolf',
+  label: 'Dire Wolf',
+  emoji: '🐺',
+  scale: 1.8,
+  ear: 'sharp',
+  tail: 'long',
+  rarity: 'rare',
+  colors: [0xb8c0c8, 0x7f8c99, 0xcfe9ff],
+  palettes: ['monochrome', 'forest', 'cosmic'],
+  traits: { brave: 0.2, playful: 0.05 },
+  patterns: { none: 50, gradient: 30, tuxedo: 20 },
+  buildGeometry({ THREE, RoundedBoxGeometry, scale, seg, detailParts, applyVertexColor }) {
+    // Ruff spikes
+    const spike = new THREE.ConeGeometry(0.10 * scale, 0.22 * scale, 6, 1);
+    for (let i = 0; i < 10; i++) {
+      const a = (i / 10) * Math.PI * 2;
+      const s = spike.clone();
+      s.rotateX(Math.PI);
+      s.translate(Math.cos(a) * 0.42 * scale, 0.90 * scale, Math.sin(a) * 0.20 * scale);
+      applyVertexColor(s, i % 2 === 0 ? 0xcfe9ff : 0xb8c0c8);
+      detailParts.push(s);
+    }
+
+    // Muzzle
+    const muzzle = new RoundedBoxGeometry(0.34 * scale, 0.20 * scale, 0.44 * scale, seg, 0.10 * scale);
+    muzzle.translate(0, 0.92 * scale, 0.68 * scale);
+    applyVertexColor(muzzle, 0xfefae0);
+    detailParts.push(muzzle);
+  }
+});
+
+registerSpecies({
+  key: 'dragon',
+  label: 'Dragon',
+  emoji: '🐲',
+  scale: 2.2,
+  ear: 'horn',
+  tail: 'long',
+  rarity: 'legendary',
+  hover: true,
+  wings: true,
+  colors: [0x6ee7b7, 0x60a5fa, 0xa7f3d0],
+  palettes: ['cosmic', 'sunset', 'ocean'],
+  traits: { brave: 0.25, lazy: 0.1 },
+  patterns: { none: 45, gradient: 35, spots: 20 },
+  buildGeometry({ THREE, RoundedBoxGeometry, scale, seg, bodyParts, detailParts, horns, applyVertexColor, setWingAttributes }) {
+    const wing = new RoundedBoxGeometry(0.90 * scale, 0.08 * scale, 0.55 * scale, seg, 0.06 * scale);
+    const wL = wing.clone();
+    wL.translate(-0.85 * scale, 0.92 * scale, -0.15 * scale);
+    setWingAttributes(wL, 1, -1);
+    bodyParts.push(wL);
+    const wR = wing.clone();
+    wR.translate(0.85 * scale, 0.92 * scale, -0.15 * scale);
+    setWingAttributes(wR, 1, 1);
+    bodyParts.push(wR);
+
+    // Horns
+    const horn = new THREE.ConeGeometry(0.07 * scale, 0.25 * scale, 7, 1);
+    const h1 = horn.clone();
+    h1.translate(-0.20 * scale, 1.46 * scale, 0.10 * scale);
+    applyVertexColor(h1, 0xfff6ea);
+    detailParts.push(h1);
+    const h2 = horn.clone();
+    h2.translate(0.20 * scale, 1.46 * scale, 0.10 * scale);
+    applyVertexColor(h2, 0xfff6ea);
+    detailParts.push(h2);
+    horns.push(h1, h2);
+  }
+});
 
 /**
  * Pet name options for random generation
  * @type {string[]}
  */
 export const PET_NAMES = [
-  'Nova', 'Mochi', 'Cosmo', 'Luna', 'Pip', 'Byte', 
-  'Orion', 'Echo', 'Comet', 'Bean', 'Nori', 'Pebble', 
-  'Sprout', 'Kumo', 'Yuzu', 'Hana', 'Sora', 'Miso', 
+  'Nova', 'Mochi', 'Cosmo', 'Luna', 'Pip', 'Byte',
+  'Orion', 'Echo', 'Comet', 'Bean', 'Nori', 'Pebble',
+  'Sprout', 'Kumo', 'Yuzu', 'Hana', 'Sora', 'Miso',
   'Kiki', 'Taro'
 ];
 
@@ -108,37 +321,40 @@ export const PET_NAMES = [
  * @returns {SpeciesConfig} Species configuration
  */
 export function getSpecies(key) {
-  return SPECIES[key] || SPECIES.cat;
+  return SPECIES[key] || SPECIES.cat || Object.values(SPECIES)[0];
 }
 
 /**
  * Pick random color from species palette
  * @param {string} speciesKey - Species key
+ * @param {import('./random.js').Rng} [rng] - Random stream (defaults to the world stream)
  * @returns {number} Hex color value
  */
-export function pickSpeciesColor(speciesKey) {
-  const palette = COLOR_PALETTES[speciesKey] || COLOR_PALETTES.cat;
-  return palette[Math.floor(Math.random() * palette.length)];
+export function pickSpeciesColor(speciesKey, rng = getRng()) {
+  const palette = COLOR_PALETTES[speciesKey] || DEFAULT_COLORS;
+  return rng.pick(palette);
 }
 
 /**
  * Pick random pet name
+ * @param {import('./random.js').Rng} [rng] - Random stream (defaults to the world stream)
  * @returns {string} Random name with number suffix
  */
-export function pickPetName() {
-  const name = PET_NAMES[Math.floor(Math.random() * PET_NAMES.length)];
-  const num = Math.floor(Math.random() * 100);
+export function pickPetName(rng = getRng()) {
+  const name = rng.pick(PET_NAMES);
+  const num = rng.int(100);
   return `${name} ${num}`;
 }
 
 /**
  * Pick random species key
  * @param {boolean} [includeHighTier=false] - Include rare/mythical species
+ * @param {import('./random.js').Rng} [rng] - Random stream (defaults to the world stream)
  * @returns {string} Species key
  */
-export function pickRandomSpecies(includeHighTier = false) {
-  const keys = includeHighTier 
-    ? Object.keys(SPECIES) 
+export function pickRandomSpecies(includeHighTier = false, rng = getRng()) {
+  const keys = includeHighTier
+    ? Object.keys(SPECIES)
     : Object.keys(BASE_SPECIES);
-  return keys[Math.floor(Math.random() * keys.length)];
+  return rng.pick(keys);
 }
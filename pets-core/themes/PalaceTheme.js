@@ -0,0 +1,58 @@
+/**
+ * @fileoverview Mind Palace theme: the garden and the space room joined by a doorway, plus app settings
+ * @module pets-core/themes/PalaceTheme
+ *
+ * @example
+ * const palace = new Palace(HOME_PALACE);
+ * export default function MindPalacePets() {
+ *   return <PetsApp config={HOME_CONFIG} palace={palace} />;
+ * }
+ */
+
+import { PALACE_FORMAT } from '../palace/palace.js';
+import gardenRoom from './rooms/garden.json';
+import spaceRoom from './rooms/space.json';
+
+/**
+ * Two-room palace (see palace/palace.js for the format)
+ * @type {Object}
+ */
+export const HOME_PALACE = {
+  format: PALACE_FORMAT,
+  version: 1,
+  id: 'home',
+  name: 'Mind Palace',
+  start: 'garden',
+  rooms: {
+    garden: { name: 'Garden', emoji: '🌿', room: gardenRoom },
+    space: { name: 'Observatory', emoji: '🔭', room: spaceRoom }
+  },
+  portals: [
+    {
+      id: 'stargate',
+      a: { room: 'garden', position: [0, -9.2] },
+      b: { room: 'space', position: [0, 9.2] },
+      color: '#cdb4db'
+    }
+  ]
+};
+
+/**
+ * App settings for HOME_PALACE (scene fields come from the player's room)
+ */
+export const HOME_CONFIG = {
+  theme: 'palace',
+  title: 'Mind Palace Pets',
+  subtitle: 'Wander the rooms • Pets follow you through doorways',
+  hud: {
+    tone: 'dark',
+    pageClassName: 'bg-[#0b0f1a]',
+    hoverClassName: 'text-white/80',
+    vignette: 0.35,
+    spawn: 'random'
+  },
+  maxPets: { desktop: 12, mobile: 7 },
+  includeHighTier: true,
+  economy: true,
+  cuddlePiles: true
+};
@@ -0,0 +1,144 @@
+/**
+ * @fileoverview Builds a scene from a room definition (see environment/rooms.js)
+ * @module pets-core/themes/RoomEnvironment
+ */
+
+import React, { useEffect, useLayoutEffect, useMemo, useRef } from 'react';
+import * as THREE from 'three';
+import { Grid, Stars, Sparkles } from '@react-three/drei';
+import { registerRoom, getRoomGeometry, getPartMatrices } from '../environment/rooms.js';
+import { registerGroundMesh, unregisterGroundMesh } from '../environment/ground.js';
+
+const DEG = Math.PI / 180;
+
+/** Effect components by room effect type */
+const EFFECTS = {
+  sparkles: Sparkles,
+  stars: Stars,
+  grid: Grid
+};
+
+/**
+ * Materials for a room's material table
+ * @private
+ */
+function buildMaterials(defs, rampTex) {
+  const out = {};
+  for (const [key, def] of Object.entries(defs)) {
+    const color = new THREE.Color(def.color);
+    const m = def.type === 'basic'
+      ? new THREE.MeshBasicMaterial({ color })
+      : new THREE.MeshToonMaterial({ color, gradientMap: rampTex });
+    if (def.type !== 'basic') m.dithering = true;
+    if (def.additive || (def.opacity ?? 1) < 1) {
+      m.transparent = true;
+      m.opacity = def.opacity ?? 1;
+      m.depthWrite = false;
+    }
+    if (def.additive) m.blending = THREE.AdditiveBlending;
+    if (def.side === 'double') m.side = THREE.DoubleSide;
+    out[key] = m;
+  }
+  return out;
+}
+
+/**
+ * Walkable ground mesh, registered for ground height queries while mounted
+ * @private
+ */
+function RoomGround({ part, material }) {
+  const ref = useRef();
+  useEffect(() => {
+    const mesh = ref.current;
+    registerGroundMesh(mesh);
+    return () => unregisterGroundMesh(mesh);
+  }, []);
+
+  return (
+    <mesh
+      ref={ref}
+      geometry={getRoomGeometry(part.geometry)}
+      material={material}
+      position={part.position}
+      rotation={part.rotation.map(v => v * DEG)}
+      scale={part.scale}
+    />
+  );
+}
+
+/**
+ * Every placed copy of one prop part, as a single instanced mesh
+ * @private
+ */
+function RoomPropPart({ prop, part, material, onPick }) {
+  const ref = useRef();
+  const geometry = getRoomGeometry(part.geometry);
+  const matrices = useMemo(() => getPartMatrices(prop, part), [prop, part]);
+
+  useLayoutEffect(() => {
+    const mesh = ref.current;
+    matrices.forEach((m, i) => mesh.setMatrixAt(i, m));
+    mesh.instanceMatrix.needsUpdate = true;
+    mesh.computeBoundingSphere?.();
+  }, [matrices]);
+
+  return (
+    <instancedMesh
+      ref={ref}
+      args={[geometry, material, matrices.length]}
+      onClick={onPick && ((e) => {
+        e.stopPropagation();
+        onPick(prop.id, e.instanceId);
+      })}
+    />
+  );
+}
+
+/**
+ * Ambient effect (sparkles, stars, grid); `mobile` overrides apply on mobile
+ * @private
+ */
+function RoomEffect({ effect, isMobile }) {
+  const { type, mobile, ...props } = effect;
+  const Effect = EFFECTS[type];
+  if (!Effect) return null;
+  return <Effect {...props} {...(isMobile ? mobile : null)} />;
+}
+
+/**
+ * Scene for a room: ground, props, effects. While mounted, the room's obstacles and
+ * rest spots are in obstacleRegistry / restSpotRegistry and its ground is raycastable.
+ * Lighting, fog and background are applied by the app (see roomToConfig / PetsApp).
+ * @param {Object} props - Component props
+ * @param {import('../environment/rooms.js').RoomDefinition} props.room - Parsed room (parseRoom)
+ * @param {THREE.Texture} props.rampTex - Toon ramp texture
+ * @param {boolean} [props.isMobile] - Is mobile device
+ * @param {boolean} [props.register=true] - Fill the global registries (a palace room has its own)
+ * @param {function(string, number): void} [props.onPickProp] - Clicked a prop (prop ID, copy index); used by the room editor
+ * @returns {JSX.Element} Room scene
+ */
+export function RoomEnvironment({ room, rampTex, isMobile = false, register = true, onPickProp }) {
+  // Keyed on the material table, which a rearranged room (applyRoomLayout) shares
+  const materials = useMemo(() => buildMaterials(room.materials, rampTex), [room.materials, rampTex]);
+  useEffect(() => () => Object.values(materials).forEach(m => m.dispose()), [materials]);
+
+  useEffect(() => (register ? registerRoom(room) : undefined), [room, register]);
+
+  return (
+    <group name={`room_${room.id}`}>
+      {room.ground.map((g) => (
+        <RoomGround key={g.id} part={g} material={materials[g.material]} />
+      ))}
+
+      {room.props.map((p) => p.parts.map((part, j) => (
+        <RoomPropPart key={`${p.id}:${j}`} prop={p} part={part} material={materials[part.material]} onPick={onPickProp} />
+      )))}
+
+      {room.effects.map((e, i) => (
+        <RoomEffect key={`${e.type}:${i}`} effect={e} isMobile={isMobile} />
+      ))}
+    </group>
+  );
+}
+
+export default RoomEnvironment;
@@ -3,6 +3,8 @@
  * @module pets-core/utils
  */
 
+import { getRng } from './random.js';
+
 /**
  * Clamp value between min and max
  * @param {number} v - Value to clamp
@@ -37,28 +39,31 @@ export function dampAngle(a, b, t) {
  * Pick random element from array
  * @template T
  * @param {T[]} arr - Array to pick from
+ * @param {import('./random.js').Rng} [rng] - Random stream (defaults to the world stream)
  * @returns {T} Random element
  */
-export function pick(arr) {
-  return arr[Math.floor(Math.random() * arr.length)];
+export function pick(arr, rng = getRng()) {
+  return arr[Math.floor(rng.next() * arr.length)];
 }
 
 /**
  * Random value in range
  * @param {number} a - Minimum
  * @param {number} b - Maximum
+ * @param {import('./random.js').Rng} [rng] - Random stream (defaults to the world stream)
  * @returns {number} Random value between a and b
  */
-export function randRange(a, b) {
-  return lerp(a, b, Math.random());
+export function randRange(a, b, rng = getRng()) {
+  return lerp(a, b, rng.next());
 }
 
 /**
  * Generate random ID
+ * @param {import('./random.js').Rng} [rng] - Random stream (defaults to the world stream)
  * @returns {string} Random alphanumeric ID
  */
-export function randId() {
-  return Math.random().toString(36).slice(2) + Math.random().toString(36).slice(2);
+export function randId(rng = getRng()) {
+  return rng.next().toString(36).slice(2) + rng.next().toString(36).slice(2);
 }
 
 /**
@@ -106,42 +111,11 @@ export function isMobileDevice() {
 }
 
 /**
- * Local storage key for pet persistence
+ * Local storage key for pet persistence.
+ * The `:v1` suffix is historical; the save schema version lives in the saved envelope.
  * @param {string} theme - Theme name ('space' or 'garden')
  * @returns {string} localStorage key
  */
 export function getStorageKey(theme) {
   return `mindPalace:${theme}Pets:v1`;
 }
-
-/**
- * Safely load pets from localStorage
- * @param {string} key - Storage key
- * @returns {Object[]|null} Parsed pets array or null
- */
-export function safeLoadPets(key) {
-  try {
-    if (typeof window === 'undefined') return null;
-    const raw = localStorage.getItem(key);
-    if (!raw) return null;
-    const parsed = JSON.parse(raw);
-    if (!Array.isArray(parsed)) return null;
-    return parsed;
-  } catch {
-    return null;
-  }
-}
-
-/**
- * Safely save pets to localStorage
- * @param {string} key - Storage key
- * @param {Object[]} pets - Pets array to save
- */
-export function safeSavePets(key, pets) {
-  try {
-    if (typeof window === 'undefined') return;
-    localStorage.setItem(key, JSON.stringify(pets));
-  } catch {
-    // Ignore quota errors
-  }
-}